@@ -0,0 +1,21 @@
+# Streams new AuditEvents to the activity page, which appends those matching
+# its filters, see activity_feed_controller.js
+class ActivityChannel < ApplicationCable::Channel
+  STREAM = 'activity'
+
+  def subscribed
+    stream_from STREAM
+  end
+
+  def self.broadcast_event(event)
+    ActionCable.server.broadcast(STREAM, {
+      type: 'audit_event',
+      id: event.id,
+      **event.filter_attributes,
+      html: ApplicationController.render(partial: 'audit_events/audit_event', locals: { audit_event: event })
+    })
+  rescue StandardError => e
+    # The feed is best effort; the event is stored either way
+    Rails.logger.error "Failed to broadcast audit event #{event.id}: #{e.message}"
+  end
+end
@@ -0,0 +1,16 @@
+# Streams triggered alerts to every open page, where they show as toasts, see
+# alert_toasts_controller.js
+class AlertsChannel < ApplicationCable::Channel
+  STREAM = 'alerts'
+
+  def subscribed
+    stream_from STREAM
+  end
+
+  def self.broadcast_event(event)
+    ActionCable.server.broadcast(STREAM, event.payload.merge(type: 'alert'))
+  rescue StandardError => e
+    # Toasts are best effort; the event stays in the alert history
+    Rails.logger.error "Failed to broadcast alert event #{event.id}: #{e.message}"
+  end
+end
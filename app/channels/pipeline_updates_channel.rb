@@ -0,0 +1,34 @@
+# Streams PipelineRun and PipelineRunLog changes to the pipeline pages.
+# Subscribe with a pipeline_run_id for a single run, with a pipeline_id for
+# every run of a pipeline, or without params for the pipelines index.
+class PipelineUpdatesChannel < ApplicationCable::Channel
+  INDEX_STREAM = 'pipeline_updates'
+
+  def subscribed
+    if params[:pipeline_run_id]
+      stream_for PipelineRun.find(params[:pipeline_run_id])
+    elsif params[:pipeline_id]
+      stream_for Pipeline.find(params[:pipeline_id])
+    else
+      stream_from INDEX_STREAM
+    end
+  rescue ActiveRecord::RecordNotFound
+    reject
+  end
+
+  def self.broadcast_run(pipeline_run, payload)
+    broadcast_to(pipeline_run, payload)
+    broadcast_to(pipeline_run.pipeline, payload)
+    ActionCable.server.broadcast(INDEX_STREAM, payload)
+  rescue StandardError => e
+    # Live updates are best effort; never fail a pipeline because of them
+    Rails.logger.error "Failed to broadcast pipeline run #{pipeline_run.id}: #{e.message}"
+  end
+
+  def self.broadcast_log(log, payload)
+    broadcast_to(log.pipeline_run, payload)
+    broadcast_to(log.pipeline_run.pipeline, payload)
+  rescue StandardError => e
+    Rails.logger.error "Failed to broadcast pipeline run log #{log.id}: #{e.message}"
+  end
+end
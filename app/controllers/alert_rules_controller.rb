@@ -0,0 +1,54 @@
+# Rules editor on the series page, see AlertRule. Responses carry the rule's
+# rendered row so the editor can put it in place.
+class AlertRulesController < ApplicationController
+  before_action :set_time_series
+  before_action :set_alert_rule, only: [:update, :destroy]
+
+  def create
+    alert_rule = @time_series.alert_rules.new(alert_rule_params)
+
+    if alert_rule.save
+      render json: rule_response(alert_rule, "Alert rule added: #{alert_rule.description}"), status: :created
+    else
+      render json: { error: alert_rule.errors.full_messages.to_sentence }, status: :unprocessable_entity
+    end
+  end
+
+  def update
+    if @alert_rule.update(alert_rule_params)
+      render json: rule_response(@alert_rule, @alert_rule.active? ? "Alert rule saved: #{@alert_rule.description}" : 'Alert rule paused')
+    else
+      render json: { error: @alert_rule.errors.full_messages.to_sentence }, status: :unprocessable_entity
+    end
+  end
+
+  def destroy
+    @alert_rule.destroy!
+    render json: { success: true, message: 'Alert rule deleted' }
+  end
+
+  private
+
+  def set_time_series
+    @time_series = TimeSeries.find_by(ticker: params[:time_series_ticker])
+    render json: { error: 'Time series not found' }, status: :not_found if @time_series.nil?
+  end
+
+  def set_alert_rule
+    @alert_rule = @time_series.alert_rules.find_by(id: params[:id])
+    render json: { error: 'Alert rule not found' }, status: :not_found if @alert_rule.nil?
+  end
+
+  def alert_rule_params
+    params.require(:alert_rule).permit(:condition, :threshold, :bars, :webhook_url, :active)
+  end
+
+  def rule_response(alert_rule, message)
+    {
+      success: true,
+      message: message,
+      id: alert_rule.id,
+      html: render_to_string(partial: 'time_series/alert_rule', locals: { rule: alert_rule }, formats: [:html])
+    }
+  end
+end
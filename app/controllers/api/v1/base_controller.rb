@@ -0,0 +1,55 @@
+module Api
+  module V1
+    # Read-only JSON API. Requests authenticate with `Authorization: Bearer
+    # <token>` (tokens are managed at /settings/api_tokens) and are limited to
+    # ApiToken::RATE_LIMIT per token and minute. Queries run with a statement
+    # timeout so API traffic cannot hold the connections the pipelines need.
+    class BaseController < ActionController::API
+      include ActionController::HttpAuthentication::Token::ControllerMethods
+
+      STATEMENT_TIMEOUT = '5s'.freeze
+
+      before_action :authenticate!
+      rate_limit to: ApiToken::RATE_LIMIT, within: 1.minute, by: -> { @api_token.id }, with: -> { rate_limited }
+      around_action :with_statement_timeout
+
+      rescue_from ActiveRecord::QueryCanceled do
+        render json: { error: 'The query took too long; narrow the range or lower the limit' }, status: :service_unavailable
+      end
+
+      private
+
+      def authenticate!
+        @api_token = authenticate_with_http_token { |token, _options| ApiToken.authenticate(token) }
+
+        if @api_token
+          @api_token.touch_last_used
+        else
+          headers['WWW-Authenticate'] = 'Bearer realm="api"'
+          render json: { error: 'Missing or invalid API token' }, status: :unauthorized
+        end
+      end
+
+      def rate_limited
+        headers['Retry-After'] = '60'
+        render json: { error: "Rate limit of #{ApiToken::RATE_LIMIT} requests per minute exceeded" }, status: :too_many_requests
+      end
+
+      def with_statement_timeout(&block)
+        ApplicationRecord.transaction do
+          ApplicationRecord.connection.execute("SET LOCAL statement_timeout = #{ApplicationRecord.connection.quote(STATEMENT_TIMEOUT)}")
+          block.call
+        end
+      end
+
+      # Parses a time param, raising ArgumentError for values that are not times
+      def time_param(name)
+        return nil if params[name].blank?
+
+        Time.zone.parse(params[name].to_s) || raise(ArgumentError)
+      rescue ArgumentError
+        raise ArgumentError, "Invalid #{name}: #{params[name]}"
+      end
+    end
+  end
+end
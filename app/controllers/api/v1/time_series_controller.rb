@@ -0,0 +1,76 @@
+module Api
+  module V1
+    class TimeSeriesController < BaseController
+      before_action :set_time_series, except: :index
+
+      # Metadata of all series, optionally filtered by `source` and `kind`
+      def index
+        scope = TimeSeries.order(:ticker)
+        scope = scope.by_source(params[:source]) if params[:source].present?
+        scope = scope.where(kind: params[:kind]) if params[:kind].present?
+
+        render json: { time_series: scope.map { |time_series| metadata(time_series) } }
+      end
+
+      def show
+        points = @time_series.points
+
+        render json: metadata(@time_series).merge(
+          points_count: points.count,
+          first_ts: points.minimum(:ts),
+          last_ts: points.maximum(:ts),
+          up_to_date: @time_series.up_to_date?,
+          next_expected_update: @time_series.next_expected_update
+        )
+      end
+
+      # Accepts `from`, `to`, `limit` (at most TimeSeriesPoints::MAX_LIMIT),
+      # `cursor` (next_cursor of the previous page) and `timeframe` to roll
+      # the points up to a coarser timeframe, see TimeSeriesPoints
+      def points
+        page = TimeSeriesPoints.new(
+          @time_series,
+          from: time_param(:from),
+          to: time_param(:to),
+          limit: params[:limit],
+          cursor: params[:cursor],
+          timeframe: params[:timeframe]
+        ).page
+
+        render json: { ticker: @time_series.ticker, kind: @time_series.kind }.merge(page)
+      rescue ArgumentError => e
+        render json: { error: e.message }, status: :unprocessable_entity
+      end
+
+      def latest
+        render json: {
+          ticker: @time_series.ticker,
+          kind: @time_series.kind,
+          point: TimeSeriesPoints.new(@time_series, to: time_param(:to)).latest
+        }
+      rescue ArgumentError => e
+        render json: { error: e.message }, status: :unprocessable_entity
+      end
+
+      private
+
+      def set_time_series
+        @time_series = TimeSeries.find_by(ticker: params[:ticker])
+        render json: { error: 'Time series not found' }, status: :not_found if @time_series.nil?
+      end
+
+      def metadata(time_series)
+        {
+          ticker: time_series.ticker,
+          source: time_series.source,
+          source_id: time_series.source_id,
+          kind: time_series.kind,
+          timeframe: time_series.timeframe,
+          calendar: time_series.calendar,
+          description: time_series.description,
+          url: api_v1_time_series_url(time_series.ticker)
+        }
+      end
+    end
+  end
+end
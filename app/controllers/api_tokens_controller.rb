@@ -0,0 +1,35 @@
+# Settings page for the tokens of the read-only /api/v1 endpoints
+class ApiTokensController < ApplicationController
+  def index
+    @api_token = ApiToken.new
+    load_tokens
+  end
+
+  # Shows the new token once on the settings page; only its digest is kept
+  def create
+    @api_token = ApiToken.generate(params.require(:api_token).permit(:owner, :name))
+
+    if @api_token.save
+      @created_token = @api_token.token
+      @api_token = ApiToken.new(owner: @api_token.owner)
+      load_tokens
+      render :index, status: :created
+    else
+      load_tokens
+      render :index, status: :unprocessable_entity
+    end
+  end
+
+  def destroy
+    api_token = ApiToken.find(params[:id])
+    api_token.revoke!
+
+    redirect_to api_tokens_path, notice: "Token #{api_token.name} revoked"
+  end
+
+  private
+
+  def load_tokens
+    @api_tokens = ApiToken.order(revoked_at: :desc, created_at: :desc)
+  end
+end
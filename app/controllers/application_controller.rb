@@ -1,4 +1,26 @@
 class ApplicationController < ActionController::Base
   # Only allow modern browsers supporting webp images, web push, badges, import maps, CSS nesting, and CSS :has.
   allow_browser versions: :modern
+
+  private
+
+  # Records a change for the activity page, see AuditEvent
+  def audit(action, summary, subject: nil, ticker: nil, details: {})
+    AuditEvent.record(
+      action: action,
+      actor: audit_actor,
+      summary: summary,
+      subject: subject,
+      ticker: ticker,
+      details: details,
+      ip_address: request.remote_ip
+    )
+  end
+
+  # There are no user accounts. Behind an authenticating proxy the user name
+  # comes from the AUDIT_ACTOR_HEADER request header (X-Forwarded-User by
+  # default); otherwise changes are attributed to the client IP.
+  def audit_actor
+    request.headers[ENV.fetch('AUDIT_ACTOR_HEADER', 'X-Forwarded-User')].presence || request.remote_ip
+  end
 end
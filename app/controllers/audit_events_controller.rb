@@ -0,0 +1,19 @@
+# Activity feed of the changes recorded by AuditEvent. Turbo Frame requests
+# get only the feed so the filters and "Older" link can refresh it in place.
+class AuditEventsController < ApplicationController
+  def index
+    @filters = params.permit(:actor, :action_name, :ticker).to_h.symbolize_keys.compact_blank
+    events = AuditEvent.search(actor: @filters[:actor], action: @filters[:action_name], ticker: @filters[:ticker], before: params[:before])
+    @audit_events = events.limit(AuditEvent::PAGE_SIZE + 1).to_a
+    @more = @audit_events.size > AuditEvent::PAGE_SIZE
+    @audit_events = @audit_events.first(AuditEvent::PAGE_SIZE)
+    @paged = params[:before].present?
+
+    if turbo_frame_request?
+      render partial: 'feed', locals: { audit_events: @audit_events, filters: @filters, more: @more, paged: @paged }
+    else
+      @actors = AuditEvent.distinct.order(:actor).limit(200).pluck(:actor)
+      @tickers = TimeSeries.order(:ticker).pluck(:ticker)
+    end
+  end
+end
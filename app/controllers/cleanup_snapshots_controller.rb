@@ -0,0 +1,26 @@
+# Undo for the scoped cleanups on the series page, see TimeSeriesCleanup
+class CleanupSnapshotsController < ApplicationController
+  def restore
+    snapshot = CleanupSnapshot.find_by(id: params[:id])
+    if snapshot.nil?
+      render json: { error: 'Cleanup not found' }, status: :not_found
+      return
+    end
+
+    restored = snapshot.restore!
+    skipped = snapshot.points_count - restored
+    message = "Restored #{restored} data points for #{snapshot.ticker}"
+    message += " (#{skipped} already filled again)" if skipped.positive?
+    audit('time_series.restore', message, subject: snapshot, details: { restored: restored, skipped: skipped })
+
+    respond_to do |format|
+      format.html { redirect_to time_series_path(snapshot.ticker), notice: message }
+      format.json { render json: { success: true, message: message, restored: restored } }
+    end
+  rescue CleanupSnapshot::NotRestorable => e
+    respond_to do |format|
+      format.html { redirect_to time_series_path(snapshot.ticker), alert: e.message }
+      format.json { render json: { error: e.message }, status: :unprocessable_entity }
+    end
+  end
+end
@@ -0,0 +1,6 @@
+# JSON results for the command palette in the layout, see CommandPalette
+class CommandPaletteController < ApplicationController
+  def index
+    render json: { query: params[:q].to_s.strip, results: CommandPalette.new(params[:q]).results }
+  end
+end
@@ -6,6 +6,13 @@ class PagesController < ApplicationController
     }, status: :ok
   end
 
+  # Operations dashboard, see OpsDashboard. The JSON format feeds its live refresh.
   def home
+    @dashboard = OpsDashboard.new(window: params[:window])
+
+    respond_to do |format|
+      format.html
+      format.json { render json: @dashboard.metrics }
+    end
   end
 end
@@ -1,6 +1,6 @@
 class PipelineRunsController < ApplicationController
   before_action :set_pipeline_if_needed
-  before_action :set_pipeline_run, only: [:show, :rerun, :schedule_stop]
+  before_action :set_pipeline_run, only: [:show, :logs, :rerun, :schedule_stop, :retry_stage, :skip_stage, :cancel]
 
   def index
     # Build base query
@@ -21,16 +21,71 @@ class PipelineRunsController < ApplicationController
     @selected_stage = params[:stage]
   end
 
+  # Counters, point changes and logs of two runs side by side, see
+  # PipelineRunComparison
+  def compare
+    base = PipelineRun.includes(pipeline: :time_series).find_by(id: params[:base])
+    other = PipelineRun.includes(pipeline: :time_series).find_by(id: params[:other])
+
+    if base.nil? || other.nil?
+      @error = 'Select two runs to compare'
+    else
+      @comparison = PipelineRunComparison.new(base, other)
+      @error = @comparison.error
+    end
+
+    render status: :unprocessable_entity if @error
+  end
+
   def show
     respond_to do |format|
-      format.html
+      format.html do
+        @logs, @has_older_logs = @pipeline_run.logs.older_page
+        @run_history = @pipeline_run.pipeline.run_history
+      end
       format.json { render json: live_update_data_for_pipeline_run(@pipeline_run) }
     end
   end
 
+  # Cursor-based log pages: `after` returns entries newer than a log id for
+  # tailing, `before` returns older entries for scrollback. Both honour the
+  # `levels`, `q` and `regex` filters, which the text format also uses to
+  # download every matching line of the run.
+  def logs
+    scope = @pipeline_run.logs.filtered(**log_filter_params)
+
+    respond_to do |format|
+      format.json do
+        limit = (params[:limit].presence || PipelineRunLog::PAGE_SIZE).to_i.clamp(1, 1000)
+
+        logs, has_more = if params[:after].present?
+          scope.newer_page(after: params[:after].to_i, limit: limit)
+        else
+          scope.older_page(before: params[:before].presence&.to_i, limit: limit)
+        end
+
+        render json: {
+          logs: logs.map(&:entry_payload),
+          has_more: has_more
+        }
+      end
+      format.text do
+        lines = scope.find_each.map(&:to_text)
+        send_data lines.join("\n"), filename: "pipeline-run-#{@pipeline_run.id}-logs.txt", type: 'text/plain'
+      end
+    end
+  rescue RegexpError => e
+    render_invalid_pattern(e)
+  rescue ActiveRecord::StatementInvalid => e
+    raise unless e.cause.is_a?(PG::InvalidRegularExpression)
+
+    render_invalid_pattern(e.cause)
+  end
+
   def create
     if @pipeline.can_run?
-      @pipeline.run_async!
+      pipeline_run = @pipeline.run_async!
+      audit('pipeline_run.create', "Started run ##{pipeline_run.id} of pipeline ##{@pipeline.id}", subject: pipeline_run, ticker: @pipeline.time_series.ticker)
       redirect_to pipeline_path(@pipeline), notice: 'New pipeline run has been started and is running in the background.'
     else
       redirect_to pipeline_path(@pipeline), alert: 'Pipeline cannot be run. It must be in pending status and start stage.'
@@ -41,6 +96,7 @@ class PipelineRunsController < ApplicationController
     if @pipeline_run.can_run?
       @pipeline_run.reset!
       @pipeline_run.run_async!
+      audit_run('pipeline_run.rerun', "Reran run ##{@pipeline_run.id}")
       redirect_to pipeline_pipeline_run_path(@pipeline, @pipeline_run), notice: 'Pipeline run has been restarted and is running in the background.'
     else
       redirect_to pipeline_pipeline_run_path(@pipeline, @pipeline_run), alert: 'Pipeline run cannot be rerun. It must be in pending status and start stage.'
@@ -50,14 +106,50 @@ class PipelineRunsController < ApplicationController
   def schedule_stop
     if @pipeline_run.WORKING?
       @pipeline_run.update!(status: :SCHEDULED_STOP)
+      audit_run('pipeline_run.stop', "Asked run ##{@pipeline_run.id} to stop")
       redirect_to pipeline_pipeline_run_path(@pipeline, @pipeline_run), notice: 'Pipeline run has been scheduled to stop.'
     else
       redirect_to pipeline_pipeline_run_path(@pipeline, @pipeline_run), alert: 'Pipeline run cannot be stopped. It must be in working status.'
     end
   end
 
+  # Continues a failed, cancelled or stopped run from a stage in a new job
+  def retry_stage
+    stage = params[:stage].presence || @pipeline_run.stage
+    @pipeline_run.retry_from_stage!(stage)
+    audit_run('pipeline_run.retry_stage', "Retried run ##{@pipeline_run.id} from #{stage.humanize(capitalize: false)}", stage: stage)
+    render_run_action "Retrying from #{stage.humanize(capitalize: false)}"
+  rescue PipelineRun::ActionNotAllowed => e
+    render json: { error: e.message }, status: :unprocessable_entity
+  end
+
+  def skip_stage
+    skipped = @pipeline_run.skip_stage!
+    audit_run('pipeline_run.skip_stage', "Skipped #{skipped.humanize(capitalize: false)} of run ##{@pipeline_run.id}", stage: skipped)
+    render_run_action "Skipped #{skipped.humanize(capitalize: false)}"
+  rescue PipelineRun::ActionNotAllowed => e
+    render json: { error: e.message }, status: :unprocessable_entity
+  end
+
+  # Cancels queued runs immediately and asks running ones to stop, see PipelineRun#cancel!
+  def cancel
+    outcome = @pipeline_run.cancel!
+    audit_run('pipeline_run.cancel', "Cancelled run ##{@pipeline_run.id}", outcome: outcome)
+    render_run_action outcome == :cancelled ? 'Run cancelled' : 'Cancelling, the run stops at its next checkpoint'
+  rescue PipelineRun::ActionNotAllowed => e
+    render json: { error: e.message }, status: :unprocessable_entity
+  end
+
   private
 
+  def audit_run(action, summary, **details)
+    audit(action, summary, subject: @pipeline_run, ticker: @pipeline_run.pipeline.time_series.ticker, details: details)
+  end
+
+  def render_run_action(message)
+    render json: { success: true, message: message, run: live_update_data_for_pipeline_run(@pipeline_run.reload) }
+  end
+
   def apply_filters(query)
     query = query.by_status(params[:status]) if params[:status].present?
     query = query.by_stage(params[:stage]) if params[:stage].present?
@@ -69,6 +161,30 @@ class PipelineRunsController < ApplicationController
   end
   helper_method :filter_params
 
+  # Patterns Ruby compiles can still be rejected by PostgreSQL's regex engine
+  def render_invalid_pattern(error)
+    message = "Invalid search pattern: #{error.message.strip}"
+
+    respond_to do |format|
+      format.json { render json: { error: message }, status: :unprocessable_entity }
+      format.text { render plain: message, status: :unprocessable_entity }
+    end
+  end
+
+  def log_filter_params
+    regex = ActiveModel::Type::Boolean.new.cast(params[:regex]) || false
+    query = params[:q].to_s.strip.presence
+
+    # Reject patterns Ruby cannot compile before they reach the database
+    Regexp.new(query) if regex && query
+
+    {
+      levels: params.key?(:levels) ? params[:levels].to_s.split(',') : nil,
+      query: query,
+      regex: regex
+    }
+  end
+
   def set_pipeline_if_needed
     @pipeline = Pipeline.find(params[:pipeline_id]) if params[:pipeline_id]
   end
@@ -86,6 +202,7 @@ class PipelineRunsController < ApplicationController
       id: pipeline_run.id,
       status: pipeline_run.status,
       stage: pipeline_run.stage,
+      cancel_requested: pipeline_run.cancel_requested?,
       updated_at: pipeline_run.updated_at,
       latest_timestamp: pipeline_run.pipeline.latest_timestamp,
       statistics: {
@@ -93,13 +210,7 @@ class PipelineRunsController < ApplicationController
         n_failed: pipeline_run.n_failed,
         n_skipped: pipeline_run.n_skipped
       },
-      logs: pipeline_run.logs.order(:created_at).limit(50).map do |log|
-        {
-          level: log.level,
-          message: log.message,
-          created_at: log.created_at
-        }
-      end
+      timeline: pipeline_run.timeline_payload
     }
   end
 end
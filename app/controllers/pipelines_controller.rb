@@ -1,5 +1,5 @@
 class PipelinesController < ApplicationController
-  before_action :set_pipeline, only: [:show, :run, :destroy, :toggle_active]
+  before_action :set_pipeline, only: [:show, :run, :destroy, :toggle_active, :schedule]
 
   def index
     # Preload pipelines with their associations
@@ -77,58 +77,146 @@ class PipelinesController < ApplicationController
 
   def show
     respond_to do |format|
-      format.html
+      format.html do
+        latest_run = @pipeline.latest_run
+        @logs, @has_older_logs = latest_run ? latest_run.logs.older_page : [[], false]
+        @run_history = @pipeline.run_history
+      end
       format.json { render json: live_update_data_for_pipeline(@pipeline) }
     end
   end
 
   def new
-    @pipeline = Pipeline.new
-    @time_series_options = TimeSeries.all.map { |ts| [ts.ticker, ts.id] }
-    @chain_options = [
-      ['CBOE Flat', 'CboeFlat'],
-      ['Fred Flat', 'FredFlat'],
-      ['Polygon Flat', 'PolygonFlat']
-    ]
+    @pipeline = Pipeline.new(time_series_id: params[:time_series_id])
+    set_wizard_data
   end
 
   def create
     @pipeline = Pipeline.new(pipeline_params)
     
-    if @pipeline.save
+    if @pipeline.save(context: :wizard)
+      audit('pipeline.create', "Created #{@pipeline.chain} pipeline ##{@pipeline.id} for #{@pipeline.time_series.ticker}", subject: @pipeline, ticker: @pipeline.time_series.ticker)
       redirect_to @pipeline, notice: 'Pipeline was successfully created.'
     else
-      @time_series_options = TimeSeries.all.map { |ts| [ts.ticker, ts.id] }
-      @chain_options = [
-        ['CBOE Flat', 'CboeFlat'],
-        ['Fred Flat', 'FredFlat'],
-        ['Polygon Flat', 'PolygonFlat']
-      ]
+      set_wizard_data
       render :new, status: :unprocessable_entity
     end
   end
 
+  # Fetches and transforms with the wizard's settings without importing, and
+  # returns the rows the first run would write
+  def dry_run
+    pipeline = Pipeline.new(pipeline_params)
+
+    unless pipeline.valid?(:wizard)
+      render json: { error: pipeline.errors.full_messages.to_sentence }, status: :unprocessable_entity
+      return
+    end
+
+    result = pipeline.dry_run(limit: 20)
+    render json: result, status: result[:success] ? :ok : :unprocessable_entity
+  end
+
   def run
     unless @pipeline.active?
-      redirect_to @pipeline, alert: 'Pipeline must be active to run.'
+      respond_to do |format|
+        format.html { redirect_to @pipeline, alert: 'Pipeline must be active to run.' }
+        format.json { render json: { error: 'Pipeline must be active to run.' }, status: :unprocessable_entity }
+      end
       return
     end
     
-    @pipeline.run_async!
-    redirect_to @pipeline, notice: 'Pipeline has been started and is running in the background.'
+    pipeline_run = @pipeline.run_async!
+    message = 'Pipeline has been started and is running in the background.'
+    audit('pipeline.run', "Started run ##{pipeline_run.id} of pipeline ##{@pipeline.id}", subject: pipeline_run, ticker: @pipeline.time_series.ticker)
+
+    respond_to do |format|
+      format.html { redirect_to @pipeline, notice: message }
+      format.json { render json: { success: true, message: message, run_path: pipeline_pipeline_run_path(@pipeline, pipeline_run) } }
+    end
   end
 
   def toggle_active
     @pipeline.update!(active: !@pipeline.active?)
     status_text = @pipeline.active? ? 'activated' : 'deactivated'
-    redirect_to @pipeline, notice: "Pipeline has been #{status_text}."
+    message = "Pipeline has been #{status_text}."
+    audit('pipeline.toggle', "#{status_text.capitalize} pipeline ##{@pipeline.id}", subject: @pipeline, ticker: @pipeline.time_series.ticker, details: { active: @pipeline.active? })
+
+    respond_to do |format|
+      format.html { redirect_to @pipeline, notice: message }
+      format.json { render json: { success: true, message: message, active: @pipeline.active? } }
+    end
+  end
+
+  # Sets or clears the cron schedule; the sidekiq-cron job follows in Pipeline#sync_cron_job
+  def schedule
+    if @pipeline.update(schedule: params[:schedule])
+      message = @pipeline.schedule ? "Schedule saved: #{@pipeline.schedule} (UTC)" : 'Schedule removed'
+      message += '. It applies once the pipeline is active.' if @pipeline.schedule && !@pipeline.active?
+      if @pipeline.saved_change_to_schedule?
+        summary = @pipeline.schedule ? "Scheduled pipeline ##{@pipeline.id} at #{@pipeline.schedule}" : "Removed the schedule of pipeline ##{@pipeline.id}"
+        audit('pipeline.schedule', summary, subject: @pipeline, ticker: @pipeline.time_series.ticker,
+                                            details: { from: @pipeline.schedule_before_last_save, to: @pipeline.schedule })
+      end
+
+      respond_to do |format|
+        format.html { redirect_to @pipeline, notice: message }
+        format.json do
+          render json: {
+            success: true,
+            message: message,
+            schedule: @pipeline.schedule,
+            next_runs: @pipeline.next_scheduled_runs.map(&:iso8601)
+          }
+        end
+      end
+    else
+      error = @pipeline.errors.full_messages.to_sentence
+
+      respond_to do |format|
+        format.html { redirect_to @pipeline, alert: error }
+        format.json { render json: { error: error }, status: :unprocessable_entity }
+      end
+    end
   end
 
   def destroy
     @pipeline.destroy
+    audit('pipeline.destroy', "Deleted #{@pipeline.chain} pipeline ##{@pipeline.id} of #{@pipeline.time_series.ticker}", subject: @pipeline, ticker: @pipeline.time_series.ticker)
     redirect_to pipelines_path, notice: 'Pipeline was successfully deleted.'
   end
 
+  # Applies one action to the selected pipelines and reports the outcome per pipeline
+  def bulk
+    action = params[:bulk_action].to_s
+    ids = Array(params[:ids]).compact_blank
+
+    unless Pipeline::BULK_ACTIONS.include?(action)
+      render json: { error: "Unknown bulk action: #{action}" }, status: :unprocessable_entity
+      return
+    end
+
+    if ids.empty?
+      render json: { error: 'Select at least one pipeline' }, status: :bad_request
+      return
+    end
+
+    results = Pipeline.bulk_apply(action, ids)
+    succeeded = results.count { |result| result[:success] }
+    if succeeded.positive?
+      applied = results.select { |result| result[:success] }
+      audit('pipeline.bulk', "#{action.capitalize}: #{applied.map { |result| result[:ticker] }.to_sentence}",
+            details: { bulk_action: action, ids: applied.map { |result| result[:id] } })
+    end
+
+    render json: {
+      success: succeeded == results.size,
+      message: "#{action.capitalize}: #{succeeded} of #{results.size} pipelines succeeded",
+      bulk_action: action,
+      results: results
+    }
+  end
+
   private
 
   def set_pipeline
@@ -136,28 +224,34 @@ class PipelinesController < ApplicationController
   end
 
   def pipeline_params
-    params.require(:pipeline).permit(:time_series_id, :chain)
+    params.require(:pipeline).permit(:time_series_id, :chain, options: {})
+  end
+
+  def set_wizard_data
+    @time_series_list = TimeSeries.order(:ticker).map do |ts|
+      { id: ts.id, ticker: ts.ticker, source: ts.source, kind: ts.kind, timeframe: ts.timeframe }
+    end
+    @chain_catalog = PipelineChainBase.chains.map(&:catalog_entry)
   end
 
   def live_update_data_for_pipelines
     {
-      pipelines: @pipelines.map do |pipeline|
+      pipelines: @pipelines_data.map do |pipeline_data|
+        pipeline = pipeline_data[:pipeline]
+        latest_run = pipeline_data[:latest_run]
+
         {
           id: pipeline.id,
-          status: pipeline.status,
-          stage: pipeline.stage,
-          latest_timestamp: pipeline.latest_timestamp,
+          status: latest_run&.status || 'PENDING',
+          stage: latest_run&.stage || 'START',
+          latest_timestamp: pipeline_data[:latest_timestamp],
           updated_at: pipeline.updated_at,
-          statistics: pipeline.latest_run ? {
-            n_successful: pipeline.n_successful,
-            n_failed: pipeline.n_failed,
-            n_skipped: pipeline.n_skipped
+          statistics: latest_run ? {
+            n_successful: latest_run.n_successful,
+            n_failed: latest_run.n_failed,
+            n_skipped: latest_run.n_skipped
           } : nil,
-          runs_count: {
-            total: pipeline.runs.count,
-            completed: pipeline.runs.where(status: 'COMPLETED').count,
-            failed: pipeline.runs.where(status: 'FAILED').count
-          }
+          runs_count: pipeline_data[:run_counts]
         }
       end
     }
@@ -168,27 +262,18 @@ class PipelinesController < ApplicationController
     
     {
       id: pipeline.id,
-      status: pipeline.status,
-      stage: pipeline.stage,
+      status: latest_run&.status || 'PENDING',
+      stage: latest_run&.stage || 'START',
       latest_timestamp: pipeline.latest_timestamp,
       updated_at: pipeline.updated_at,
       statistics: latest_run ? {
-        n_successful: pipeline.n_successful,
-        n_failed: pipeline.n_failed,
-        n_skipped: pipeline.n_skipped
+        n_successful: latest_run.n_successful,
+        n_failed: latest_run.n_failed,
+        n_skipped: latest_run.n_skipped
       } : nil,
-      runs_count: {
-        total: pipeline.runs.count,
-        completed: pipeline.runs.where(status: 'COMPLETED').count,
-        failed: pipeline.runs.where(status: 'FAILED').count
-      },
-      logs: latest_run&.logs&.order(:created_at)&.limit(50)&.map do |log|
-        {
-          level: log.level,
-          message: log.message,
-          created_at: log.created_at
-        }
-      end
+      run_id: latest_run&.id,
+      runs_count: pipeline.runs_count,
+      timeline: latest_run&.timeline_payload
     }
   end
 end
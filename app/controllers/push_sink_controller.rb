@@ -0,0 +1,18 @@
+# Local stand-in for a browser push service, only routed in development and
+# test. It checks requests the way a push service would and logs them, so
+# deliveries can be exercised without a browser (`rake web_push:subscribe_local`).
+# Add `?status=410` to the endpoint to simulate an expired subscription.
+class PushSinkController < ApplicationController
+  skip_before_action :verify_authenticity_token
+
+  def create
+    unless request.authorization.to_s.start_with?('vapid t=') && request.headers['Content-Encoding'] == 'aes128gcm'
+      Rails.logger.warn "[PushSink] #{params[:token]} rejected a request without VAPID authorization or aes128gcm encoding"
+      head :bad_request
+      return
+    end
+
+    Rails.logger.info "[PushSink] #{params[:token]} received #{request.raw_post.bytesize} encrypted bytes (TTL #{request.headers['TTL']}, urgency #{request.headers['Urgency']})"
+    head(params[:status].presence&.to_i || :created)
+  end
+end
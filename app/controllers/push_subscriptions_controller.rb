@@ -0,0 +1,55 @@
+class PushSubscriptionsController < ApplicationController
+  # Stores the browser's push subscription, refreshing its keys when the
+  # endpoint is already known
+  def create
+    subscription = PushSubscription.find_or_initialize_by(endpoint: subscription_params[:endpoint])
+    subscription.assign_attributes(
+      p256dh_key: subscription_params.dig(:keys, :p256dh),
+      auth_key: subscription_params.dig(:keys, :auth),
+      user_agent: request.user_agent
+    )
+
+    if subscription.save
+      render json: { success: true, id: subscription.id }, status: :created
+    else
+      render json: { error: subscription.errors.full_messages.to_sentence }, status: :unprocessable_entity
+    end
+  end
+
+  def destroy
+    PushSubscription.where(endpoint: params[:endpoint]).destroy_all
+    render json: { success: true }
+  end
+
+  # Sends a notification to a single subscription right away, bypassing Sidekiq
+  def test
+    subscription = PushSubscription.find_by(endpoint: params[:endpoint])
+
+    if subscription.nil?
+      render json: { error: 'Subscription not found' }, status: :not_found
+    elsif subscription.deliver(test_notification_payload)
+      render json: { success: true, message: 'Test notification sent' }
+    else
+      render json: { error: 'Subscription has expired, please enable notifications again' }, status: :gone
+    end
+  rescue WebPush::Error => e
+    render json: { error: e.message }, status: :bad_gateway
+  end
+
+  private
+
+  def subscription_params
+    params.require(:subscription).permit(:endpoint, keys: [:p256dh, :auth])
+  end
+
+  def test_notification_payload
+    {
+      title: 'Quant ETL',
+      options: {
+        body: 'Notifications for failed and stuck pipeline runs are enabled.',
+        tag: 'push-test',
+        data: { path: pipeline_runs_path }
+      }
+    }
+  end
+end
@@ -1,119 +1,51 @@
 class TimeSeriesController < ApplicationController
+  # Periods computed and points shown by the derived series preview
+  DERIVE_PREVIEW_PERIODS = 60
+  DERIVE_PREVIEW_ROWS = 10
+
+  INDEX_VIEWS = %w[watchlists all].freeze
+
   skip_before_action :verify_authenticity_token, only: [:sync, :toggle_source_pipelines]
   
+  # Filtered and sorted by TimeSeriesSearch. Turbo Frame requests get only the
+  # results so the search form can refresh them in place. Pages without
+  # filters show the watchlists instead once there are any.
   def index
-    # Preload pipelines to avoid N+1 queries
-    time_series_list = TimeSeries.includes(:pipelines).all
-    
-    # Get all tickers for bulk queries
-    tickers = time_series_list.map(&:ticker)
-    
-    # Bulk query aggregates statistics
-    aggregate_stats = Aggregate.where(ticker: tickers)
-                              .group(:ticker)
-                              .select('ticker, COUNT(*) as count, MAX(ts) as max_ts, MIN(ts) as min_ts')
-                              .index_by(&:ticker)
-    
-    # Bulk query univariate statistics  
-    univariate_stats = Univariate.where(ticker: tickers)
-                                 .group(:ticker)
-                                 .select('ticker, COUNT(*) as count, MAX(ts) as max_ts, MIN(ts) as min_ts')
-                                 .index_by(&:ticker)
-    
-    # Bulk query latest records for aggregates
-    latest_aggregates = Aggregate.where(ticker: tickers)
-                                .where(ts: Aggregate.where(ticker: tickers)
-                                                  .group(:ticker)
-                                                  .maximum(:ts)
-                                                  .values)
-                                .index_by(&:ticker)
-    
-    # Bulk query latest records for univariates
-    latest_univariates = Univariate.where(ticker: tickers)
-                                  .where(ts: Univariate.where(ticker: tickers)
-                                                      .group(:ticker)
-                                                      .maximum(:ts)
-                                                      .values)
-                                  .index_by(&:ticker)
-    
-    # Check which time series have active pipelines
-    active_pipeline_tickers = Pipeline.joins(:time_series)
-                                    .where(active: true, time_series: { ticker: tickers })
-                                    .pluck('time_series.ticker')
-                                    .to_set
-    
-    time_series_data = time_series_list.map do |time_series|
-      ticker = time_series.ticker
-      
-      # Get stats based on time series kind
-      stats = case time_series.kind
-              when 'aggregate'
-                aggregate_stats[ticker]
-              when 'univariate'
-                univariate_stats[ticker]
-              end
-      
-      # Get latest record based on time series kind
-      latest_record = case time_series.kind
-                      when 'aggregate'
-                        latest_aggregates[ticker]
-                      when 'univariate'
-                        latest_univariates[ticker]
-                      end
-      
-      # Extract values with defaults
-      count = stats&.count || 0
-      recent_ts = stats&.max_ts
-      earliest_ts = stats&.min_ts
-      last_value = latest_record&.main
-      
-      # Calculate up_to_date status using the recent_ts we already have
-      up_to_date = calculate_up_to_date_status(time_series, recent_ts)
-      
-      # Check if has active pipelines
-      has_active_pipelines = active_pipeline_tickers.include?(ticker)
-      
-      { 
-        time_series: time_series, 
-        count: count, 
-        recent_ts: recent_ts, 
-        earliest_ts: earliest_ts, 
-        last: last_value, 
-        up_to_date: up_to_date, 
-        has_active_pipelines: has_active_pipelines 
-      }
-    end
-    
-    # Group time series by source
-    @time_series_by_source = time_series_data.group_by { |ts_data| ts_data[:time_series].source }
-                                           .sort_by { |source, _| source }
-    
-    # Get pipeline status for each source
-    @source_pipeline_status = {}
-    @time_series_by_source.each do |source, _|
-      pipelines = Pipeline.joins(:time_series).where(time_series: { source: source })
-      active_count = pipelines.where(active: true).count
-      total_count = pipelines.count
-      
-      @source_pipeline_status[source] = {
-        has_pipelines: total_count > 0,
-        all_active: total_count > 0 && active_count == total_count,
-        some_active: active_count > 0 && active_count < total_count,
-        none_active: active_count == 0,
-        active_count: active_count,
-        total_count: total_count
-      }
-    end
-    
-    # Calculate outdated count efficiently using the data we already have
-    @outdated_count = time_series_data.count do |ts_data|
-      ts_data[:has_active_pipelines] && !ts_data[:up_to_date]
+    @search = TimeSeriesSearch.new(params)
+
+    respond_to do |format|
+      format.html do
+        @view = index_view
+
+        if @view == 'watchlists'
+          @watchlists = Watchlist.ordered.to_a
+          @watchlist = @watchlists.find { |watchlist| watchlist.id == params[:watchlist].to_i } || @watchlists.first
+        else
+          @time_series_list = @search.results
+          @source_pipeline_status = source_pipeline_status(@time_series_list.map(&:source).uniq)
+        end
+
+        if turbo_frame_request?
+          render partial: 'results', locals: { search: @search, time_series_list: @time_series_list, source_pipeline_status: @source_pipeline_status }
+        else
+          @outdated_count = TimeSeriesSearch.new(status: 'outdated', pipelines: 'active').results.size
+          @tickers = TimeSeries.order(:ticker).pluck(:ticker)
+        end
+      end
+      format.json do
+        @time_series_list = @search.results
+        render json: {
+          filters: @search.to_params,
+          count: @time_series_list.size,
+          time_series: @time_series_list.map { |time_series| index_payload(time_series) }
+        }
+      end
     end
   end
 
   def sync
     # Find all time series that are not up to date using optimized queries
-    outdated_series = find_outdated_enabled_time_series
+    outdated_series = TimeSeriesSearch.new(status: 'outdated', pipelines: 'active').results
     
     synced_pipelines_count = 0
     failed_pipelines_count = 0
@@ -144,11 +76,19 @@ class TimeSeriesController < ApplicationController
     if synced_pipelines_count > 0
       message = "Started #{synced_pipelines_count} pipeline runs for #{synced_time_series_count} time series"
       message += " (#{failed_pipelines_count} pipeline runs failed)" if failed_pipelines_count > 0
-      redirect_to time_series_index_path, notice: message
+      flash_type = :notice
+      audit('time_series.sync', message, details: { started: synced_pipelines_count, failed: failed_pipelines_count })
     elsif outdated_series.empty?
-      redirect_to time_series_index_path, notice: "All time series are already up to date"
+      message = "All time series are already up to date"
+      flash_type = :notice
     else
-      redirect_to time_series_index_path, alert: "No active pipelines found for non-up-to-date time series"
+      message = "No active pipelines found for non-up-to-date time series"
+      flash_type = :alert
+    end
+
+    respond_to do |format|
+      format.html { redirect_to time_series_index_path, flash_type => message }
+      format.json { render json: { success: flash_type == :notice, message: message, started: synced_pipelines_count } }
     end
   end
 
@@ -158,9 +98,17 @@ class TimeSeriesController < ApplicationController
       render plain: 'Time series not found', status: :not_found
       return
     end
+
+    if request.format.json?
+      render json: chart_data_for(@time_series)
+      return
+    end
     
     # Fetch related pipelines
     @pipelines = @time_series.pipelines.includes(:pipeline_runs)
+    @cleanup_snapshots = CleanupSnapshot.restorable.where(ticker: @time_series.ticker).order(created_at: :desc)
+    @alert_rules = @time_series.alert_rules.order(:created_at)
+    @alert_events = AlertEvent.joins(:alert_rule).where(alert_rules: { time_series_id: @time_series.id }).includes(:alert_rule).recent.limit(50)
     
     # Pagination setup
     @per_page = 50
@@ -184,6 +132,29 @@ class TimeSeriesController < ApplicationController
     @earliest_ts = points.minimum(:ts)
     last_record = points.order(ts: :desc).first
     @last_value = last_record&.main
+
+    cutoff = TimeSeries.up_to_date_cutoff(@time_series.timeframe, calendar: @time_series.calendar)
+    @up_to_date = @recent_ts.present? && cutoff.present? && @recent_ts >= cutoff
+    @next_expected_update = @time_series.next_expected_update
+  end
+
+  # Sets the trading calendar freshness and gaps are judged by; blank for the
+  # timeframe rules
+  def calendar
+    time_series = TimeSeries.find_by(ticker: params[:ticker])
+    if time_series.nil?
+      render plain: 'Time series not found', status: :not_found
+      return
+    end
+
+    previous = time_series.trading_calendar&.name || 'timeframe rules'
+    if time_series.update(calendar: params[:calendar])
+      current = time_series.trading_calendar&.name || 'timeframe rules'
+      audit('time_series.calendar', "Changed the calendar of #{time_series.ticker} from #{previous} to #{current}", subject: time_series, details: { calendar: time_series.calendar })
+      redirect_to time_series_path(time_series.ticker), status: :see_other
+    else
+      render plain: time_series.errors.full_messages.to_sentence, status: :unprocessable_entity
+    end
   end
 
   def toggle_source_pipelines
@@ -213,11 +184,14 @@ class TimeSeriesController < ApplicationController
       return
     end
     
-    # Update all pipelines
+    # Update all pipelines. update_all skips the callbacks, so the cron jobs
+    # of scheduled ones are synced here.
     updated_count = pipelines.update_all(active: active)
+    pipelines.where.not(schedule: nil).includes(:time_series).find_each(&:sync_cron_job)
     
     action_word = active ? 'activated' : 'deactivated'
     message = "Successfully #{action_word} #{updated_count} pipelines for source #{source}"
+    audit('time_series.toggle_source', message, details: { source: source, active: active, pipelines: updated_count })
     
     render json: { 
       success: true, 
@@ -228,114 +202,390 @@ class TimeSeriesController < ApplicationController
     }
   end
 
+  # Runs the data quality checks, see TimeSeriesQuality
+  def quality
+    time_series = TimeSeries.find_by(ticker: params[:ticker])
+    if time_series.nil?
+      render json: { error: 'Time series not found' }, status: :not_found
+      return
+    end
+
+    sigma = (params[:sigma].presence || TimeSeriesQuality::DEFAULT_SIGMA).to_f.clamp(2, 20)
+    render json: TimeSeriesQuality.new(time_series, sigma: sigma).report
+  end
+
+  # Compare page; the JSON format returns the aligned series, see TimeSeriesComparison
+  def compare
+    @comparison = TimeSeriesComparison.new(
+      tickers: params[:tickers],
+      timeframe: params[:timeframe],
+      from: parse_time_param(params[:from]),
+      to: parse_time_param(params[:to]),
+      threshold: params[:threshold].presence && params[:threshold].to_f / 100,
+      same_asset: params[:same_asset] == '1'
+    )
+
+    respond_to do |format|
+      format.html { @tickers = TimeSeries.order(:ticker).pluck(:ticker, :source, :timeframe) }
+      format.json do
+        if (error = @comparison.error)
+          render json: { error: error }, status: :unprocessable_entity
+        else
+          render json: @comparison.report
+        end
+      end
+    end
+  end
+
+  # Upload page for hand-curated data, see TimeSeriesImport
+  def upload
+    @time_series_list = TimeSeries.order(:ticker).pluck(:ticker, :source, :kind, :timeframe)
+  end
+
+  # Creates a series with the DB source for uploaded data
+  def create
+    time_series = TimeSeries.new(params.require(:time_series).permit(:ticker, :kind, :timeframe, :description, :calendar).merge(source: 'DB'))
+    time_series.source_id = time_series.ticker
+
+    if time_series.save
+      audit('time_series.create', "Created #{time_series.kind} #{time_series.timeframe} series #{time_series.ticker} for uploads", subject: time_series)
+      render json: {
+        success: true,
+        message: "Time series #{time_series.ticker} created",
+        time_series: time_series.slice(:ticker, :source, :kind, :timeframe),
+        url: time_series_path(time_series.ticker)
+      }, status: :created
+    else
+      render json: { error: time_series.errors.full_messages.to_sentence }, status: :unprocessable_entity
+    end
+  end
+
+  # Builder for derived series, see TimeSeriesDerivation
+  def derive
+    @time_series_list = TimeSeries.order(:ticker).pluck(:ticker, :source, :kind, :timeframe)
+  end
+
+  # The latest points of a derivation before it is saved
+  def derive_preview
+    derivation = derivation_from_params
+    latest = derivation.parents.filter_map { |series| series.points.maximum(:ts) }.min
+    rows = latest ? derivation.rows(from: latest - (DERIVE_PREVIEW_PERIODS * TimeSeriesQuality::STEPS.fetch(derivation.timeframe))) : []
+
+    render json: {
+      kind: derivation.kind,
+      description: derivation.description,
+      columns: derivation.columns,
+      rows: rows.last(DERIVE_PREVIEW_ROWS)
+    }
+  rescue ArgumentError => e
+    render json: { error: e.message }, status: :unprocessable_entity
+  end
+
+  # Creates a derived series with its DerivedFlat pipeline and starts the
+  # first run
+  def create_derived
+    derivation = derivation_from_params
+    time_series = TimeSeries.new(
+      ticker: params[:ticker],
+      source: 'Derived',
+      source_id: params[:ticker],
+      kind: derivation.kind,
+      timeframe: derivation.timeframe,
+      calendar: derivation.parent.calendar,
+      description: params[:description].presence || derivation.description
+    )
+    pipeline = Pipeline.new(time_series: time_series, chain: 'DerivedFlat', options: derivation.options)
+
+    saved = TimeSeries.transaction do
+      time_series.save && pipeline.save(context: :wizard) || raise(ActiveRecord::Rollback)
+    end
+
+    if saved
+      pipeline.run_async!
+      audit('time_series.create_derived', "Created #{time_series.ticker}: #{derivation.description}", subject: time_series, details: derivation.options)
+      render json: {
+        success: true,
+        message: "Time series #{time_series.ticker} created, computing its points",
+        url: time_series_path(time_series.ticker)
+      }, status: :created
+    else
+      errors = time_series.errors.full_messages + pipeline.errors.full_messages
+      render json: { error: errors.uniq.to_sentence }, status: :unprocessable_entity
+    end
+  rescue ArgumentError => e
+    render json: { error: e.message }, status: :unprocessable_entity
+  end
+
+  # Imports one chunk of uploaded rows; `dry_run` only reports what would be
+  # skipped
+  def import
+    time_series = TimeSeries.find_by(ticker: params[:ticker])
+    if time_series.nil?
+      render json: { error: 'Time series not found' }, status: :not_found
+      return
+    end
+
+    rows = Array(params[:rows]).grep(ActionController::Parameters).map { |row| row.permit(:row, *TimeSeriesImport::FIELDS.fetch(time_series.kind)).to_h }
+    if rows.size > TimeSeriesImport::MAX_ROWS
+      render json: { error: "At most #{TimeSeriesImport::MAX_ROWS} rows per request" }, status: :unprocessable_entity
+      return
+    end
+
+    result = TimeSeriesImport.new(time_series, rows, dry_run: ActiveModel::Type::Boolean.new.cast(params[:dry_run])).call
+    if result[:inserted].positive?
+      time_series.refresh_derived_series(since: result[:first_ts])
+      audit('time_series.import', "Uploaded #{result[:inserted]} points to #{time_series.ticker}", subject: time_series, details: { inserted: result[:inserted] })
+    end
+
+    render json: result
+  end
+
+  # Starts a pipeline run limited to `from`..`to`, e.g. to fill a gap found by the quality checks
+  def backfill
+    time_series = TimeSeries.find_by(ticker: params[:ticker])
+    if time_series.nil?
+      render json: { error: 'Time series not found' }, status: :not_found
+      return
+    end
+
+    from = parse_time_param(params[:from])
+    to = parse_time_param(params[:to])
+    if from.nil? || to.nil?
+      render json: { error: 'Both from and to are required' }, status: :bad_request
+      return
+    end
+
+    pipeline = time_series.pipelines.where(active: true).order(:created_at).first
+    if pipeline.nil?
+      render json: { error: "No active pipeline found for #{time_series.ticker}" }, status: :unprocessable_entity
+      return
+    end
+
+    pipeline_run = pipeline.backfill_async!(from: from, to: to)
+    audit('time_series.backfill', "Started backfill run ##{pipeline_run.id} of #{time_series.ticker} for #{from.to_date} to #{to.to_date}",
+          subject: pipeline_run, ticker: time_series.ticker, details: { from: from, to: to })
+
+    render json: {
+      success: true,
+      message: "Backfill run ##{pipeline_run.id} started for #{from.to_date} to #{to.to_date}",
+      run_id: pipeline_run.id,
+      run_url: pipeline_pipeline_run_path(pipeline, pipeline_run)
+    }, status: :created
+  rescue ActiveRecord::RecordInvalid => e
+    render json: { error: e.record.errors.full_messages.to_sentence }, status: :unprocessable_entity
+  end
+
+  # Streams points as CSV or NDJSON (chosen by the path extension), for one
+  # ticker from the member route or for `tickers` from the collection route.
+  # Accepts `from`, `to`, `columns` and `time_zone`; the total row count is
+  # sent upfront in X-Export-Rows so clients can show progress.
+  def export
+    tickers = params[:ticker].present? ? [params[:ticker]] : Array(params[:tickers]).flat_map { |value| value.to_s.split(',') }.compact_blank
+    time_series_list = TimeSeries.where(ticker: tickers).to_a
+    if time_series_list.empty?
+      render plain: 'Time series not found', status: :not_found
+      return
+    end
+
+    time_zone = params[:time_zone].present? ? ActiveSupport::TimeZone[params[:time_zone]] : Time.zone
+    if time_zone.nil?
+      render plain: "Unknown time zone: #{params[:time_zone]}", status: :bad_request
+      return
+    end
+
+    export = TimeSeriesExport.new(
+      time_series_list,
+      format: params[:format] || 'csv',
+      from: parse_export_time(params[:from], time_zone),
+      to: parse_export_time(params[:to], time_zone, end_of_day: true),
+      columns: params[:columns].is_a?(String) ? params[:columns].split(',') : params[:columns],
+      time_zone: time_zone
+    )
+
+    headers['Content-Type'] = export.content_type
+    headers['Content-Disposition'] = ActionDispatch::Http::ContentDisposition.format(disposition: 'attachment', filename: export.filename)
+    headers['X-Export-Rows'] = export.points_count.to_s
+    # Keep Rack::ETag and proxies from buffering the whole body
+    headers['Last-Modified'] = Time.current.httpdate
+    headers['Cache-Control'] = 'no-cache'
+    headers['X-Accel-Buffering'] = 'no'
+
+    self.response_body = export.each
+  rescue ArgumentError => e
+    render plain: e.message, status: :bad_request
+  end
+
+  # Number of points a cleanup with these params would delete
+  def cleanup_preview
+    time_series = TimeSeries.find_by(ticker: params[:ticker])
+    if time_series.nil?
+      render json: { error: 'Time series not found' }, status: :not_found
+      return
+    end
+
+    cleanup = cleanup_for(time_series)
+    render json: { count: cleanup.count, filter: cleanup.filter, from: cleanup.from, to: cleanup.to }
+  rescue ArgumentError => e
+    render json: { error: e.message }, status: :unprocessable_entity
+  end
+
+  # Deletes the points in `from`..`to`, or only those matching `filter`,
+  # keeping a snapshot that can be restored, see TimeSeriesCleanup
   def cleanup
     @time_series = TimeSeries.find_by(ticker: params[:ticker])
     if @time_series.nil?
-      redirect_to time_series_index_path, alert: 'Time series not found'
+      respond_to do |format|
+        format.html { redirect_to time_series_index_path, alert: 'Time series not found' }
+        format.json { render json: { error: 'Time series not found' }, status: :not_found }
+      end
       return
     end
 
-    # Count data points before deletion
-    points_count = @time_series.points.count
-    
-    if points_count == 0
-      redirect_to time_series_path(@time_series.ticker), notice: 'No data points to clean up'
+    snapshot = cleanup_for(@time_series).perform!
+
+    if snapshot.nil?
+      respond_to do |format|
+        format.html { redirect_to time_series_path(@time_series.ticker), notice: 'No data points to clean up' }
+        format.json { render json: { error: 'No data points match' }, status: :unprocessable_entity }
+      end
       return
     end
 
-    # Delete all associated data points
-    case @time_series.kind
-    when 'univariate'
-      @time_series.univariates.destroy_all
-    when 'aggregate'
-      @time_series.aggregates.destroy_all
+    message = "Deleted #{snapshot.points_count} data points for #{@time_series.ticker}; they can be restored until #{snapshot.expires_at.to_date}"
+    audit('time_series.cleanup', "Deleted #{snapshot.points_count} points of #{@time_series.ticker}: #{snapshot.description}",
+          subject: snapshot, details: { filter: snapshot.filter, from: snapshot.from, to: snapshot.to, deleted: snapshot.points_count })
+    respond_to do |format|
+      format.html { redirect_to time_series_path(@time_series.ticker), notice: message }
+      format.json do
+        render json: {
+          success: true,
+          message: message,
+          deleted: snapshot.points_count,
+          snapshot_id: snapshot.id,
+          restore_url: restore_cleanup_snapshot_path(snapshot)
+        }
+      end
+    end
+  rescue ArgumentError => e
+    respond_to do |format|
+      format.html { redirect_to time_series_path(params[:ticker]), alert: e.message }
+      format.json { render json: { error: e.message }, status: :unprocessable_entity }
     end
-
-    redirect_to time_series_path(@time_series.ticker), 
-                notice: "Successfully cleaned up #{points_count} data points for #{@time_series.ticker}"
   end
 
   private
 
-  def find_outdated_enabled_time_series
-    # Preload pipelines to avoid N+1 queries
-    time_series_list = TimeSeries.includes(:pipelines).all
-    
-    # Get all tickers for bulk queries
-    tickers = time_series_list.map(&:ticker)
-    
-    # Bulk query aggregates statistics
-    aggregate_stats = Aggregate.where(ticker: tickers)
-                              .group(:ticker)
-                              .select('ticker, MAX(ts) as max_ts')
-                              .index_by(&:ticker)
-    
-    # Bulk query univariate statistics  
-    univariate_stats = Univariate.where(ticker: tickers)
-                                 .group(:ticker)
-                                 .select('ticker, MAX(ts) as max_ts')
-                                 .index_by(&:ticker)
-    
-    # Check which time series have active pipelines
-    active_pipeline_tickers = Pipeline.joins(:time_series)
-                                    .where(active: true, time_series: { ticker: tickers })
-                                    .pluck('time_series.ticker')
-                                    .to_set
-    
-    # Filter for outdated and enabled time series
-    time_series_list.select do |time_series|
-      ticker = time_series.ticker
-      
-      # Skip if no active pipelines
-      next false unless active_pipeline_tickers.include?(ticker)
-      
-      # Get latest timestamp based on time series kind
-      latest_ts = case time_series.kind
-                  when 'aggregate'
-                    aggregate_stats[ticker]&.max_ts
-                  when 'univariate'
-                    univariate_stats[ticker]&.max_ts
-                  end
-      
-      # Check if not up to date
-      !calculate_up_to_date_status(time_series, latest_ts)
-    end
+  def chart_data_for(time_series)
+    from = parse_time_param(params[:from])
+    to = parse_time_param(params[:to])
+    max_points = (params[:points].presence || 500).to_i.clamp(50, 2000)
+
+    chart = time_series.chart_points(from:, to:, max_points:)
+    points = time_series.points
+
+    {
+      ticker: time_series.ticker,
+      kind: time_series.kind,
+      timeframe: time_series.timeframe,
+      from: from,
+      to: to,
+      extent: {
+        from: points.minimum(:ts),
+        to: points.maximum(:ts)
+      },
+      resolution: chart[:resolution],
+      points: chart[:points]
+    }
   end
 
-  def calculate_up_to_date_status(time_series, latest_ts)
-    return false unless latest_ts
-
-    current_time = DateTime.current
-
-    case time_series.timeframe
-    when 'M1'  # 1 minute
-      # New data expected every minute
-      latest_ts >= current_time.beginning_of_minute
-    when 'H1'  # 1 hour
-      # New data expected every hour
-      latest_ts >= current_time.beginning_of_hour
-    when 'D1'  # Daily
-      # New data expected daily, but only after market close or next day
-      # Consider up to date if latest is yesterday or today
-      latest_ts.to_date >= current_time.to_date - 1.day
-    when 'W1'  # Weekly
-      # New data expected weekly
-      latest_ts >= current_time.beginning_of_week
-    when 'MN1' # Monthly
-      # New data expected monthly, but only after month closes
-      # Up to date if latest is from last month (current month data not ready yet)
-      latest_ts >= current_time.beginning_of_month - 1.month
-    when 'Q'   # Quarterly
-      # New data expected quarterly, but only after quarter closes
-      # Up to date if latest is from last quarter (current quarter data not ready yet)
-      latest_ts >= current_time.beginning_of_quarter - 3.months
-    when 'Y'   # Yearly
-      # New data expected yearly, but only after year closes
-      # Up to date if latest is from last year (current year data not ready yet)
-      latest_ts >= current_time.beginning_of_year - 1.year
-    else
-      # Unknown timeframe, assume not up to date
-      false
+  def derivation_from_params
+    TimeSeriesDerivation.new(
+      transform: params[:transform],
+      parent: TimeSeries.find_by(ticker: params[:parent].to_s),
+      other: TimeSeries.find_by(ticker: params[:other].to_s),
+      timeframe: params[:timeframe],
+      window: params[:window]
+    )
+  end
+
+  def cleanup_for(time_series)
+    TimeSeriesCleanup.new(
+      time_series,
+      from: parse_time_param(params[:from]),
+      to: parse_time_param(params[:to])&.then { |to| params[:to].to_s.match?(/\A\d{4}-\d{2}-\d{2}\z/) ? to.end_of_day : to },
+      filter: params[:filter],
+      sigma: params[:sigma]
+    )
+  end
+
+  def parse_time_param(value)
+    return nil if value.blank?
+
+    Time.zone.parse(value.to_s)
+  rescue ArgumentError
+    nil
+  end
+
+  # Like parse_time_param but in the export's time zone; a bare date as the
+  # end of the range includes that whole day.
+  def parse_export_time(value, time_zone, end_of_day: false)
+    return nil if value.blank?
+
+    time = time_zone.parse(value.to_s)
+    end_of_day && value.to_s.match?(/\A\d{4}-\d{2}-\d{2}\z/) ? time&.end_of_day : time
+  rescue ArgumentError
+    nil
+  end
+
+  def index_payload(time_series)
+    {
+      ticker: time_series.ticker,
+      source: time_series.source,
+      source_id: time_series.source_id,
+      kind: time_series.kind,
+      timeframe: time_series.timeframe,
+      calendar: time_series.calendar,
+      description: time_series.description,
+      count: time_series.points_count,
+      earliest_ts: time_series.earliest_ts,
+      recent_ts: time_series.recent_ts,
+      last: time_series.last_value,
+      up_to_date: time_series.up_to_date,
+      next_expected_update: time_series.next_expected_update,
+      has_active_pipelines: time_series.has_active_pipelines,
+      url: time_series_path(time_series.ticker)
+    }
+  end
+
+  # The requested view; by default search results when filtered or without
+  # watchlists, the watchlists otherwise. Search frames are always results.
+  def index_view
+    return 'all' if turbo_frame_request?
+    return params[:view] if INDEX_VIEWS.include?(params[:view])
+    return 'all' if @search.to_params.any?
+
+    Watchlist.exists? ? 'watchlists' : 'all'
+  end
+
+  # Pipeline counts per source for the source toggles
+  def source_pipeline_status(sources)
+    counts = Pipeline.joins(:time_series)
+                     .where(time_series: { source: sources })
+                     .group('time_series.source')
+                     .pluck('time_series.source', Arel.sql('COUNT(*)'), Arel.sql('COUNT(*) FILTER (WHERE pipelines.active)'))
+                     .to_h { |source, total_count, active_count| [source, [total_count, active_count]] }
+
+    sources.index_with do |source|
+      total_count, active_count = counts.fetch(source, [0, 0])
+
+      {
+        has_pipelines: total_count > 0,
+        all_active: total_count > 0 && active_count == total_count,
+        some_active: active_count > 0 && active_count < total_count,
+        none_active: active_count == 0,
+        active_count: active_count,
+        total_count: total_count
+      }
     end
   end
 end
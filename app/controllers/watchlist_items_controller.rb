@@ -0,0 +1,44 @@
+# Adds series to and removes them from a watchlist. Responses carry the
+# rendered row so watchlist_controller.js can put it in place.
+class WatchlistItemsController < ApplicationController
+  before_action :set_watchlist
+
+  def create
+    time_series = TimeSeries.find_by(ticker: params[:ticker].to_s.strip)
+    if time_series.nil?
+      render json: { error: "Time series not found: #{params[:ticker]}" }, status: :not_found
+      return
+    end
+
+    item = @watchlist.watchlist_items.new(time_series: time_series)
+
+    if item.save
+      render json: {
+        success: true,
+        message: "#{time_series.ticker} added to #{@watchlist.name}",
+        id: item.id,
+        html: render_to_string(partial: 'watchlists/item', locals: { watchlist: @watchlist, item: item }, formats: [:html])
+      }, status: :created
+    else
+      render json: { error: item.errors.full_messages.to_sentence }, status: :unprocessable_entity
+    end
+  end
+
+  def destroy
+    item = @watchlist.watchlist_items.find_by(id: params[:id])
+    if item.nil?
+      render json: { error: 'Series not on this watchlist' }, status: :not_found
+      return
+    end
+
+    item.destroy!
+    render json: { success: true, message: "#{item.time_series.ticker} removed from #{@watchlist.name}" }
+  end
+
+  private
+
+  def set_watchlist
+    @watchlist = Watchlist.find_by(id: params[:watchlist_id])
+    render json: { error: 'Watchlist not found' }, status: :not_found if @watchlist.nil?
+  end
+end
@@ -0,0 +1,67 @@
+# Watchlists on the time series index, see Watchlist. Changes answer JSON for
+# watchlist_controller.js; `sparklines` is the batch endpoint its rows are
+# drawn and refreshed from.
+class WatchlistsController < ApplicationController
+  before_action :set_watchlist, only: [:update, :destroy, :sparklines, :reorder_items]
+
+  def create
+    watchlist = Watchlist.new(watchlist_params)
+
+    if watchlist.save
+      render json: { success: true, message: "Watchlist #{watchlist.name} created", url: watchlist_url(watchlist) }, status: :created
+    else
+      render json: { error: watchlist.errors.full_messages.to_sentence }, status: :unprocessable_entity
+    end
+  end
+
+  def update
+    if @watchlist.update(watchlist_params)
+      render json: { success: true, message: "Watchlist renamed to #{@watchlist.name}", name: @watchlist.name }
+    else
+      render json: { error: @watchlist.errors.full_messages.to_sentence }, status: :unprocessable_entity
+    end
+  end
+
+  def destroy
+    @watchlist.destroy!
+    render json: { success: true, message: "Watchlist #{@watchlist.name} deleted", url: time_series_index_path }
+  end
+
+  def reorder
+    Watchlist.reorder!(params[:ids])
+    render json: { success: true, message: 'Watchlists reordered' }
+  end
+
+  def reorder_items
+    @watchlist.reorder_items!(params[:ids])
+    render json: { success: true, message: 'Series reordered' }
+  end
+
+  # Sparkline values and changes of every series on the watchlist, in one
+  # response
+  def sparklines
+    sparklines = TimeSeriesSparklines.new(@watchlist.time_series, points: params[:points])
+
+    render json: {
+      points: sparklines.points,
+      generated_at: Time.current,
+      series: sparklines.to_h
+    }
+  end
+
+  private
+
+  def set_watchlist
+    @watchlist = Watchlist.find_by(id: params[:id])
+    render json: { error: 'Watchlist not found' }, status: :not_found if @watchlist.nil?
+  end
+
+  def watchlist_params
+    params.require(:watchlist).permit(:name)
+  end
+
+  # Watchlists are shown on the index rather than on pages of their own
+  def watchlist_url(watchlist)
+    time_series_index_path(view: 'watchlists', watchlist: watchlist.id)
+  end
+end
@@ -0,0 +1,86 @@
+import { Controller } from "@hotwired/stimulus"
+import consumer from "channels/consumer"
+
+// Filters on the activity page reload the feed Turbo Frame (the ticker is
+// debounced) and are written to the page URL. New events pushed over
+// ActivityChannel are prepended when they match the filters and the newest
+// page is shown.
+export default class extends Controller {
+  static targets = ["form", "frame", "list", "event", "empty"]
+  static values = {
+    debounce: { type: Number, default: 300 }
+  }
+
+  connect() {
+    this.lastUrl = this.feedUrl().toString()
+    this.subscription = consumer.subscriptions.create({ channel: 'ActivityChannel' }, {
+      received: (data) => {
+        if (data.type === 'audit_event') this.append(data)
+      }
+    })
+  }
+
+  disconnect() {
+    clearTimeout(this.searchTimeout)
+    this.subscription?.unsubscribe()
+    this.subscription = null
+  }
+
+  search(event) {
+    // Selects also fire input events; they are handled by change
+    if (event.target.tagName === 'SELECT') return
+
+    clearTimeout(this.searchTimeout)
+    this.searchTimeout = setTimeout(() => this.submit(), this.debounceValue)
+  }
+
+  submit() {
+    clearTimeout(this.searchTimeout)
+
+    const url = this.feedUrl()
+    if (url.toString() === this.lastUrl) return
+
+    this.lastUrl = url.toString()
+    this.frameTarget.src = url.toString()
+    window.history.replaceState(window.history.state, '', url)
+  }
+
+  clear() {
+    this.formTarget.querySelectorAll('input[type="search"], select').forEach(field => {
+      field.value = ''
+    })
+    this.submit()
+  }
+
+  append(event) {
+    if (this.listTarget.dataset.live !== 'true' || !this.matches(event)) return
+    if (this.eventTargets.some(element => element.dataset.id === String(event.id))) return
+
+    this.listTarget.insertAdjacentHTML('afterbegin', event.html)
+    this.listTarget.firstElementChild?.classList.add('new')
+    if (this.hasEmptyTarget) this.emptyTarget.remove()
+  }
+
+  matches(event) {
+    const filters = new FormData(this.formTarget)
+    const actor = filters.get('actor')
+    const action = filters.get('action_name')
+    const ticker = filters.get('ticker')?.toString().trim()
+
+    return (!actor || event.actor === actor) &&
+      (!action || event.action === action) &&
+      (!ticker || event.ticker === ticker)
+  }
+
+  // Only filled in filters end up in the URL
+  feedUrl() {
+    const url = new URL(this.formTarget.action, window.location.origin)
+
+    for (const [name, value] of new FormData(this.formTarget)) {
+      const trimmed = value.toString().trim()
+      if (trimmed) url.searchParams.set(name, trimmed)
+    }
+
+    return url
+  }
+}
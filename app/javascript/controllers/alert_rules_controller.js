@@ -0,0 +1,113 @@
+import { Controller } from "@hotwired/stimulus"
+
+// Alert rules editor on the series page. Rules are added, paused and deleted
+// in place; the server renders each rule's row (see AlertRulesController).
+export default class extends Controller {
+  static targets = ['rows', 'row', 'empty', 'condition', 'thresholdLabel', 'barsField', 'status']
+  static values = { url: String }
+
+  static THRESHOLD_LABELS = {
+    crosses_above: 'Value',
+    crosses_below: 'Value',
+    change: 'Change %',
+    stale: 'Hours late'
+  }
+
+  connect() {
+    this.conditionChanged()
+  }
+
+  conditionChanged() {
+    const condition = this.conditionTarget.value
+    this.thresholdLabelTarget.textContent = this.constructor.THRESHOLD_LABELS[condition] || 'Value'
+    this.barsFieldTarget.hidden = condition !== 'change'
+  }
+
+  async create(event) {
+    event.preventDefault()
+    const form = event.target
+    const formData = new FormData(form)
+    if (this.barsFieldTarget.hidden) formData.delete('alert_rule[bars]')
+
+    try {
+      const data = await this.request(this.urlValue, formData)
+      this.rowsTarget.insertAdjacentHTML('beforeend', data.html)
+      form.reset()
+      this.conditionChanged()
+      this.updateEmpty()
+      this.setStatus(data.message)
+    } catch (error) {
+      console.error('Error adding alert rule:', error)
+      this.setStatus(`Error: ${error.message}`, true)
+    }
+  }
+
+  async toggle(event) {
+    const checkbox = event.currentTarget
+    const formData = new FormData()
+    formData.append('_method', 'PATCH')
+    formData.append('alert_rule[active]', checkbox.checked)
+
+    try {
+      const data = await this.request(event.params.url, formData)
+      checkbox.closest('tr').outerHTML = data.html
+      this.setStatus(data.message)
+    } catch (error) {
+      console.error('Error updating alert rule:', error)
+      checkbox.checked = !checkbox.checked
+      this.setStatus(`Error: ${error.message}`, true)
+    }
+  }
+
+  async destroy(event) {
+    if (!confirm('Delete this alert rule and its history?')) return
+
+    const button = event.currentTarget
+    const formData = new FormData()
+    formData.append('_method', 'DELETE')
+    button.disabled = true
+
+    try {
+      const data = await this.request(event.params.url, formData)
+      button.closest('tr').remove()
+      this.updateEmpty()
+      this.setStatus(data.message)
+    } catch (error) {
+      console.error('Error deleting alert rule:', error)
+      button.disabled = false
+      this.setStatus(`Error: ${error.message}`, true)
+    }
+  }
+
+  async request(url, formData) {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: {
+        'Accept': 'application/json',
+        'X-CSRF-Token': this.getCSRFToken()
+      },
+      body: formData
+    })
+
+    const data = await response.json()
+    if (!response.ok) {
+      throw new Error(data.error || `HTTP ${response.status}`)
+    }
+
+    return data
+  }
+
+  updateEmpty() {
+    this.emptyTarget.hidden = this.rowTargets.length > 0
+  }
+
+  setStatus(text, error = false) {
+    this.statusTarget.textContent = text
+    this.statusTarget.classList.toggle('alert-error', error)
+  }
+
+  getCSRFToken() {
+    const token = document.querySelector('meta[name="csrf-token"]')
+    return token ? token.getAttribute('content') : ''
+  }
+}
@@ -0,0 +1,44 @@
+import { Controller } from "@hotwired/stimulus"
+import consumer from "channels/consumer"
+
+// Shows triggered alerts pushed over AlertsChannel as toasts linking to the
+// series. The container is permanent, so the subscription survives Turbo visits.
+export default class extends Controller {
+  static values = {
+    duration: { type: Number, default: 10000 },
+    limit: { type: Number, default: 5 }
+  }
+
+  connect() {
+    this.subscription = consumer.subscriptions.create({ channel: 'AlertsChannel' }, {
+      received: (data) => {
+        if (data.type === 'alert') this.show(data)
+      }
+    })
+  }
+
+  disconnect() {
+    this.subscription?.unsubscribe()
+    this.subscription = null
+  }
+
+  show(alert) {
+    const toast = document.createElement('a')
+    toast.className = 'alert-toast'
+    toast.href = alert.url
+
+    const title = document.createElement('strong')
+    title.textContent = `${alert.ticker}: ${alert.rule}`
+    const message = document.createElement('span')
+    message.textContent = alert.message
+    toast.append(title, message)
+
+    this.element.append(toast)
+    while (this.element.children.length > this.limitValue) {
+      this.element.firstElementChild.remove()
+    }
+
+    // Auto-remove the toast after the configured duration
+    setTimeout(() => toast.remove(), this.durationValue)
+  }
+}
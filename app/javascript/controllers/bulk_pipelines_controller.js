@@ -0,0 +1,134 @@
+import { Controller } from "@hotwired/stimulus"
+
+// Multi-select on the pipelines index. The chosen action is sent once to the bulk
+// endpoint and each pipeline's outcome is shown on its own row.
+export default class extends Controller {
+  static targets = ["selectAll", "checkbox", "count", "action"]
+  static values = { url: String }
+
+  connect() {
+    this.busy = false
+    this.updateSelection()
+  }
+
+  toggleAll() {
+    const checked = this.selectAllTarget.checked
+    this.checkboxTargets.forEach(checkbox => { checkbox.checked = checked })
+    this.updateSelection()
+  }
+
+  updateSelection() {
+    const selected = this.selectedIds().length
+    const total = this.checkboxTargets.length
+
+    this.countTarget.textContent = selected === 0 ? 'None selected' : `${selected} selected`
+    this.actionTargets.forEach(button => { button.disabled = this.busy || selected === 0 })
+
+    if (this.hasSelectAllTarget) {
+      this.selectAllTarget.checked = total > 0 && selected === total
+      this.selectAllTarget.indeterminate = selected > 0 && selected < total
+    }
+
+    this.checkboxTargets.forEach(checkbox => {
+      this.itemFor(checkbox).classList.toggle('selected', checkbox.checked)
+    })
+  }
+
+  async perform(event) {
+    const action = event.params.action
+    const ids = this.selectedIds()
+    if (ids.length === 0) return
+
+    if (action === 'delete' && !confirm(`Delete ${ids.length} pipeline(s) and all of their runs?`)) return
+
+    this.busy = true
+    this.updateSelection()
+    this.clearResults()
+
+    try {
+      const response = await fetch(this.urlValue, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Accept': 'application/json',
+          'X-CSRF-Token': this.getCSRFToken()
+        },
+        body: JSON.stringify({ bulk_action: action, ids: ids })
+      })
+
+      const data = await response.json()
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Bulk action failed')
+      }
+
+      data.results.forEach(result => this.showResult(action, result))
+      this.showMessage(data.message, data.success ? 'success' : 'error')
+    } catch (error) {
+      console.error('Error running bulk action:', error)
+      this.showMessage(`Error: ${error.message}`, 'error')
+    } finally {
+      this.busy = false
+      this.updateSelection()
+    }
+  }
+
+  showResult(action, result) {
+    const checkbox = this.checkboxTargets.find(input => Number(input.value) === result.id)
+    if (!checkbox) return
+
+    const item = this.itemFor(checkbox)
+
+    if (result.success && action === 'delete') {
+      item.remove()
+      return
+    }
+
+    const resultElement = item.querySelector('.bulk-result')
+    resultElement.textContent = result.message
+    resultElement.className = `bulk-result ${result.success ? 'success' : 'error'}`
+    resultElement.hidden = false
+
+    if (result.success && (action === 'activate' || action === 'deactivate')) {
+      const active = action === 'activate'
+      const badge = item.querySelector('.active-badge')
+      badge.className = `active-badge ${active ? 'active' : 'inactive'}`
+      badge.textContent = active ? 'Active' : 'Inactive'
+    }
+  }
+
+  clearResults() {
+    this.element.querySelectorAll('.bulk-result').forEach(element => {
+      element.hidden = true
+      element.textContent = ''
+    })
+  }
+
+  selectedIds() {
+    return this.checkboxTargets.filter(checkbox => checkbox.checked).map(checkbox => Number(checkbox.value))
+  }
+
+  itemFor(checkbox) {
+    return checkbox.closest('.pipeline-item')
+  }
+
+  showMessage(message, type) {
+    const messageDiv = document.createElement('div')
+    messageDiv.className = `pipeline-message ${type}`
+    messageDiv.textContent = message
+
+    document.body.appendChild(messageDiv)
+
+    // Auto-remove message after 3 seconds
+    setTimeout(() => {
+      if (document.body.contains(messageDiv)) {
+        document.body.removeChild(messageDiv)
+      }
+    }, 3000)
+  }
+
+  getCSRFToken() {
+    const token = document.querySelector('meta[name="csrf-token"]')
+    return token ? token.getAttribute('content') : ''
+  }
+}
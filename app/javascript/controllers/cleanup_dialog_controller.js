@@ -0,0 +1,177 @@
+import { Controller } from "@hotwired/stimulus"
+
+// Scoped cleanup dialog on the series page. Counts the points matching the
+// filter and date range before anything is deleted, deletes them into a
+// snapshot (see TimeSeriesCleanup) and offers to undo that or an earlier
+// cleanup. The page reloads when the dialog closes after a change.
+export default class extends Controller {
+  static targets = [
+    "dialog", "filter", "sigmaField", "sigma", "from", "to",
+    "preview", "result", "resultMessage", "undo", "status", "submit"
+  ]
+  static values = {
+    previewUrl: String,
+    cleanupUrl: String,
+    debounce: { type: Number, default: 250 }
+  }
+
+  disconnect() {
+    clearTimeout(this.previewTimeout)
+    this.abortController?.abort()
+  }
+
+  open() {
+    this.changed = false
+    this.resultTarget.hidden = true
+    this.setStatus('')
+    this.dialogTarget.showModal()
+    this.preview()
+  }
+
+  close() {
+    this.dialogTarget.close()
+  }
+
+  closed() {
+    if (this.changed) this.reload()
+  }
+
+  params() {
+    const params = new URLSearchParams({ filter: this.filterTarget.value })
+    if (this.fromTarget.value) params.set('from', this.fromTarget.value)
+    if (this.toTarget.value) params.set('to', this.toTarget.value)
+    if (this.filterTarget.value === 'jump') params.set('sigma', this.sigmaTarget.value)
+    return params
+  }
+
+  queuePreview() {
+    this.sigmaFieldTarget.hidden = this.filterTarget.value !== 'jump'
+    this.submitTarget.disabled = true
+
+    clearTimeout(this.previewTimeout)
+    this.previewTimeout = setTimeout(() => this.preview(), this.debounceValue)
+  }
+
+  // Asks the server how many points the current scope would delete
+  async preview() {
+    clearTimeout(this.previewTimeout)
+    this.abortController?.abort()
+    this.abortController = new AbortController()
+    this.submitTarget.disabled = true
+
+    try {
+      const response = await fetch(`${this.previewUrlValue}?${this.params()}`, {
+        headers: { 'Accept': 'application/json' },
+        signal: this.abortController.signal
+      })
+
+      const data = await response.json()
+      if (!response.ok) {
+        throw new Error(data.error || `HTTP ${response.status}`)
+      }
+
+      this.count = data.count
+      this.previewTarget.textContent = data.count === 0
+        ? 'No data points match.'
+        : `${data.count.toLocaleString()} data ${data.count === 1 ? 'point' : 'points'} will be deleted.`
+      this.previewTarget.classList.toggle('matches', data.count > 0)
+      this.submitTarget.textContent = data.count > 0 ? `Delete ${data.count.toLocaleString()}` : 'Delete'
+      this.submitTarget.disabled = data.count === 0
+      this.setStatus('')
+    } catch (error) {
+      if (error.name === 'AbortError') return
+
+      console.error('Error previewing cleanup:', error)
+      this.previewTarget.textContent = ''
+      this.previewTarget.classList.remove('matches')
+      this.setStatus(error.message, true)
+    }
+  }
+
+  async submit(event) {
+    event.preventDefault()
+    if (!this.count) return
+
+    this.submitTarget.disabled = true
+    this.setStatus('Deleting…')
+
+    try {
+      const formData = new FormData()
+      formData.append('_method', 'DELETE')
+      this.params().forEach((value, key) => formData.append(key, value))
+
+      const data = await this.request(this.cleanupUrlValue, formData)
+
+      this.changed = true
+      this.undoTarget.dataset.cleanupDialogUrlParam = data.restore_url
+      this.undoTarget.hidden = false
+      this.undoTarget.disabled = false
+      this.resultMessageTarget.textContent = data.message
+      this.resultTarget.hidden = false
+      this.setStatus('')
+      this.preview()
+    } catch (error) {
+      console.error('Error cleaning up data:', error)
+      this.setStatus(`Error: ${error.message}`, true)
+      this.submitTarget.disabled = false
+    }
+  }
+
+  async restore(event) {
+    const button = event.currentTarget
+    button.disabled = true
+
+    try {
+      const formData = new FormData()
+      formData.append('_method', 'PATCH')
+
+      const data = await this.request(event.params.url, formData)
+
+      this.changed = true
+      if (button === this.undoTarget) {
+        this.resultMessageTarget.textContent = data.message
+        button.hidden = true
+      } else {
+        button.closest('li')?.remove()
+        this.setStatus(data.message)
+      }
+      this.preview()
+    } catch (error) {
+      console.error('Error restoring data:', error)
+      this.setStatus(`Error: ${error.message}`, true)
+      button.disabled = false
+    }
+  }
+
+  async request(url, formData) {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: {
+        'Accept': 'application/json',
+        'X-CSRF-Token': this.getCSRFToken()
+      },
+      body: formData
+    })
+
+    const data = await response.json()
+    if (!response.ok) {
+      throw new Error(data.error || `HTTP ${response.status}`)
+    }
+
+    return data
+  }
+
+  reload() {
+    window.Turbo ? window.Turbo.visit(window.location.href, { action: 'replace' }) : window.location.reload()
+  }
+
+  setStatus(text, error = false) {
+    this.statusTarget.textContent = text
+    this.statusTarget.classList.toggle('cleanup-error', error)
+  }
+
+  getCSRFToken() {
+    const token = document.querySelector('meta[name="csrf-token"]')
+    return token ? token.getAttribute('content') : ''
+  }
+}
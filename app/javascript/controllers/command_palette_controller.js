@@ -0,0 +1,228 @@
+import { Controller } from "@hotwired/stimulus"
+
+// Global command palette, opened with Ctrl/Cmd+K. Results and their actions
+// come from CommandPaletteController (see CommandPalette). Up/Down move
+// between results, Tab/Shift+Tab between the actions of the selected result,
+// Enter runs the selected action and Escape closes the palette.
+export default class extends Controller {
+  static targets = ["dialog", "input", "results", "status"]
+  static values = {
+    url: String,
+    debounce: { type: Number, default: 150 }
+  }
+
+  connect() {
+    this.results = []
+    this.selectedIndex = 0
+    this.selectedAction = 0
+
+    this.shortcutHandler = (event) => {
+      if ((event.ctrlKey || event.metaKey) && event.key.toLowerCase() === 'k') {
+        event.preventDefault()
+        this.dialogTarget.open ? this.close() : this.open()
+      }
+    }
+    document.addEventListener('keydown', this.shortcutHandler)
+  }
+
+  disconnect() {
+    document.removeEventListener('keydown', this.shortcutHandler)
+    clearTimeout(this.searchTimeout)
+    this.abortController?.abort()
+  }
+
+  open() {
+    if (!this.dialogTarget.open) this.dialogTarget.showModal()
+    this.inputTarget.select()
+    this.search()
+  }
+
+  close() {
+    if (this.dialogTarget.open) this.dialogTarget.close()
+  }
+
+  // Clicks on the backdrop land on the dialog itself
+  closeOnBackdrop(event) {
+    if (event.target === this.dialogTarget) this.close()
+  }
+
+  queueSearch() {
+    clearTimeout(this.searchTimeout)
+    this.searchTimeout = setTimeout(() => this.search(), this.debounceValue)
+  }
+
+  async search() {
+    clearTimeout(this.searchTimeout)
+    this.abortController?.abort()
+    this.abortController = new AbortController()
+
+    const url = new URL(this.urlValue, document.location.origin)
+    url.searchParams.set('q', this.inputTarget.value.trim())
+
+    try {
+      const response = await fetch(url, {
+        headers: { 'Accept': 'application/json' },
+        signal: this.abortController.signal
+      })
+
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`)
+      }
+
+      const data = await response.json()
+      this.results = data.results
+      this.selectedIndex = 0
+      this.selectedAction = 0
+      this.render()
+    } catch (error) {
+      if (error.name === 'AbortError') return
+
+      console.error('Command palette search failed:', error)
+      this.statusTarget.textContent = `Search failed: ${error.message}`
+    }
+  }
+
+  navigate(event) {
+    const result = this.results[this.selectedIndex]
+
+    switch (event.key) {
+      case 'ArrowDown':
+        event.preventDefault()
+        this.select(Math.min(this.selectedIndex + 1, this.results.length - 1))
+        break
+      case 'ArrowUp':
+        event.preventDefault()
+        this.select(Math.max(this.selectedIndex - 1, 0))
+        break
+      case 'Tab':
+        if (!result || result.actions.length < 2) return
+
+        event.preventDefault()
+        this.selectedAction = (this.selectedAction + (event.shiftKey ? -1 : 1) + result.actions.length) % result.actions.length
+        this.render()
+        break
+      case 'Enter':
+        event.preventDefault()
+        if (result) this.perform(result.actions[this.selectedAction])
+        break
+    }
+  }
+
+  select(index, action = 0) {
+    if (index === this.selectedIndex && action === this.selectedAction) return
+
+    this.selectedIndex = index
+    this.selectedAction = action
+    this.render()
+  }
+
+  render() {
+    if (this.results.length === 0) {
+      this.resultsTarget.replaceChildren()
+      this.statusTarget.textContent = 'Nothing matches.'
+      return
+    }
+
+    this.statusTarget.textContent = ''
+    this.resultsTarget.replaceChildren(...this.results.map((result, index) => {
+      const item = document.createElement('li')
+      item.className = 'palette-item'
+      item.setAttribute('role', 'option')
+      item.setAttribute('aria-selected', index === this.selectedIndex)
+      item.addEventListener('mousemove', () => this.select(index, index === this.selectedIndex ? this.selectedAction : 0))
+      item.addEventListener('click', () => this.perform(result.actions[index === this.selectedIndex ? this.selectedAction : 0]))
+
+      const type = document.createElement('span')
+      type.className = `palette-type ${result.type}`
+      type.textContent = result.type.replace('_', ' ')
+
+      const text = document.createElement('span')
+      text.className = 'palette-text'
+      const title = document.createElement('span')
+      title.className = 'palette-title'
+      title.textContent = result.title
+      const subtitle = document.createElement('span')
+      subtitle.className = 'palette-subtitle'
+      subtitle.textContent = result.subtitle
+      text.append(title, subtitle)
+
+      const actions = document.createElement('span')
+      actions.className = 'palette-actions'
+      result.actions.forEach((action, actionIndex) => {
+        const chip = document.createElement('button')
+        chip.type = 'button'
+        chip.tabIndex = -1
+        chip.className = 'palette-action'
+        chip.classList.toggle('selected', index === this.selectedIndex && actionIndex === this.selectedAction)
+        chip.textContent = action.label
+        chip.addEventListener('click', (event) => {
+          event.stopPropagation()
+          this.perform(action)
+        })
+        actions.appendChild(chip)
+      })
+
+      item.append(type, text, actions)
+      return item
+    }))
+
+    this.resultsTarget.children[this.selectedIndex]?.scrollIntoView({ block: 'nearest' })
+  }
+
+  async perform(action) {
+    if (!action) return
+    if (action.confirm && !window.confirm(action.confirm)) return
+
+    if (action.method === 'get') {
+      this.close()
+      window.Turbo ? window.Turbo.visit(action.url) : window.location.assign(action.url)
+      return
+    }
+
+    try {
+      const formData = new FormData()
+      if (action.method !== 'post') formData.append('_method', action.method.toUpperCase())
+
+      const response = await fetch(action.url, {
+        method: 'POST',
+        headers: {
+          'Accept': 'application/json',
+          'X-CSRF-Token': this.getCSRFToken()
+        },
+        body: formData
+      })
+
+      const data = await response.json()
+      if (!response.ok) {
+        throw new Error(data.error || `HTTP ${response.status}`)
+      }
+
+      this.showMessage(data.message, data.success === false ? 'error' : 'success')
+      // Labels like Activate/Deactivate depend on the new state
+      this.search()
+    } catch (error) {
+      console.error('Command palette action failed:', error)
+      this.showMessage(`Error: ${error.message}`, 'error')
+    }
+  }
+
+  showMessage(message, type) {
+    const messageDiv = document.createElement('div')
+    messageDiv.className = `pipeline-message ${type}`
+    messageDiv.textContent = message
+
+    document.body.appendChild(messageDiv)
+
+    // Auto-remove message after 3 seconds
+    setTimeout(() => {
+      if (document.body.contains(messageDiv)) {
+        document.body.removeChild(messageDiv)
+      }
+    }, 3000)
+  }
+
+  getCSRFToken() {
+    const token = document.querySelector('meta[name="csrf-token"]')
+    return token ? token.getAttribute('content') : ''
+  }
+}
@@ -0,0 +1,220 @@
+import { Controller } from "@hotwired/stimulus"
+
+// Builder for derived series (see TimeSeriesDerivation). Offers only the
+// timeframes the chosen parents can be bucketed into, previews the latest
+// derived points and creates the series together with its DerivedFlat
+// pipeline.
+export default class extends Controller {
+  static targets = [
+    "transform", "parent", "parentLabel", "other", "otherField", "timeframe",
+    "window", "windowField", "hint", "preview", "previewStatus",
+    "ticker", "description", "status", "createButton"
+  ]
+  static values = {
+    createUrl: String,
+    previewUrl: String,
+    timeframes: Array,
+    pairTransforms: Array,
+    debounce: { type: Number, default: 300 }
+  }
+
+  connect() {
+    this.tickerEdited = false
+    this.change()
+  }
+
+  disconnect() {
+    clearTimeout(this.previewTimeout)
+    this.abortController?.abort()
+  }
+
+  change() {
+    const transform = this.transformTarget.value
+    const pair = this.pairTransformsValue.includes(transform)
+
+    this.otherFieldTarget.hidden = !pair
+    this.windowFieldTarget.hidden = transform !== 'volatility'
+    this.parentLabelTarget.textContent = pair ? 'First series' : 'Series'
+
+    this.updateTimeframes()
+    this.updateHint()
+    if (!this.tickerEdited) this.tickerTarget.value = this.suggestedTicker()
+
+    clearTimeout(this.previewTimeout)
+    this.previewTimeout = setTimeout(() => this.preview(), this.debounceValue)
+  }
+
+  editTicker() {
+    this.tickerEdited = this.tickerTarget.value !== ''
+  }
+
+  // Parents can only be bucketed into their own or a coarser timeframe;
+  // resampling needs a strictly coarser one
+  updateTimeframes() {
+    const finest = Math.max(...this.parents().map(option => this.timeframesValue.indexOf(option.dataset.timeframe)))
+    const first = this.transformTarget.value === 'resample' ? finest + 1 : finest
+    const allowed = this.timeframesValue.slice(Math.max(first, 0))
+    const selected = this.timeframeTarget.value
+
+    this.timeframeTarget.replaceChildren(...allowed.map(timeframe => new Option(timeframe, timeframe)))
+    this.timeframeTarget.value = allowed.includes(selected) ? selected : (allowed[0] || '')
+  }
+
+  updateHint() {
+    const hints = {
+      resample: 'Aggregates keep the first open, highest high, lowest low, last close and summed volume of each period; univariates keep the last value.',
+      returns: 'Change of the last price of each period against the previous period, e.g. 0.01 for 1%.',
+      log_returns: 'Natural log of the last price of each period over the previous one.',
+      volatility: 'Square root of the sum of squared log returns over the window, not annualized.',
+      spread: 'Last price of the first series minus the second, for periods where both have data.',
+      ratio: 'Last price of the first series divided by the second, for periods where both have data.'
+    }
+
+    this.hintTarget.textContent = `${hints[this.transformTarget.value] || ''} Aggregates use the adjusted close as price.`
+  }
+
+  suggestedTicker() {
+    const parent = this.parentTarget.value
+    const timeframe = this.timeframeTarget.value
+
+    switch (this.transformTarget.value) {
+      case 'resample': return `${parent}_${timeframe}`
+      case 'returns': return `${parent}_RET_${timeframe}`
+      case 'log_returns': return `${parent}_LOGRET_${timeframe}`
+      case 'volatility': return `${parent}_VOL${this.windowTarget.value}_${timeframe}`
+      case 'spread': return `${parent}_MINUS_${this.otherTarget.value}`
+      case 'ratio': return `${parent}_OVER_${this.otherTarget.value}`
+      default: return ''
+    }
+  }
+
+  parents() {
+    const options = [this.parentTarget.selectedOptions[0]]
+    if (this.pairTransformsValue.includes(this.transformTarget.value)) options.push(this.otherTarget.selectedOptions[0])
+    return options.filter(Boolean)
+  }
+
+  params() {
+    return {
+      transform: this.transformTarget.value,
+      parent: this.parentTarget.value,
+      other: this.pairTransformsValue.includes(this.transformTarget.value) ? this.otherTarget.value : '',
+      timeframe: this.timeframeTarget.value,
+      window: this.windowTarget.value
+    }
+  }
+
+  async preview() {
+    this.abortController?.abort()
+    this.abortController = new AbortController()
+    this.setStatus(this.previewStatusTarget, 'Computing…')
+
+    try {
+      const response = await fetch(`${this.previewUrlValue}?${new URLSearchParams(this.params())}`, {
+        headers: { 'Accept': 'application/json' },
+        signal: this.abortController.signal
+      })
+
+      const data = await response.json()
+      if (!response.ok) {
+        throw new Error(data.error || `HTTP ${response.status}`)
+      }
+
+      this.renderPreview(data)
+      this.setStatus(this.previewStatusTarget, data.rows.length ? `${data.description}, latest ${data.kind} points:` : `${data.description}: no points yet.`)
+      this.descriptionTarget.placeholder = data.description
+    } catch (error) {
+      if (error.name === 'AbortError') return
+
+      console.error('Error previewing derived series:', error)
+      this.previewTarget.replaceChildren()
+      this.setStatus(this.previewStatusTarget, error.message, true)
+    }
+  }
+
+  renderPreview({ columns, rows }) {
+    const table = document.createElement('table')
+    const header = table.createTHead().insertRow()
+    columns.forEach(column => {
+      const th = document.createElement('th')
+      th.textContent = column
+      header.appendChild(th)
+    })
+
+    const body = table.createTBody()
+    rows.forEach(row => {
+      const tr = body.insertRow()
+      row.forEach((value, index) => {
+        tr.insertCell().textContent = index === 0 ? value.replace('.000Z', 'Z') : this.formatNumber(value)
+      })
+    })
+
+    this.previewTarget.replaceChildren(table)
+  }
+
+  formatNumber(value) {
+    if (value === null || value === undefined) return '—'
+    return Number(value).toPrecision(6).replace(/\.?0+$/, '')
+  }
+
+  async create() {
+    const ticker = this.tickerTarget.value.trim()
+    if (!ticker) {
+      this.setStatus(this.statusTarget, 'Enter a ticker for the new series', true)
+      this.tickerTarget.focus()
+      return
+    }
+
+    this.createButtonTarget.disabled = true
+    this.setStatus(this.statusTarget, 'Creating…')
+
+    try {
+      const response = await fetch(this.createUrlValue, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Accept': 'application/json',
+          'X-CSRF-Token': this.getCSRFToken()
+        },
+        body: JSON.stringify({ ...this.params(), ticker: ticker, description: this.descriptionTarget.value })
+      })
+
+      const data = await response.json()
+      if (!response.ok) {
+        throw new Error(data.error || `HTTP ${response.status}`)
+      }
+
+      this.showMessage(data.message, 'success')
+      window.Turbo ? window.Turbo.visit(data.url) : (window.location.href = data.url)
+    } catch (error) {
+      console.error('Error creating derived series:', error)
+      this.setStatus(this.statusTarget, `Error: ${error.message}`, true)
+      this.createButtonTarget.disabled = false
+    }
+  }
+
+  setStatus(target, text, error = false) {
+    target.textContent = text
+    target.classList.toggle('error', error)
+  }
+
+  showMessage(message, type) {
+    const messageDiv = document.createElement('div')
+    messageDiv.className = `pipeline-message ${type}`
+    messageDiv.textContent = message
+
+    document.body.appendChild(messageDiv)
+
+    // Auto-remove message after 3 seconds
+    setTimeout(() => {
+      if (document.body.contains(messageDiv)) {
+        document.body.removeChild(messageDiv)
+      }
+    }, 3000)
+  }
+
+  getCSRFToken() {
+    const token = document.querySelector('meta[name="csrf-token"]')
+    return token ? token.getAttribute('content') : ''
+  }
+}
@@ -1,38 +1,152 @@
 import { Controller } from "@hotwired/stimulus"
+import consumer from "channels/consumer"
 
+// Keeps pipeline pages current. Changes are pushed over PipelineUpdatesChannel;
+// while the socket is down the controller falls back to polling the JSON endpoint.
 export default class extends Controller {
   static targets = ["toggle", "content"]
+  static outlets = ["log-stream", "run-timeline", "run-controls"]
   static values = { 
     url: String, 
     interval: { type: Number, default: 5000 },
-    enabled: { type: Boolean, default: false }
+    enabled: { type: Boolean, default: false },
+    channel: { type: Object, default: {} },
+    runId: Number
   }
 
   connect() {
     this.intervalId = null
     this.isUpdating = false
+    this.subscription = null
+    this.socketConnected = false
     
     // Set initial toggle state
     if (this.hasToggleTarget) {
       this.toggleTarget.checked = this.enabledValue
     }
     
-    // Start polling if enabled by default
+    // Start live updates if enabled by default
     if (this.enabledValue) {
-      this.startPolling()
+      this.startLiveUpdates()
     }
   }
 
   disconnect() {
-    this.stopPolling()
+    this.stopLiveUpdates()
   }
 
   toggle() {
     if (this.toggleTarget.checked) {
-      this.startPolling()
+      this.startLiveUpdates()
     } else {
-      this.stopPolling()
+      this.stopLiveUpdates()
+    }
+  }
+
+  startLiveUpdates() {
+    this.subscribe()
+
+    // Poll until the socket confirms the subscription
+    if (!this.socketConnected) {
+      this.startPolling()
+    }
+  }
+
+  stopLiveUpdates() {
+    this.unsubscribe()
+    this.stopPolling()
+  }
+
+  subscribe() {
+    if (this.subscription) return // Already subscribed
+
+    this.subscription = consumer.subscriptions.create(
+      { channel: "PipelineUpdatesChannel", ...this.channelValue },
+      {
+        connected: () => this.handleSocketConnected(),
+        disconnected: () => this.handleSocketDisconnected(),
+        rejected: () => this.handleSocketDisconnected(),
+        received: (delta) => this.applyDelta(delta)
+      }
+    )
+  }
+
+  unsubscribe() {
+    if (this.subscription) {
+      this.subscription.unsubscribe()
+      this.subscription = null
     }
+    this.socketConnected = false
+  }
+
+  handleSocketConnected() {
+    this.socketConnected = true
+    this.stopPolling()
+
+    // Catch up on anything that changed while the socket was down
+    this.updateContent()
+  }
+
+  handleSocketDisconnected() {
+    this.socketConnected = false
+
+    if (this.subscription) {
+      this.startPolling()
+    }
+  }
+
+  applyDelta(delta) {
+    if (this.isListView()) {
+      if (delta.type === 'run') {
+        this.updatePipelinesList([{ ...delta, id: delta.pipeline_id }])
+      }
+      return
+    }
+
+    switch (delta.type) {
+      case 'run':
+        this.applyRunDelta(delta)
+        break
+      case 'log':
+        this.applyLogDelta(delta)
+        break
+    }
+  }
+
+  applyRunDelta(delta) {
+    // Pipeline pages follow the latest run; ignore updates to older runs
+    if (this.hasRunIdValue && delta.id < this.runIdValue) return
+
+    this.trackRun(delta.id)
+    this.updateStatusBadges(delta)
+    this.updateStatistics(delta)
+    this.updateRunsCounts(delta)
+    this.updateProgress(delta)
+    this.updateTimeline(delta)
+    this.updateRunControls(delta)
+    this.updateTimestamps(delta)
+    this.checkForCompletedPipeline(delta)
+  }
+
+  applyLogDelta(delta) {
+    if (this.hasRunIdValue && delta.pipeline_run_id !== this.runIdValue) return
+
+    this.logStreamOutlets.forEach(logStream => logStream.append([delta.log]))
+  }
+
+  trackRun(runId) {
+    if (this.hasRunIdValue && runId <= this.runIdValue) return
+
+    this.runIdValue = runId
+    this.logStreamOutlets.forEach(logStream => logStream.switchRun(runId))
+  }
+
+  refreshLogs() {
+    this.logStreamOutlets.forEach(logStream => logStream.refresh())
+  }
+
+  isListView() {
+    return !this.channelValue.pipeline_id && !this.channelValue.pipeline_run_id
   }
 
   startPolling() {
@@ -85,11 +199,16 @@ export default class extends Controller {
       this.checkForCompletedPipelines(data.pipelines)
     } else {
       // Single pipeline/run update
+      if (data.run_id) {
+        this.trackRun(data.run_id)
+      }
       this.updateStatusBadges(data)
       this.updateStatistics(data)
       this.updateRunsCounts(data)
-      this.updateLogs(data)
+      this.refreshLogs()
       this.updateProgress(data)
+      this.updateTimeline(data)
+      this.updateRunControls(data)
       this.updateTimestamps(data)
       // Check if this single pipeline has completed
       this.checkForCompletedPipeline(data)
@@ -235,31 +354,6 @@ export default class extends Controller {
     }
   }
 
-  updateLogs(data) {
-    if (data.logs && data.logs.length > 0) {
-      const logsContainer = this.element.querySelector('.logs-container')
-      if (logsContainer) {
-        // Clear existing logs
-        logsContainer.innerHTML = ''
-        
-        // Add new logs
-        data.logs.forEach(log => {
-          const logEntry = document.createElement('div')
-          logEntry.className = `log-entry ${log.level}`
-          logEntry.innerHTML = `
-            <div class="log-timestamp">${this.formatTime(log.created_at)}</div>
-            <div class="log-level">${log.level.toUpperCase()}</div>
-            <div class="log-message">${this.escapeHtml(log.message)}</div>
-          `
-          logsContainer.appendChild(logEntry)
-        })
-        
-        // Scroll to bottom
-        logsContainer.scrollTop = logsContainer.scrollHeight
-      }
-    }
-  }
-
   updateProgress(data) {
     if (data.stage) {
       const stages = ['START', 'FETCH', 'TRANSFORM', 'IMPORT', 'POST_PROCESSING', 'FINISH']
@@ -281,6 +375,16 @@ export default class extends Controller {
     }
   }
 
+  updateTimeline(data) {
+    if (!data.timeline) return
+
+    this.runTimelineOutlets.forEach(timeline => timeline.updateRun(data.timeline))
+  }
+
+  updateRunControls(data) {
+    this.runControlsOutlets.forEach(controls => controls.reconcile(data))
+  }
+
   updateTimestamps(data) {
     if (data.updated_at) {
       const timestampElements = this.element.querySelectorAll('[data-timestamp="updated"]')
@@ -301,17 +405,6 @@ export default class extends Controller {
     return new Intl.NumberFormat().format(num)
   }
 
-  formatTime(timestamp) {
-    const date = new Date(timestamp)
-    return date.toLocaleTimeString('en-US', { 
-      hour12: false, 
-      hour: '2-digit', 
-      minute: '2-digit', 
-      second: '2-digit',
-      fractionalSecondDigits: 3
-    })
-  }
-
   formatDateTime(timestamp) {
     const date = new Date(timestamp)
     return date.toLocaleString('en-US', {
@@ -325,17 +418,11 @@ export default class extends Controller {
     })
   }
 
-  escapeHtml(text) {
-    const div = document.createElement('div')
-    div.textContent = text
-    return div.innerHTML
-  }
-
   checkForCompletedPipeline(data) {
     // Check if the pipeline status is COMPLETED or FAILED, or if stage is FINISH
-    if (data.status === 'COMPLETED' || data.status === 'FAILED' || data.stage === 'FINISH') {
+    if (data.status === 'COMPLETED' || data.status === 'FAILED' || data.status === 'CANCELLED' || data.stage === 'FINISH') {
       console.log(`Pipeline completed with status: ${data.status}, stage: ${data.stage}. Stopping live updates.`)
-      this.stopPollingAndDisableToggle()
+      this.stopLiveUpdatesAndDisableToggle()
     }
   }
 
@@ -345,9 +432,18 @@ export default class extends Controller {
     // For now, we'll leave this empty but keep the method for future enhancements
   }
 
-  stopPollingAndDisableToggle() {
-    // Stop the polling
-    this.stopPolling()
+  // Picks live updates up again after a stopped run was restarted, see run_controls_controller.js
+  resume() {
+    if (this.hasToggleTarget) {
+      this.toggleTarget.disabled = false
+      this.toggleTarget.checked = true
+    }
+    this.startLiveUpdates()
+  }
+
+  stopLiveUpdatesAndDisableToggle() {
+    // Stop the subscription and any fallback polling
+    this.stopLiveUpdates()
     
     // Disable and uncheck the toggle if it exists
     if (this.hasToggleTarget) {
@@ -0,0 +1,285 @@
+import { Controller } from "@hotwired/stimulus"
+
+// Append-only view of a pipeline run's logs. Entries arrive from the live-update
+// controller (cable deltas) or from cursor fetches, the view only follows them while
+// the user is scrolled to the bottom, and older pages load when scrolling up.
+// Filters set by the log-viewer controller are applied server-side to every fetch.
+export default class extends Controller {
+  static targets = ["scroller", "entries", "empty", "older", "latest"]
+  static values = {
+    runsUrl: String,
+    runId: Number,
+    hasOlder: Boolean,
+    pageSize: { type: Number, default: 200 },
+    pinThreshold: { type: Number, default: 24 }
+  }
+
+  connect() {
+    this.refreshing = false
+    this.loadingOlder = false
+    this.filters = { levels: null, query: '', regex: false }
+    this.matcher = null
+    this.highlighter = null
+    this.scrollToBottom()
+  }
+
+  // Called by log-viewer; reloads the newest page matching the filters
+  async applyFilters(filters) {
+    this.filters = filters
+    this.buildMatchers()
+
+    if (!this.hasRunIdValue) return
+
+    const runId = this.runIdValue
+    this.filterRequest = (this.filterRequest || 0) + 1
+    const request = this.filterRequest
+
+    try {
+      const data = await this.fetchLogs({})
+      if (request !== this.filterRequest || runId !== this.runIdValue) return
+
+      this.entriesTarget.innerHTML = ''
+      this.appendEntries(data.logs)
+      this.hasOlderValue = data.has_more
+      this.olderTarget.hidden = !this.hasOlderValue
+      this.latestTarget.hidden = true
+      this.scrollToBottom()
+    } catch (error) {
+      console.error('Failed to filter logs:', error)
+    }
+  }
+
+  // Called by live-update with entries pushed over the cable
+  append(logs) {
+    const lastId = this.lastId()
+    const fresh = logs.filter(log => log.id > lastId && this.matches(log))
+    if (fresh.length === 0) return
+
+    const pinned = this.isPinned()
+    this.appendEntries(fresh)
+
+    if (pinned) {
+      this.scrollToBottom()
+    } else {
+      this.latestTarget.hidden = false
+    }
+  }
+
+  // Called by live-update after polling or reconnecting, to catch up from the cursor
+  async refresh() {
+    if (this.refreshing || !this.hasRunIdValue) return
+
+    this.refreshing = true
+
+    try {
+      // The cursor follows the server's pages rather than the rendered
+      // entries, which the client-side filter may have dropped
+      let after = this.lastId()
+      let hasMore = true
+      while (hasMore) {
+        const data = await this.fetchLogs({ after })
+        this.append(data.logs)
+        hasMore = data.has_more && data.logs.length > 0
+        if (data.logs.length > 0) after = data.logs.at(-1).id
+      }
+    } catch (error) {
+      console.error('Failed to fetch new logs:', error)
+    } finally {
+      this.refreshing = false
+    }
+  }
+
+  // Called by live-update when a newer run becomes the latest run
+  switchRun(runId) {
+    if (this.hasRunIdValue && this.runIdValue === runId) return
+
+    this.runIdValue = runId
+    this.hasOlderValue = false
+    this.entriesTarget.innerHTML = ''
+    this.olderTarget.hidden = true
+    this.latestTarget.hidden = true
+    this.entriesChanged()
+    this.refresh()
+  }
+
+  scrolled() {
+    if (this.isPinned()) {
+      this.latestTarget.hidden = true
+    }
+
+    if (this.scrollerTarget.scrollTop <= this.pinThresholdValue) {
+      this.loadOlder()
+    }
+  }
+
+  jumpToLatest() {
+    this.scrollToBottom()
+    this.latestTarget.hidden = true
+  }
+
+  async loadOlder() {
+    if (this.loadingOlder || !this.hasOlderValue || !this.hasRunIdValue) return
+
+    this.loadingOlder = true
+    this.olderTarget.textContent = 'Loading older logs…'
+
+    try {
+      const runId = this.runIdValue
+      const data = await this.fetchLogs({ before: this.firstId() })
+      if (runId !== this.runIdValue) return
+
+      // Keep the entries the user is looking at in place while content is added above them
+      const scroller = this.scrollerTarget
+      const previousHeight = scroller.scrollHeight
+
+      this.entriesTarget.prepend(this.buildFragment(data.logs))
+      scroller.scrollTop += scroller.scrollHeight - previousHeight
+
+      this.hasOlderValue = data.has_more
+      this.entriesChanged()
+    } catch (error) {
+      console.error('Failed to load older logs:', error)
+    } finally {
+      this.loadingOlder = false
+      this.olderTarget.textContent = 'Scroll up to load older logs'
+      this.olderTarget.hidden = !this.hasOlderValue
+    }
+  }
+
+  async fetchLogs(params) {
+    const url = this.logsUrl('logs', { ...params, limit: this.pageSizeValue })
+    const response = await fetch(url, {
+      headers: {
+        'Accept': 'application/json',
+        'X-Requested-With': 'XMLHttpRequest'
+      }
+    })
+
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`)
+    }
+
+    return response.json()
+  }
+
+  // URL of the run's logs endpoint carrying the current filters
+  logsUrl(path, params = {}) {
+    const url = new URL(`${this.runsUrlValue}/${this.runIdValue}/${path}`, window.location.origin)
+    const { levels, query, regex } = this.filters
+
+    if (levels) url.searchParams.set('levels', levels.join(','))
+    if (query) url.searchParams.set('q', query)
+    if (query && regex) url.searchParams.set('regex', 'true')
+
+    Object.entries(params).forEach(([key, value]) => {
+      if (value !== null && value !== undefined) {
+        url.searchParams.set(key, value)
+      }
+    })
+
+    return url
+  }
+
+  appendEntries(logs) {
+    this.entriesTarget.appendChild(this.buildFragment(logs))
+    this.entriesChanged()
+  }
+
+  buildFragment(logs) {
+    const fragment = document.createDocumentFragment()
+    logs.forEach(log => fragment.appendChild(this.buildLogEntry(log)))
+    return fragment
+  }
+
+  entriesChanged() {
+    this.updateEmptyState()
+    this.dispatch('changed')
+  }
+
+  buildMatchers() {
+    const { query, regex } = this.filters
+    this.matcher = null
+    this.highlighter = null
+    if (!query) return
+
+    const source = regex ? query : query.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+    try {
+      this.matcher = new RegExp(source, 'i')
+      this.highlighter = new RegExp(source, 'gi')
+    } catch (error) {
+      console.error('Invalid log search pattern:', error)
+    }
+  }
+
+  matches(log) {
+    const { levels } = this.filters
+    if (levels && !levels.includes(log.level)) return false
+    if (this.matcher && !this.matcher.test(log.message)) return false
+    return true
+  }
+
+  highlight(element, text) {
+    if (!this.highlighter) {
+      element.textContent = text
+      return
+    }
+
+    let lastIndex = 0
+    for (const match of text.matchAll(this.highlighter)) {
+      if (match[0] === '') continue
+
+      const mark = document.createElement('mark')
+      mark.textContent = match[0]
+      element.append(text.slice(lastIndex, match.index), mark)
+      lastIndex = match.index + match[0].length
+    }
+    element.append(text.slice(lastIndex))
+  }
+
+  lastId() {
+    const entry = this.entriesTarget.lastElementChild
+    return entry ? Number(entry.dataset.logId) : 0
+  }
+
+  firstId() {
+    const entry = this.entriesTarget.firstElementChild
+    return entry ? Number(entry.dataset.logId) : null
+  }
+
+  isPinned() {
+    const scroller = this.scrollerTarget
+    return scroller.scrollHeight - scroller.scrollTop - scroller.clientHeight <= this.pinThresholdValue
+  }
+
+  scrollToBottom() {
+    this.scrollerTarget.scrollTop = this.scrollerTarget.scrollHeight
+  }
+
+  updateEmptyState() {
+    this.emptyTarget.hidden = this.entriesTarget.childElementCount > 0
+  }
+
+  buildLogEntry(log) {
+    const logEntry = document.createElement('div')
+    logEntry.className = `log-entry ${log.level}`
+    logEntry.dataset.logId = log.id
+    logEntry.innerHTML = `
+      <div class="log-timestamp">${this.formatTime(log.created_at)}</div>
+      <div class="log-level">${log.level.toUpperCase()}</div>
+      <div class="log-message"></div>
+    `
+    this.highlight(logEntry.querySelector('.log-message'), log.message)
+    return logEntry
+  }
+
+  formatTime(timestamp) {
+    const date = new Date(timestamp)
+    return date.toLocaleTimeString('en-US', {
+      hour12: false,
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+      fractionalSecondDigits: 3
+    })
+  }
+}
@@ -0,0 +1,157 @@
+import { Controller } from "@hotwired/stimulus"
+
+// Toolbar for a run's log stream: level toggles and text/regex search are sent to
+// the log-stream controller, matches are highlighted there and stepped through here.
+export default class extends Controller {
+  static targets = ["level", "query", "regex", "counter", "error"]
+  static outlets = ["log-stream"]
+  static values = {
+    debounce: { type: Number, default: 300 }
+  }
+
+  connect() {
+    this.currentIndex = -1
+  }
+
+  disconnect() {
+    clearTimeout(this.searchTimeout)
+  }
+
+  filter() {
+    this.apply()
+  }
+
+  search() {
+    clearTimeout(this.searchTimeout)
+    this.searchTimeout = setTimeout(() => this.apply(), this.debounceValue)
+  }
+
+  searchKeydown(event) {
+    if (event.key !== 'Enter') return
+
+    event.preventDefault()
+    event.shiftKey ? this.previous() : this.next()
+  }
+
+  apply() {
+    if (!this.hasLogStreamOutlet) return
+
+    const filters = this.currentFilters()
+    const error = this.validate(filters)
+
+    this.errorTarget.textContent = error || ''
+    this.errorTarget.hidden = !error
+    if (error) return
+
+    this.currentIndex = -1
+    this.logStreamOutlet.applyFilters(filters)
+  }
+
+  currentFilters() {
+    const checked = this.levelTargets.filter(input => input.checked).map(input => input.value)
+
+    return {
+      // All levels selected is the same as no level filter
+      levels: checked.length === this.levelTargets.length ? null : checked,
+      query: this.queryTarget.value.trim(),
+      regex: this.regexTarget.checked
+    }
+  }
+
+  validate({ query, regex }) {
+    if (!query || !regex) return null
+
+    try {
+      new RegExp(query)
+      return null
+    } catch (error) {
+      return `Invalid pattern: ${error.message}`
+    }
+  }
+
+  // Called on log-stream:changed, after entries are added or replaced
+  updateMatches() {
+    const count = this.marks().length
+    if (this.currentIndex >= count) this.currentIndex = -1
+    this.renderCounter()
+  }
+
+  next() {
+    this.moveTo(this.currentIndex + 1)
+  }
+
+  previous() {
+    this.moveTo(this.currentIndex - 1)
+  }
+
+  moveTo(index) {
+    const marks = this.marks()
+    if (marks.length === 0) return
+
+    marks[this.currentIndex]?.classList.remove('current')
+    this.currentIndex = (index + marks.length) % marks.length
+
+    const mark = marks[this.currentIndex]
+    mark.classList.add('current')
+    mark.scrollIntoView({ block: 'center' })
+    this.renderCounter()
+  }
+
+  renderCounter() {
+    const count = this.marks().length
+
+    if (!this.queryTarget.value.trim()) {
+      this.counterTarget.textContent = ''
+    } else if (count === 0) {
+      this.counterTarget.textContent = 'No matches'
+    } else if (this.currentIndex < 0) {
+      this.counterTarget.textContent = `${count} ${count === 1 ? 'match' : 'matches'}`
+    } else {
+      this.counterTarget.textContent = `${this.currentIndex + 1} of ${count}`
+    }
+  }
+
+  async copy() {
+    if (!this.hasLogStreamOutlet) return
+
+    const lines = Array.from(this.logStreamOutlet.entriesTarget.children).map(entry => {
+      const parts = ['.log-timestamp', '.log-level', '.log-message']
+        .map(selector => entry.querySelector(selector)?.textContent.trim())
+      return parts.join(' ')
+    })
+
+    try {
+      await navigator.clipboard.writeText(lines.join('\n'))
+      this.showMessage(`Copied ${lines.length} log ${lines.length === 1 ? 'line' : 'lines'}`, 'success')
+    } catch (error) {
+      console.error('Error copying logs:', error)
+      this.showMessage('Error: Could not copy logs to the clipboard', 'error')
+    }
+  }
+
+  download() {
+    if (!this.hasLogStreamOutlet) return
+
+    window.location.href = this.logStreamOutlet.logsUrl('logs.txt').toString()
+  }
+
+  marks() {
+    if (!this.hasLogStreamOutlet) return []
+    return Array.from(this.logStreamOutlet.entriesTarget.querySelectorAll('mark'))
+  }
+
+  showMessage(message, type) {
+    const messageDiv = document.createElement('div')
+    messageDiv.className = `pipeline-message ${type}`
+    messageDiv.textContent = message
+
+    document.body.appendChild(messageDiv)
+
+    // Auto-remove message after 3 seconds
+    setTimeout(() => {
+      if (document.body.contains(messageDiv)) {
+        document.body.removeChild(messageDiv)
+      }
+    }, 3000)
+  }
+}
@@ -0,0 +1,270 @@
+import { Controller } from "@hotwired/stimulus"
+import consumer from "channels/consumer"
+
+const RUN_OUTCOMES = ['completed', 'failed', 'cancelled', 'running']
+const HIGH_FAILURE_RATE = 0.2
+
+// Operations dashboard. Renders OpsDashboard#metrics and refetches them when
+// runs change on PipelineUpdatesChannel (batched, at most every few seconds)
+// and once a minute so outdated series and the window keep moving.
+export default class extends Controller {
+  static targets = [
+    "window", "updated", "runs", "runsDetail", "failureRate", "failureDetail", "meanDuration",
+    "rowsImported", "rowsDetail", "outdatedCount", "runsChart", "runsAxis", "failureTable",
+    "rowsChart", "rowsAxis", "outdatedTable"
+  ]
+  static values = {
+    url: String,
+    metrics: Object,
+    refreshDelay: { type: Number, default: 3000 },
+    interval: { type: Number, default: 60000 }
+  }
+
+  connect() {
+    this.render()
+    this.subscribe()
+    this.intervalId = setInterval(() => this.refresh(), this.intervalValue)
+  }
+
+  disconnect() {
+    clearInterval(this.intervalId)
+    clearTimeout(this.refreshTimeout)
+    if (this.subscription) {
+      this.subscription.unsubscribe()
+      this.subscription = null
+    }
+  }
+
+  subscribe() {
+    this.subscription = consumer.subscriptions.create(
+      { channel: "PipelineUpdatesChannel" },
+      {
+        connected: () => this.refresh(),
+        received: (delta) => {
+          if (delta.type === 'run') this.scheduleRefresh()
+        }
+      }
+    )
+  }
+
+  selectWindow(event) {
+    event.preventDefault()
+
+    const selected = event.currentTarget.dataset.window
+    this.windowTargets.forEach(link => link.classList.toggle('active', link.dataset.window === selected))
+
+    const url = new URL(document.location.href)
+    url.searchParams.set('window', selected)
+    history.replaceState(history.state, '', url)
+
+    this.refresh()
+  }
+
+  // Counter updates arrive every second during a run; one refresh covers them all
+  scheduleRefresh() {
+    if (this.refreshTimeout) return
+
+    this.refreshTimeout = setTimeout(() => {
+      this.refreshTimeout = null
+      this.refresh()
+    }, this.refreshDelayValue)
+  }
+
+  async refresh() {
+    if (this.isRefreshing) return
+    this.isRefreshing = true
+
+    try {
+      const url = new URL(this.urlValue, document.location.origin)
+      url.searchParams.set('window', this.currentWindow())
+
+      const response = await fetch(url, {
+        headers: {
+          'Accept': 'application/json',
+          'X-Requested-With': 'XMLHttpRequest'
+        }
+      })
+
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`)
+      }
+
+      this.metricsValue = await response.json()
+      this.render()
+    } catch (error) {
+      console.error('Error refreshing dashboard:', error)
+      this.updatedTarget.textContent = `· refresh failed: ${error.message}`
+    } finally {
+      this.isRefreshing = false
+    }
+  }
+
+  currentWindow() {
+    const active = this.windowTargets.find(link => link.classList.contains('active'))
+    return active ? active.dataset.window : this.metricsValue.window
+  }
+
+  render() {
+    const metrics = this.metricsValue
+    if (!metrics.summary) return
+
+    this.renderSummary(metrics.summary)
+    this.renderRunsChart(metrics.runs_per_hour)
+    this.renderFailureTable(metrics.failure_rates)
+    this.renderRowsChart(metrics.rows_per_day)
+    this.renderOutdated(metrics.outdated_series)
+
+    this.updatedTarget.textContent = `· updated ${new Date(metrics.generated_at).toLocaleTimeString()}`
+  }
+
+  renderSummary(summary) {
+    this.runsTarget.textContent = this.formatNumber(summary.runs)
+    this.runsDetailTarget.textContent = `${this.formatNumber(summary.running)} pending or running, ${this.formatNumber(summary.cancelled)} cancelled`
+
+    this.failureRateTarget.textContent = this.formatRate(summary.failure_rate)
+    this.failureRateTarget.classList.toggle('danger', summary.failure_rate >= HIGH_FAILURE_RATE)
+    this.failureDetailTarget.textContent = `${this.formatNumber(summary.failed)} failed`
+
+    this.meanDurationTarget.textContent = this.formatDuration(summary.mean_duration)
+
+    this.rowsImportedTarget.textContent = this.formatNumber(summary.rows_imported)
+    this.rowsDetailTarget.textContent = `Last ${this.metricsValue.window}`
+
+    this.outdatedCountTarget.textContent = this.formatNumber(summary.outdated)
+    this.outdatedCountTarget.classList.toggle('warning', summary.outdated > 0)
+  }
+
+  renderRunsChart(hours) {
+    const highest = Math.max(1, ...hours.map(hour => RUN_OUTCOMES.reduce((sum, outcome) => sum + hour[outcome], 0)))
+
+    this.runsChartTarget.replaceChildren(...hours.map(hour => {
+      const bar = document.createElement('div')
+      bar.className = 'bar'
+
+      RUN_OUTCOMES.forEach(outcome => {
+        if (hour[outcome] === 0) return
+
+        const segment = document.createElement('span')
+        segment.className = `bar-segment ${outcome}`
+        segment.style.height = `${(hour[outcome] / highest) * 100}%`
+        bar.appendChild(segment)
+      })
+
+      bar.title = [
+        new Date(hour.hour).toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' }),
+        ...RUN_OUTCOMES.filter(outcome => hour[outcome] > 0).map(outcome => `${hour[outcome]} ${outcome}`)
+      ].join('\n')
+      return bar
+    }))
+
+    this.renderAxis(this.runsAxisTarget, hours.map(hour => hour.hour), { dateStyle: 'short', timeStyle: 'short' })
+  }
+
+  renderRowsChart(days) {
+    const highest = Math.max(1, ...days.map(day => day.rows))
+
+    this.rowsChartTarget.replaceChildren(...days.map(day => {
+      const bar = document.createElement('div')
+      bar.className = 'bar'
+      bar.title = `${day.day}: ${this.formatNumber(day.rows)} rows`
+
+      if (day.rows > 0) {
+        const segment = document.createElement('span')
+        segment.className = 'bar-segment rows'
+        segment.style.height = `${(day.rows / highest) * 100}%`
+        bar.appendChild(segment)
+      }
+      return bar
+    }))
+
+    this.renderAxis(this.rowsAxisTarget, days.map(day => `${day.day}T00:00:00Z`), { dateStyle: 'medium', timeZone: 'UTC' })
+  }
+
+  renderAxis(target, times, format) {
+    if (times.length === 0) {
+      target.replaceChildren()
+      return
+    }
+
+    target.replaceChildren(...[times[0], times[times.length - 1]].map(time => {
+      const label = document.createElement('span')
+      label.textContent = new Date(time).toLocaleString(undefined, format)
+      return label
+    }))
+  }
+
+  renderFailureTable(rows) {
+    if (rows.length === 0) {
+      this.failureTableTarget.replaceChildren(this.emptyRow(6, 'No runs in this window.'))
+      return
+    }
+
+    this.failureTableTarget.replaceChildren(...rows.map(row => {
+      const tr = document.createElement('tr')
+      const cells = [
+        [row.source],
+        [row.chain],
+        [this.formatNumber(row.runs), 'numeric'],
+        [this.formatNumber(row.failed), 'numeric'],
+        [this.formatRate(row.failure_rate), `numeric${row.failure_rate >= HIGH_FAILURE_RATE ? ' rate-high' : ''}`],
+        [this.formatDuration(row.mean_duration), 'numeric']
+      ]
+
+      cells.forEach(([text, className]) => {
+        const td = tr.insertCell()
+        td.textContent = text
+        if (className) td.className = className
+      })
+      return tr
+    }))
+  }
+
+  renderOutdated(series) {
+    if (series.length === 0) {
+      this.outdatedTableTarget.replaceChildren(this.emptyRow(4, 'Every series with an active pipeline is up to date.'))
+      return
+    }
+
+    this.outdatedTableTarget.replaceChildren(...series.map(entry => {
+      const tr = document.createElement('tr')
+
+      const link = document.createElement('a')
+      link.href = entry.path
+      link.textContent = entry.ticker
+      tr.insertCell().appendChild(link)
+
+      tr.insertCell().textContent = entry.source
+      tr.insertCell().textContent = entry.timeframe
+      tr.insertCell().textContent = entry.latest_ts ? new Date(entry.latest_ts).toLocaleString() : 'No data'
+      return tr
+    }))
+  }
+
+  emptyRow(columns, text) {
+    const tr = document.createElement('tr')
+    const td = tr.insertCell()
+    td.colSpan = columns
+    td.className = 'empty-row'
+    td.textContent = text
+    return tr
+  }
+
+  formatRate(rate) {
+    return rate == null ? '—' : `${(rate * 100).toFixed(1)}%`
+  }
+
+  formatNumber(num) {
+    return new Intl.NumberFormat().format(num)
+  }
+
+  formatDuration(seconds) {
+    if (seconds == null) return '—'
+    if (seconds < 1) return `${Math.round(seconds * 1000)}ms`
+    if (seconds < 60) return `${seconds.toFixed(1)}s`
+
+    const minutes = Math.floor(seconds / 60)
+    if (minutes < 60) return `${minutes}m ${Math.round(seconds % 60)}s`
+
+    return `${Math.floor(minutes / 60)}h ${minutes % 60}m`
+  }
+}
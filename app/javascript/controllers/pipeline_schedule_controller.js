@@ -0,0 +1,306 @@
+import { Controller } from "@hotwired/stimulus"
+
+const MONTH_NAMES = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December']
+const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday']
+
+// min, max and accepted names of the five cron fields
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: MONTH_NAMES.map(name => name.slice(0, 3).toUpperCase()), offset: 1 },
+  { name: 'weekday', min: 0, max: 7, names: DAY_NAMES.map(name => name.slice(0, 3).toUpperCase()), offset: 0 }
+]
+
+// Schedule editor on the pipeline page. Parses the cron expression in the
+// browser for a readable description and the next fire times (all in UTC);
+// the server validates it again when saving.
+export default class extends Controller {
+  static targets = ["input", "description", "nextRuns", "save"]
+  static values = {
+    url: String,
+    count: { type: Number, default: 5 }
+  }
+
+  connect() {
+    this.preview()
+  }
+
+  applyPreset(event) {
+    this.inputTarget.value = event.currentTarget.dataset.cron
+    this.preview()
+    this.inputTarget.focus()
+  }
+
+  preview() {
+    const expression = this.inputTarget.value.trim().replace(/\s+/g, ' ')
+
+    if (!expression) {
+      this.renderPreview(null, 'Not scheduled, runs only when started manually')
+      return
+    }
+
+    const cron = this.parse(expression)
+    if (!cron) {
+      this.renderPreview(null, 'Not a valid cron expression', true)
+      return
+    }
+
+    this.renderPreview(cron, this.describe(cron))
+  }
+
+  renderPreview(cron, description, invalid = false) {
+    this.descriptionTarget.textContent = description
+    this.descriptionTarget.classList.toggle('invalid', invalid)
+    this.inputTarget.classList.toggle('invalid', invalid)
+
+    const times = cron ? this.nextTimes(cron, this.countValue) : []
+    this.nextRunsTarget.replaceChildren(...times.map(time => {
+      const item = document.createElement('li')
+      item.textContent = this.formatTime(time)
+      return item
+    }))
+    this.nextRunsTarget.parentElement.hidden = times.length === 0
+  }
+
+  clear() {
+    this.inputTarget.value = ''
+    this.preview()
+    this.save()
+  }
+
+  async save() {
+    const schedule = this.inputTarget.value.trim()
+    this.saveTarget.disabled = true
+
+    try {
+      const formData = new FormData()
+      formData.append('_method', 'PATCH')
+      formData.append('schedule', schedule)
+
+      const response = await fetch(this.urlValue, {
+        method: 'POST',
+        headers: {
+          'Accept': 'application/json',
+          'X-CSRF-Token': this.getCSRFToken()
+        },
+        body: formData
+      })
+
+      const data = await response.json()
+      if (!response.ok) {
+        throw new Error(data.error || `HTTP ${response.status}`)
+      }
+
+      this.inputTarget.value = data.schedule || ''
+      this.preview()
+      this.showMessage(data.message, 'success')
+    } catch (error) {
+      console.error('Error saving schedule:', error)
+      this.showMessage(`Error: ${error.message}`, 'error')
+    } finally {
+      this.saveTarget.disabled = false
+    }
+  }
+
+  // Returns { minute, hour, day, month, weekday } sets plus the raw fields, or
+  // null for expressions this parser does not understand
+  parse(expression) {
+    const parts = expression.split(' ')
+    if (parts.length !== 5) return null
+
+    const cron = { raw: parts }
+    for (let i = 0; i < FIELDS.length; i++) {
+      const values = this.parseField(parts[i], FIELDS[i])
+      if (!values) return null
+      cron[FIELDS[i].name] = values
+    }
+
+    // Sunday can be written as 0 or 7
+    if (cron.weekday.has(7)) {
+      cron.weekday.delete(7)
+      cron.weekday.add(0)
+    }
+
+    cron.anyDay = parts[2] === '*'
+    cron.anyWeekday = parts[4] === '*'
+    return cron
+  }
+
+  parseField(text, field) {
+    const values = new Set()
+
+    for (const part of text.split(',')) {
+      const match = part.match(/^(\*|[^-/]+)(?:-([^/]+))?(?:\/(\d+))?$/)
+      if (!match) return null
+
+      const [, start, end, step] = match
+      let from = start === '*' ? field.min : this.fieldValue(start, field)
+      let to = start === '*' ? field.max : (end !== undefined ? this.fieldValue(end, field) : from)
+      if (step && start !== '*' && end === undefined) to = field.max
+
+      const increment = step ? parseInt(step, 10) : 1
+      if (from === null || to === null || from > to || increment < 1) return null
+
+      for (let value = from; value <= to; value += increment) values.add(value)
+    }
+
+    return values
+  }
+
+  fieldValue(text, field) {
+    const upper = text.toUpperCase()
+    if (field.names?.includes(upper)) return field.names.indexOf(upper) + field.offset
+    if (!/^\d+$/.test(text)) return null
+
+    const value = parseInt(text, 10)
+    return value >= field.min && value <= field.max ? value : null
+  }
+
+  // Day-of-month and day-of-week match either one when both are restricted,
+  // as in standard cron
+  dayMatches(cron, date) {
+    const day = cron.day.has(date.getUTCDate())
+    const weekday = cron.weekday.has(date.getUTCDay())
+
+    if (cron.anyDay && cron.anyWeekday) return true
+    if (cron.anyDay) return weekday
+    if (cron.anyWeekday) return day
+    return day || weekday
+  }
+
+  nextTimes(cron, count) {
+    const times = []
+    const time = new Date()
+    time.setUTCSeconds(0, 0)
+    time.setUTCMinutes(time.getUTCMinutes() + 1)
+
+    // Skips whole months, days and hours that cannot match; the guard stops
+    // expressions that never fire, like February 30th
+    for (let guard = 0; times.length < count && guard < 50000; guard++) {
+      if (!cron.month.has(time.getUTCMonth() + 1)) {
+        time.setUTCMonth(time.getUTCMonth() + 1, 1)
+        time.setUTCHours(0, 0)
+      } else if (!this.dayMatches(cron, time)) {
+        time.setUTCDate(time.getUTCDate() + 1)
+        time.setUTCHours(0, 0)
+      } else if (!cron.hour.has(time.getUTCHours())) {
+        time.setUTCHours(time.getUTCHours() + 1, 0)
+      } else if (!cron.minute.has(time.getUTCMinutes())) {
+        time.setUTCMinutes(time.getUTCMinutes() + 1)
+      } else {
+        times.push(new Date(time))
+        time.setUTCMinutes(time.getUTCMinutes() + 1)
+      }
+    }
+
+    return times
+  }
+
+  // e.g. "every weekday at 22:00 UTC" or "every 5 minutes between 13:00 and 21:59 UTC"
+  describe(cron) {
+    const [minute, hour] = cron.raw
+    const minuteStep = minute.match(/^\*\/(\d+)$/)
+    const single = text => /^\d+$/.test(text)
+    let time
+
+    if (single(minute) && /^\d+(,\d+)*$/.test(hour)) {
+      const hours = [...cron.hour].sort((a, b) => a - b)
+      time = `at ${this.list(hours.map(h => `${this.pad(h)}:${this.pad(minute)}`))} UTC`
+    } else if (single(minute) && hour !== '*') {
+      time = `at minute ${parseInt(minute, 10)} past ${this.describeHours(cron)} UTC`
+    } else {
+      if (minute === '*') {
+        time = 'every minute'
+      } else if (minuteStep) {
+        time = `every ${minuteStep[1]} minutes`
+      } else if (single(minute)) {
+        time = `every hour at :${this.pad(minute)}`
+      } else {
+        time = `at minutes ${this.list([...cron.minute])}`
+      }
+
+      time += hour === '*' ? ' UTC' : ` ${this.describeHours(cron)} UTC`
+    }
+
+    const days = this.describeDays(cron)
+    const months = cron.raw[3] === '*' ? '' : ` in ${this.list([...cron.month].map(month => MONTH_NAMES[month - 1]))}`
+
+    return time.startsWith('at ') ? `${days} ${time}${months}` : `${time}, ${days}${months}`
+  }
+
+  describeHours(cron) {
+    const hours = [...cron.hour].sort((a, b) => a - b)
+    const contiguous = hours.every((hour, i) => i === 0 || hour === hours[i - 1] + 1)
+
+    if (contiguous && hours.length > 1) {
+      return `between ${this.pad(hours[0])}:00 and ${this.pad(hours[hours.length - 1])}:59`
+    }
+    return `hours ${this.list(hours.map(hour => this.pad(hour)))}`
+  }
+
+  describeDays(cron) {
+    const [, , day, , weekday] = cron.raw
+    const weekdays = [...cron.weekday].sort((a, b) => a - b)
+    let text = ''
+
+    if (weekday !== '*') {
+      if (weekdays.join(',') === '1,2,3,4,5') {
+        text = 'every weekday'
+      } else if (weekdays.join(',') === '0,6') {
+        text = 'every weekend day'
+      } else {
+        text = `every ${this.list(weekdays.map(day => DAY_NAMES[day]))}`
+      }
+    }
+
+    if (day !== '*') {
+      const dayText = `on day ${this.list([...cron.day])} of the month`
+      text = text ? `${dayText} or ${text}` : dayText
+    }
+
+    return text || 'every day'
+  }
+
+  list(items) {
+    if (items.length <= 1) return items.join('')
+    return `${items.slice(0, -1).join(', ')} and ${items[items.length - 1]}`
+  }
+
+  pad(value) {
+    return String(value).padStart(2, '0')
+  }
+
+  formatTime(date) {
+    return date.toLocaleString(undefined, {
+      weekday: 'short',
+      year: 'numeric',
+      month: 'short',
+      day: 'numeric',
+      hour: '2-digit',
+      minute: '2-digit',
+      timeZone: 'UTC',
+      timeZoneName: 'short'
+    })
+  }
+
+  showMessage(message, type) {
+    const messageDiv = document.createElement('div')
+    messageDiv.className = `pipeline-message ${type}`
+    messageDiv.textContent = message
+
+    document.body.appendChild(messageDiv)
+
+    // Auto-remove message after 3 seconds
+    setTimeout(() => {
+      if (document.body.contains(messageDiv)) {
+        document.body.removeChild(messageDiv)
+      }
+    }, 3000)
+  }
+
+  getCSRFToken() {
+    const token = document.querySelector('meta[name="csrf-token"]')
+    return token ? token.getAttribute('content') : ''
+  }
+}
@@ -0,0 +1,278 @@
+import { Controller } from "@hotwired/stimulus"
+
+const STEP_TIME_SERIES = 0
+const STEP_CHAIN = 1
+const STEP_OPTIONS = 2
+const STEP_REVIEW = 3
+
+// Pipeline creation wizard: pick a series, a chain that can fetch it and the
+// chain's options, then review with an optional dry run before creating.
+export default class extends Controller {
+  static targets = [
+    "step", "stepLabel", "timeSeries", "chain", "chainHelp", "options", "summary",
+    "dryRunButton", "previewStatus", "previewCounts", "previewTable", "previewLog",
+    "back", "next", "create"
+  ]
+  static values = {
+    dryRunUrl: String,
+    timeSeries: Array,
+    chains: Array
+  }
+
+  connect() {
+    this.filterChains()
+    this.showOptions()
+
+    // A re-rendered form with errors opens on the review step
+    const complete = this.timeSeriesTarget.value && this.chainTarget.value
+    this.showStep(complete ? STEP_REVIEW : STEP_TIME_SERIES)
+  }
+
+  selectTimeSeries() {
+    this.filterChains()
+    this.showOptions()
+    this.resetPreview()
+  }
+
+  selectChain() {
+    this.showOptions()
+    this.resetPreview()
+  }
+
+  next() {
+    if (!this.stepValid(this.currentStep)) return
+    this.showStep(this.currentStep + 1)
+  }
+
+  back() {
+    this.showStep(this.currentStep - 1)
+  }
+
+  // Enter in a field moves to the next step instead of creating early
+  submit(event) {
+    if (this.currentStep === STEP_REVIEW) return
+
+    event.preventDefault()
+    this.next()
+  }
+
+  showStep(index) {
+    this.currentStep = Math.max(STEP_TIME_SERIES, Math.min(index, STEP_REVIEW))
+
+    this.stepTargets.forEach((step, i) => { step.hidden = i !== this.currentStep })
+    this.stepLabelTargets.forEach((label, i) => {
+      label.classList.toggle('current', i === this.currentStep)
+      label.classList.toggle('done', i < this.currentStep)
+    })
+
+    this.backTarget.hidden = this.currentStep === STEP_TIME_SERIES
+    this.nextTarget.hidden = this.currentStep === STEP_REVIEW
+    this.createTarget.hidden = this.currentStep !== STEP_REVIEW
+
+    if (this.currentStep === STEP_REVIEW) this.renderSummary()
+  }
+
+  stepValid(index) {
+    switch (index) {
+      case STEP_TIME_SERIES:
+        return this.requireValue(this.timeSeriesTarget, 'Select a time series')
+      case STEP_CHAIN:
+        return this.requireValue(this.chainTarget, 'Select a pipeline chain')
+      case STEP_OPTIONS:
+        return Array.from(this.activeOptions()?.elements || []).every(field => field.reportValidity())
+      default:
+        return true
+    }
+  }
+
+  requireValue(field, message) {
+    if (field.value) return true
+
+    this.showMessage(message, 'error')
+    field.focus()
+    return false
+  }
+
+  // Lists only the chains whose source and kinds match the selected series
+  filterChains() {
+    const series = this.selectedTimeSeries()
+    const selected = this.chainTarget.value
+    const compatible = this.chainsValue.filter(chain =>
+      series && chain.source === series.source && chain.kinds.includes(series.kind)
+    )
+
+    this.chainTarget.querySelectorAll('option:not([value=""])').forEach(option => option.remove())
+    compatible.forEach(chain => this.chainTarget.add(new Option(chain.label, chain.name)))
+    this.chainTarget.value = compatible.some(chain => chain.name === selected) ? selected : ''
+
+    if (!series) {
+      this.chainHelpTarget.textContent = 'Select a time series first.'
+    } else if (compatible.length === 0) {
+      this.chainHelpTarget.textContent = `No chain can fetch ${series.source} ${series.kind} series.`
+    } else {
+      this.chainHelpTarget.textContent = `Chains that can fetch ${series.source} ${series.kind} series.`
+    }
+  }
+
+  // Only the selected chain's fields are enabled, so only they are submitted
+  showOptions() {
+    this.optionsTargets.forEach(fieldset => {
+      const active = fieldset.dataset.chain === this.chainTarget.value
+      fieldset.hidden = !active
+      fieldset.disabled = !active
+    })
+  }
+
+  activeOptions() {
+    return this.optionsTargets.find(fieldset => fieldset.dataset.chain === this.chainTarget.value)
+  }
+
+  selectedTimeSeries() {
+    return this.timeSeriesValue.find(series => String(series.id) === this.timeSeriesTarget.value)
+  }
+
+  selectedChain() {
+    return this.chainsValue.find(chain => chain.name === this.chainTarget.value)
+  }
+
+  renderSummary() {
+    const series = this.selectedTimeSeries()
+    const chain = this.selectedChain()
+    const rows = [
+      ['Time series', series ? `${series.ticker} (${series.source}, ${series.kind}, ${series.timeframe})` : '—'],
+      ['Chain', chain ? chain.label : '—']
+    ]
+
+    const fieldset = this.activeOptions()
+    if (chain && fieldset) {
+      chain.options.forEach(option => {
+        const field = fieldset.elements.namedItem(`pipeline[options][${option.name}]`)
+        const value = field?.value || (option.default != null ? `${option.default} (default)` : 'Default')
+        rows.push([option.label, value])
+      })
+    }
+
+    this.summaryTarget.replaceChildren(...rows.flatMap(([label, value]) => {
+      const dt = document.createElement('dt')
+      dt.textContent = label
+      const dd = document.createElement('dd')
+      dd.textContent = value
+      return [dt, dd]
+    }))
+  }
+
+  async dryRun() {
+    this.resetPreview()
+    this.dryRunButtonTarget.disabled = true
+    this.setPreviewStatus('Fetching and transforming… this can take a while for large sources.')
+
+    try {
+      const response = await fetch(this.dryRunUrlValue, {
+        method: 'POST',
+        headers: {
+          'Accept': 'application/json',
+          'X-CSRF-Token': this.getCSRFToken(),
+          'X-Requested-With': 'XMLHttpRequest'
+        },
+        body: new FormData(this.element)
+      })
+
+      const data = await response.json()
+      this.renderLog(data.log || [])
+
+      if (!response.ok || !data.success) {
+        throw new Error(data.error || `HTTP ${response.status}`)
+      }
+
+      this.renderPreview(data)
+    } catch (error) {
+      console.error('Dry run failed:', error)
+      this.setPreviewStatus(`Dry run failed: ${error.message}`, true)
+    } finally {
+      this.dryRunButtonTarget.disabled = false
+    }
+  }
+
+  renderPreview(data) {
+    if (data.total_rows === 0 && data.counts.invalid === 0) {
+      this.setPreviewStatus('The source returned no rows for this range.')
+      return
+    }
+
+    const range = data.first_ts ? ` from ${this.formatDate(data.first_ts)} to ${this.formatDate(data.last_ts)}` : ''
+    this.setPreviewStatus(`${this.formatNumber(data.total_rows)} ${data.model.toLowerCase()} rows${range}. Showing the first ${data.rows.length}.`)
+
+    this.previewCountsTarget.replaceChildren(...['insert', 'update', 'unchanged', 'invalid'].map(action => {
+      const badge = document.createElement('span')
+      badge.className = `wizard-count ${action}`
+      badge.textContent = `${this.formatNumber(data.counts[action])} ${action === 'insert' ? 'new' : action}`
+      return badge
+    }))
+
+    const table = document.createElement('table')
+    const header = table.createTHead().insertRow()
+    ;[...data.columns, 'action'].forEach(column => {
+      const th = document.createElement('th')
+      th.textContent = column
+      header.appendChild(th)
+    })
+
+    const body = table.createTBody()
+    data.rows.forEach(row => {
+      const tr = body.insertRow()
+      data.columns.forEach(column => {
+        tr.insertCell().textContent = column === 'ts' ? this.formatDate(row.ts) : (row[column] ?? '')
+      })
+      tr.insertCell().textContent = row.action
+    })
+
+    this.previewTableTarget.replaceChildren(table)
+  }
+
+  renderLog(entries) {
+    this.previewLogTarget.hidden = entries.length === 0
+    this.previewLogTarget.querySelector('pre').textContent = entries
+      .map(entry => `[${entry.level.toUpperCase()}] ${entry.message}`)
+      .join('\n')
+  }
+
+  resetPreview() {
+    this.setPreviewStatus('')
+    this.previewCountsTarget.replaceChildren()
+    this.previewTableTarget.replaceChildren()
+    this.previewLogTarget.hidden = true
+  }
+
+  setPreviewStatus(text, error = false) {
+    this.previewStatusTarget.textContent = text
+    this.previewStatusTarget.classList.toggle('error', error)
+  }
+
+  formatDate(value) {
+    return new Date(value).toLocaleString()
+  }
+
+  formatNumber(num) {
+    return new Intl.NumberFormat().format(num)
+  }
+
+  showMessage(message, type) {
+    const messageDiv = document.createElement('div')
+    messageDiv.className = `pipeline-message ${type}`
+    messageDiv.textContent = message
+
+    document.body.appendChild(messageDiv)
+
+    // Auto-remove message after 3 seconds
+    setTimeout(() => {
+      if (document.body.contains(messageDiv)) {
+        document.body.removeChild(messageDiv)
+      }
+    }, 3000)
+  }
+
+  getCSRFToken() {
+    const token = document.querySelector('meta[name="csrf-token"]')
+    return token ? token.getAttribute('content') : ''
+  }
+}
@@ -0,0 +1,142 @@
+import { Controller } from "@hotwired/stimulus"
+
+// Opt-in for browser push notifications about failed and stuck pipeline runs.
+// Registers the service worker and keeps the server-side subscription in sync.
+export default class extends Controller {
+  static targets = ["toggle", "test"]
+  static values = {
+    publicKey: String,
+    url: String,
+    serviceWorkerUrl: String
+  }
+
+  async connect() {
+    if (!('serviceWorker' in navigator) || !('PushManager' in window)) return
+
+    try {
+      this.registration = await navigator.serviceWorker.register(this.serviceWorkerUrlValue, { scope: '/' })
+      this.subscription = await this.registration.pushManager.getSubscription()
+
+      // Re-send an existing subscription in case the server lost it
+      if (this.subscription) await this.save(this.subscription)
+
+      this.element.hidden = false
+      this.render()
+    } catch (error) {
+      console.error('Error registering service worker:', error)
+    }
+  }
+
+  async toggle() {
+    this.toggleTarget.disabled = true
+
+    try {
+      if (this.subscription) {
+        await this.unsubscribe()
+        this.showMessage('Notifications disabled', 'success')
+      } else {
+        await this.subscribe()
+        this.showMessage('Notifications enabled', 'success')
+      }
+    } catch (error) {
+      console.error('Error updating push subscription:', error)
+      this.showMessage(`Error: ${error.message}`, 'error')
+    } finally {
+      this.toggleTarget.disabled = false
+      this.render()
+    }
+  }
+
+  async subscribe() {
+    const permission = await Notification.requestPermission()
+    if (permission !== 'granted') {
+      throw new Error('Notification permission was not granted')
+    }
+
+    const subscription = await this.registration.pushManager.subscribe({
+      userVisibleOnly: true,
+      applicationServerKey: this.applicationServerKey()
+    })
+
+    await this.save(subscription)
+    this.subscription = subscription
+  }
+
+  async unsubscribe() {
+    const endpoint = this.subscription.endpoint
+
+    await this.subscription.unsubscribe()
+    this.subscription = null
+    await this.request('DELETE', this.urlValue, { endpoint: endpoint })
+  }
+
+  async sendTest() {
+    if (!this.subscription) return
+
+    try {
+      const data = await this.request('POST', `${this.urlValue}/test`, { endpoint: this.subscription.endpoint })
+      this.showMessage(data.message, 'success')
+    } catch (error) {
+      console.error('Error sending test notification:', error)
+      this.showMessage(`Error: ${error.message}`, 'error')
+    }
+  }
+
+  save(subscription) {
+    return this.request('POST', this.urlValue, { subscription: subscription.toJSON() })
+  }
+
+  async request(method, url, body) {
+    const response = await fetch(url, {
+      method: method,
+      headers: {
+        'Content-Type': 'application/json',
+        'Accept': 'application/json',
+        'X-CSRF-Token': this.getCSRFToken()
+      },
+      body: JSON.stringify(body)
+    })
+
+    const data = await response.json()
+    if (!response.ok) {
+      throw new Error(data.error || `HTTP ${response.status}`)
+    }
+
+    return data
+  }
+
+  render() {
+    const subscribed = Boolean(this.subscription)
+
+    this.toggleTarget.textContent = subscribed ? 'Disable notifications' : 'Enable notifications'
+    this.toggleTarget.classList.toggle('active', subscribed)
+    this.testTarget.hidden = !subscribed
+  }
+
+  // The VAPID public key is base64url; PushManager wants the raw bytes
+  applicationServerKey() {
+    const base64 = this.publicKeyValue.replace(/-/g, '+').replace(/_/g, '/')
+    const padded = base64 + '='.repeat((4 - base64.length % 4) % 4)
+    return Uint8Array.from(atob(padded), char => char.charCodeAt(0))
+  }
+
+  showMessage(message, type) {
+    const messageDiv = document.createElement('div')
+    messageDiv.className = `pipeline-message ${type}`
+    messageDiv.textContent = message
+
+    document.body.appendChild(messageDiv)
+
+    // Auto-remove message after 3 seconds
+    setTimeout(() => {
+      if (document.body.contains(messageDiv)) {
+        document.body.removeChild(messageDiv)
+      }
+    }, 3000)
+  }
+
+  getCSRFToken() {
+    const token = document.querySelector('meta[name="csrf-token"]')
+    return token ? token.getAttribute('content') : ''
+  }
+}
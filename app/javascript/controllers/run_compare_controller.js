@@ -0,0 +1,43 @@
+import { Controller } from "@hotwired/stimulus"
+
+// Picks two runs on the runs list and opens their comparison. Checking a
+// third run unchecks the one checked first.
+export default class extends Controller {
+  static targets = ["checkbox", "button"]
+  static values = { url: String }
+
+  connect() {
+    this.selected = this.checkboxTargets.filter(checkbox => checkbox.checked).map(checkbox => checkbox.value)
+    this.refresh()
+  }
+
+  update(event) {
+    const checkbox = event.currentTarget
+    this.selected = this.selected.filter(id => id !== checkbox.value)
+
+    if (checkbox.checked) {
+      this.selected.push(checkbox.value)
+      if (this.selected.length > 2) {
+        const dropped = this.selected.shift()
+        const droppedCheckbox = this.checkboxTargets.find(target => target.value === dropped)
+        if (droppedCheckbox) droppedCheckbox.checked = false
+      }
+    }
+
+    this.refresh()
+  }
+
+  compare() {
+    if (this.selected.length !== 2) return
+
+    const url = new URL(this.urlValue, window.location.origin)
+    const [base, other] = [...this.selected].sort((a, b) => Number(a) - Number(b))
+    url.searchParams.set('base', base)
+    url.searchParams.set('other', other)
+    window.Turbo ? window.Turbo.visit(url.toString()) : (window.location.href = url.toString())
+  }
+
+  refresh() {
+    this.buttonTarget.disabled = this.selected.length !== 2
+  }
+}
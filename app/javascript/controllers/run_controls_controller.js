@@ -0,0 +1,160 @@
+import { Controller } from "@hotwired/stimulus"
+
+const RESUMABLE_STATUSES = ['FAILED', 'CANCELLED', 'SCHEDULED_STOP']
+const CANCELLABLE_STATUSES = ['PENDING', 'WORKING', 'SCHEDULED_STOP']
+
+// Retry from a stage, skip the current stage and cancel buttons on the run
+// page. Clicks update the buttons straight away, the server response (and
+// later live-update polls through reconcile) set the real state. Restarting a
+// stopped run dispatches "restarted" so live-update starts polling again.
+export default class extends Controller {
+  static targets = ["state", "retryGroup", "retryStage", "retry", "skip", "cancel"]
+  static values = {
+    status: String,
+    stage: String,
+    cancelRequested: Boolean,
+    stages: Array,
+    retryUrl: String,
+    skipUrl: String,
+    cancelUrl: String
+  }
+
+  connect() {
+    this.render()
+  }
+
+  reconcile(data) {
+    if (this.pending) return
+
+    if (data.status) this.statusValue = data.status
+    if (data.stage) this.stageValue = data.stage
+    if ('cancel_requested' in data) this.cancelRequestedValue = data.cancel_requested
+    this.render()
+  }
+
+  retry() {
+    const stage = this.retryStageTarget.value
+    if (!window.confirm(`Retry this run from the ${this.humanize(stage)} stage?`)) return
+
+    this.perform(this.retryUrlValue, { stage }, { status: 'PENDING', stage, cancelRequested: false }, true)
+  }
+
+  skip() {
+    const next = this.stagesValue[this.stagesValue.indexOf(this.stageValue) + 1]
+    const question = next ? 'and continue with the next one' : 'and complete the run'
+    if (!window.confirm(`Skip the ${this.humanize(this.stageValue)} stage ${question}?`)) return
+
+    const optimistic = next ? { status: 'PENDING', stage: next } : { status: 'COMPLETED' }
+    this.perform(this.skipUrlValue, {}, { ...optimistic, cancelRequested: false }, Boolean(next))
+  }
+
+  cancel() {
+    if (!window.confirm('Cancel this run? A stage in progress stops at its next checkpoint.')) return
+
+    this.perform(this.cancelUrlValue, {}, { cancelRequested: true }, false)
+  }
+
+  async perform(url, params, optimistic, restarts) {
+    const previous = { status: this.statusValue, stage: this.stageValue, cancelRequested: this.cancelRequestedValue }
+    this.pending = true
+    this.apply(optimistic)
+
+    try {
+      const formData = new FormData()
+      formData.append('_method', 'PATCH')
+      Object.entries(params).forEach(([name, value]) => formData.append(name, value))
+
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: {
+          'Accept': 'application/json',
+          'X-CSRF-Token': this.getCSRFToken()
+        },
+        body: formData
+      })
+
+      const data = await response.json()
+      if (!response.ok) {
+        throw new Error(data.error || `HTTP ${response.status}`)
+      }
+
+      this.pending = false
+      this.reconcile(data.run)
+      this.showMessage(data.message, 'success')
+      if (restarts) this.dispatch('restarted', { detail: data.run })
+    } catch (error) {
+      console.error('Error updating run:', error)
+      this.pending = false
+      this.apply(previous)
+      this.showMessage(`Error: ${error.message}`, 'error')
+    }
+  }
+
+  apply({ status, stage, cancelRequested }) {
+    if (status !== undefined) this.statusValue = status
+    if (stage !== undefined) this.stageValue = stage
+    if (cancelRequested !== undefined) this.cancelRequestedValue = cancelRequested
+    this.render()
+  }
+
+  render() {
+    const status = this.statusValue
+    const resumable = RESUMABLE_STATUSES.includes(status)
+    const cancellable = CANCELLABLE_STATUSES.includes(status) && !this.cancelRequestedValue
+
+    this.renderStageOptions(resumable)
+    this.retryGroupTarget.hidden = !resumable
+    this.skipTarget.hidden = !resumable
+    this.cancelTarget.hidden = !cancellable
+
+    ;[this.retryTarget, this.retryStageTarget, this.skipTarget, this.cancelTarget].forEach(element => {
+      element.disabled = Boolean(this.pending)
+    })
+
+    if (this.pending) {
+      this.stateTarget.textContent = 'Updating…'
+    } else if (this.cancelRequestedValue && CANCELLABLE_STATUSES.includes(status)) {
+      this.stateTarget.textContent = 'Cancelling…'
+    } else {
+      this.stateTarget.textContent = ''
+    }
+  }
+
+  // Retrying can start at the current stage or any stage before it
+  renderStageOptions(resumable) {
+    if (!resumable) return
+
+    const last = this.stagesValue.indexOf(this.stageValue)
+    const stages = this.stagesValue.slice(0, last + 1)
+    if (this.retryStageTarget.options.length === stages.length &&
+        this.retryStageTarget.options[stages.length - 1]?.value === stages[stages.length - 1]) return
+
+    this.retryStageTarget.replaceChildren(...stages.map(stage => new Option(this.humanize(stage), stage)))
+    this.retryStageTarget.value = this.stageValue
+  }
+
+  humanize(stage) {
+    const text = (stage || '').toLowerCase().replace(/_/g, ' ')
+    return text.charAt(0).toUpperCase() + text.slice(1)
+  }
+
+  showMessage(message, type) {
+    const messageDiv = document.createElement('div')
+    messageDiv.className = `pipeline-message ${type}`
+    messageDiv.textContent = message
+
+    document.body.appendChild(messageDiv)
+
+    // Auto-remove message after 3 seconds
+    setTimeout(() => {
+      if (document.body.contains(messageDiv)) {
+        document.body.removeChild(messageDiv)
+      }
+    }, 3000)
+  }
+
+  getCSRFToken() {
+    const token = document.querySelector('meta[name="csrf-token"]')
+    return token ? token.getAttribute('content') : ''
+  }
+}
@@ -0,0 +1,234 @@
+import { Controller } from "@hotwired/stimulus"
+
+const HISTORY_LIMIT = 30
+const TREND_WINDOW = 5
+
+// Gantt of the stages of one run and a strip of recent run durations, stacked
+// by stage. Live updates arrive through live-update, which calls updateRun with
+// PipelineRun#timeline_payload. On pipeline pages the Gantt follows the latest run.
+export default class extends Controller {
+  static targets = ["summary", "gantt", "history", "trend"]
+  static values = {
+    run: Object,
+    history: Array,
+    stages: Array,
+    followLatest: { type: Boolean, default: false }
+  }
+
+  connect() {
+    this.render()
+  }
+
+  disconnect() {
+    this.stopTicking()
+  }
+
+  updateRun(run) {
+    if (!run?.id) return
+
+    const current = this.runValue
+    if (run.id === current.id || (this.followLatestValue && (!current.id || run.id > current.id))) {
+      this.runValue = run
+    }
+
+    if (['COMPLETED', 'FAILED', 'CANCELLED'].includes(run.status) && run.stages.length > 0) {
+      const history = this.historyValue.filter(entry => entry.id !== run.id)
+      history.push(run)
+      history.sort((a, b) => a.id - b.id)
+      this.historyValue = history.slice(-HISTORY_LIMIT)
+    }
+
+    this.render()
+  }
+
+  render() {
+    this.renderGantt()
+    this.renderHistory()
+  }
+
+  renderGantt() {
+    const run = this.runValue
+    const stages = run.stages || []
+
+    if (stages.length === 0) {
+      this.summaryTarget.textContent = ''
+      this.ganttTarget.replaceChildren(this.emptyMessage(run.id ? 'No stage timings were recorded for this run.' : 'No runs yet.'))
+      this.stopTicking()
+      return
+    }
+
+    const now = Date.now()
+    const start = Math.min(...stages.map(stage => Date.parse(stage.started_at)))
+    const end = Math.max(...stages.map(stage => stage.finished_at ? Date.parse(stage.finished_at) : now))
+    const span = Math.max(end - start, 1)
+    const running = stages.some(stage => !stage.finished_at)
+
+    const rows = this.stagesValue.map(name => {
+      const stage = stages.find(entry => entry.stage === name)
+      const row = document.createElement('div')
+      row.className = 'gantt-row'
+
+      const label = document.createElement('span')
+      label.className = 'gantt-label'
+      label.textContent = this.humanize(name)
+
+      const track = document.createElement('div')
+      track.className = 'gantt-track'
+
+      const duration = document.createElement('span')
+      duration.className = 'gantt-duration'
+      duration.textContent = '—'
+
+      if (stage) {
+        const from = Date.parse(stage.started_at)
+        const to = stage.finished_at ? Date.parse(stage.finished_at) : now
+        const seconds = (to - from) / 1000
+
+        const bar = document.createElement('div')
+        bar.className = `gantt-bar stage-color-${name.toLowerCase()}`
+        bar.classList.toggle('running', !stage.finished_at)
+        if (['failed', 'skipped', 'cancelled'].includes(stage.outcome)) bar.classList.add(stage.outcome)
+        bar.style.left = `${((from - start) / span) * 100}%`
+        bar.style.width = `${((to - from) / span) * 100}%`
+        bar.title = `${this.humanize(name)}: ${this.formatDuration(seconds)}${stage.outcome && stage.outcome !== 'completed' ? ` (${stage.outcome})` : ''}`
+        track.appendChild(bar)
+
+        duration.textContent = this.formatDuration(seconds)
+      }
+
+      row.append(label, track, duration)
+      return row
+    })
+
+    const axis = document.createElement('div')
+    axis.className = 'gantt-axis'
+    const startLabel = document.createElement('span')
+    startLabel.textContent = new Date(start).toLocaleTimeString()
+    const endLabel = document.createElement('span')
+    endLabel.textContent = running ? 'now' : new Date(end).toLocaleTimeString()
+    axis.append(startLabel, endLabel)
+
+    this.ganttTarget.replaceChildren(...rows, axis)
+
+    const total = this.formatDuration((end - start) / 1000)
+    this.summaryTarget.textContent = running
+      ? `Run #${run.id} running for ${total}`
+      : `Run #${run.id} ${{ FAILED: 'failed after', CANCELLED: 'was cancelled after' }[run.status] || 'took'} ${total}`
+
+    // Keep the running stage's bar growing between live updates
+    if (running) {
+      this.startTicking()
+    } else {
+      this.stopTicking()
+    }
+  }
+
+  renderHistory() {
+    const history = this.historyValue.filter(entry => entry.duration != null)
+
+    if (history.length === 0) {
+      this.historyTarget.replaceChildren(this.emptyMessage('No finished runs with stage timings yet.'))
+      this.trendTarget.textContent = ''
+      return
+    }
+
+    const longest = Math.max(...history.map(entry => entry.duration), 0.001)
+
+    this.historyTarget.replaceChildren(...history.map(entry => {
+      const link = document.createElement('a')
+      link.href = entry.path
+      link.className = 'history-run'
+      link.classList.toggle('current', entry.id === this.runValue.id)
+      link.classList.toggle('failed', entry.status === 'FAILED' || entry.status === 'CANCELLED')
+      link.style.height = `${Math.max((entry.duration / longest) * 100, 2)}%`
+
+      const stageTimes = entry.stages.map(stage => [stage.stage, this.stageSeconds(stage)])
+      const stagesTotal = stageTimes.reduce((sum, [, seconds]) => sum + seconds, 0) || 1
+
+      stageTimes.forEach(([name, seconds]) => {
+        const segment = document.createElement('span')
+        segment.className = `stage-color-${name.toLowerCase()}`
+        segment.style.height = `${(seconds / stagesTotal) * 100}%`
+        link.appendChild(segment)
+      })
+
+      link.title = [
+        `Run #${entry.id} · ${entry.status.toLowerCase()} · ${this.formatDuration(entry.duration)}`,
+        new Date(entry.created_at).toLocaleString(),
+        ...stageTimes.map(([name, seconds]) => `${this.humanize(name)}: ${this.formatDuration(seconds)}`)
+      ].join('\n')
+
+      return link
+    }))
+
+    this.renderTrend(history)
+  }
+
+  // Median of the latest completed runs against the ones before them
+  renderTrend(history) {
+    const durations = history.filter(entry => entry.status === 'COMPLETED').map(entry => entry.duration)
+    this.trendTarget.classList.remove('slower', 'faster')
+
+    if (durations.length < TREND_WINDOW + 1) {
+      this.trendTarget.textContent = `${durations.length} completed ${durations.length === 1 ? 'run' : 'runs'} with timings`
+      return
+    }
+
+    const recent = this.median(durations.slice(-TREND_WINDOW))
+    const before = this.median(durations.slice(-2 * TREND_WINDOW, -TREND_WINDOW))
+    const change = before > 0 ? ((recent - before) / before) * 100 : 0
+
+    let comparison = 'about the same as'
+    if (Math.abs(change) >= 10) {
+      comparison = `${Math.abs(Math.round(change))}% ${change > 0 ? 'slower' : 'faster'} than`
+      this.trendTarget.classList.add(change > 0 ? 'slower' : 'faster')
+    }
+
+    this.trendTarget.textContent = `Last ${TREND_WINDOW} completed runs: median ${this.formatDuration(recent)}, ${comparison} the runs before`
+  }
+
+  stageSeconds(stage) {
+    if (!stage.finished_at) return 0
+    return (Date.parse(stage.finished_at) - Date.parse(stage.started_at)) / 1000
+  }
+
+  median(values) {
+    const sorted = [...values].sort((a, b) => a - b)
+    const middle = Math.floor(sorted.length / 2)
+    return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2
+  }
+
+  startTicking() {
+    if (this.tickId) return
+    this.tickId = setInterval(() => this.renderGantt(), 1000)
+  }
+
+  stopTicking() {
+    if (this.tickId) {
+      clearInterval(this.tickId)
+      this.tickId = null
+    }
+  }
+
+  emptyMessage(text) {
+    const message = document.createElement('div')
+    message.className = 'run-timeline-empty'
+    message.textContent = text
+    return message
+  }
+
+  humanize(stage) {
+    const text = stage.toLowerCase().replace(/_/g, ' ')
+    return text.charAt(0).toUpperCase() + text.slice(1)
+  }
+
+  formatDuration(seconds) {
+    if (seconds < 1) return `${Math.round(seconds * 1000)}ms`
+    if (seconds < 60) return `${seconds.toFixed(1)}s`
+
+    const minutes = Math.floor(seconds / 60)
+    if (minutes < 60) return `${minutes}m ${Math.round(seconds % 60)}s`
+
+    return `${Math.floor(minutes / 60)}h ${minutes % 60}m`
+  }
+}
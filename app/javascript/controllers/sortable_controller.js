@@ -0,0 +1,79 @@
+import { Controller } from "@hotwired/stimulus"
+
+// Drag and drop reordering of the item targets, which need draggable="true"
+// and a data-id. Once an item is dropped in a new place the controller
+// dispatches sortable:reordered with the ids in their new order; storing it
+// is up to the listener.
+export default class extends Controller {
+  static targets = ['item']
+  static values = {
+    axis: { type: String, default: 'vertical' }
+  }
+
+  connect() {
+    this.dragged = null
+    this.handlers = {
+      dragstart: event => this.start(event),
+      dragover: event => this.over(event),
+      drop: event => this.drop(event),
+      dragend: () => this.end()
+    }
+
+    Object.entries(this.handlers).forEach(([type, handler]) => this.element.addEventListener(type, handler))
+  }
+
+  disconnect() {
+    Object.entries(this.handlers).forEach(([type, handler]) => this.element.removeEventListener(type, handler))
+  }
+
+  start(event) {
+    const item = this.itemFor(event.target)
+    if (!item) return
+
+    this.dragged = item
+    this.initialOrder = this.ids().join(',')
+    item.classList.add('dragging')
+    event.dataTransfer.effectAllowed = 'move'
+    event.dataTransfer.setData('text/plain', item.dataset.id)
+  }
+
+  // Moves the dragged item before or after the one under the pointer
+  over(event) {
+    if (!this.dragged) return
+    event.preventDefault()
+
+    const item = this.itemFor(event.target)
+    if (!item || item === this.dragged) return
+
+    const rect = item.getBoundingClientRect()
+    const after = this.axisValue === 'horizontal'
+      ? event.clientX > rect.left + rect.width / 2
+      : event.clientY > rect.top + rect.height / 2
+
+    item.parentNode.insertBefore(this.dragged, after ? item.nextSibling : item)
+  }
+
+  drop(event) {
+    if (this.dragged) event.preventDefault()
+  }
+
+  end() {
+    if (!this.dragged) return
+
+    this.dragged.classList.remove('dragging')
+    this.dragged = null
+
+    const ids = this.ids()
+    if (ids.join(',') !== this.initialOrder) {
+      this.dispatch('reordered', { detail: { ids } })
+    }
+  }
+
+  ids() {
+    return this.itemTargets.map(item => item.dataset.id)
+  }
+
+  itemFor(node) {
+    return this.itemTargets.find(item => item.contains(node))
+  }
+}
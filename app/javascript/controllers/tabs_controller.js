@@ -0,0 +1,18 @@
+import { Controller } from "@hotwired/stimulus"
+
+// Switches between panels. Tabs name their panel with a `panel` action param,
+// panels carry the same name in `data-panel`.
+export default class extends Controller {
+  static targets = ["tab", "panel"]
+
+  show(event) {
+    const name = event.params.panel
+
+    this.tabTargets.forEach(tab => {
+      tab.classList.toggle('active', tab.dataset.tabsPanelParam === name)
+    })
+    this.panelTargets.forEach(panel => {
+      panel.hidden = panel.dataset.panel !== name
+    })
+  }
+}
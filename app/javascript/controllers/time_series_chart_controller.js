@@ -0,0 +1,563 @@
+import { Controller } from "@hotwired/stimulus"
+
+const PADDING = { top: 12, right: 72, bottom: 28, left: 12 }
+const VOLUME_RATIO = 0.22
+const MIN_SPAN_MS = 60 * 60 * 1000
+const DAY_MS = 24 * 60 * 60 * 1000
+const MARKER_COLORS = { error: '220, 38, 38', warning: '245, 158, 11', info: '100, 116, 139' }
+
+export default class extends Controller {
+  static targets = ["canvas", "tooltip", "status"]
+  static values = {
+    url: String,
+    kind: String,
+    points: { type: Number, default: 500 },
+    debounce: { type: Number, default: 250 }
+  }
+
+  connect() {
+    this.series = []
+    this.range = null
+    this.extent = null
+    this.resolution = null
+    this.requestId = 0
+    this.loadTimeout = null
+    this.dragStart = null
+    this.hoverX = null
+    this.markers = []
+
+    // Wheel listeners must be non-passive to keep the page from scrolling while zooming
+    this.handleWheel = this.zoom.bind(this)
+    this.canvasTarget.addEventListener('wheel', this.handleWheel, { passive: false })
+
+    this.resizeObserver = new ResizeObserver(() => this.render())
+    this.resizeObserver.observe(this.canvasTarget)
+
+    this.load()
+  }
+
+  disconnect() {
+    this.canvasTarget.removeEventListener('wheel', this.handleWheel)
+    this.resizeObserver.disconnect()
+    clearTimeout(this.loadTimeout)
+  }
+
+  async load() {
+    const requestId = ++this.requestId
+    const url = new URL(this.urlValue, window.location.origin)
+    url.searchParams.set('points', this.pointsValue)
+
+    if (this.range) {
+      url.searchParams.set('from', new Date(this.range.from).toISOString())
+      url.searchParams.set('to', new Date(this.range.to).toISOString())
+    }
+
+    this.setStatus('Loading…')
+
+    try {
+      const response = await fetch(url, {
+        headers: {
+          'Accept': 'application/json',
+          'X-Requested-With': 'XMLHttpRequest'
+        }
+      })
+
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`)
+      }
+
+      const data = await response.json()
+
+      // Ignore responses for ranges the user has already zoomed or panned away from
+      if (requestId !== this.requestId) return
+
+      this.series = data.points.map(point => ({ ...point, t: Date.parse(point.ts) }))
+      this.resolution = data.resolution
+      this.extent = {
+        from: Date.parse(data.extent.from),
+        to: Date.parse(data.extent.to)
+      }
+
+      if (!this.range) {
+        this.range = { ...this.extent }
+      }
+
+      this.setStatus(this.describeResolution())
+      this.render()
+    } catch (error) {
+      console.error('Chart load failed:', error)
+      this.setStatus('Failed to load chart data')
+    }
+  }
+
+  scheduleLoad() {
+    clearTimeout(this.loadTimeout)
+    this.loadTimeout = setTimeout(() => this.load(), this.debounceValue)
+  }
+
+  // Actions
+
+  selectRange(event) {
+    if (!this.extent) return
+
+    const days = event.params.days
+    this.range = days
+      ? { from: Math.max(this.extent.from, this.extent.to - days * DAY_MS), to: this.extent.to }
+      : { ...this.extent }
+
+    this.render()
+    this.load()
+  }
+
+  // Called by time-series-quality with `{ from, to, severity }` findings to mark on the plot
+  setMarkers(markers) {
+    this.markers = markers.map(marker => ({
+      from: Date.parse(marker.from),
+      to: Date.parse(marker.to || marker.from),
+      severity: marker.severity
+    }))
+    this.render()
+  }
+
+  // Called by time-series-quality to zoom in around a finding
+  focus(from, to) {
+    if (!this.extent) return
+
+    const start = Date.parse(from)
+    const end = Date.parse(to || from)
+    const padding = Math.max(end - start, (this.extent.to - this.extent.from) / 200, MIN_SPAN_MS)
+
+    this.setRange(start - padding, end - start + padding * 2)
+    this.render()
+    this.load()
+  }
+
+  reset() {
+    if (!this.extent) return
+
+    this.range = { ...this.extent }
+    this.render()
+    this.load()
+  }
+
+  zoom(event) {
+    if (!this.range) return
+    event.preventDefault()
+
+    const plot = this.plotArea()
+    const fraction = this.clamp((this.pointerX(event) - plot.x) / plot.width, 0, 1)
+    const span = this.range.to - this.range.from
+    const anchor = this.range.from + span * fraction
+    const factor = event.deltaY > 0 ? 1.25 : 0.8
+    const fullSpan = this.extent.to - this.extent.from
+    const newSpan = this.clamp(span * factor, Math.min(MIN_SPAN_MS, fullSpan), fullSpan)
+
+    this.setRange(anchor - newSpan * fraction, newSpan)
+    this.render()
+    this.scheduleLoad()
+  }
+
+  startPan(event) {
+    if (!this.range) return
+
+    this.dragStart = { x: this.pointerX(event), range: { ...this.range } }
+    this.canvasTarget.classList.add('panning')
+  }
+
+  pan(event) {
+    this.hoverX = this.pointerX(event)
+
+    if (this.dragStart) {
+      const plot = this.plotArea()
+      const span = this.dragStart.range.to - this.dragStart.range.from
+      const offset = (this.hoverX - this.dragStart.x) / plot.width * span
+
+      this.setRange(this.dragStart.range.from - offset, span)
+    }
+
+    this.render()
+  }
+
+  endPan() {
+    if (!this.dragStart) return
+
+    const moved = this.dragStart.range.from !== this.range.from
+    this.dragStart = null
+    this.canvasTarget.classList.remove('panning')
+
+    if (moved) {
+      this.scheduleLoad()
+    }
+  }
+
+  leave() {
+    this.hoverX = null
+    this.endPan()
+    this.render()
+  }
+
+  // Rendering
+
+  render() {
+    const canvas = this.canvasTarget
+    const ratio = window.devicePixelRatio || 1
+    const width = canvas.clientWidth
+    const height = canvas.clientHeight
+
+    if (canvas.width !== width * ratio || canvas.height !== height * ratio) {
+      canvas.width = width * ratio
+      canvas.height = height * ratio
+    }
+
+    const ctx = canvas.getContext('2d')
+    ctx.setTransform(ratio, 0, 0, ratio, 0, 0)
+    ctx.clearRect(0, 0, width, height)
+
+    const visible = this.visiblePoints()
+    if (!this.range || visible.length === 0) {
+      this.hideTooltip()
+      this.drawEmpty(ctx, width, height)
+      return
+    }
+
+    const plot = this.plotArea()
+    const isAggregate = this.kindValue === 'aggregate'
+    const priceHeight = isAggregate ? plot.height * (1 - VOLUME_RATIO) : plot.height
+    const [low, high] = this.priceBounds(visible)
+
+    const x = (t) => plot.x + (t - this.range.from) / (this.range.to - this.range.from) * plot.width
+    const y = (value) => plot.y + (high - value) / (high - low) * priceHeight
+
+    this.drawGrid(ctx, plot, priceHeight, low, high, y)
+    this.drawTimeAxis(ctx, plot, x)
+
+    ctx.save()
+    ctx.beginPath()
+    ctx.rect(plot.x, plot.y, plot.width, plot.height)
+    ctx.clip()
+
+    this.drawMarkers(ctx, plot, x)
+
+    if (isAggregate) {
+      this.drawVolume(ctx, visible, plot, priceHeight, x)
+      this.drawCandles(ctx, visible, plot, x, y)
+    } else {
+      this.drawLine(ctx, visible, x, y)
+    }
+
+    ctx.restore()
+
+    this.drawCrosshair(ctx, visible, plot, x, y)
+  }
+
+  drawEmpty(ctx, width, height) {
+    ctx.fillStyle = '#94a3b8'
+    ctx.font = '14px -apple-system, BlinkMacSystemFont, sans-serif'
+    ctx.textAlign = 'center'
+    ctx.fillText('No data in this range', width / 2, height / 2)
+  }
+
+  drawGrid(ctx, plot, priceHeight, low, high, y) {
+    ctx.strokeStyle = '#e2e8f0'
+    ctx.fillStyle = '#64748b'
+    ctx.lineWidth = 1
+    ctx.font = '11px -apple-system, BlinkMacSystemFont, sans-serif'
+    ctx.textAlign = 'left'
+    ctx.textBaseline = 'middle'
+
+    const ticks = 5
+    for (let i = 0; i <= ticks; i++) {
+      const value = low + (high - low) * i / ticks
+      const ty = Math.round(y(value)) + 0.5
+
+      ctx.beginPath()
+      ctx.moveTo(plot.x, ty)
+      ctx.lineTo(plot.x + plot.width, ty)
+      ctx.stroke()
+      ctx.fillText(this.formatValue(value), plot.x + plot.width + 6, ty)
+    }
+
+    if (priceHeight < plot.height) {
+      const separator = Math.round(plot.y + priceHeight) + 0.5
+      ctx.strokeStyle = '#cbd5e1'
+      ctx.beginPath()
+      ctx.moveTo(plot.x, separator)
+      ctx.lineTo(plot.x + plot.width, separator)
+      ctx.stroke()
+    }
+  }
+
+  drawTimeAxis(ctx, plot, x) {
+    ctx.fillStyle = '#64748b'
+    ctx.textAlign = 'center'
+    ctx.textBaseline = 'top'
+
+    const ticks = Math.max(2, Math.floor(plot.width / 120))
+    const span = this.range.to - this.range.from
+
+    for (let i = 0; i <= ticks; i++) {
+      const t = this.range.from + span * i / ticks
+      ctx.fillText(this.formatTick(t, span), x(t), plot.y + plot.height + 8)
+    }
+  }
+
+  drawCandles(ctx, points, plot, x, y) {
+    const bodyWidth = this.barWidth(points, plot)
+
+    points.forEach(point => {
+      const cx = x(point.t)
+      const rising = point.close >= point.open
+      const color = rising ? '#059669' : '#dc2626'
+
+      ctx.strokeStyle = color
+      ctx.fillStyle = color
+      ctx.lineWidth = 1
+
+      ctx.beginPath()
+      ctx.moveTo(Math.round(cx) + 0.5, y(point.high))
+      ctx.lineTo(Math.round(cx) + 0.5, y(point.low))
+      ctx.stroke()
+
+      if (bodyWidth >= 3) {
+        const top = y(Math.max(point.open, point.close))
+        const bodyHeight = Math.max(1, Math.abs(y(point.open) - y(point.close)))
+        ctx.fillRect(cx - bodyWidth / 2, top, bodyWidth, bodyHeight)
+      }
+    })
+  }
+
+  drawVolume(ctx, points, plot, priceHeight, x) {
+    const maxVolume = Math.max(...points.map(point => point.volume || 0))
+    if (maxVolume <= 0) return
+
+    const volumeTop = plot.y + priceHeight + 4
+    const volumeHeight = plot.height - priceHeight - 4
+    const barWidth = this.barWidth(points, plot)
+
+    points.forEach(point => {
+      if (!point.volume) return
+
+      const barHeight = point.volume / maxVolume * volumeHeight
+      ctx.fillStyle = point.close >= point.open ? 'rgba(5, 150, 105, 0.35)' : 'rgba(220, 38, 38, 0.35)'
+      ctx.fillRect(x(point.t) - barWidth / 2, volumeTop + volumeHeight - barHeight, Math.max(1, barWidth), barHeight)
+    })
+  }
+
+  drawLine(ctx, points, x, y) {
+    // Shade the min/max envelope of downsampled buckets so spikes stay visible
+    if (this.resolution) {
+      ctx.fillStyle = 'rgba(59, 130, 246, 0.15)'
+      ctx.beginPath()
+      points.forEach((point, index) => {
+        const method = index === 0 ? 'moveTo' : 'lineTo'
+        ctx[method](x(point.t), y(point.max))
+      })
+      for (let i = points.length - 1; i >= 0; i--) {
+        ctx.lineTo(x(points[i].t), y(points[i].min))
+      }
+      ctx.closePath()
+      ctx.fill()
+    }
+
+    ctx.strokeStyle = '#3b82f6'
+    ctx.lineWidth = 1.5
+    ctx.lineJoin = 'round'
+    ctx.beginPath()
+    points.forEach((point, index) => {
+      const method = index === 0 ? 'moveTo' : 'lineTo'
+      ctx[method](x(point.t), y(point.value))
+    })
+    ctx.stroke()
+  }
+
+  // Ranges are shaded, single points get a vertical line
+  drawMarkers(ctx, plot, x) {
+    this.markers.forEach(marker => {
+      if (marker.to < this.range.from || marker.from > this.range.to) return
+
+      const color = MARKER_COLORS[marker.severity] || MARKER_COLORS.warning
+      const left = x(marker.from)
+      const right = x(marker.to)
+
+      if (right - left >= 2) {
+        ctx.fillStyle = `rgba(${color}, 0.12)`
+        ctx.fillRect(left, plot.y, right - left, plot.height)
+      } else {
+        ctx.strokeStyle = `rgba(${color}, 0.7)`
+        ctx.beginPath()
+        ctx.moveTo(Math.round(left) + 0.5, plot.y)
+        ctx.lineTo(Math.round(left) + 0.5, plot.y + plot.height)
+        ctx.stroke()
+      }
+    })
+  }
+
+  drawCrosshair(ctx, points, plot, x, y) {
+    if (this.hoverX === null || this.dragStart || this.hoverX < plot.x || this.hoverX > plot.x + plot.width) {
+      this.hideTooltip()
+      return
+    }
+
+    const t = this.range.from + (this.hoverX - plot.x) / plot.width * (this.range.to - this.range.from)
+    const point = this.nearestPoint(points, t)
+    if (!point) return
+
+    const px = Math.round(x(point.t)) + 0.5
+    ctx.strokeStyle = '#94a3b8'
+    ctx.setLineDash([4, 4])
+    ctx.beginPath()
+    ctx.moveTo(px, plot.y)
+    ctx.lineTo(px, plot.y + plot.height)
+    ctx.stroke()
+    ctx.setLineDash([])
+
+    const value = this.kindValue === 'aggregate' ? point.close : point.value
+    ctx.fillStyle = '#1e293b'
+    ctx.beginPath()
+    ctx.arc(px, y(value), 3, 0, Math.PI * 2)
+    ctx.fill()
+
+    this.showTooltip(point, px)
+  }
+
+  showTooltip(point, px) {
+    if (!this.hasTooltipTarget) return
+
+    const rows = this.kindValue === 'aggregate'
+      ? [['O', point.open], ['H', point.high], ['L', point.low], ['C', point.close], ['V', point.volume]]
+      : [['Value', point.value], ...(this.resolution ? [['Min', point.min], ['Max', point.max]] : [])]
+
+    this.tooltipTarget.innerHTML = `
+      <div class="chart-tooltip-time">${this.formatTimestamp(point.t)}</div>
+      ${rows.map(([label, value]) => `
+        <div class="chart-tooltip-row">
+          <span>${label}</span>
+          <span>${value === null || value === undefined ? '–' : this.formatValue(value)}</span>
+        </div>
+      `).join('')}
+    `
+
+    const flip = px > this.canvasTarget.clientWidth / 2
+    this.tooltipTarget.style.left = flip ? '' : `${px + 12}px`
+    this.tooltipTarget.style.right = flip ? `${this.canvasTarget.clientWidth - px + 12}px` : ''
+    this.tooltipTarget.hidden = false
+  }
+
+  hideTooltip() {
+    if (this.hasTooltipTarget) {
+      this.tooltipTarget.hidden = true
+    }
+  }
+
+  // Helpers
+
+  plotArea() {
+    return {
+      x: PADDING.left,
+      y: PADDING.top,
+      width: Math.max(1, this.canvasTarget.clientWidth - PADDING.left - PADDING.right),
+      height: Math.max(1, this.canvasTarget.clientHeight - PADDING.top - PADDING.bottom)
+    }
+  }
+
+  setRange(from, span) {
+    const start = this.clamp(from, this.extent.from, Math.max(this.extent.from, this.extent.to - span))
+    this.range = { from: start, to: Math.min(this.extent.to, start + span) }
+  }
+
+  visiblePoints() {
+    if (!this.range) return []
+
+    // Keep one point beyond each edge so lines run off the plot instead of stopping short
+    const first = Math.max(0, this.series.findIndex(point => point.t >= this.range.from) - 1)
+    let last = this.series.findIndex(point => point.t > this.range.to)
+    last = last === -1 ? this.series.length : last + 1
+
+    return this.series.slice(first, last)
+  }
+
+  priceBounds(points) {
+    const lows = points.map(point => this.kindValue === 'aggregate' ? point.low : point.min)
+    const highs = points.map(point => this.kindValue === 'aggregate' ? point.high : point.max)
+    let low = Math.min(...lows)
+    let high = Math.max(...highs)
+
+    if (low === high) {
+      low -= Math.abs(low) * 0.01 || 1
+      high += Math.abs(high) * 0.01 || 1
+    }
+
+    const margin = (high - low) * 0.05
+    return [low - margin, high + margin]
+  }
+
+  barWidth(points, plot) {
+    return Math.max(1, Math.min(12, plot.width / Math.max(points.length, 1) * 0.7))
+  }
+
+  nearestPoint(points, t) {
+    let low = 0
+    let high = points.length - 1
+
+    while (low < high) {
+      const mid = Math.floor((low + high) / 2)
+      if (points[mid].t < t) {
+        low = mid + 1
+      } else {
+        high = mid
+      }
+    }
+
+    const previous = points[low - 1]
+    return previous && Math.abs(previous.t - t) < Math.abs(points[low].t - t) ? previous : points[low]
+  }
+
+  pointerX(event) {
+    return event.clientX - this.canvasTarget.getBoundingClientRect().left
+  }
+
+  clamp(value, min, max) {
+    return Math.min(Math.max(value, min), max)
+  }
+
+  setStatus(text) {
+    if (this.hasStatusTarget) {
+      this.statusTarget.textContent = text
+    }
+  }
+
+  describeResolution() {
+    const count = this.formatNumber(this.series.length)
+    if (!this.resolution) return `${count} points`
+
+    return `${count} buckets of ${this.formatDuration(this.resolution)}`
+  }
+
+  formatDuration(seconds) {
+    if (seconds >= 86400) return `${(seconds / 86400).toFixed(1)}d`
+    if (seconds >= 3600) return `${(seconds / 3600).toFixed(1)}h`
+    if (seconds >= 60) return `${Math.round(seconds / 60)}m`
+    return `${seconds}s`
+  }
+
+  formatNumber(num) {
+    return new Intl.NumberFormat().format(num)
+  }
+
+  formatValue(value) {
+    const magnitude = Math.abs(value)
+    const digits = magnitude >= 1000 ? 0 : magnitude >= 1 ? 2 : 4
+    return new Intl.NumberFormat('en-US', { maximumFractionDigits: digits, minimumFractionDigits: digits }).format(value)
+  }
+
+  formatTick(t, span) {
+    const iso = new Date(t).toISOString()
+    if (span > 2 * 365 * DAY_MS) return iso.slice(0, 7)
+    if (span > 3 * DAY_MS) return iso.slice(0, 10)
+    return iso.slice(5, 16).replace('T', ' ')
+  }
+
+  formatTimestamp(t) {
+    return new Date(t).toISOString().slice(0, 16).replace('T', ' ')
+  }
+}
@@ -0,0 +1,498 @@
+import { Controller } from "@hotwired/stimulus"
+
+const PADDING = { top: 12, right: 72, bottom: 28, left: 12 }
+const COLORS = ['#3b82f6', '#f59e0b', '#10b981', '#ef4444', '#8b5cf6', '#0ea5e9']
+const DAY_MS = 24 * 60 * 60 * 1000
+const FONT = '11px -apple-system, BlinkMacSystemFont, sans-serif'
+
+// Compare page. The server aligns the series (TimeSeriesComparison); this
+// controller plots them rebased to 100 or as cumulative log returns, draws the
+// rolling correlation of each series' log returns against the first one and
+// lists divergences between series of the same asset. Form changes reload
+// from the server, the display options only redraw.
+export default class extends Controller {
+  static targets = ["form", "chips", "tickerInput", "alerts", "legend", "chart", "status", "correlation", "correlationTitle", "tooltip"]
+  static values = {
+    url: String,
+    maxSeries: { type: Number, default: 6 }
+  }
+
+  connect() {
+    this.data = null
+    this.requestId = 0
+
+    this.resizeObserver = new ResizeObserver(() => this.render())
+    this.resizeObserver.observe(this.chartTarget)
+
+    this.handleMove = this.hover.bind(this)
+    this.handleLeave = this.hideTooltip.bind(this)
+    ;[this.chartTarget, this.correlationTarget].forEach(canvas => {
+      canvas.addEventListener('mousemove', this.handleMove)
+      canvas.addEventListener('mouseleave', this.handleLeave)
+    })
+
+    this.reload()
+  }
+
+  disconnect() {
+    this.resizeObserver.disconnect()
+    ;[this.chartTarget, this.correlationTarget].forEach(canvas => {
+      canvas.removeEventListener('mousemove', this.handleMove)
+      canvas.removeEventListener('mouseleave', this.handleLeave)
+    })
+  }
+
+  addTicker(event) {
+    if (event.type === 'keydown') event.preventDefault()
+
+    const ticker = this.tickerInputTarget.value.trim()
+    if (!ticker) return
+
+    const tickers = this.tickers()
+    if (tickers.includes(ticker)) {
+      this.tickerInputTarget.value = ''
+      return
+    }
+    if (tickers.length >= this.maxSeriesValue) {
+      this.setStatus(`Compare at most ${this.maxSeriesValue} series at a time.`, true)
+      return
+    }
+
+    const chip = document.createElement('span')
+    chip.className = 'ticker-chip'
+    chip.append(document.createTextNode(ticker))
+
+    const input = document.createElement('input')
+    input.type = 'hidden'
+    input.name = 'tickers[]'
+    input.value = ticker
+
+    const remove = document.createElement('button')
+    remove.type = 'button'
+    remove.textContent = '×'
+    remove.setAttribute('aria-label', `Remove ${ticker}`)
+    remove.dataset.action = 'time-series-compare#removeTicker'
+
+    chip.append(input, remove)
+    this.chipsTarget.appendChild(chip)
+    this.tickerInputTarget.value = ''
+    this.reload()
+  }
+
+  removeTicker(event) {
+    event.currentTarget.closest('.ticker-chip').remove()
+    this.reload()
+  }
+
+  submit(event) {
+    event.preventDefault()
+    this.reload()
+  }
+
+  tickers() {
+    return Array.from(this.chipsTarget.querySelectorAll('input[name="tickers[]"]')).map(input => input.value)
+  }
+
+  // Writes the form to the page URL and fetches the aligned series
+  async reload() {
+    const params = new URLSearchParams(new FormData(this.formTarget))
+    window.history.replaceState(window.history.state, '', `${window.location.pathname}?${params}`)
+
+    if (this.tickers().length < 2) {
+      this.data = null
+      this.render()
+      this.setStatus('Pick at least two series to compare.')
+      return
+    }
+
+    const requestId = ++this.requestId
+    this.setStatus('Loading…')
+
+    try {
+      const response = await fetch(`${this.urlValue}?${params}`, {
+        headers: {
+          'Accept': 'application/json',
+          'X-Requested-With': 'XMLHttpRequest'
+        }
+      })
+
+      const data = await response.json()
+      if (requestId !== this.requestId) return
+
+      if (!response.ok) {
+        throw new Error(data.error || `HTTP ${response.status}`)
+      }
+
+      this.data = {
+        ...data,
+        times: data.timestamps.map(ts => Date.parse(ts))
+      }
+      this.setStatus(this.data.times.length < 2 ? 'The series have no periods in common.' : '')
+      this.render()
+    } catch (error) {
+      if (requestId !== this.requestId) return
+
+      console.error('Error loading comparison:', error)
+      this.data = null
+      this.render()
+      this.setStatus(error.message, true)
+    }
+  }
+
+  render() {
+    const lines = this.normalizedLines()
+    const correlations = this.correlationLines()
+
+    this.renderLegend(lines)
+    this.renderAlerts()
+    this.drawChart(this.chartTarget, lines, { marks: this.divergenceStretches() })
+    this.drawChart(this.correlationTarget, correlations, { low: -1, high: 1, zero: true })
+
+    const periods = this.correlationWindow()
+    const base = this.data?.series[0]?.ticker
+    this.correlationTitleTarget.textContent = base
+      ? `Rolling ${periods}-period correlation of log returns against ${base}`
+      : 'Rolling correlation of log returns'
+  }
+
+  mode() {
+    return this.formTarget.elements.namedItem('mode').value
+  }
+
+  correlationWindow() {
+    const value = parseInt(this.formTarget.elements.namedItem('window').value, 10)
+    return Number.isFinite(value) ? Math.min(Math.max(value, 5), 250) : 20
+  }
+
+  // One line per series: rebased to 100 at the first period, or cumulative
+  // log return in percent
+  normalizedLines() {
+    if (!this.data || this.data.times.length < 2) return []
+
+    const log = this.mode() === 'log'
+    return this.data.series.map((series, index) => {
+      const values = this.data.values[series.ticker]
+      const first = values[0]
+
+      return {
+        label: series.ticker,
+        color: COLORS[index % COLORS.length],
+        raw: values,
+        points: values.map(value => {
+          if (!first || (log && (value <= 0 || first <= 0))) return null
+          return log ? Math.log(value / first) * 100 : value / first * 100
+        })
+      }
+    })
+  }
+
+  // Rolling Pearson correlation of log returns against the first series
+  correlationLines() {
+    if (!this.data || this.data.series.length < 2) return []
+
+    const returns = this.data.series.map(series => this.logReturns(this.data.values[series.ticker]))
+    const periods = this.correlationWindow()
+
+    return this.data.series.slice(1).map((series, offset) => ({
+      label: `${series.ticker} vs ${this.data.series[0].ticker}`,
+      color: COLORS[(offset + 1) % COLORS.length],
+      points: this.rollingCorrelation(returns[0], returns[offset + 1], periods)
+    }))
+  }
+
+  logReturns(values) {
+    return values.map((value, i) => {
+      if (i === 0 || value <= 0 || values[i - 1] <= 0) return null
+      return Math.log(value / values[i - 1])
+    })
+  }
+
+  rollingCorrelation(a, b, size) {
+    return a.map((_, end) => {
+      if (end < size) return null
+
+      const pairs = []
+      for (let i = end - size + 1; i <= end; i++) {
+        if (a[i] !== null && b[i] !== null) pairs.push([a[i], b[i]])
+      }
+      if (pairs.length < Math.max(3, size / 2)) return null
+
+      const meanA = pairs.reduce((sum, [x]) => sum + x, 0) / pairs.length
+      const meanB = pairs.reduce((sum, [, y]) => sum + y, 0) / pairs.length
+      let covariance = 0
+      let varianceA = 0
+      let varianceB = 0
+      pairs.forEach(([x, y]) => {
+        covariance += (x - meanA) * (y - meanB)
+        varianceA += (x - meanA) ** 2
+        varianceB += (y - meanB) ** 2
+      })
+
+      const denominator = Math.sqrt(varianceA * varianceB)
+      return denominator > 0 ? covariance / denominator : null
+    })
+  }
+
+  divergenceStretches() {
+    if (!this.data) return []
+
+    return this.data.divergences.flatMap(divergence => divergence.periods.map(period => ({
+      from: Date.parse(period.from),
+      to: Date.parse(period.to)
+    })))
+  }
+
+  renderLegend(lines) {
+    this.legendTarget.replaceChildren(...lines.map((line, index) => {
+      const series = this.data.series[index]
+      const last = line.raw[line.raw.length - 1]
+
+      const entry = document.createElement('span')
+      entry.className = 'legend-entry'
+      entry.style.setProperty('--color', line.color)
+      entry.textContent = `${series.ticker} (${series.source}, ${series.timeframe}) ${this.formatValue(last)}`
+      entry.title = series.description || ''
+      return entry
+    }))
+  }
+
+  renderAlerts() {
+    if (!this.data) {
+      this.alertsTarget.replaceChildren()
+      return
+    }
+
+    const threshold = this.formatPercent(this.data.threshold)
+    this.alertsTarget.replaceChildren(...this.data.divergences.map(divergence => {
+      const [first, second] = divergence.tickers
+      const alert = document.createElement('div')
+      alert.className = 'compare-alert'
+
+      if (divergence.diverging) {
+        alert.classList.add('diverging')
+        alert.textContent = `${first} and ${second} currently differ by ${this.formatPercent(divergence.latest_spread)}, above the ${threshold} threshold.`
+      } else if (divergence.periods.length > 0) {
+        const lastPeriod = divergence.periods[divergence.periods.length - 1]
+        alert.classList.add('diverged')
+        alert.textContent = `${first} and ${second} diverged by more than ${threshold} in ${divergence.periods.length} ${divergence.periods.length === 1 ? 'stretch' : 'stretches'} ` +
+          `(up to ${this.formatPercent(divergence.max_spread)}, last on ${this.formatTimestamp(Date.parse(lastPeriod.to))}). They agree now.`
+      } else {
+        alert.textContent = `${first} and ${second} stayed within ${threshold} of each other (largest spread ${this.formatPercent(divergence.max_spread)}).`
+      }
+
+      return alert
+    }))
+  }
+
+  drawChart(canvas, lines, { low, high, zero = false, marks = [] } = {}) {
+    const ratio = window.devicePixelRatio || 1
+    const width = canvas.clientWidth
+    const height = canvas.clientHeight
+
+    if (canvas.width !== width * ratio || canvas.height !== height * ratio) {
+      canvas.width = width * ratio
+      canvas.height = height * ratio
+    }
+
+    const ctx = canvas.getContext('2d')
+    ctx.setTransform(ratio, 0, 0, ratio, 0, 0)
+    ctx.clearRect(0, 0, width, height)
+
+    const values = lines.flatMap(line => line.points).filter(value => value !== null && Number.isFinite(value))
+    if (!this.data || values.length === 0) return
+
+    if (low === undefined || high === undefined) {
+      low = Math.min(...values)
+      high = Math.max(...values)
+      if (low === high) {
+        low -= 1
+        high += 1
+      }
+      const margin = (high - low) * 0.05
+      low -= margin
+      high += margin
+    }
+
+    const times = this.data.times
+    const plot = this.plotArea(canvas)
+    const from = times[0]
+    const to = times[times.length - 1]
+    const x = (t) => plot.x + (t - from) / Math.max(to - from, 1) * plot.width
+    const y = (value) => plot.y + (high - value) / (high - low) * plot.height
+
+    // Divergence stretches behind everything else
+    ctx.fillStyle = 'rgba(239, 68, 68, 0.12)'
+    marks.forEach(mark => {
+      const left = x(mark.from)
+      ctx.fillRect(left - 1, plot.y, Math.max(x(mark.to) - left, 0) + 2, plot.height)
+    })
+
+    this.drawGrid(ctx, plot, low, high, y, zero)
+    this.drawTimeAxis(ctx, plot, from, to, x)
+
+    ctx.save()
+    ctx.beginPath()
+    ctx.rect(plot.x, plot.y, plot.width, plot.height)
+    ctx.clip()
+    ctx.lineWidth = 1.5
+
+    lines.forEach(line => {
+      ctx.strokeStyle = line.color
+      ctx.beginPath()
+      let drawing = false
+      line.points.forEach((value, i) => {
+        if (value === null || !Number.isFinite(value)) {
+          drawing = false
+          return
+        }
+        drawing ? ctx.lineTo(x(times[i]), y(value)) : ctx.moveTo(x(times[i]), y(value))
+        drawing = true
+      })
+      ctx.stroke()
+    })
+
+    if (this.hoverIndex !== undefined && this.hoverIndex !== null) {
+      const hx = Math.round(x(times[this.hoverIndex])) + 0.5
+      ctx.strokeStyle = '#94a3b8'
+      ctx.lineWidth = 1
+      ctx.beginPath()
+      ctx.moveTo(hx, plot.y)
+      ctx.lineTo(hx, plot.y + plot.height)
+      ctx.stroke()
+    }
+
+    ctx.restore()
+  }
+
+  drawGrid(ctx, plot, low, high, y, zero) {
+    ctx.strokeStyle = '#e2e8f0'
+    ctx.fillStyle = '#64748b'
+    ctx.lineWidth = 1
+    ctx.font = FONT
+    ctx.textAlign = 'left'
+    ctx.textBaseline = 'middle'
+
+    const ticks = 4
+    for (let i = 0; i <= ticks; i++) {
+      const value = low + (high - low) * i / ticks
+      const ty = Math.round(y(value)) + 0.5
+
+      ctx.beginPath()
+      ctx.moveTo(plot.x, ty)
+      ctx.lineTo(plot.x + plot.width, ty)
+      ctx.stroke()
+      ctx.fillText(this.formatValue(value), plot.x + plot.width + 6, ty)
+    }
+
+    if (zero && low < 0 && high > 0) {
+      const ty = Math.round(y(0)) + 0.5
+      ctx.strokeStyle = '#94a3b8'
+      ctx.beginPath()
+      ctx.moveTo(plot.x, ty)
+      ctx.lineTo(plot.x + plot.width, ty)
+      ctx.stroke()
+    }
+  }
+
+  drawTimeAxis(ctx, plot, from, to, x) {
+    ctx.fillStyle = '#64748b'
+    ctx.textAlign = 'center'
+    ctx.textBaseline = 'top'
+
+    const ticks = Math.max(2, Math.floor(plot.width / 120))
+    const span = to - from
+
+    for (let i = 0; i <= ticks; i++) {
+      const t = from + span * i / ticks
+      ctx.fillText(this.formatTick(t, span), x(t), plot.y + plot.height + 8)
+    }
+  }
+
+  hover(event) {
+    if (!this.data || this.data.times.length < 2) return
+
+    const canvas = event.currentTarget
+    const plot = this.plotArea(canvas)
+    const px = event.clientX - canvas.getBoundingClientRect().left
+    const times = this.data.times
+    const t = times[0] + (px - plot.x) / plot.width * (times[times.length - 1] - times[0])
+    const index = this.nearestIndex(times, t)
+
+    if (index !== this.hoverIndex) {
+      this.hoverIndex = index
+      this.render()
+    }
+
+    const lines = this.normalizedLines()
+    const correlations = this.correlationLines()
+    const rows = [
+      this.formatTimestamp(times[index]),
+      ...lines.map(line => `${line.label}: ${this.formatValue(line.raw[index])}  (${this.formatValue(line.points[index])})`),
+      ...correlations.map(line => `${line.label}: ${line.points[index] === null ? '–' : line.points[index].toFixed(2)}`)
+    ]
+
+    this.tooltipTarget.textContent = rows.join('\n')
+    this.tooltipTarget.style.left = `${event.clientX + 14}px`
+    this.tooltipTarget.style.top = `${event.clientY + 14}px`
+    this.tooltipTarget.hidden = false
+  }
+
+  hideTooltip() {
+    this.tooltipTarget.hidden = true
+    this.hoverIndex = null
+    this.render()
+  }
+
+  nearestIndex(times, t) {
+    let low = 0
+    let high = times.length - 1
+
+    while (low < high) {
+      const mid = Math.floor((low + high) / 2)
+      if (times[mid] < t) {
+        low = mid + 1
+      } else {
+        high = mid
+      }
+    }
+
+    return low > 0 && Math.abs(times[low - 1] - t) < Math.abs(times[low] - t) ? low - 1 : low
+  }
+
+  plotArea(canvas) {
+    return {
+      x: PADDING.left,
+      y: PADDING.top,
+      width: Math.max(1, canvas.clientWidth - PADDING.left - PADDING.right),
+      height: Math.max(1, canvas.clientHeight - PADDING.top - PADDING.bottom)
+    }
+  }
+
+  setStatus(text, error = false) {
+    this.statusTarget.textContent = text
+    this.statusTarget.classList.toggle('error', error)
+  }
+
+  formatPercent(fraction) {
+    return `${(fraction * 100).toFixed(2)}%`
+  }
+
+  formatValue(value) {
+    if (value === null || value === undefined || !Number.isFinite(value)) return '–'
+
+    const magnitude = Math.abs(value)
+    const digits = magnitude >= 1000 ? 0 : magnitude >= 1 ? 2 : 4
+    return new Intl.NumberFormat('en-US', { maximumFractionDigits: digits, minimumFractionDigits: digits }).format(value)
+  }
+
+  formatTick(t, span) {
+    const iso = new Date(t).toISOString()
+    if (span > 2 * 365 * DAY_MS) return iso.slice(0, 7)
+    if (span > 3 * DAY_MS) return iso.slice(0, 10)
+    return iso.slice(5, 16).replace('T', ' ')
+  }
+
+  formatTimestamp(t) {
+    return new Date(t).toISOString().slice(0, 16).replace('T', ' ')
+  }
+}
@@ -0,0 +1,179 @@
+import { Controller } from "@hotwired/stimulus"
+
+const NEWLINE = 10
+
+// Download dialog for the streamed time series export. Builds the export URL
+// from the form, then reads the response body chunk by chunk so the row count
+// from X-Export-Rows can drive a progress bar before the file is saved.
+export default class extends Controller {
+  static targets = [
+    "dialog", "format", "from", "to", "column", "timeZone", "ticker",
+    "link", "progress", "progressBar", "status", "submit", "cancel"
+  ]
+  static values = { url: String }
+
+  disconnect() {
+    this.abortController?.abort()
+  }
+
+  open() {
+    this.updateLink()
+    this.resetProgress()
+    this.dialogTarget.showModal()
+  }
+
+  close() {
+    this.abortController?.abort()
+    this.dialogTarget.close()
+  }
+
+  // Stops a running download, otherwise closes the dialog
+  cancel() {
+    if (this.abortController) {
+      this.abortController.abort()
+    } else {
+      this.close()
+    }
+  }
+
+  // Selects the tickers whose rows are currently visible in the index filter
+  selectVisible() {
+    this.tickerTargets.forEach(checkbox => {
+      const row = document.querySelector(`.time-series-row[data-ticker="${checkbox.value.toLowerCase()}"]`)
+      checkbox.checked = !!row && row.style.display !== 'none'
+    })
+    this.updateLink()
+  }
+
+  selectNone() {
+    this.tickerTargets.forEach(checkbox => { checkbox.checked = false })
+    this.updateLink()
+  }
+
+  updateLink() {
+    const url = this.exportUrl()
+    this.linkTarget.value = url ? url.toString() : ''
+    this.submitTarget.disabled = !url || !!this.abortController
+  }
+
+  exportUrl() {
+    const format = this.formatTargets.find(input => input.checked)?.value || 'csv'
+    const url = new URL(`${this.urlValue}.${format}`, window.location.origin)
+
+    if (this.hasTickerTarget) {
+      const tickers = this.tickerTargets.filter(input => input.checked).map(input => input.value)
+      if (tickers.length === 0) return null
+      url.searchParams.set('tickers', tickers.join(','))
+    }
+
+    if (this.fromTarget.value) url.searchParams.set('from', this.fromTarget.value)
+    if (this.toTarget.value) url.searchParams.set('to', this.toTarget.value)
+
+    const columns = this.columnTargets.filter(input => input.checked).map(input => input.value)
+    if (columns.length > 0 && columns.length < this.columnTargets.length) {
+      url.searchParams.set('columns', columns.join(','))
+    }
+
+    if (this.timeZoneTarget.value) url.searchParams.set('time_zone', this.timeZoneTarget.value)
+
+    return url
+  }
+
+  async download(event) {
+    event.preventDefault()
+
+    const url = this.exportUrl()
+    if (!url) return
+
+    this.abortController = new AbortController()
+    this.updateLink()
+    this.cancelTarget.textContent = 'Cancel'
+    this.progressTarget.hidden = false
+    this.setProgress(0, 'Preparing export…')
+
+    try {
+      const response = await fetch(url, { signal: this.abortController.signal })
+
+      if (!response.ok) {
+        throw new Error((await response.text()) || `HTTP ${response.status}`)
+      }
+
+      const blob = await this.readBody(response, url.pathname.endsWith('.csv'))
+      this.save(blob, this.filenameFrom(response) || url.pathname.split('/').pop())
+      this.setProgress(1, 'Download complete')
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        this.setProgress(0, 'Export cancelled')
+      } else {
+        console.error('Export failed:', error)
+        this.setProgress(0, `Export failed: ${error.message}`)
+      }
+    } finally {
+      this.abortController = null
+      this.cancelTarget.textContent = 'Close'
+      this.updateLink()
+    }
+  }
+
+  async readBody(response, hasHeaderRow) {
+    const total = Number(response.headers.get('X-Export-Rows')) + (hasHeaderRow ? 1 : 0)
+    const reader = response.body.getReader()
+    const chunks = []
+    let lines = 0
+
+    while (true) {
+      const { done, value } = await reader.read()
+      if (done) break
+
+      chunks.push(value)
+      lines += value.reduce((count, byte) => count + (byte === NEWLINE ? 1 : 0), 0)
+
+      const rows = Math.max(lines - (hasHeaderRow ? 1 : 0), 0)
+      this.setProgress(total > 0 ? lines / total : 0, `${this.formatNumber(rows)} of ${this.formatNumber(total - (hasHeaderRow ? 1 : 0))} rows`)
+    }
+
+    return new Blob(chunks, { type: response.headers.get('Content-Type') || 'application/octet-stream' })
+  }
+
+  save(blob, filename) {
+    const objectUrl = URL.createObjectURL(blob)
+    const link = document.createElement('a')
+    link.href = objectUrl
+    link.download = filename
+    document.body.appendChild(link)
+    link.click()
+    link.remove()
+    URL.revokeObjectURL(objectUrl)
+  }
+
+  filenameFrom(response) {
+    const disposition = response.headers.get('Content-Disposition') || ''
+    const match = disposition.match(/filename\*=UTF-8''([^;]+)/) || disposition.match(/filename="([^"]+)"/)
+    return match ? decodeURIComponent(match[1]) : null
+  }
+
+  async copyLink() {
+    try {
+      await navigator.clipboard.writeText(this.linkTarget.value)
+      this.statusTarget.textContent = 'Link copied'
+    } catch (error) {
+      console.error('Error copying link:', error)
+      this.linkTarget.select()
+    }
+  }
+
+  resetProgress() {
+    this.progressTarget.hidden = true
+    this.setProgress(0, '')
+    this.cancelTarget.textContent = 'Close'
+  }
+
+  setProgress(fraction, message) {
+    this.progressBarTarget.style.width = `${Math.min(Math.max(fraction, 0), 1) * 100}%`
+    this.statusTarget.textContent = message
+  }
+
+  formatNumber(value) {
+    return new Intl.NumberFormat().format(value)
+  }
+}
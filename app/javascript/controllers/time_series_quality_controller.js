@@ -0,0 +1,243 @@
+import { Controller } from "@hotwired/stimulus"
+
+const CHECK_LABELS = {
+  gap: 'Gaps',
+  duplicate: 'Duplicates',
+  ohlc: 'OHLC violations',
+  nonpositive: 'Non-positive prices',
+  jump: 'Jumps'
+}
+
+// Quality tab of a time series: runs the server-side checks when first opened,
+// lists the findings, marks them on the chart and the data table, and starts
+// backfill runs for gaps.
+export default class extends Controller {
+  static targets = ["summary", "list", "status", "sigma", "badge"]
+  static outlets = ["time-series-chart"]
+  static values = {
+    url: String,
+    backfillUrl: String
+  }
+
+  connect() {
+    this.loaded = false
+  }
+
+  load() {
+    if (this.loaded) return
+    this.refresh()
+  }
+
+  async refresh() {
+    this.loaded = true
+    this.setStatus('Running checks…')
+
+    const url = new URL(this.urlValue, window.location.origin)
+    if (this.hasSigmaTarget && this.sigmaTarget.value) {
+      url.searchParams.set('sigma', this.sigmaTarget.value)
+    }
+
+    try {
+      const response = await fetch(url, {
+        headers: {
+          'Accept': 'application/json',
+          'X-Requested-With': 'XMLHttpRequest'
+        }
+      })
+
+      const data = await response.json()
+      if (!response.ok) {
+        throw new Error(data.error || `HTTP ${response.status}`)
+      }
+
+      this.render(data)
+    } catch (error) {
+      console.error('Quality checks failed:', error)
+      this.loaded = false
+      this.setStatus(`Quality checks failed: ${error.message}`)
+    }
+  }
+
+  render(report) {
+    this.renderSummary(report.summary, report.calendar)
+    this.renderFindings(report.findings, report.summary)
+    this.markTable(report.findings)
+
+    if (this.hasTimeSeriesChartOutlet) {
+      this.timeSeriesChartOutlet.setMarkers(report.findings.map(finding => ({
+        from: finding.ts,
+        to: finding.to,
+        severity: finding.severity
+      })))
+    }
+
+    const issues = report.findings.filter(finding => finding.severity !== 'info').length
+    this.badgeTarget.textContent = issues
+    this.badgeTarget.hidden = issues === 0
+
+    this.setStatus(`Checked ${this.formatNumber(report.points_count)} points at ${new Date(report.checked_at).toLocaleTimeString()}`)
+  }
+
+  // Gaps only count the bars the series' trading calendar expects, if it has one
+  renderSummary(summary, calendar) {
+    this.summaryTarget.innerHTML = ''
+
+    Object.entries(CHECK_LABELS).forEach(([check, label]) => {
+      const count = summary[check] || 0
+      const chip = document.createElement('span')
+      chip.className = `quality-chip ${count > 0 ? 'has-findings' : ''}`
+      chip.textContent = `${check === 'gap' && calendar ? `${label} (${calendar} calendar)` : label}: ${this.formatNumber(count)}`
+      this.summaryTarget.appendChild(chip)
+    })
+  }
+
+  renderFindings(findings, summary) {
+    this.listTarget.innerHTML = ''
+
+    if (findings.length === 0) {
+      const empty = document.createElement('p')
+      empty.className = 'quality-empty'
+      empty.textContent = 'No issues found.'
+      this.listTarget.appendChild(empty)
+      return
+    }
+
+    const fragment = document.createDocumentFragment()
+    findings.forEach(finding => fragment.appendChild(this.buildFinding(finding)))
+    this.listTarget.appendChild(fragment)
+
+    const total = Object.values(summary).reduce((sum, count) => sum + count, 0)
+    if (total > findings.length) {
+      const note = document.createElement('p')
+      note.className = 'quality-truncated'
+      note.textContent = `Showing ${this.formatNumber(findings.length)} of ${this.formatNumber(total)} findings.`
+      this.listTarget.appendChild(note)
+    }
+  }
+
+  buildFinding(finding) {
+    const item = document.createElement('div')
+    item.className = `quality-finding ${finding.severity}`
+
+    const type = document.createElement('span')
+    type.className = 'quality-type'
+    type.textContent = CHECK_LABELS[finding.type] || finding.type
+
+    const message = document.createElement('span')
+    message.className = 'quality-message'
+    message.textContent = finding.message
+
+    const actions = document.createElement('span')
+    actions.className = 'quality-actions'
+    actions.appendChild(this.buildButton('Show', 'focus', finding))
+
+    if (finding.type === 'gap') {
+      actions.appendChild(this.buildButton('Backfill this gap', 'backfill', finding))
+    }
+
+    item.append(type, message, actions)
+    return item
+  }
+
+  buildButton(label, action, finding) {
+    const button = document.createElement('button')
+    button.type = 'button'
+    button.className = 'quality-button'
+    button.textContent = label
+    button.dataset.action = `time-series-quality#${action}`
+    button.dataset.timeSeriesQualityFromParam = finding.ts
+    button.dataset.timeSeriesQualityToParam = finding.to || finding.ts
+    return button
+  }
+
+  // Highlights rows of the current data page that have a finding
+  markTable(findings) {
+    const byTime = new Map()
+    findings.forEach(finding => {
+      [finding.ts, finding.to].filter(Boolean).forEach(ts => byTime.set(Date.parse(ts), finding))
+    })
+
+    document.querySelectorAll('.data-table tr[data-ts]').forEach(row => {
+      const finding = byTime.get(Date.parse(row.dataset.ts))
+
+      row.classList.remove('quality-flag-error', 'quality-flag-warning', 'quality-flag-info')
+      row.removeAttribute('title')
+
+      if (finding) {
+        row.classList.add(`quality-flag-${finding.severity}`)
+        row.title = finding.message
+      }
+    })
+  }
+
+  focus(event) {
+    if (!this.hasTimeSeriesChartOutlet) return
+
+    this.timeSeriesChartOutlet.focus(event.params.from, event.params.to)
+    this.timeSeriesChartOutlet.element.scrollIntoView({ behavior: 'smooth', block: 'start' })
+  }
+
+  async backfill(event) {
+    const button = event.currentTarget
+    button.disabled = true
+    button.textContent = 'Starting…'
+
+    try {
+      const response = await fetch(this.backfillUrlValue, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Accept': 'application/json',
+          'X-CSRF-Token': this.getCSRFToken()
+        },
+        body: JSON.stringify({ from: event.params.from, to: event.params.to })
+      })
+
+      const data = await response.json()
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to start backfill')
+      }
+
+      const link = document.createElement('a')
+      link.href = data.run_url
+      link.className = 'quality-button'
+      link.textContent = `View run #${data.run_id}`
+      button.replaceWith(link)
+
+      this.showMessage(data.message, 'success')
+    } catch (error) {
+      console.error('Error starting backfill:', error)
+      button.disabled = false
+      button.textContent = 'Backfill this gap'
+      this.showMessage(`Error: ${error.message}`, 'error')
+    }
+  }
+
+  setStatus(text) {
+    this.statusTarget.textContent = text
+  }
+
+  formatNumber(num) {
+    return new Intl.NumberFormat().format(num)
+  }
+
+  showMessage(message, type) {
+    const messageDiv = document.createElement('div')
+    messageDiv.className = `pipeline-message ${type}`
+    messageDiv.textContent = message
+
+    document.body.appendChild(messageDiv)
+
+    // Auto-remove message after 3 seconds
+    setTimeout(() => {
+      if (document.body.contains(messageDiv)) {
+        document.body.removeChild(messageDiv)
+      }
+    }, 3000)
+  }
+
+  getCSRFToken() {
+    const token = document.querySelector('meta[name="csrf-token"]')
+    return token ? token.getAttribute('content') : ''
+  }
+}
@@ -0,0 +1,68 @@
+import { Controller } from "@hotwired/stimulus"
+
+// Search and filters on the time series index. Changes reload the results
+// Turbo Frame from the server (text input is debounced) and the non-empty
+// filters are written to the page URL so reloads and shared links keep them.
+export default class extends Controller {
+  static targets = ["form", "frame", "sort", "direction"]
+  static values = {
+    debounce: { type: Number, default: 300 }
+  }
+
+  connect() {
+    this.lastUrl = this.searchUrl().toString()
+  }
+
+  disconnect() {
+    clearTimeout(this.searchTimeout)
+  }
+
+  search(event) {
+    // Selects also fire input events; they are handled by change
+    if (event.target.tagName === 'SELECT') return
+
+    clearTimeout(this.searchTimeout)
+    this.searchTimeout = setTimeout(() => this.submit(), this.debounceValue)
+  }
+
+  submit(event) {
+    clearTimeout(this.searchTimeout)
+
+    // A new sort starts in its natural direction
+    if (event?.target === this.sortTarget) {
+      this.directionTarget.value = this.sortTarget.value === 'ticker' ? 'asc' : 'desc'
+    }
+
+    const url = this.searchUrl()
+    if (url.toString() === this.lastUrl) return
+
+    this.lastUrl = url.toString()
+    this.frameTarget.src = url.toString()
+    window.history.replaceState(window.history.state, '', url)
+  }
+
+  clear() {
+    this.formTarget.querySelectorAll('input[type="search"], select').forEach(field => {
+      field.value = field.options ? field.options[0].value : ''
+    })
+    this.submit()
+  }
+
+  // Only non-default values end up in the URL
+  searchUrl() {
+    const url = new URL(this.formTarget.action, window.location.origin)
+    const data = new FormData(this.formTarget)
+    const defaultDirection = data.get('sort') === 'ticker' ? 'asc' : 'desc'
+
+    for (const [name, value] of data) {
+      const trimmed = value.toString().trim()
+      if (!trimmed) continue
+      if (name === 'sort' && trimmed === 'ticker') continue
+      if (name === 'direction' && trimmed === defaultDirection) continue
+
+      url.searchParams.set(name, trimmed)
+    }
+
+    return url
+  }
+}
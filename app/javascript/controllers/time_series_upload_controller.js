@@ -0,0 +1,547 @@
+import { Controller } from "@hotwired/stimulus"
+
+const PREVIEW_ROWS = 20
+const MAX_ERRORS = 100
+
+// Header names recognized when guessing the column mapping
+const ALIASES = {
+  ts: ['ts', 'timestamp', 'date', 'time', 'datetime', 't'],
+  open: ['open', 'o'],
+  high: ['high', 'h'],
+  low: ['low', 'l'],
+  close: ['close', 'c', 'adjclose', 'price'],
+  volume: ['volume', 'vol', 'v'],
+  value: ['value', 'main', 'close', 'price', 'v']
+}
+
+// Upload page. Parses a CSV or JSON file in the browser, maps its columns to
+// the fields of the series kind, validates the rows (dates, numbers, OHLC
+// consistency, duplicates) and asks the server which timestamps already exist
+// (TimeSeriesController#import with dry_run). Importing creates the series if
+// needed and posts the valid rows in chunks.
+export default class extends Controller {
+  static targets = [
+    "mode", "newFields", "existingFields", "ticker", "kind", "timeframe", "calendar", "description", "existing",
+    "file", "fileInfo", "mappingSection", "mapping", "previewSection", "counts", "errors", "preview",
+    "progress", "progressBar", "status", "importButton"
+  ]
+  static values = {
+    createUrl: String,
+    importUrl: String,
+    showUrl: String,
+    fields: Object,
+    maxRows: { type: Number, default: 5000 },
+    chunkSize: { type: Number, default: 1000 }
+  }
+
+  connect() {
+    this.headers = []
+    this.records = []
+    this.rows = []
+    this.duplicates = new Set()
+    this.checkId = 0
+  }
+
+  mode() {
+    return this.modeTargets.find(input => input.checked)?.value || 'new'
+  }
+
+  kind() {
+    if (this.mode() === 'new') return this.kindTarget.value
+
+    return this.existingTarget.selectedOptions[0]?.dataset.kind || 'aggregate'
+  }
+
+  fields() {
+    return this.fieldsValue[this.kind()] || []
+  }
+
+  selectMode() {
+    const existing = this.mode() === 'existing'
+    this.newFieldsTarget.hidden = existing
+    this.existingFieldsTarget.hidden = !existing
+    this.changeKind()
+  }
+
+  changeKind() {
+    if (this.records.length === 0) return
+
+    this.renderMapping()
+    this.validate()
+  }
+
+  async loadFile() {
+    const file = this.fileTarget.files[0]
+    this.records = []
+    this.rows = []
+    this.setStatus('')
+    this.fileInfoTarget.classList.remove('error')
+
+    if (!file) {
+      this.fileInfoTarget.textContent = ''
+      this.render()
+      return
+    }
+
+    try {
+      const text = (await file.text()).replace(/^\uFEFF/, '')
+      const parsed = /^\s*[[{]/.test(text) ? this.parseJSON(text) : this.parseCSV(text)
+
+      if (parsed.records.length === 0) {
+        throw new Error('The file contains no rows')
+      }
+
+      this.headers = parsed.headers
+      this.records = parsed.records
+      this.firstLine = parsed.firstLine
+      this.fileInfoTarget.textContent = `${file.name}: ${this.records.length.toLocaleString()} rows, columns ${this.headers.join(', ')}`
+
+      this.renderMapping(true)
+      this.validate()
+    } catch (error) {
+      console.error('Error reading file:', error)
+      this.fileInfoTarget.textContent = `Could not read ${file.name}: ${error.message}`
+      this.fileInfoTarget.classList.add('error')
+      this.render()
+    }
+  }
+
+  // Array of objects, or an object holding one (e.g. { "data": [...] })
+  parseJSON(text) {
+    let data = JSON.parse(text)
+    if (!Array.isArray(data)) {
+      data = Object.values(data).find(value => Array.isArray(value))
+    }
+    if (!Array.isArray(data) || data.some(record => record === null || typeof record !== 'object' || Array.isArray(record))) {
+      throw new Error('Expected an array of objects')
+    }
+
+    const headers = [...new Set(data.slice(0, 100).flatMap(record => Object.keys(record)))]
+    return { headers, records: data, firstLine: 1 }
+  }
+
+  parseCSV(text) {
+    const firstLine = text.slice(0, text.search(/\r?\n|$/))
+    const delimiter = [',', ';', '\t'].reduce((best, candidate) =>
+      firstLine.split(candidate).length > firstLine.split(best).length ? candidate : best)
+
+    const lines = []
+    let fields = []
+    let field = ''
+    let quoted = false
+
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i]
+
+      if (quoted) {
+        if (char === '"' && text[i + 1] === '"') {
+          field += '"'
+          i++
+        } else if (char === '"') {
+          quoted = false
+        } else {
+          field += char
+        }
+      } else if (char === '"') {
+        quoted = true
+      } else if (char === delimiter) {
+        fields.push(field)
+        field = ''
+      } else if (char === '\n' || char === '\r') {
+        if (char === '\r' && text[i + 1] === '\n') i++
+        fields.push(field)
+        lines.push(fields)
+        fields = []
+        field = ''
+      } else {
+        field += char
+      }
+    }
+    if (field !== '' || fields.length > 0) {
+      fields.push(field)
+      lines.push(fields)
+    }
+
+    const [header = [], ...body] = lines
+    const headers = header.map(name => name.trim())
+    const records = body
+      .filter(values => values.some(value => value.trim() !== ''))
+      .map(values => Object.fromEntries(headers.map((name, index) => [name, values[index]])))
+
+    // Data starts on line 2, after the header
+    return { headers, records, firstLine: 2 }
+  }
+
+  renderMapping(guess = false) {
+    const previous = Object.fromEntries(
+      Array.from(this.mappingTarget.querySelectorAll('select')).map(select => [select.dataset.field, select.value])
+    )
+
+    this.mappingTarget.replaceChildren(...this.fields().map(field => {
+      const label = document.createElement('label')
+      label.textContent = field === 'volume' ? 'volume (optional)' : field
+
+      const select = document.createElement('select')
+      select.dataset.field = field
+      select.dataset.action = 'time-series-upload#validate'
+      select.append(new Option('—', ''), ...this.headers.map(header => new Option(header, header)))
+      select.value = (!guess && previous[field]) || this.guessColumn(field) || ''
+
+      label.appendChild(select)
+      return label
+    }))
+
+    this.mappingSectionTarget.hidden = false
+  }
+
+  guessColumn(field) {
+    const normalized = this.headers.map(header => [header, header.toLowerCase().replace(/[^a-z]/g, '')])
+    for (const alias of ALIASES[field] || [field]) {
+      const match = normalized.find(([, name]) => name === alias)
+      if (match) return match[0]
+    }
+    return null
+  }
+
+  mapping() {
+    return Object.fromEntries(
+      Array.from(this.mappingTarget.querySelectorAll('select')).map(select => [select.dataset.field, select.value])
+    )
+  }
+
+  // Converts the records with the current mapping and checks them; rows that
+  // already exist are then looked up on the server
+  validate() {
+    const mapping = this.mapping()
+    const fields = this.fields()
+    const missing = fields.filter(field => field !== 'volume' && !mapping[field])
+    const seen = new Map()
+
+    this.duplicates = new Set()
+    this.rows = this.records.map((record, index) => {
+      const row = { row: index + this.firstLine }
+      const values = {}
+      let error = null
+
+      for (const field of fields) {
+        const raw = mapping[field] ? record[mapping[field]] : undefined
+
+        if (field === 'ts') {
+          const date = this.parseDate(raw)
+          if (!date) error ||= `Invalid date: ${JSON.stringify(raw ?? '')}`
+          values.ts = date?.toISOString()
+        } else if (field === 'volume' && (raw === undefined || raw === null || String(raw).trim() === '')) {
+          values.volume = null
+        } else {
+          const number = this.parseNumber(raw)
+          if (number === null) error ||= `${field} is not a number: ${JSON.stringify(raw ?? '')}`
+          values[field] = number
+        }
+      }
+
+      error ||= this.ohlcError(values)
+
+      if (!error && seen.has(values.ts)) {
+        error = `Duplicate of row ${seen.get(values.ts)} (${values.ts})`
+      } else if (!error) {
+        seen.set(values.ts, row.row)
+      }
+
+      return { ...row, values, error }
+    })
+
+    if (missing.length > 0) {
+      this.rows.forEach(row => { row.error = `Map a column to ${missing.join(', ')}` })
+    }
+
+    this.render()
+    this.checkExisting()
+  }
+
+  ohlcError({ open, high, low, close, volume }) {
+    if (high === undefined || [open, high, low, close].includes(null)) return null
+
+    if (high < Math.max(open, low, close)) return `high ${high} is below open, low or close`
+    if (low > Math.min(open, close)) return `low ${low} is above open or close`
+    if (volume !== null && volume < 0) return `volume ${volume} is negative`
+    return null
+  }
+
+  // Dry-run imports against an existing series to find timestamps that are
+  // already stored
+  async checkExisting() {
+    const checkId = ++this.checkId
+    const valid = this.validRows()
+    if (this.mode() !== 'existing' || valid.length === 0) return
+
+    this.setStatus('Checking for existing points…')
+
+    try {
+      for (let start = 0; start < valid.length; start += this.chunkSize()) {
+        const data = await this.postChunk(this.existingTarget.value, valid.slice(start, start + this.chunkSize()), true)
+        if (checkId !== this.checkId) return
+
+        data.duplicates.forEach(duplicate => this.duplicates.add(duplicate.row))
+      }
+
+      this.setStatus('')
+      this.render()
+    } catch (error) {
+      if (checkId !== this.checkId) return
+
+      console.error('Error checking existing points:', error)
+      this.setStatus(`Could not check existing points: ${error.message}`, true)
+    }
+  }
+
+  async import() {
+    const rows = this.validRows().filter(row => !this.duplicates.has(row.row))
+    if (rows.length === 0) return
+
+    this.checkId++
+    this.importButtonTarget.disabled = true
+    this.progressTarget.hidden = false
+    this.progressBarTarget.style.width = '0%'
+
+    const totals = { inserted: 0, duplicates: 0, errors: 0 }
+
+    try {
+      const ticker = this.mode() === 'new' ? await this.createSeries() : this.existingTarget.value
+
+      for (let start = 0; start < rows.length; start += this.chunkSize()) {
+        const data = await this.postChunk(ticker, rows.slice(start, start + this.chunkSize()), false)
+        totals.inserted += data.inserted
+        totals.duplicates += data.duplicates.length
+        totals.errors += data.errors.length
+
+        const done = Math.min(start + this.chunkSize(), rows.length)
+        this.progressBarTarget.style.width = `${done / rows.length * 100}%`
+        this.setStatus(`Imported ${done.toLocaleString()} of ${rows.length.toLocaleString()} rows…`)
+      }
+
+      const skipped = this.rows.length - totals.inserted
+      this.statusTarget.replaceChildren(
+        `Inserted ${totals.inserted.toLocaleString()} rows, skipped ${skipped.toLocaleString()} ` +
+        `(${(this.invalidCount() + totals.errors).toLocaleString()} invalid, ${(this.duplicates.size + totals.duplicates).toLocaleString()} already imported). `,
+        this.seriesLink(ticker)
+      )
+      this.statusTarget.classList.remove('error')
+      this.showMessage(`Imported ${totals.inserted} rows into ${ticker}`, 'success')
+    } catch (error) {
+      console.error('Error importing rows:', error)
+      this.setStatus(`Import stopped after ${totals.inserted.toLocaleString()} rows: ${error.message}`, true)
+      this.showMessage(`Error: ${error.message}`, 'error')
+      this.importButtonTarget.disabled = false
+    }
+  }
+
+  // Creates the new series and switches the form to it, so that a retry
+  // imports into the same series
+  async createSeries() {
+    const response = await fetch(this.createUrlValue, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Accept': 'application/json',
+        'X-CSRF-Token': this.getCSRFToken()
+      },
+      body: JSON.stringify({
+        time_series: {
+          ticker: this.tickerTarget.value.trim(),
+          kind: this.kindTarget.value,
+          timeframe: this.timeframeTarget.value,
+          calendar: this.calendarTarget.value,
+          description: this.descriptionTarget.value.trim()
+        }
+      })
+    })
+
+    const data = await response.json()
+    if (!response.ok) {
+      throw new Error(data.error || 'Failed to create time series')
+    }
+
+    const series = data.time_series
+    const option = new Option(`${series.ticker} (${series.source}, ${series.kind}, ${series.timeframe})`, series.ticker, true, true)
+    option.dataset.kind = series.kind
+    this.existingTarget.add(option)
+    this.modeTargets.forEach(input => {
+      input.disabled = false
+      input.checked = input.value === 'existing'
+    })
+    this.newFieldsTarget.hidden = true
+    this.existingFieldsTarget.hidden = false
+
+    return series.ticker
+  }
+
+  async postChunk(ticker, rows, dryRun) {
+    const response = await fetch(this.importUrlValue.replace('__TICKER__', encodeURIComponent(ticker)), {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Accept': 'application/json',
+        'X-CSRF-Token': this.getCSRFToken()
+      },
+      body: JSON.stringify({
+        dry_run: dryRun,
+        rows: rows.map(row => ({ row: row.row, ...row.values }))
+      })
+    })
+
+    const data = await response.json()
+    if (!response.ok) {
+      throw new Error(data.error || `HTTP ${response.status}`)
+    }
+
+    return data
+  }
+
+  chunkSize() {
+    return Math.min(this.chunkSizeValue, this.maxRowsValue)
+  }
+
+  validRows() {
+    return this.rows.filter(row => !row.error)
+  }
+
+  invalidCount() {
+    return this.rows.length - this.validRows().length
+  }
+
+  render() {
+    this.previewSectionTarget.hidden = this.rows.length === 0
+    this.mappingSectionTarget.hidden = this.records.length === 0
+    this.progressTarget.hidden = true
+
+    const valid = this.validRows().length
+    const importable = valid - this.duplicates.size
+    this.importButtonTarget.disabled = importable === 0
+    this.importButtonTarget.textContent = importable > 0 ? `Import ${importable.toLocaleString()} rows` : 'Import'
+
+    if (this.rows.length === 0) return
+
+    this.countsTarget.replaceChildren(
+      this.count(`${this.rows.length.toLocaleString()} rows`),
+      this.count(`${importable.toLocaleString()} to import`, 'valid'),
+      this.count(`${this.duplicates.size.toLocaleString()} already imported`, 'duplicate'),
+      this.count(`${this.invalidCount().toLocaleString()} invalid`, 'invalid')
+    )
+
+    const errors = this.rows.filter(row => row.error)
+    const items = errors.slice(0, MAX_ERRORS).map(row => {
+      const item = document.createElement('li')
+      item.textContent = `Row ${row.row}: ${row.error}`
+      return item
+    })
+    if (errors.length > MAX_ERRORS) {
+      const more = document.createElement('li')
+      more.textContent = `…and ${(errors.length - MAX_ERRORS).toLocaleString()} more`
+      items.push(more)
+    }
+    this.errorsTarget.replaceChildren(...items)
+
+    this.renderPreview()
+  }
+
+  renderPreview() {
+    const fields = this.fields()
+    const table = document.createElement('table')
+
+    const head = table.createTHead().insertRow()
+    ;['row', ...fields, 'status'].forEach(name => {
+      const th = document.createElement('th')
+      th.textContent = name
+      head.appendChild(th)
+    })
+
+    const body = table.createTBody()
+    this.rows.slice(0, PREVIEW_ROWS).forEach(row => {
+      const tr = body.insertRow()
+      const duplicate = this.duplicates.has(row.row)
+      if (row.error) tr.className = 'invalid'
+      else if (duplicate) tr.className = 'duplicate'
+
+      const cells = [row.row, ...fields.map(field => row.values[field] ?? ''), row.error || (duplicate ? 'already imported' : 'ok')]
+      cells.forEach(value => { tr.insertCell().textContent = value })
+    })
+
+    this.previewTarget.replaceChildren(table)
+  }
+
+  count(text, type = '') {
+    const span = document.createElement('span')
+    span.className = `upload-count ${type}`.trim()
+    span.textContent = text
+    return span
+  }
+
+  seriesLink(ticker) {
+    const link = document.createElement('a')
+    link.href = this.showUrlValue.replace('__TICKER__', encodeURIComponent(ticker))
+    link.textContent = `Open ${ticker}`
+    return link
+  }
+
+  // Unix seconds or milliseconds, ISO 8601, or YYYY-MM-DD / YYYY/MM/DD with an
+  // optional time (read as UTC)
+  parseDate(value) {
+    if (value === undefined || value === null) return null
+
+    const text = String(value).trim()
+    if (/^\d{9,13}(\.\d+)?$/.test(text)) {
+      const number = Number(text)
+      return new Date(text.split('.')[0].length > 11 ? number : number * 1000)
+    }
+
+    const match = text.match(/^(\d{4})[-/](\d{1,2})[-/](\d{1,2})(?:[ T](\d{1,2}):(\d{2})(?::(\d{2})(?:\.\d+)?)?)?$/)
+    if (match) {
+      const [year, month, day, hour = 0, minute = 0, second = 0] = match.slice(1).map(part => part === undefined ? undefined : Number(part))
+      const date = new Date(Date.UTC(year, month - 1, day, hour, minute, second))
+      // Rejects dates like 2024-02-31 that Date would roll over
+      const valid = date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day &&
+        date.getUTCHours() === hour && date.getUTCMinutes() === minute
+      return valid ? date : null
+    }
+
+    if (/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})$/.test(text)) {
+      const date = new Date(text)
+      return Number.isNaN(date.getTime()) ? null : date
+    }
+
+    return null
+  }
+
+  parseNumber(value) {
+    if (typeof value === 'number') return Number.isFinite(value) ? value : null
+    if (value === undefined || value === null || String(value).trim() === '') return null
+
+    const number = Number(String(value).trim())
+    return Number.isFinite(number) ? number : null
+  }
+
+  setStatus(text, error = false) {
+    this.statusTarget.textContent = text
+    this.statusTarget.classList.toggle('error', error)
+  }
+
+  showMessage(message, type) {
+    const messageDiv = document.createElement('div')
+    messageDiv.className = `pipeline-message ${type}`
+    messageDiv.textContent = message
+
+    document.body.appendChild(messageDiv)
+
+    // Auto-remove message after 3 seconds
+    setTimeout(() => {
+      if (document.body.contains(messageDiv)) {
+        document.body.removeChild(messageDiv)
+      }
+    }, 3000)
+  }
+
+  getCSRFToken() {
+    const token = document.querySelector('meta[name="csrf-token"]')
+    return token ? token.getAttribute('content') : ''
+  }
+}
@@ -0,0 +1,253 @@
+import { Controller } from "@hotwired/stimulus"
+import consumer from "channels/consumer"
+
+// Watchlists on the time series index. The rows are drawn from the
+// watchlist's sparklines endpoint, which answers for all of its series in one
+// request, and refreshed whenever a pipeline run completes plus on a timer in
+// case the socket is down. Lists and rows are reordered by sortable_controller.
+export default class extends Controller {
+  static targets = ['rows', 'row', 'empty', 'status', 'name', 'activeTab']
+  static values = {
+    createUrl: String,
+    sparklinesUrl: String,
+    interval: { type: Number, default: 60000 }
+  }
+
+  static SPARKLINE_WIDTH = 120
+  static SPARKLINE_HEIGHT = 28
+
+  connect() {
+    this.series = {}
+    if (!this.sparklinesUrlValue) return
+
+    this.refresh()
+    this.intervalId = setInterval(() => this.refresh(), this.intervalValue)
+    this.subscription = consumer.subscriptions.create(
+      { channel: 'PipelineUpdatesChannel' },
+      { received: (delta) => this.runUpdated(delta) }
+    )
+  }
+
+  disconnect() {
+    clearInterval(this.intervalId)
+    clearTimeout(this.refreshTimeout)
+    if (this.subscription) {
+      this.subscription.unsubscribe()
+      this.subscription = null
+    }
+  }
+
+  // Runs finish in bursts, so refreshes wait for things to settle
+  runUpdated(delta) {
+    if (delta.type !== 'run' || delta.status !== 'COMPLETED') return
+
+    clearTimeout(this.refreshTimeout)
+    this.refreshTimeout = setTimeout(() => this.refresh(), 2000)
+  }
+
+  async refresh() {
+    if (document.hidden || this.rowTargets.length === 0) return
+
+    try {
+      const response = await fetch(this.sparklinesUrlValue, { headers: { 'Accept': 'application/json' } })
+      if (!response.ok) throw new Error(`HTTP ${response.status}`)
+
+      const data = await response.json()
+      this.series = data.series
+      this.rowTargets.forEach(row => this.renderRow(row))
+    } catch (error) {
+      console.error('Error refreshing watchlist:', error)
+    }
+  }
+
+  renderRow(row) {
+    const data = this.series[row.dataset.ticker]
+    if (!data) return
+
+    const field = name => row.querySelector(`[data-field="${name}"]`)
+    const last = field('last')
+    const lastText = data.last == null ? '—' : this.formatNumber(data.last)
+
+    if (last.textContent !== lastText && last.textContent !== '…') {
+      last.classList.remove('watchlist-updated')
+      void last.offsetWidth // Restarts the highlight animation
+      last.classList.add('watchlist-updated')
+    }
+    last.textContent = lastText
+
+    const change = field('change')
+    change.classList.toggle('watchlist-up', data.change > 0)
+    change.classList.toggle('watchlist-down', data.change < 0)
+    change.textContent = data.change == null
+      ? '—'
+      : `${this.signed(data.change)}${data.change_percent == null ? '' : ` (${this.signed(data.change_percent, '%')})`}`
+    change.title = data.previous_close == null ? '' : `Previous close ${this.formatNumber(data.previous_close)}`
+
+    field('ts').textContent = data.last_ts ? data.last_ts.slice(0, 16).replace('T', ' ') : ''
+    field('sparkline').innerHTML = this.sparkline(data.values, data.change)
+  }
+
+  sparkline(values, change) {
+    if (!values || values.length < 2) return ''
+
+    const width = this.constructor.SPARKLINE_WIDTH
+    const height = this.constructor.SPARKLINE_HEIGHT
+    const min = Math.min(...values)
+    const max = Math.max(...values)
+    const range = max - min || 1
+    const step = width / (values.length - 1)
+    const points = values.map((value, index) => {
+      const x = index * step
+      const y = height - 2 - ((value - min) / range) * (height - 4)
+      return [x.toFixed(1), y.toFixed(1)]
+    })
+    const [lastX, lastY] = points[points.length - 1]
+    const color = change > 0 ? '#16a34a' : change < 0 ? '#dc2626' : '#64748b'
+
+    return `<svg width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" aria-hidden="true">` +
+      `<polyline points="${points.map(point => point.join(',')).join(' ')}" fill="none" stroke="${color}" stroke-width="1.5" stroke-linejoin="round"/>` +
+      `<circle cx="${lastX}" cy="${lastY}" r="2" fill="${color}"/></svg>`
+  }
+
+  async create(event) {
+    event.preventDefault()
+
+    try {
+      const data = await this.request(this.createUrlValue, new FormData(event.target))
+      this.visit(data.url)
+    } catch (error) {
+      console.error('Error creating watchlist:', error)
+      this.setStatus(`Error: ${error.message}`, true)
+    }
+  }
+
+  async rename(event) {
+    const name = prompt('Rename watchlist', this.nameTarget.textContent.trim())
+    if (!name) return
+
+    const formData = new FormData()
+    formData.append('_method', 'PATCH')
+    formData.append('watchlist[name]', name)
+
+    try {
+      const data = await this.request(event.params.url, formData)
+      this.nameTarget.textContent = data.name
+      if (this.hasActiveTabTarget) this.activeTabTarget.textContent = data.name
+      this.setStatus(data.message)
+    } catch (error) {
+      console.error('Error renaming watchlist:', error)
+      this.setStatus(`Error: ${error.message}`, true)
+    }
+  }
+
+  async destroy(event) {
+    if (!confirm(`Delete the watchlist ${this.nameTarget.textContent.trim()}? The series themselves are kept.`)) return
+
+    const formData = new FormData()
+    formData.append('_method', 'DELETE')
+
+    try {
+      const data = await this.request(event.params.url, formData)
+      this.visit(data.url)
+    } catch (error) {
+      console.error('Error deleting watchlist:', error)
+      this.setStatus(`Error: ${error.message}`, true)
+    }
+  }
+
+  async addItem(event) {
+    event.preventDefault()
+    const form = event.target
+
+    try {
+      const data = await this.request(event.params.url, new FormData(form))
+      this.rowsTarget.insertAdjacentHTML('beforeend', data.html)
+      form.reset()
+      this.updateEmpty()
+      this.setStatus(data.message)
+      this.refresh()
+    } catch (error) {
+      console.error('Error adding to watchlist:', error)
+      this.setStatus(`Error: ${error.message}`, true)
+    }
+  }
+
+  async removeItem(event) {
+    const button = event.currentTarget
+    const formData = new FormData()
+    formData.append('_method', 'DELETE')
+    button.disabled = true
+
+    try {
+      const data = await this.request(event.params.url, formData)
+      button.closest('tr').remove()
+      this.updateEmpty()
+      this.setStatus(data.message)
+    } catch (error) {
+      console.error('Error removing from watchlist:', error)
+      button.disabled = false
+      this.setStatus(`Error: ${error.message}`, true)
+    }
+  }
+
+  // Stores the order after a sortable:reordered event
+  async saveOrder(event) {
+    const formData = new FormData()
+    formData.append('_method', 'PATCH')
+    event.detail.ids.forEach(id => formData.append('ids[]', id))
+
+    try {
+      const data = await this.request(event.params.url, formData)
+      this.setStatus(data.message)
+    } catch (error) {
+      console.error('Error saving order:', error)
+      this.setStatus(`Error: ${error.message}`, true)
+    }
+  }
+
+  async request(url, formData) {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: {
+        'Accept': 'application/json',
+        'X-CSRF-Token': this.getCSRFToken()
+      },
+      body: formData
+    })
+
+    const data = await response.json()
+    if (!response.ok) {
+      throw new Error(data.error || `HTTP ${response.status}`)
+    }
+
+    return data
+  }
+
+  visit(url) {
+    window.Turbo ? window.Turbo.visit(url) : (window.location.href = url)
+  }
+
+  formatNumber(value) {
+    const digits = Math.abs(value) >= 1 ? 2 : 4
+    return value.toLocaleString(undefined, { minimumFractionDigits: digits, maximumFractionDigits: digits })
+  }
+
+  signed(value, suffix = '') {
+    const text = suffix ? `${Math.abs(value).toFixed(2)}${suffix}` : this.formatNumber(Math.abs(value))
+    return `${value > 0 ? '+' : value < 0 ? '-' : ''}${text}`
+  }
+
+  updateEmpty() {
+    this.emptyTarget.hidden = this.rowTargets.length > 0
+  }
+
+  setStatus(text, error = false) {
+    this.statusTarget.textContent = text
+    this.statusTarget.classList.toggle('watchlist-error', error)
+  }
+
+  getCSRFToken() {
+    const token = document.querySelector('meta[name="csrf-token"]')
+    return token ? token.getAttribute('content') : ''
+  }
+}
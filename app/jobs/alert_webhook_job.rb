@@ -0,0 +1,39 @@
+class AlertWebhookJob < ApplicationJob
+  sidekiq_options queue: 'default', retry: 3
+
+  # POSTs a triggered alert as JSON to its rule's webhook and records the
+  # outcome on the event. Failed deliveries raise so Sidekiq retries them.
+  def perform(alert_event_id)
+    event = AlertEvent.includes(alert_rule: :time_series).find_by(id: alert_event_id)
+    url = event&.alert_rule&.webhook_url
+    return if url.blank?
+
+    # Checked again as the host may resolve elsewhere than when the rule was saved
+    unless PublicHost.https_url?(url)
+      event.update!(webhook_status: 'Refused: not a public https URL')
+      return
+    end
+
+    response = connection.post(url) do |request|
+      request.headers['Content-Type'] = 'application/json'
+      request.headers['User-Agent'] = 'ETL-System-Alerts'
+      request.body = { event: 'alert.triggered', alert: event.payload }.to_json
+    end
+
+    event.update!(webhook_status: "HTTP #{response.status}")
+    raise "Webhook responded with HTTP #{response.status}" unless response.success?
+  rescue Faraday::Error => e
+    event.update!(webhook_status: "Failed: #{e.message.truncate(200)}")
+    raise
+  end
+
+  private
+
+  def connection
+    Faraday.new do |faraday|
+      faraday.options.timeout = 10
+      faraday.options.open_timeout = 5
+      faraday.adapter Faraday.default_adapter
+    end
+  end
+end
@@ -0,0 +1,10 @@
+class CleanupSnapshotsPurgeJob < ApplicationJob
+  sidekiq_options queue: 'low_priority', retry: false
+
+  # Drops snapshots of cleaned up points once their retention window is over
+  def perform
+    log_performance("Cleanup snapshots purge") do
+      CleanupSnapshot.expired.find_each(&:destroy)
+    end
+  end
+end
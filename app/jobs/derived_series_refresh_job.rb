@@ -0,0 +1,27 @@
+class DerivedSeriesRefreshJob < ApplicationJob
+  sidekiq_options queue: 'default', retry: false
+
+  # Runs the active pipelines of series derived from `ticker` after it got new
+  # points, see DerivedFlat. Regular runs continue at the latest derived
+  # point; when the parent changed before it (backfills, uploads, corrections)
+  # the run recomputes from `since`, the earliest changed point. Pipelines
+  # still busy with a run are skipped; their next run picks the new points up.
+  def perform(ticker, since = nil)
+    since = Time.zone.parse(since) if since
+
+    Pipeline.derived_from(ticker).where(active: true).includes(:time_series).find_each do |pipeline|
+      if pipeline.pipeline_runs.working.exists?
+        logger.info "Skipping refresh of derived pipeline #{pipeline.id}: a run is already in progress"
+        next
+      end
+
+      log_performance("Refresh of derived pipeline #{pipeline.id} from #{ticker}") do
+        if since && pipeline.time_series.points.where(ts: since..).exists?
+          pipeline.backfill_async!(from: since, to: nil)
+        else
+          pipeline.run_async!
+        end
+      end
+    end
+  end
+end
@@ -0,0 +1,11 @@
+class PushNotificationJob < ApplicationJob
+  sidekiq_options queue: 'default', retry: 3
+
+  def perform(payload)
+    PushSubscription.find_each do |subscription|
+      subscription.deliver(payload)
+    rescue WebPush::Error => e
+      logger.warn "Push notification to subscription #{subscription.id} failed: #{e.message}"
+    end
+  end
+end
@@ -0,0 +1,21 @@
+class ScheduledPipelineJob < ApplicationJob
+  sidekiq_options queue: 'default', retry: false
+
+  # Fired by sidekiq-cron for pipelines with a schedule, see Pipeline#sync_cron_job.
+  # Skips pipelines that were deactivated or are still busy with a run.
+  def perform(pipeline_id)
+    pipeline = Pipeline.find_by(id: pipeline_id)
+
+    unless pipeline&.scheduled?
+      logger.info "Skipping scheduled run of pipeline #{pipeline_id}: not active or not scheduled"
+      return
+    end
+
+    if pipeline.pipeline_runs.working.exists?
+      logger.info "Skipping scheduled run of pipeline #{pipeline_id}: a run is already in progress"
+      return
+    end
+
+    log_performance("Scheduled run of pipeline #{pipeline_id}") { pipeline.run_async! }
+  end
+end
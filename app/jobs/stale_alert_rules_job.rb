@@ -0,0 +1,11 @@
+class StaleAlertRulesJob < ApplicationJob
+  sidekiq_options queue: 'default', retry: false
+
+  # Staleness shows when nothing runs, so these rules are not left to the
+  # pipeline stages that evaluate the others, see AlertRule
+  def perform
+    log_performance("Stale alert rules") do
+      AlertRule.active.stale_checks.includes(:time_series).find_each(&:evaluate!)
+    end
+  end
+end
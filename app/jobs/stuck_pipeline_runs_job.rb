@@ -0,0 +1,14 @@
+class StuckPipelineRunsJob < ApplicationJob
+  sidekiq_options queue: 'low_priority', retry: false
+
+  # Notifies once per run about runs that have been WORKING without progress
+  # for longer than PipelineRun.stuck_after
+  def perform
+    log_performance("Stuck pipeline runs check") do
+      PipelineRun.stuck.includes(pipeline: :time_series).find_each do |pipeline_run|
+        pipeline_run.update_column(:stuck_notified_at, Time.current)
+        pipeline_run.notify(:stuck)
+      end
+    end
+  end
+end
@@ -0,0 +1,34 @@
+# A triggered AlertRule. Shown as a toast on every open page and posted to the
+# rule's webhook, see AlertsChannel and AlertWebhookJob.
+class AlertEvent < ApplicationRecord
+  belongs_to :alert_rule
+
+  validates :message, presence: true
+
+  after_create_commit :deliver
+
+  scope :recent, -> { order(created_at: :desc) }
+
+  # What toasts and webhooks receive
+  def payload
+    rule = alert_rule
+    {
+      id: id,
+      ticker: rule.time_series.ticker,
+      rule_id: rule.id,
+      condition: rule.condition,
+      rule: rule.description,
+      message: message,
+      value: value,
+      triggered_at: created_at,
+      url: Rails.application.routes.url_helpers.time_series_path(rule.time_series.ticker)
+    }
+  end
+
+  private
+
+  def deliver
+    AlertsChannel.broadcast_event(self)
+    AlertWebhookJob.perform_async(id) if alert_rule.webhook_url.present?
+  end
+end
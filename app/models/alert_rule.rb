@@ -0,0 +1,115 @@
+# User-defined alert on a time series. Rules are evaluated after the IMPORT
+# and POST_PROCESSING stages of the series' pipelines (see
+# PipelineChainBase#evaluate_alert_rules) and, for staleness, every few
+# minutes by StaleAlertRulesJob. A rule triggers when its condition starts to
+# hold and stays quiet until it stopped holding in between, so a VIX close
+# above 30 alerts once, not after every import while it stays there.
+class AlertRule < ApplicationRecord
+  CONDITIONS = {
+    'crosses_above' => 'Crosses above',
+    'crosses_below' => 'Crosses below',
+    'change' => 'Changes by % over bars',
+    'stale' => 'Stale beyond expected cadence by hours'
+  }.freeze
+
+  MAX_BARS = 1000
+
+  belongs_to :time_series
+  has_many :alert_events, dependent: :delete_all
+  alias_method :events, :alert_events
+
+  validates :condition, inclusion: { in: CONDITIONS.keys }
+  validates :threshold, numericality: true
+  validates :threshold, numericality: { greater_than: 0 }, if: -> { condition == 'change' }
+  validates :threshold, numericality: { greater_than_or_equal_to: 0 }, if: -> { condition == 'stale' }
+  validates :bars, numericality: { only_integer: true, in: 1..MAX_BARS }, if: -> { condition == 'change' }
+  validates :webhook_url, format: { with: %r{\Ahttps://\S+\z}, message: 'must be an https URL' }, allow_blank: true
+  validate :webhook_url_must_be_public, if: -> { webhook_url.present? && errors[:webhook_url].empty? }
+
+  normalizes :webhook_url, with: ->(url) { url.strip.presence }
+
+  before_save :set_initial_state, if: :definition_changed?
+
+  scope :active, -> { where(active: true) }
+  scope :stale_checks, -> { where(condition: 'stale') }
+
+  # Evaluates the active rules of a series
+  def self.evaluate_for(time_series)
+    time_series.alert_rules.active.find_each(&:evaluate!)
+  end
+
+  def description
+    case condition
+    when 'crosses_above' then "#{value_label} crosses above #{format_number(threshold)}"
+    when 'crosses_below' then "#{value_label} crosses below #{format_number(threshold)}"
+    when 'change' then "#{value_label} changes by #{format_number(threshold)}% or more over #{bars} #{'bar'.pluralize(bars)}"
+    when 'stale' then "No new point #{format_number(threshold)} #{'hour'.pluralize(threshold)} past the expected #{time_series.timeframe} cadence"
+    end
+  end
+
+  # Records whether the condition holds and creates an event when it started
+  # to. Returns the event, or nil.
+  def evaluate!(now: Time.current)
+    observed = observe(now)
+    started = observed[:met] && !firing?
+
+    transaction do
+      update!(firing: observed[:met], last_evaluated_at: now, last_triggered_at: started ? now : last_triggered_at)
+      alert_events.create!(message: observed[:message], value: observed[:value]) if started
+    end
+  end
+
+  # { met:, value:, message: } for the current data
+  def observe(now = Time.current)
+    case condition
+    when 'crosses_above', 'crosses_below'
+      value = latest_values(1).first
+      met = value && (condition == 'crosses_above' ? value > threshold : value < threshold)
+      { met: met || false, value: value, message: "#{time_series.ticker} #{value_label} is #{format_number(value)}, #{condition == 'crosses_above' ? 'above' : 'below'} #{format_number(threshold)}" }
+    when 'change'
+      values = latest_values(bars + 1)
+      change = (values.first / values.last - 1) * 100 if values.size == bars + 1 && values.last.to_f.nonzero?
+      met = change && change.abs >= threshold
+      { met: met || false, value: change&.round(4), message: "#{time_series.ticker} #{value_label} changed #{format('%+.2f', change.to_f)}% over #{bars} #{'bar'.pluralize(bars)}" }
+    when 'stale'
+      latest_ts = time_series.points.maximum(:ts)
+      cutoff = TimeSeries.up_to_date_cutoff(time_series.timeframe, now, calendar: time_series.calendar)
+      met = cutoff.present? && (latest_ts.nil? || latest_ts < cutoff - threshold.hours)
+      hours = latest_ts && ((now - latest_ts) / 1.hour).round(1)
+      { met: met, value: hours, message: "#{time_series.ticker} has no point since #{latest_ts ? latest_ts.strftime('%Y-%m-%d %H:%M') : 'ever'}, expected #{time_series.timeframe} data by #{cutoff&.strftime('%Y-%m-%d %H:%M')}" }
+    end
+  end
+
+  private
+
+  # Newest first; closes for aggregates
+  def latest_values(count)
+    column = time_series.aggregate? ? :close : :main
+    time_series.points.order(ts: :desc).limit(count).pluck(column).compact
+  end
+
+  def value_label
+    time_series.aggregate? ? 'close' : 'value'
+  end
+
+  def definition_changed?
+    new_record? || will_save_change_to_condition? || will_save_change_to_threshold? || will_save_change_to_bars?
+  end
+
+  # The server posts to the webhook, see AlertWebhookJob
+  def webhook_url_must_be_public
+    errors.add(:webhook_url, 'must be a public host') unless PublicHost.https_url?(webhook_url)
+  end
+
+  def format_number(value)
+    value.to_f.round(4).to_s.sub(/\.0\z/, '')
+  end
+
+  # A value rule created or changed while its condition already holds waits
+  # for the next crossing instead of alerting right away; a series that is
+  # already stale alerts at the next evaluation
+  def set_initial_state
+    self.firing = condition == 'stale' ? false : observe[:met]
+    self.last_evaluated_at = Time.current
+  end
+end
@@ -0,0 +1,49 @@
+# Bearer token for the read-only /api/v1 endpoints, managed on the settings
+# page. Only a SHA-256 digest is stored; the plain token is shown once when
+# it is created.
+class ApiToken < ApplicationRecord
+  PREFIX = 'qetl_'.freeze
+  # Requests per token and minute, see Api::V1::BaseController
+  RATE_LIMIT = 120
+
+  validates :owner, presence: true
+  validates :name, presence: true
+  validates :token_digest, presence: true, uniqueness: true
+
+  scope :active, -> { where(revoked_at: nil) }
+
+  attr_reader :token
+
+  # Builds a token with a fresh secret, available as #token until reloaded
+  def self.generate(attributes = {})
+    new(attributes).tap do |api_token|
+      api_token.instance_variable_set(:@token, "#{PREFIX}#{SecureRandom.base58(32)}")
+      api_token.token_digest = digest(api_token.token)
+      api_token.token_prefix = api_token.token.first(PREFIX.length + 6)
+    end
+  end
+
+  # The active token for a plain token, or nil
+  def self.authenticate(token)
+    return nil if token.blank?
+
+    active.find_by(token_digest: digest(token))
+  end
+
+  def self.digest(token)
+    Digest::SHA256.hexdigest(token.to_s)
+  end
+
+  def revoked?
+    revoked_at.present?
+  end
+
+  def revoke!
+    update!(revoked_at: Time.current) unless revoked?
+  end
+
+  # Records usage at most once a minute to keep writes off the request path
+  def touch_last_used
+    update_column(:last_used_at, Time.current) if last_used_at.nil? || last_used_at < 1.minute.ago
+  end
+end
@@ -0,0 +1,87 @@
+# Who changed what and when: one row per pipeline or data change made from the
+# UI, written by the controllers through ApplicationController#audit and
+# listed on the activity page. Events are never updated. The subject is kept
+# by type and id without a foreign key, so events outlive deleted pipelines.
+class AuditEvent < ApplicationRecord
+  ACTIONS = {
+    'time_series.sync' => 'Synced outdated series',
+    'time_series.toggle_source' => 'Toggled source pipelines',
+    'time_series.create' => 'Created series',
+    'time_series.create_derived' => 'Created derived series',
+    'time_series.import' => 'Uploaded points',
+    'time_series.backfill' => 'Started backfill',
+    'time_series.cleanup' => 'Cleaned up points',
+    'time_series.restore' => 'Undid cleanup',
+    'time_series.calendar' => 'Changed calendar',
+    'pipeline.create' => 'Created pipeline',
+    'pipeline.run' => 'Ran pipeline',
+    'pipeline.toggle' => 'Toggled pipeline',
+    'pipeline.schedule' => 'Changed schedule',
+    'pipeline.destroy' => 'Deleted pipeline',
+    'pipeline.bulk' => 'Bulk action on pipelines',
+    'pipeline_run.create' => 'Started run',
+    'pipeline_run.rerun' => 'Reran run',
+    'pipeline_run.stop' => 'Stopped run',
+    'pipeline_run.retry_stage' => 'Retried stage',
+    'pipeline_run.skip_stage' => 'Skipped stage',
+    'pipeline_run.cancel' => 'Cancelled run'
+  }.freeze
+
+  PAGE_SIZE = 50
+
+  validates :actor, :summary, presence: true
+  validates :action, inclusion: { in: ACTIONS.keys }
+
+  after_create_commit { ActivityChannel.broadcast_event(self) }
+
+  scope :recent, -> { order(id: :desc) }
+
+  # Records an event; auditing never fails the change itself, so errors are
+  # logged and nil is returned
+  def self.record(action:, actor:, summary:, subject: nil, ticker: nil, details: {}, ip_address: nil)
+    create!(
+      action: action,
+      actor: actor,
+      summary: summary.truncate(255),
+      subject_type: subject&.class&.name,
+      subject_id: subject&.id,
+      ticker: ticker || subject.try(:ticker),
+      details: details,
+      ip_address: ip_address
+    )
+  rescue StandardError => e
+    Rails.logger.error "Failed to record audit event #{action}: #{e.message}"
+    nil
+  end
+
+  # Events matching the activity page filters, newest first. `before` is the
+  # id of the last event of the previous page.
+  def self.search(actor: nil, action: nil, ticker: nil, before: nil)
+    events = recent
+    events = events.where(actor: actor) if actor.present?
+    events = events.where(action: action) if action.present?
+    events = events.where(ticker: ticker.to_s.strip) if ticker.present?
+    events = events.where(id: ...before.to_i) if before.present?
+    events
+  end
+
+  def readonly?
+    persisted?
+  end
+
+  def action_label
+    ACTIONS.fetch(action, action)
+  end
+
+  # The pipeline or run the event is about, for links; nil once deleted
+  def subject
+    return nil unless subject_type.in?(%w[Pipeline PipelineRun TimeSeries CleanupSnapshot])
+
+    subject_type.constantize.find_by(id: subject_id)
+  end
+
+  # Fields the activity page matches live events against
+  def filter_attributes
+    { actor: actor, action: action, ticker: ticker }
+  end
+end
@@ -0,0 +1,68 @@
+# Points removed by a scoped cleanup (see TimeSeriesCleanup). They are kept
+# for RETENTION so the cleanup can be undone from the series page, then
+# purged by CleanupSnapshotsPurgeJob.
+class CleanupSnapshot < ApplicationRecord
+  class NotRestorable < StandardError; end
+
+  RETENTION = 7.days
+
+  # Point columns copied into cleanup_snapshot_points, per series kind
+  COLUMNS = {
+    'aggregate' => %w[timeframe ts open high low close adjusted volume],
+    'univariate' => %w[timeframe ts main]
+  }.freeze
+
+  has_many :points, class_name: 'CleanupSnapshotPoint', dependent: :delete_all
+  belongs_to :time_series, primary_key: :ticker, foreign_key: :ticker, optional: true
+
+  validates :ticker, presence: true
+  validates :kind, presence: true, inclusion: { in: COLUMNS.keys }
+  validates :filter, presence: true
+  validates :expires_at, presence: true
+
+  before_validation { self.expires_at ||= Time.current + RETENTION }
+
+  scope :restorable, -> { where(restored_at: nil).where('expires_at > ?', Time.current) }
+  scope :expired, -> { where('expires_at <= ?', Time.current) }
+
+  def restorable?
+    restored_at.nil? && expires_at.future?
+  end
+
+  # Puts the points back and drops the snapshot's copy. Timestamps that have
+  # been filled again since the cleanup (e.g. by a pipeline run) keep their
+  # current value. Returns the number of points restored.
+  def restore!
+    raise NotRestorable, 'This cleanup has already been undone' if restored_at
+    raise NotRestorable, 'This cleanup is past its retention window' unless restorable?
+
+    transaction do
+      columns = COLUMNS.fetch(kind).join(', ')
+      table = kind == 'aggregate' ? Aggregate.table_name : Univariate.table_name
+
+      restored = self.class.connection.exec_update(self.class.sanitize_sql_array([<<~SQL, { ticker: ticker, now: Time.current, id: id }]))
+        INSERT INTO #{table} (ticker, #{columns}, created_at, updated_at)
+        SELECT :ticker, #{columns}, :now, :now FROM cleanup_snapshot_points WHERE cleanup_snapshot_id = :id
+        ON CONFLICT DO NOTHING
+      SQL
+
+      points.delete_all
+      update!(restored_at: Time.current)
+      restored
+    end
+  end
+
+  # Human-readable scope, e.g. "OHLC violations from 2024-01-01 to 2024-06-30"
+  def description
+    label = TimeSeriesCleanup::FILTERS.fetch(filter, filter)
+    range = if from && to
+              "from #{from.to_date} to #{to.to_date}"
+            elsif from
+              "from #{from.to_date}"
+            elsif to
+              "until #{to.to_date}"
+            end
+
+    [label, range].compact.join(' ')
+  end
+end
@@ -0,0 +1,3 @@
+class CleanupSnapshotPoint < ApplicationRecord
+  belongs_to :cleanup_snapshot
+end
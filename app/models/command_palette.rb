@@ -0,0 +1,144 @@
+# Results for the command palette (Ctrl/Cmd+K). The query matches tickers,
+# sources and descriptions through TimeSeries.text_filter with its characters
+# in order but not necessarily adjacent, so "spx" finds "SPX_INDEX" and
+# "S&P 500"; closer matches rank first. Every result carries the actions the
+# palette offers for it, the first one being the default.
+class CommandPalette
+  LIMIT = 8
+  RUNS_LIMIT = 5
+
+  COMMANDS = [
+    { title: 'Sync outdated series', subtitle: 'Run the active pipelines of every series that is not up to date', keywords: 'sync outdated update fetch' },
+    { title: 'Dashboard', subtitle: 'Go to the operations dashboard', keywords: 'dashboard health metrics' },
+    { title: 'Time series', subtitle: 'Go to the time series list', keywords: 'time series tickers list' },
+    { title: 'Pipelines', subtitle: 'Go to the pipeline list', keywords: 'pipelines list' },
+    { title: 'New pipeline', subtitle: 'Create a pipeline', keywords: 'new create pipeline wizard' },
+    { title: 'Pipeline runs', subtitle: 'Go to all pipeline runs', keywords: 'runs history logs' }
+  ].freeze
+
+  attr_reader :query
+
+  def initialize(query)
+    @query = query.to_s.strip
+  end
+
+  def results
+    commands + time_series + pipelines + runs
+  end
+
+  def commands
+    matching = COMMANDS.select { |command| query.blank? || fuzzy_regexp.match?("#{command[:title]} #{command[:keywords]}") }
+    matching = matching.sort_by { |command| rank(command[:title]) } if query.present?
+
+    matching.map do |command|
+      { type: 'command', title: command[:title], subtitle: command[:subtitle], actions: [command_action(command[:title])] }
+    end
+  end
+
+  def time_series
+    return [] if query.blank?
+
+    matches = TimeSeries.text_filter(fuzzy_pattern).to_a
+    matches.sort_by { |series| [rank(series.ticker), series.ticker] }.first(LIMIT).map do |series|
+      {
+        type: 'time_series',
+        title: series.ticker,
+        subtitle: [series.source, series.timeframe, series.description].compact_blank.join(' · '),
+        actions: [{ label: 'Open series', method: 'get', url: routes.time_series_path(series.ticker) }]
+      }
+    end
+  end
+
+  def pipelines
+    return [] if query.blank?
+
+    matches = Pipeline.includes(:time_series).joins(:time_series)
+                      .merge(TimeSeries.text_filter(fuzzy_pattern))
+                      .or(Pipeline.includes(:time_series).joins(:time_series).where('pipelines.chain ILIKE ?', "%#{fuzzy_pattern}%"))
+                      .to_a
+    matches.sort_by { |pipeline| [rank(pipeline.time_series.ticker), pipeline.id] }.first(LIMIT).map do |pipeline|
+      latest_run = pipeline.latest_run
+
+      {
+        type: 'pipeline',
+        title: "#{pipeline.display_name} pipeline",
+        subtitle: [pipeline.chain.titleize, pipeline.active? ? 'active' : 'inactive', latest_run&.status&.downcase].compact.join(' · '),
+        actions: pipeline_actions(pipeline, latest_run)
+      }
+    end
+  end
+
+  # The latest runs, of the matching pipelines when searching. "#123" finds run 123.
+  def runs
+    scope = PipelineRun.includes(pipeline: :time_series).order(id: :desc)
+
+    scope = if query.match?(/\A#?\d+\z/)
+              scope.where(id: query.delete('#').to_i)
+            elsif query.present?
+              scope.joins(pipeline: :time_series).merge(TimeSeries.text_filter(fuzzy_pattern))
+            else
+              scope
+            end
+
+    scope.limit(RUNS_LIMIT).map do |run|
+      {
+        type: 'run',
+        title: "Run ##{run.id} · #{run.pipeline.display_name}",
+        subtitle: "#{run.status.downcase} at #{run.stage.downcase.tr('_', ' ')} · #{run.created_at.utc.strftime('%Y-%m-%d %H:%M UTC')}",
+        actions: [{ label: 'Open run', method: 'get', url: routes.pipeline_pipeline_run_path(run.pipeline_id, run.id) }]
+      }
+    end
+  end
+
+  private
+
+  def pipeline_actions(pipeline, latest_run)
+    actions = [{ label: 'Open pipeline', method: 'get', url: routes.pipeline_path(pipeline) }]
+
+    if pipeline.active?
+      actions << { label: 'Run pipeline', method: 'patch', url: routes.run_pipeline_path(pipeline), confirm: "Start a run of the #{pipeline.display_name} pipeline?" }
+    end
+    actions << { label: pipeline.active? ? 'Deactivate' : 'Activate', method: 'patch', url: routes.toggle_active_pipeline_path(pipeline) }
+    actions << { label: 'Open latest run', method: 'get', url: routes.pipeline_pipeline_run_path(pipeline, latest_run) } if latest_run
+    actions
+  end
+
+  def command_action(title)
+    case title
+    when 'Sync outdated series'
+      { label: 'Sync', method: 'post', url: routes.sync_time_series_index_path, confirm: 'Start runs for every outdated series with an active pipeline?' }
+    when 'Dashboard' then { label: 'Open', method: 'get', url: routes.dashboard_path }
+    when 'Time series' then { label: 'Open', method: 'get', url: routes.time_series_index_path }
+    when 'Pipelines' then { label: 'Open', method: 'get', url: routes.pipelines_path }
+    when 'New pipeline' then { label: 'Open', method: 'get', url: routes.new_pipeline_path }
+    when 'Pipeline runs' then { label: 'Open', method: 'get', url: routes.pipeline_runs_path }
+    end
+  end
+
+  # "gdp" becomes "g%d%p", which text_filter wraps in % for a subsequence match
+  def fuzzy_pattern
+    @fuzzy_pattern ||= query.chars.map { |char| ActiveRecord::Base.sanitize_sql_like(char) }.join('%')
+  end
+
+  def fuzzy_regexp
+    @fuzzy_regexp ||= Regexp.new(query.chars.map { |char| Regexp.escape(char) }.join('.*'), Regexp::IGNORECASE)
+  end
+
+  # Exact match, then prefix, then substring, then subsequence; shorter texts first
+  def rank(text)
+    downcased = text.downcase
+    needle = query.downcase
+
+    position = if downcased == needle then 0
+               elsif downcased.start_with?(needle) then 1
+               elsif downcased.include?(needle) then 2
+               else 3
+               end
+
+    [position, text.length]
+  end
+
+  def routes
+    Rails.application.routes.url_helpers
+  end
+end
@@ -0,0 +1,148 @@
+# Health metrics across all pipelines for the operations dashboard: runs per
+# hour, failure rate and mean duration by source and chain, rows imported per
+# day and the series that are not up to date. Run metrics cover the runs
+# created within `window`.
+class OpsDashboard
+  WINDOWS = {
+    '24h' => 24.hours,
+    '7d' => 7.days,
+    '30d' => 30.days
+  }.freeze
+  DEFAULT_WINDOW = '7d'
+
+  # Seconds from the first stage start to the last stage finish of a run, see
+  # PipelineRun#duration. NULL for runs without stage timings, which AVG skips.
+  DURATION_SQL = <<~SQL.squish
+    (SELECT EXTRACT(EPOCH FROM MAX((timing->>'finished_at')::timestamp) - MIN((timing->>'started_at')::timestamp))
+     FROM jsonb_each(pipeline_runs.stage_timings) AS stages(name, timing))
+  SQL
+
+  attr_reader :window, :current_time
+
+  def initialize(window: nil, current_time: Time.current)
+    @window = window.presence_in(WINDOWS.keys) || DEFAULT_WINDOW
+    @current_time = current_time
+  end
+
+  def since
+    current_time - WINDOWS.fetch(window)
+  end
+
+  def metrics
+    {
+      window: window,
+      since: since,
+      generated_at: current_time,
+      summary: summary,
+      runs_per_hour: runs_per_hour,
+      failure_rates: failure_rates,
+      rows_per_day: rows_per_day,
+      outdated_series: outdated_series
+    }
+  end
+
+  def summary
+    finished, failed, cancelled, rows = runs.pick(
+      Arel.sql("COUNT(*) FILTER (WHERE status IN ('COMPLETED', 'FAILED'))"),
+      Arel.sql("COUNT(*) FILTER (WHERE status = 'FAILED')"),
+      Arel.sql("COUNT(*) FILTER (WHERE status = 'CANCELLED')"),
+      Arel.sql('COALESCE(SUM(n_successful), 0)')
+    )
+
+    {
+      runs: runs.count,
+      running: runs.where(status: %w[PENDING WORKING SCHEDULED_STOP]).count,
+      failed: failed,
+      cancelled: cancelled,
+      failure_rate: finished.positive? ? (failed.to_f / finished).round(4) : nil,
+      mean_duration: runs.where(status: 'COMPLETED').average(Arel.sql(DURATION_SQL))&.to_f&.round(3),
+      rows_imported: rows.to_i,
+      outdated: outdated_series.size
+    }
+  end
+
+  # One bucket per hour of the window, oldest first, split by outcome
+  def runs_per_hour
+    counts = runs.group(Arel.sql("date_trunc('hour', pipeline_runs.created_at)"), :status).count
+                 .transform_keys { |hour, status| [hour.to_i, status] }
+
+    steps(since.utc.beginning_of_hour, 1.hour).map do |hour|
+      by_status = PipelineRun::STATUSES.index_with { |status| counts[[hour.to_i, status]] || 0 }
+      {
+        hour: hour,
+        completed: by_status['COMPLETED'],
+        failed: by_status['FAILED'],
+        cancelled: by_status['CANCELLED'],
+        running: by_status.values_at('PENDING', 'WORKING', 'SCHEDULED_STOP').sum
+      }
+    end
+  end
+
+  # Failure rate (failed out of completed and failed runs) and mean duration
+  # of completed runs for every source and chain with runs in the window,
+  # worst first
+  def failure_rates
+    rows = runs.joins(pipeline: :time_series)
+               .group('time_series.source', 'pipelines.chain')
+               .pluck(
+                 'time_series.source',
+                 'pipelines.chain',
+                 Arel.sql('COUNT(*)'),
+                 Arel.sql("COUNT(*) FILTER (WHERE pipeline_runs.status IN ('COMPLETED', 'FAILED'))"),
+                 Arel.sql("COUNT(*) FILTER (WHERE pipeline_runs.status = 'FAILED')"),
+                 Arel.sql("AVG(#{DURATION_SQL}) FILTER (WHERE pipeline_runs.status = 'COMPLETED')")
+               )
+
+    rows.map do |source, chain, total, finished, failed, duration|
+      {
+        source: source,
+        chain: chain,
+        runs: total,
+        failed: failed,
+        failure_rate: finished.positive? ? (failed.to_f / finished).round(4) : nil,
+        mean_duration: duration&.to_f&.round(3)
+      }
+    end.sort_by { |row| [-(row[:failure_rate] || -1), row[:source], row[:chain]] }
+  end
+
+  # Rows imported by the runs created on each day of the window, oldest first
+  def rows_per_day
+    sums = runs.group(Arel.sql("date_trunc('day', pipeline_runs.created_at)")).sum(:n_successful)
+               .transform_keys(&:to_i)
+
+    steps(since.utc.beginning_of_day, 1.day).map do |day|
+      { day: day.to_date, rows: sums[day.to_i].to_i }
+    end
+  end
+
+  # Series with active pipelines that are not up to date, see TimeSeries#up_to_date?
+  def outdated_series
+    @outdated_series ||= TimeSeries.joins(:pipelines).where(pipelines: { active: true }).distinct.order(:ticker)
+                                   .reject(&:up_to_date?)
+                                   .map do |time_series|
+      {
+        ticker: time_series.ticker,
+        source: time_series.source,
+        timeframe: time_series.timeframe,
+        latest_ts: time_series.points.maximum(:ts),
+        path: Rails.application.routes.url_helpers.time_series_path(time_series.ticker)
+      }
+    end
+  end
+
+  private
+
+  def runs
+    PipelineRun.where(created_at: since..current_time)
+  end
+
+  # Bucket starts from `from` up to the current time
+  def steps(from, step)
+    times = []
+    while from <= current_time
+      times << from
+      from += step
+    end
+    times
+  end
+end
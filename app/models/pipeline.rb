@@ -1,22 +1,225 @@
 class Pipeline < ApplicationRecord
+  BULK_ACTIONS = %w[activate deactivate run stop delete].freeze
+
+  # Schedules are five-field cron expressions evaluated in UTC and registered
+  # with sidekiq-cron under "pipeline_<id>"
+  CRON_JOB_PREFIX = 'pipeline_'
+
+  # Recent data a dry run of an empty series fetches, by timeframe
+  DRY_RUN_SPANS = {
+    'M1' => 1.day,
+    'H1' => 1.week,
+    'D1' => 2.weeks,
+    'W1' => 3.months,
+    'MN1' => 1.year,
+    'Q' => 3.years,
+    'Y' => 10.years
+  }.freeze
+
+  # Suggested schedules on the pipeline page, by TimeSeries timeframe
+  SCHEDULE_PRESETS = {
+    'M1' => [
+      { label: 'Every 5 minutes', cron: '*/5 * * * *' },
+      { label: 'Every 5 minutes, US market hours', cron: '*/5 13-21 * * 1-5' },
+      { label: 'Every 15 minutes', cron: '*/15 * * * *' }
+    ],
+    'H1' => [
+      { label: 'Every hour', cron: '5 * * * *' },
+      { label: 'Hourly, US market hours', cron: '5 13-22 * * 1-5' },
+      { label: 'Every 6 hours', cron: '5 */6 * * *' }
+    ],
+    'D1' => [
+      { label: 'Weekdays after US close', cron: '0 22 * * 1-5' },
+      { label: 'Every day', cron: '0 6 * * *' },
+      { label: 'Twice a day', cron: '0 6,18 * * *' }
+    ],
+    'W1' => [
+      { label: 'Saturday morning', cron: '0 6 * * 6' },
+      { label: 'Monday morning', cron: '0 6 * * 1' }
+    ],
+    'MN1' => [
+      { label: 'Second day of the month', cron: '0 6 2 * *' },
+      { label: 'Every day', cron: '0 6 * * *' }
+    ],
+    'Q' => [
+      { label: 'After each quarter', cron: '0 6 2 1,4,7,10 *' },
+      { label: 'Every Monday', cron: '0 6 * * 1' }
+    ],
+    'Y' => [
+      { label: 'After each year', cron: '0 6 2 1 *' },
+      { label: 'Monthly', cron: '0 6 2 * *' }
+    ]
+  }.freeze
+
   belongs_to :time_series
   has_many :pipeline_runs, dependent: :destroy
   alias_method :runs, :pipeline_runs
 
   validates :chain, presence: true
+  validate :options_must_match_chain
+  # Only checked for pipelines created in the UI, see PipelinesController#create
+  validate :chain_must_support_time_series, on: :wizard
+  validate :schedule_must_be_cron
+
+  normalizes :schedule, with: ->(schedule) { schedule.squish.presence }
+
+  after_commit :sync_cron_job, on: [:create, :update], if: :cron_job_changed?
+  after_commit :remove_cron_job, on: :destroy, if: -> { schedule.present? }
 
   scope :by_chain, ->(chain_name) { where(chain: chain_name) }
+  # Pipelines of derived series computed from `ticker`, see DerivedFlat
+  scope :derived_from, ->(ticker) {
+    by_chain('DerivedFlat').where("options->>'parent' = :ticker OR options->>'other' = :ticker", ticker: ticker)
+  }
 
   # Get the pipeline chain class for this pipeline
   def chain_class
     chain.constantize
   end
 
+  def option(name)
+    options[name.to_s]
+  end
+
+  # Fetches without importing and returns a preview of the rows a run would
+  # write, see PipelineChainBase#dry_run. Works on unsaved pipelines. The
+  # request waits for it, so a series without points or start_date previews
+  # the recent DRY_RUN_SPANS instead of its full history.
+  def dry_run(limit: 20)
+    chain_class.new(PipelineRun.new(pipeline: self, range_start: dry_run_start)).dry_run(limit: limit)
+  rescue StandardError => e
+    # Chains raise on initialize when their credentials are missing
+    { success: false, error: e.message, log: [] }
+  end
+
+  # Start of a dry run's range, or nil to fetch like a regular run
+  def dry_run_start
+    return if option('start_date').present? || time_series.nil? || time_series.points.exists?
+
+    DRY_RUN_SPANS.fetch(time_series.timeframe, 1.month).ago.beginning_of_day
+  end
+
+  def scheduled?
+    active? && schedule.present?
+  end
+
+  def cron_job_name
+    "#{CRON_JOB_PREFIX}#{id}"
+  end
+
+  def schedule_presets
+    SCHEDULE_PRESETS.fetch(time_series.timeframe, [])
+  end
+
+  # The next fire times of the schedule, whether or not the pipeline is active
+  def next_scheduled_runs(count = 5, from: Time.current)
+    cron = parsed_schedule
+    return [] unless cron
+
+    times = []
+    count.times { times << cron.next_time(times.last || from).utc }
+    times
+  end
+
+  # Registers the sidekiq-cron job of an active scheduled pipeline and removes
+  # it otherwise
+  def sync_cron_job
+    if scheduled?
+      Sidekiq::Cron::Job.create(
+        name: cron_job_name,
+        cron: "#{schedule} UTC",
+        class: 'ScheduledPipelineJob',
+        args: [id],
+        description: "Scheduled run of #{time_series.ticker} (#{chain})"
+      )
+    else
+      remove_cron_job
+    end
+  rescue StandardError => e
+    # The jobs are registered again when Sidekiq starts, see .sync_cron_jobs!
+    Rails.logger.error "Failed to sync cron job for pipeline #{id}: #{e.message}"
+  end
+
+  # Registers the jobs of every scheduled pipeline and removes jobs left over
+  # from deleted or unscheduled pipelines. Runs when Sidekiq starts.
+  def self.sync_cron_jobs!
+    scheduled = includes(:time_series).where(active: true).where.not(schedule: nil).to_a
+    scheduled.each(&:sync_cron_job)
+
+    names = scheduled.map(&:cron_job_name)
+    Sidekiq::Cron::Job.all.each do |job|
+      job.destroy if job.name.start_with?(CRON_JOB_PREFIX) && !names.include?(job.name)
+    end
+  end
+
   # Create a new pipeline run and execute it
   def run_async!
     raise "Pipeline is not active" unless active?
     pipeline_run = pipeline_runs.create!
     pipeline_run.run_async!
+    pipeline_run
+  end
+
+  # Create a run limited to the given range, e.g. to fill a gap, and execute it
+  def backfill_async!(from:, to:)
+    raise "Pipeline is not active" unless active?
+
+    pipeline_run = pipeline_runs.create!(range_start: from, range_end: to)
+    pipeline_run.run_async!
+    pipeline_run
+  end
+
+  # Applies a bulk action to each pipeline in `ids`. Pipelines are handled one
+  # at a time so a failure only affects its own result; returns one
+  # `{ id:, ticker:, success:, message: }` hash per requested id.
+  def self.bulk_apply(action, ids)
+    raise ArgumentError, "Unknown bulk action: #{action}" unless BULK_ACTIONS.include?(action)
+
+    pipelines = includes(:time_series).where(id: ids).index_by(&:id)
+
+    ids.map(&:to_i).uniq.map do |id|
+      pipeline = pipelines[id]
+      next({ id: id, ticker: nil, success: false, message: 'Pipeline not found' }) unless pipeline
+
+      { id: id, ticker: pipeline.display_name, success: true, message: pipeline.apply_bulk_action!(action) }
+    rescue StandardError => e
+      { id: id, ticker: pipeline&.display_name, success: false, message: e.message }
+    end
+  end
+
+  # Performs a single bulk action and returns a short description of the outcome,
+  # raising when the action does not apply to this pipeline
+  def apply_bulk_action!(action)
+    case action
+    when 'activate'
+      update!(active: true)
+      'Activated'
+    when 'deactivate'
+      update!(active: false)
+      'Deactivated'
+    when 'run'
+      raise 'Pipeline must be active to run' unless active?
+      raise 'A run is already in progress' if pipeline_runs.working.exists?
+
+      run_async!
+      'Run started'
+    when 'stop'
+      working_runs = pipeline_runs.working.to_a
+      raise 'No running runs to stop' if working_runs.empty?
+
+      working_runs.each { |run| run.update!(status: :SCHEDULED_STOP) }
+      "Scheduled #{working_runs.size} #{'run'.pluralize(working_runs.size)} to stop"
+    when 'delete'
+      destroy!
+      'Deleted'
+    else
+      raise ArgumentError, "Unknown bulk action: #{action}"
+    end
+  end
+
+  # Timelines of the most recent runs with recorded stage timings, oldest first
+  def run_history(limit = 30)
+    pipeline_runs.where.not("stage_timings = '{}'::jsonb").order(id: :desc).limit(limit).map(&:timeline_payload).reverse
   end
 
   # Get the latest pipeline run
@@ -49,6 +252,17 @@ class Pipeline < ApplicationRecord
     latest_run&.n_skipped || 0
   end
 
+  # Run counts by outcome, computed with a single grouped query
+  def runs_count
+    counts = pipeline_runs.group(:status).count
+
+    {
+      total: counts.values.sum,
+      completed: counts['COMPLETED'] || 0,
+      failed: counts['FAILED'] || 0
+    }
+  end
+
   # Generate display name with just ticker
   def display_name
     time_series.ticker
@@ -59,4 +273,57 @@ class Pipeline < ApplicationRecord
     latest_ts = time_series.points.maximum(:ts)
     latest_ts ? latest_ts.strftime('%Y-%m-%d') : 'N/A'
   end
+
+  private
+
+  def parsed_schedule
+    schedule.present? && schedule.split.size == 5 ? Fugit::Cron.parse("#{schedule} UTC") : nil
+  end
+
+  def schedule_must_be_cron
+    return if schedule.blank?
+
+    cron = parsed_schedule
+    unless cron
+      errors.add(:schedule, 'must be a cron expression with five fields, e.g. "0 22 * * 1-5"')
+      return
+    end
+
+    # Fugit gives up on expressions that never match, like February 30th
+    cron.next_time
+  rescue RuntimeError
+    errors.add(:schedule, 'never fires')
+  end
+
+  def cron_job_changed?
+    saved_change_to_schedule? || (schedule.present? && saved_change_to_active?)
+  end
+
+  def remove_cron_job
+    Sidekiq::Cron::Job.destroy(cron_job_name)
+  end
+
+  # Casts the options and keeps only those the chain knows, see PipelineChainBase::OPTIONS
+  def options_must_match_chain
+    known = PipelineChainBase::CHAINS.include?(chain) ? chain_class : PipelineChainBase
+    cast, messages = known.cast_options(options)
+    self.options = cast
+    messages.each { |message| errors.add(:options, message) }
+  end
+
+  def chain_must_support_time_series
+    return if chain.blank? || time_series.nil?
+
+    unless PipelineChainBase::CHAINS.include?(chain)
+      errors.add(:chain, 'is not a known pipeline chain')
+      return
+    end
+
+    unless chain_class.compatible_with?(time_series)
+      errors.add(:chain, "#{chain_class.label} cannot fetch #{time_series.source} #{time_series.kind} series")
+      return
+    end
+
+    chain_class.option_errors(self).each { |message| errors.add(:options, message) }
+  end
 end
@@ -1,6 +1,12 @@
 class PipelineRun < ApplicationRecord
-  STATUSES = %w[PENDING WORKING SCHEDULED_STOP COMPLETED FAILED].freeze
+  STATUSES = %w[PENDING WORKING SCHEDULED_STOP COMPLETED FAILED CANCELLED].freeze
   STAGES = %w[START FETCH TRANSFORM IMPORT POST_PROCESSING FINISH].freeze
+  LIVE_ATTRIBUTES = %w[status stage n_successful n_failed n_skipped cancel_requested_at].freeze
+  # Sidekiq job states, per sidekiq-status, in which the run's job still exists
+  LIVE_JOB_STATUSES = %i[queued working retrying].freeze
+
+  # Raised by the run controls when the run's state does not allow the action
+  class ActionNotAllowed < StandardError; end
 
   enum :status, STATUSES.index_with(&:itself), default: :PENDING
   enum :stage, STAGES.index_with(&:itself), default: :START
@@ -8,14 +14,20 @@ class PipelineRun < ApplicationRecord
   belongs_to :pipeline
   has_many :pipeline_run_logs, dependent: :destroy
   alias_method :logs, :pipeline_run_logs
+  has_many :pipeline_run_changes, dependent: :delete_all
+  alias_method :point_changes, :pipeline_run_changes
 
   before_create :set_initial_values
+  after_commit :broadcast_live_update, on: %i[create update], if: :live_attributes_changed?
+  after_commit :notify_outcome, on: :update, if: :saved_change_to_status?
+  after_commit :refresh_derived_series, on: :update, if: -> { saved_change_to_status? && COMPLETED? && n_successful.positive? }
 
   validates :status, presence: true, inclusion: { in: STATUSES }
   validates :stage, presence: true, inclusion: { in: STAGES }
   validates :n_successful, presence: true, numericality: { greater_than_or_equal_to: 0 }
   validates :n_failed, presence: true, numericality: { greater_than_or_equal_to: 0 }
   validates :n_skipped, presence: true, numericality: { greater_than_or_equal_to: 0 }
+  validates :range_end, comparison: { greater_than_or_equal_to: :range_start }, if: -> { range_start && range_end }
 
   scope :by_status, ->(status) { where(status: status) }
   scope :by_stage, ->(stage) { where(stage: stage) }
@@ -23,22 +35,170 @@ class PipelineRun < ApplicationRecord
   scope :working, -> { where(status: 'WORKING') }
   scope :complete, -> { where(status: 'COMPLETED') }
   scope :error, -> { where(status: 'FAILED') }
+  scope :cancelled, -> { where(status: 'CANCELLED') }
+  scope :stuck, -> { working.where(stuck_notified_at: nil).where(updated_at: ...stuck_after.ago) }
+
+  # How long a run may stay WORKING without any update before it counts as stuck
+  def self.stuck_after
+    ENV.fetch('PIPELINE_RUN_STUCK_AFTER_MINUTES', 30).to_i.minutes
+  end
+
+  # Keeps a run that advances its counters or logs out of .stuck. Chains call
+  # it as they go, since increment! and log writes leave updated_at alone;
+  # writes at most once a minute and without callbacks.
+  def record_progress!(now = Time.current)
+    update_column(:updated_at, now) if updated_at.nil? || updated_at < now - 1.minute
+  end
 
   # Convenience methods for pipeline execution
   def can_run?
     PENDING? && START?
   end
 
+  # Backfill runs fetch an explicit range instead of continuing from the latest point
+  def backfill?
+    range_start.present?
+  end
+
   def reset!
+    point_changes.delete_all
     update!(
       status: :PENDING,
       stage: :START,
       n_successful: 0,
       n_failed: 0,
-      n_skipped: 0
+      n_skipped: 0,
+      stuck_notified_at: nil,
+      stage_timings: {},
+      cancel_requested_at: nil,
+      changes_truncated: false
     )
   end
 
+  # Runs that stopped before completing can continue from a stage. A run
+  # scheduled to stop counts once its job has finished the current stage.
+  def resumable?
+    FAILED? || CANCELLED? || (SCHEDULED_STOP? && !job_alive?)
+  end
+
+  def cancellable?
+    (PENDING? || WORKING? || SCHEDULED_STOP?) && !cancel_requested?
+  end
+
+  def cancel_requested?
+    cancel_requested_at.present?
+  end
+
+  # Continues the run from `from_stage` (the stage it stopped at by default)
+  # in a new job. Timings of that stage and later ones are discarded.
+  def retry_from_stage!(from_stage = stage)
+    raise ActionNotAllowed, 'Only failed, cancelled or stopped runs can be retried' unless resumable?
+
+    from_index = STAGES.index(from_stage)
+    if from_index.nil? || from_index > STAGES.index(stage)
+      raise ActionNotAllowed, "Cannot retry from #{from_stage}, the run stopped at #{stage}"
+    end
+
+    kept = stage_timings.slice(*STAGES.take(from_index))
+    update!(status: :PENDING, stage: from_stage, stage_timings: kept, cancel_requested_at: nil, stuck_notified_at: nil)
+    run_async!
+  end
+
+  # Marks the stage the run stopped at as skipped and continues with the next
+  # one, or completes the run when it stopped at FINISH
+  def skip_stage!
+    raise ActionNotAllowed, 'Only failed, cancelled or stopped runs can skip a stage' unless resumable?
+
+    skipped = stage
+    now = Time.current.iso8601(3)
+    timing = stage_timings.fetch(skipped, { 'started_at' => now }).merge('finished_at' => now, 'outcome' => 'skipped')
+    timings = stage_timings.merge(skipped => timing)
+    next_stage = STAGES[STAGES.index(skipped) + 1]
+
+    if next_stage
+      update!(status: :PENDING, stage: next_stage, stage_timings: timings, cancel_requested_at: nil, stuck_notified_at: nil)
+      run_async!
+    else
+      update!(status: :COMPLETED, stage_timings: timings, cancel_requested_at: nil)
+    end
+
+    skipped
+  end
+
+  # Cancels the run. A job still waiting in a Sidekiq queue is deleted and a
+  # run whose job is gone is cancelled right away; a running job is asked to
+  # stop and its chain cancels the run at the next log line, counter or stage
+  # boundary, see PipelineChainBase#check_cancelled!. Returns :cancelled or
+  # :requested.
+  def cancel!
+    raise ActionNotAllowed, 'Only pending or working runs can be cancelled' unless cancellable?
+
+    if remove_queued_job || !job_alive?
+      close_open_stage('cancelled')
+      update!(status: :CANCELLED, cancel_requested_at: Time.current)
+      :cancelled
+    else
+      update!(cancel_requested_at: Time.current)
+      :requested
+    end
+  end
+
+  # Records a cancellation noticed by the chain
+  def mark_cancelled!
+    close_open_stage('cancelled')
+    update!(status: :CANCELLED)
+  end
+
+  # Marks the stage as WORKING and records when it started. Timings are kept
+  # per stage in `stage_timings`, e.g. { 'FETCH' => { 'started_at' => ..., 'finished_at' => ... } }
+  def start_stage!(stage)
+    update!(status: :WORKING, stage_timings: stage_timings.merge(stage => { 'started_at' => Time.current.iso8601(3) }))
+  end
+
+  # `outcome` is 'completed', 'failed', 'skipped' or 'cancelled'
+  def finish_stage!(stage, outcome: 'completed')
+    timing = stage_timings.fetch(stage, {}).merge('finished_at' => Time.current.iso8601(3), 'outcome' => outcome)
+
+    update!(stage_timings: stage_timings.merge(stage => timing))
+  end
+
+  # Start and end of every stage that ran, in stage order
+  def timeline
+    STAGES.filter_map do |stage|
+      timing = stage_timings[stage]
+      next unless timing
+
+      { stage: stage, started_at: timing['started_at'], finished_at: timing['finished_at'], outcome: timing['outcome'] }
+    end
+  end
+
+  # Seconds from the first stage start to the last stage end, nil until every
+  # started stage has finished
+  def duration
+    return nil if stage_timings.empty? || stage_timings.values.any? { |timing| timing['finished_at'].nil? }
+
+    started = stage_timings.values.map { |timing| Time.iso8601(timing['started_at']) }.min
+    finished = stage_timings.values.map { |timing| Time.iso8601(timing['finished_at']) }.max
+    (finished - started).round(3)
+  end
+
+  # What the run timeline draws for this run, see run_timeline_controller.js
+  def timeline_payload
+    {
+      id: id,
+      status: status,
+      created_at: created_at,
+      duration: duration,
+      stages: timeline,
+      path: Rails.application.routes.url_helpers.pipeline_pipeline_run_path(pipeline_id, id)
+    }
+  end
+
+  # The run of the same pipeline before this one, e.g. to compare with
+  def previous_run
+    pipeline.pipeline_runs.where(id: ...id).order(id: :desc).first
+  end
+
   def total_processed
     n_successful + n_failed + n_skipped
   end
@@ -49,7 +209,12 @@ class PipelineRun < ApplicationRecord
   end
 
   def run_async!
-    PipelineJob.perform_async(id)
+    update_column(:job_id, PipelineJob.perform_async(id))
+  end
+
+  # Whether the run's Sidekiq job is queued, running or waiting for a retry
+  def job_alive?
+    job_id.present? && LIVE_JOB_STATUSES.include?(Sidekiq::Status.status(job_id))
   end
 
   def execute!
@@ -57,6 +222,63 @@ class PipelineRun < ApplicationRecord
     chain_instance.execute
   end
 
+  # Pushes status, stage and counters to live subscribers. The summary adds the
+  # pipeline's run counts and latest timestamp, which only move on status changes.
+  def broadcast_update(include_summary: true)
+    PipelineUpdatesChannel.broadcast_run(self, live_update_payload(include_summary:))
+  end
+
+  def live_update_payload(include_summary: true)
+    payload = {
+      type: 'run',
+      id: id,
+      pipeline_id: pipeline_id,
+      status: status,
+      stage: stage,
+      cancel_requested: cancel_requested?,
+      updated_at: updated_at,
+      statistics: {
+        n_successful: n_successful,
+        n_failed: n_failed,
+        n_skipped: n_skipped
+      },
+      timeline: timeline_payload
+    }
+
+    if include_summary
+      payload[:runs_count] = pipeline.runs_count
+      payload[:latest_timestamp] = pipeline.latest_timestamp
+    end
+
+    payload
+  end
+
+  # Sends a browser push notification about this run to every subscriber.
+  # `kind` is :failed, :completed_with_failures or :stuck.
+  def notify(kind)
+    PushSubscription.notify_all(push_notification_payload(kind))
+  end
+
+  def push_notification_payload(kind)
+    body = case kind
+           when :failed
+             "Run ##{id} failed during the #{stage.humanize(capitalize: false)} stage."
+           when :completed_with_failures
+             "Run ##{id} completed with #{n_failed} failed #{'operation'.pluralize(n_failed)}."
+           when :stuck
+             "Run ##{id} has been working on the #{stage.humanize(capitalize: false)} stage since #{updated_at.strftime('%Y-%m-%d %H:%M')}."
+           end
+
+    {
+      title: "#{pipeline.time_series.ticker} pipeline #{kind.to_s.humanize(capitalize: false)}",
+      options: {
+        body: body,
+        tag: "pipeline-run-#{id}",
+        data: { path: Rails.application.routes.url_helpers.pipeline_pipeline_run_path(pipeline_id, id) }
+      }
+    }
+  end
+
   # Determines if this pipeline run is up to date
   # A pipeline run is up to date if no new data is expected to be fetched
   def up_to_date?
@@ -67,6 +289,46 @@ class PipelineRun < ApplicationRecord
 
   private
 
+  def live_attributes_changed?
+    saved_changes.keys.intersect?(LIVE_ATTRIBUTES)
+  end
+
+  def broadcast_live_update
+    broadcast_update(include_summary: previously_new_record? || saved_change_to_status?)
+  end
+
+  # Deletes the run's job if it is still waiting in a queue or for a retry
+  def remove_queued_job
+    return false if job_id.blank?
+
+    sets = Sidekiq::Queue.all + [Sidekiq::ScheduledSet.new, Sidekiq::RetrySet.new]
+    job = sets.lazy.filter_map { |set| set.find_job(job_id) }.first
+    job ? job.delete : false
+  end
+
+  def close_open_stage(outcome)
+    timing = stage_timings[stage]
+    return unless timing && timing['finished_at'].nil?
+
+    self.stage_timings = stage_timings.merge(stage => timing.merge('finished_at' => Time.current.iso8601(3), 'outcome' => outcome))
+  end
+
+  def notify_outcome
+    if FAILED?
+      notify(:failed)
+    elsif COMPLETED? && n_failed.positive?
+      notify(:completed_with_failures)
+    end
+  end
+
+  # Derived series recompute once their parent got new or changed points,
+  # from the earliest point the run wrote: the first recorded change, or the
+  # start of a backfill in case not all changes were recorded
+  def refresh_derived_series
+    since = [point_changes.where(action: %w[inserted updated]).minimum(:ts), range_start].compact.min
+    pipeline.time_series.refresh_derived_series(since: since)
+  end
+
   def set_initial_values
     self.status ||= :PENDING
     self.stage ||= :START
@@ -0,0 +1,37 @@
+# What the IMPORT stage of a run did to one point: inserted it, updated it
+# (keeping the values it replaced) or skipped it as unchanged. Recorded by
+# PipelineChainBase#record_point_change for comparing runs, see
+# PipelineRunComparison. Only the latest KEPT_RUNS runs of a pipeline keep
+# their changes, and at most MAX_PER_RUN are kept per run.
+class PipelineRunChange < ApplicationRecord
+  ACTIONS = %w[inserted updated skipped].freeze
+  VALUE_COLUMNS = %w[open high low close adjusted volume main].freeze
+  VALUE_LABELS = { 'open' => 'O', 'high' => 'H', 'low' => 'L', 'close' => 'C', 'adjusted' => 'Adj', 'volume' => 'Vol', 'main' => 'Value' }.freeze
+
+  MAX_PER_RUN = 100_000
+  KEPT_RUNS = 20
+
+  belongs_to :pipeline_run
+
+  validates :action, inclusion: { in: ACTIONS }
+
+  # Row for insert_all from the attributes a chain wrote. `previous` are the
+  # saved_changes of an updated point; columns it lacks were unchanged.
+  def self.row_for(pipeline_run, action, attributes, previous: nil)
+    values = attributes.stringify_keys.slice(*VALUE_COLUMNS)
+
+    {
+      pipeline_run_id: pipeline_run.id,
+      ts: attributes[:ts],
+      action: action.to_s,
+      new_values: values,
+      old_values: previous && values.merge(previous.slice(*VALUE_COLUMNS).transform_values(&:first))
+    }
+  end
+
+  # Drops the changes of all but the latest KEPT_RUNS runs of a pipeline
+  def self.prune(pipeline)
+    kept = pipeline.pipeline_runs.order(id: :desc).limit(KEPT_RUNS).select(:id)
+    where(pipeline_run_id: pipeline.pipeline_runs.where.not(id: kept).select(:id)).delete_all
+  end
+end
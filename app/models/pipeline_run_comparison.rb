@@ -0,0 +1,146 @@
+# Compares two runs of the same series for the run compare page: counter
+# deltas, the points whose recorded change differs between the runs (see
+# PipelineRunChange) and a line diff of their logs. `base` is the earlier
+# run. Log lines are matched with digits ignored, so "Imported 12 rows" and
+# "Imported 15 rows" pair up as a changed line instead of a removal and an
+# addition.
+class PipelineRunComparison
+  MAX_POINTS = 500
+  MAX_LOG_LINES = 500
+
+  COUNTERS = {
+    n_successful: 'Successful',
+    n_failed: 'Failed',
+    n_skipped: 'Skipped'
+  }.freeze
+
+  attr_reader :base, :other
+
+  def initialize(base, other)
+    @base, @other = [base, other].sort_by(&:id)
+  end
+
+  # A message explaining why the runs cannot be compared, or nil
+  def error
+    if base.id == other.id
+      'Pick two different runs'
+    elsif base.pipeline.time_series_id != other.pipeline.time_series_id
+      "Run ##{base.id} and run ##{other.id} belong to different series"
+    end
+  end
+
+  # [{ label:, base:, other:, delta: }] for the run counters, the recorded
+  # point changes and the duration
+  def counters
+    rows = COUNTERS.map { |attribute, label| counter_row(label, base.send(attribute), other.send(attribute)) }
+    base_actions = action_counts(base)
+    other_actions = action_counts(other)
+    rows += PipelineRunChange::ACTIONS.map do |action|
+      counter_row("Points #{action}", base_actions.fetch(action, 0), other_actions.fetch(action, 0))
+    end
+    rows << counter_row('Duration (s)', base.duration, other.duration)
+  end
+
+  # Points that only one run touched, or that the runs treated or wrote
+  # differently, newest first: [{ ts:, base: change, other: change }] where a
+  # change is { action:, new_values:, old_values: } or nil
+  def point_differences(limit: MAX_POINTS)
+    result = ApplicationRecord.connection.select_all(point_differences_sql(limit))
+
+    result.cast_values.map { |values| result.columns.zip(values).to_h }.map do |row|
+      {
+        ts: row['ts'],
+        base: change_from(row, 'base'),
+        other: change_from(row, 'other')
+      }
+    end
+  end
+
+  def point_differences_count
+    ApplicationRecord.connection.select_value("SELECT COUNT(*) FROM (#{point_differences_sql(nil)}) differences").to_i
+  end
+
+  # Aligned log lines: [{ status:, base:, other: }] where status is 'same',
+  # 'changed', 'removed' (only in base) or 'added' (only in other)
+  def log_diff
+    base_lines = log_lines(base)
+    other_lines = log_lines(other)
+    base_keys = base_lines.map { |line| normalize(line) }
+    other_keys = other_lines.map { |line| normalize(line) }
+
+    # Longest common subsequence of the normalized lines, filled from the end
+    lengths = Array.new(base_keys.size + 1) { Array.new(other_keys.size + 1, 0) }
+    (base_keys.size - 1).downto(0) do |i|
+      (other_keys.size - 1).downto(0) do |j|
+        lengths[i][j] = if base_keys[i] == other_keys[j]
+                          lengths[i + 1][j + 1] + 1
+                        else
+                          [lengths[i + 1][j], lengths[i][j + 1]].max
+                        end
+      end
+    end
+
+    diff = []
+    i = j = 0
+    while i < base_keys.size && j < other_keys.size
+      if base_keys[i] == other_keys[j]
+        diff << { status: base_lines[i] == other_lines[j] ? 'same' : 'changed', base: base_lines[i], other: other_lines[j] }
+        i += 1
+        j += 1
+      elsif lengths[i + 1][j] >= lengths[i][j + 1]
+        diff << { status: 'removed', base: base_lines[i], other: nil }
+        i += 1
+      else
+        diff << { status: 'added', base: nil, other: other_lines[j] }
+        j += 1
+      end
+    end
+    diff.concat(base_lines[i..].map { |line| { status: 'removed', base: line, other: nil } })
+    diff.concat(other_lines[j..].map { |line| { status: 'added', base: nil, other: line } })
+  end
+
+  # Whether either run has more log lines than the diff covers
+  def logs_truncated?
+    [base, other].any? { |run| run.logs.count > MAX_LOG_LINES }
+  end
+
+  private
+
+  def counter_row(label, base_value, other_value)
+    delta = (other_value - base_value).round(3) if base_value && other_value
+    { label: label, base: base_value, other: other_value, delta: delta }
+  end
+
+  def action_counts(run)
+    run.point_changes.group(:action).count
+  end
+
+  def point_differences_sql(limit)
+    <<~SQL
+      SELECT COALESCE(b.ts, o.ts) AS ts,
+             b.action AS base_action, b.new_values AS base_new_values, b.old_values AS base_old_values,
+             o.action AS other_action, o.new_values AS other_new_values, o.old_values AS other_old_values
+      FROM (#{PipelineRunChange.where(pipeline_run_id: base.id).to_sql}) b
+      FULL OUTER JOIN (#{PipelineRunChange.where(pipeline_run_id: other.id).to_sql}) o ON o.ts = b.ts
+      WHERE b.action IS DISTINCT FROM o.action OR b.new_values IS DISTINCT FROM o.new_values
+      ORDER BY 1 DESC
+      #{"LIMIT #{limit.to_i}" if limit}
+    SQL
+  end
+
+  def change_from(row, side)
+    return nil if row["#{side}_action"].nil?
+
+    { action: row["#{side}_action"], new_values: row["#{side}_new_values"], old_values: row["#{side}_old_values"] }
+  end
+
+  def log_lines(run)
+    run.logs.order(:id).limit(MAX_LOG_LINES).pluck(:level, :message).map { |level, message| "[#{level}] #{message}" }
+  end
+
+  # Run ids, counts, timestamps and file names with dates differ between any
+  # two runs
+  def normalize(line)
+    line.gsub(/\d+/, '#')
+  end
+end
@@ -2,6 +2,7 @@ class PipelineRunLog < ApplicationRecord
   belongs_to :pipeline_run
 
   LEVELS = %w[info warn error].freeze
+  PAGE_SIZE = 200
 
   enum :level, LEVELS.index_with(&:itself), default: :info
 
@@ -12,4 +13,69 @@ class PipelineRunLog < ApplicationRecord
   scope :info, -> { where(level: 'info') }
   scope :warn, -> { where(level: 'warn') }
   scope :error, -> { where(level: 'error') }
+  scope :after_id, ->(id) { where(arel_table[:id].gt(id)) }
+  scope :before_id, ->(id) { where(arel_table[:id].lt(id)) }
+
+  after_create_commit :broadcast_created
+
+  # Narrows logs to the given levels (all levels when nil) and to messages
+  # containing `query`, or matching it as a case-insensitive POSIX regex.
+  def self.filtered(levels: nil, query: nil, regex: false)
+    scope = all
+    scope = scope.where(level: Array(levels) & LEVELS) unless levels.nil?
+
+    if query.present?
+      scope = if regex
+        scope.where('message ~* ?', query)
+      else
+        scope.where('message ILIKE ?', "%#{sanitize_sql_like(query)}%")
+      end
+    end
+
+    scope
+  end
+
+  # Up to `limit` logs older than the `before` cursor (the newest logs when
+  # nil), in chronological order, and whether even older logs remain.
+  def self.older_page(before: nil, limit: PAGE_SIZE)
+    scope = before ? before_id(before) : all
+    logs = scope.order(id: :desc).limit(limit + 1).to_a
+
+    [logs.first(limit).reverse, logs.size > limit]
+  end
+
+  # Up to `limit` logs newer than the `after` cursor, in chronological order,
+  # and whether more remain beyond them.
+  def self.newer_page(after:, limit: PAGE_SIZE)
+    logs = after_id(after).order(:id).limit(limit + 1).to_a
+
+    [logs.first(limit), logs.size > limit]
+  end
+
+  def entry_payload
+    {
+      id: id,
+      level: level,
+      message: message,
+      created_at: created_at
+    }
+  end
+
+  def to_text
+    "#{created_at.strftime('%Y-%m-%d %H:%M:%S.%L')} #{level.upcase.ljust(5)} #{message}"
+  end
+
+  def live_update_payload
+    {
+      type: 'log',
+      pipeline_run_id: pipeline_run_id,
+      log: entry_payload
+    }
+  end
+
+  private
+
+  def broadcast_created
+    PipelineUpdatesChannel.broadcast_log(self, live_update_payload)
+  end
 end
@@ -0,0 +1,25 @@
+require 'resolv'
+
+# Checks for URLs the server requests on behalf of users, like push
+# endpoints and alert webhooks: their hosts must resolve to public addresses
+# only, so they cannot point the server at itself, the cloud metadata
+# service or the private network.
+module PublicHost
+  module_function
+
+  def https_url?(url)
+    uri = URI.parse(url.to_s)
+    uri.is_a?(URI::HTTPS) && uri.hostname.present? && public?(uri.hostname)
+  rescue URI::InvalidURIError
+    false
+  end
+
+  # Loopback, private, link-local (169.254.0.0/16, fe80::/10) and unspecified
+  # addresses are not public
+  def public?(host)
+    addresses = Resolv.getaddresses(host).map { |address| IPAddr.new(address).native }
+    addresses.any? && addresses.none? { |ip| ip.private? || ip.loopback? || ip.link_local? || ip.to_i.zero? }
+  rescue IPAddr::InvalidAddressError
+    false
+  end
+end
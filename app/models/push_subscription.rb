@@ -0,0 +1,57 @@
+class PushSubscription < ApplicationRecord
+  # Hosts of the push services browsers subscribe with. Other endpoints must
+  # be https URLs of hosts that resolve to public addresses only, as the
+  # server posts to whatever endpoint a client registers.
+  PUSH_SERVICE_HOSTS = %w[fcm.googleapis.com updates.push.services.mozilla.com web.push.apple.com].freeze
+  PUSH_SERVICE_DOMAINS = %w[.push.apple.com .notify.windows.com .push.services.mozilla.com].freeze
+
+  validates :endpoint, presence: true, uniqueness: true
+  validates :p256dh_key, presence: true
+  validates :auth_key, presence: true
+  validate :endpoint_must_be_public, if: -> { endpoint.present? }
+
+  # Queues a notification for every subscriber. `payload` is the
+  # `{ title:, options: }` hash the service worker passes to showNotification.
+  def self.notify_all(payload)
+    return unless WebPush.configured? && exists?
+
+    PushNotificationJob.perform_async(payload.deep_stringify_keys)
+  end
+
+  # Delivers the payload to this subscription, removing it when the push
+  # service reports that it has expired. Returns true when delivered.
+  def deliver(payload)
+    WebPush.deliver(endpoint: endpoint, p256dh: p256dh_key, auth: auth_key, payload: payload.to_json)
+    touch(:last_delivered_at)
+    true
+  rescue WebPush::ExpiredSubscription
+    destroy
+    false
+  end
+
+  private
+
+  def endpoint_must_be_public
+    uri = URI.parse(endpoint)
+    return if local_sink?(uri)
+
+    if !uri.is_a?(URI::HTTPS) || uri.hostname.blank?
+      errors.add(:endpoint, 'must be an https URL')
+    elsif !push_service_host?(uri.hostname) && !PublicHost.public?(uri.hostname)
+      errors.add(:endpoint, 'must be a push service or another public host')
+    end
+  rescue URI::InvalidURIError
+    errors.add(:endpoint, 'is not a valid URL')
+  end
+
+  # The push sink of `rake web_push:subscribe_local`, on any host outside
+  # production
+  def local_sink?(uri)
+    (Rails.env.development? || Rails.env.test?) && uri.is_a?(URI::HTTP) && uri.path.start_with?('/push_sink/')
+  end
+
+  def push_service_host?(host)
+    host = host.downcase
+    PUSH_SERVICE_HOSTS.include?(host) || PUSH_SERVICE_DOMAINS.any? { |domain| host.end_with?(domain) }
+  end
+end
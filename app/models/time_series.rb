@@ -1,6 +1,6 @@
 class TimeSeries < ApplicationRecord
   KINDS = %w[univariate aggregate].freeze
-  SOURCES = %w[DB FRED CBOE Polygon CoinGecko Yahoo Bitstamp TwelveData].freeze
+  SOURCES = %w[DB FRED CBOE Polygon CoinGecko Yahoo Bitstamp TwelveData Derived].freeze
   TIMEFRAMES = %w[M1 H1 D1 W1 MN1 Q Y].freeze
 
   enum :kind, KINDS.index_with(&:itself), default: :univariate
@@ -9,10 +9,13 @@ class TimeSeries < ApplicationRecord
   validates :timeframe, presence: true, inclusion: { in: TIMEFRAMES }
   validates :source, presence: true, inclusion: { in: SOURCES }
   validates :kind, presence: true, inclusion: { in: KINDS }
+  validates :calendar, inclusion: { in: ->(_series) { TradingCalendar.keys } }, allow_nil: true
 
   has_many :aggregates, foreign_key: :ticker, primary_key: :ticker
   has_many :univariates, foreign_key: :ticker, primary_key: :ticker
   has_many :pipelines
+  has_many :alert_rules, dependent: :destroy
+  has_many :watchlist_items, dependent: :delete_all
 
   scope :univariate, -> { where(kind: 'univariate') }
   scope :aggregate, -> { where(kind: 'aggregate') }
@@ -29,6 +32,13 @@ class TimeSeries < ApplicationRecord
   }
 
   normalizes :ticker, with: ->(s) { s.to_s.strip.presence }
+  normalizes :calendar, with: ->(calendar) { calendar.presence }
+
+  # New series start on the calendar of their source; a calendar given on
+  # create, including none (the timeframe rules), is kept
+  before_validation on: :create, unless: -> { attribute_came_from_user?(:calendar) } do
+    self.calendar ||= TradingCalendar.default_for(source)
+  end
 
   def points
     case kind
@@ -43,6 +53,61 @@ class TimeSeries < ApplicationRecord
     pipelines.pluck(:active).any?
   end
 
+  # Starts the pipelines of series derived from this one after it got new
+  # points, `since` being the earliest of them; see DerivedSeriesRefreshJob
+  def refresh_derived_series(since: nil)
+    DerivedSeriesRefreshJob.perform_async(ticker, since&.utc&.iso8601) if Pipeline.derived_from(ticker).where(active: true).exists?
+  end
+
+  # Returns points between `from` and `to` for charting, bucketed so that at
+  # most `max_points` are returned. Aggregates are rolled up to OHLCV per
+  # bucket, univariates keep the last value plus the bucket min/max so spikes
+  # stay visible when zoomed out. `resolution` is the bucket size in seconds,
+  # or nil when the raw points are returned.
+  def chart_points(from: nil, to: nil, max_points: 500)
+    scope = points
+    scope = scope.where(ts: from..) if from
+    scope = scope.where(ts: ..to) if to
+
+    first_ts, last_ts, count = scope.pick(Arel.sql('MIN(ts)'), Arel.sql('MAX(ts)'), Arel.sql('COUNT(*)'))
+    return { resolution: nil, points: [] } if count.to_i.zero?
+
+    if count <= max_points
+      rows = case kind
+             when 'aggregate'
+               scope.order(:ts).pluck(:ts, :open, :high, :low, :close, :volume)
+             when 'univariate'
+               scope.order(:ts).pluck(:ts, :main)
+             end
+
+      return { resolution: nil, points: rows.map { |row| chart_point(row) } }
+    end
+
+    bucket_seconds = ((last_ts - first_ts) / max_points).floor + 1
+    bucket = Arel.sql("FLOOR((EXTRACT(EPOCH FROM ts) - #{first_ts.to_i}) / #{bucket_seconds})")
+
+    rows = case kind
+           when 'aggregate'
+             scope.group(bucket).order(bucket).pluck(
+               Arel.sql('MIN(ts)'),
+               Arel.sql('(ARRAY_AGG(open ORDER BY ts))[1]'),
+               Arel.sql('MAX(high)'),
+               Arel.sql('MIN(low)'),
+               Arel.sql('(ARRAY_AGG(close ORDER BY ts DESC))[1]'),
+               Arel.sql('SUM(volume)')
+             )
+           when 'univariate'
+             scope.group(bucket).order(bucket).pluck(
+               Arel.sql('MIN(ts)'),
+               Arel.sql('(ARRAY_AGG(main ORDER BY ts DESC))[1]'),
+               Arel.sql('MIN(main)'),
+               Arel.sql('MAX(main)')
+             )
+           end
+
+    { resolution: bucket_seconds, points: rows.map { |row| chart_point(row) } }
+  end
+
   # Helper method to find time series by source and source_id
   def self.find_by_source_mapping(source, source_id)
     find_by(source:, source_id:)
@@ -62,39 +127,82 @@ class TimeSeries < ApplicationRecord
   # A time series is up to date if no new data is expected to be fetched
   def up_to_date?
     latest_ts = points.maximum(:ts)
-    return false unless latest_ts
+    cutoff = self.class.up_to_date_cutoff(timeframe, calendar:)
+    return false unless latest_ts && cutoff
+
+    latest_ts >= cutoff
+  end
 
-    current_time = DateTime.current
+  # The TradingCalendar of the series, or nil when the timeframe rules apply
+  def trading_calendar
+    TradingCalendar[calendar] if calendar
+  end
+
+  def next_expected_update(current_time = DateTime.current)
+    self.class.next_expected_update(timeframe, current_time, calendar:)
+  end
+
+  # Oldest latest point that still counts as up to date for a timeframe, or
+  # nil for unknown timeframes and calendars (never up to date). Series with
+  # a calendar follow its sessions, holidays and release lags (see
+  # TradingCalendar#expected_since), the others the timeframe rules below.
+  def self.up_to_date_cutoff(timeframe, current_time = DateTime.current, calendar: nil)
+    return TradingCalendar[calendar]&.expected_since(timeframe, current_time) if calendar
 
     case timeframe
     when 'M1'  # 1 minute
       # New data expected every minute
-      latest_ts >= current_time.beginning_of_minute
+      current_time.beginning_of_minute
     when 'H1'  # 1 hour
       # New data expected every hour
-      latest_ts >= current_time.beginning_of_hour
+      current_time.beginning_of_hour
     when 'D1'  # Daily
       # New data expected daily, but only after market close or next day
       # Consider up to date if latest is yesterday or today
-      latest_ts.to_date >= current_time.to_date - 1.day
+      (current_time.to_date - 1.day).beginning_of_day
     when 'W1'  # Weekly
       # New data expected weekly
-      latest_ts >= current_time.beginning_of_week
+      current_time.beginning_of_week
     when 'MN1' # Monthly
       # New data expected monthly, but only after month closes
       # Up to date if latest is from last month (current month data not ready yet)
-      latest_ts >= current_time.beginning_of_month - 1.month
+      current_time.beginning_of_month - 1.month
     when 'Q'   # Quarterly
       # New data expected quarterly, but only after quarter closes
       # Up to date if latest is from last quarter (current quarter data not ready yet)
-      latest_ts >= current_time.beginning_of_quarter - 3.months
+      current_time.beginning_of_quarter - 3.months
     when 'Y'   # Yearly
       # New data expected yearly, but only after year closes
       # Up to date if latest is from last year (current year data not ready yet)
-      latest_ts >= current_time.beginning_of_year - 1.year
-    else
-      # Unknown timeframe, assume not up to date
-      false
+      current_time.beginning_of_year - 1.year
+    end
+  end
+
+  # When the cutoff above next moves, i.e. when newer data is next expected
+  def self.next_expected_update(timeframe, current_time = DateTime.current, calendar: nil)
+    return TradingCalendar[calendar]&.next_expected_at(timeframe, current_time) if calendar
+
+    case timeframe
+    when 'M1' then current_time.beginning_of_minute + 1.minute
+    when 'H1' then current_time.beginning_of_hour + 1.hour
+    when 'D1' then current_time.to_date.tomorrow.beginning_of_day
+    when 'W1' then current_time.next_week.beginning_of_week
+    when 'MN1' then current_time.next_month.beginning_of_month
+    when 'Q' then current_time.next_quarter.beginning_of_quarter
+    when 'Y' then current_time.next_year.beginning_of_year
+    end
+  end
+
+  private
+
+  def chart_point(row)
+    case kind
+    when 'aggregate'
+      ts, open, high, low, close, volume = row
+      { ts:, open:, high:, low:, close:, volume: }
+    when 'univariate'
+      ts, value, min, max = row
+      { ts:, value:, min: min || value, max: max || value }
     end
   end
 end
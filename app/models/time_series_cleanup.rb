@@ -0,0 +1,66 @@
+# Deletes a scoped set of points from a time series: everything in a date
+# range, or only the points flagged by a filter (optionally within the range).
+# The filters reuse the TimeSeriesQuality checks. Deleted points are moved
+# into a CleanupSnapshot in the same statement, so the cleanup can be undone
+# until the snapshot expires.
+class TimeSeriesCleanup
+  FILTERS = {
+    'all' => 'All points',
+    'duplicate' => 'Extra points within a period',
+    'ohlc' => 'OHLC violations',
+    'nonpositive' => 'Non-positive prices',
+    'jump' => 'Jumps beyond the sigma threshold',
+    'weekend' => 'Weekend points'
+  }.freeze
+
+  attr_reader :time_series, :from, :to, :filter, :sigma
+
+  def initialize(time_series, from: nil, to: nil, filter: nil, sigma: nil)
+    @time_series = time_series
+    @from = from
+    @to = to
+    @filter = filter.presence || 'all'
+    @sigma = (sigma.presence || TimeSeriesQuality::DEFAULT_SIGMA).to_f.clamp(2, 20)
+
+    raise ArgumentError, "Unknown filter: #{@filter}" unless FILTERS.key?(@filter)
+    raise ArgumentError, 'The start of the range is after its end' if from && to && from > to
+  end
+
+  def scope
+    points = case filter
+             when 'all' then time_series.points
+             when 'weekend' then time_series.points.where('EXTRACT(ISODOW FROM ts) IN (6, 7)')
+             else TimeSeriesQuality.new(time_series, sigma: sigma).flagged(filter)
+             end
+
+    from || to ? points.where(ts: from..to) : points
+  end
+
+  def count
+    scope.count
+  end
+
+  # Moves the matching points into a new snapshot. Returns the snapshot, or
+  # nil when no point matched.
+  def perform!
+    CleanupSnapshot.transaction do
+      snapshot = CleanupSnapshot.create!(ticker: time_series.ticker, kind: time_series.kind, filter: filter, from: from, to: to)
+      columns = CleanupSnapshot::COLUMNS.fetch(time_series.kind).join(', ')
+      table = scope.klass.table_name
+
+      moved = CleanupSnapshot.connection.exec_update(<<~SQL)
+        WITH deleted AS (
+          DELETE FROM #{table} WHERE id IN (#{scope.select(:id).to_sql})
+          RETURNING #{columns}
+        )
+        INSERT INTO cleanup_snapshot_points (cleanup_snapshot_id, #{columns})
+        SELECT #{snapshot.id}, #{columns} FROM deleted
+      SQL
+
+      raise ActiveRecord::Rollback if moved.zero?
+
+      snapshot.update!(points_count: moved)
+      snapshot
+    end
+  end
+end
@@ -0,0 +1,156 @@
+# Aligns several time series on a common timeframe for the compare page. Each
+# series contributes its last value per period (Aggregate#main or
+# Univariate#main) and only periods where every series has a value are kept.
+# The timeframe defaults to the coarsest one among the series and cannot be
+# finer than that. Series of the same asset from different sources are
+# checked for divergence: periods where their values differ by more than
+# `threshold` relative to their mean.
+class TimeSeriesComparison
+  MAX_SERIES = 6
+  MAX_POINTS = 1000
+  DEFAULT_THRESHOLD = 0.02
+
+  attr_reader :tickers, :threshold, :from, :to
+
+  def initialize(tickers:, timeframe: nil, from: nil, to: nil, threshold: nil, same_asset: false)
+    @tickers = Array(tickers).compact_blank.map(&:to_s).uniq.first(MAX_SERIES)
+    @requested_timeframe = timeframe.presence_in(TimeSeries::TIMEFRAMES)
+    @to = to || Time.current
+    @from = from
+    @threshold = threshold.to_f.positive? ? threshold.to_f : DEFAULT_THRESHOLD
+    @same_asset = same_asset
+  end
+
+  def series
+    @series ||= TimeSeries.where(ticker: tickers).index_by(&:ticker).values_at(*tickers).compact
+  end
+
+  def timeframe
+    @requested_timeframe || coarsest_timeframe
+  end
+
+  # A message explaining why the series cannot be compared, or nil
+  def error
+    missing = tickers - series.map(&:ticker)
+
+    if missing.any?
+      "Unknown #{'ticker'.pluralize(missing.size)}: #{missing.join(', ')}"
+    elsif series.size < 2
+      'Pick at least two series to compare'
+    elsif timeframe_index(timeframe) < timeframe_index(coarsest_timeframe)
+      "#{timeframe} is finer than #{coarsest_timeframe}, the coarsest timeframe of the selected series"
+    end
+  end
+
+  def report
+    periods, values = aligned
+
+    {
+      timeframe: timeframe,
+      from: periods.first,
+      to: periods.last,
+      threshold: threshold,
+      series: series.map do |time_series|
+        {
+          ticker: time_series.ticker,
+          source: time_series.source,
+          kind: time_series.kind,
+          timeframe: time_series.timeframe,
+          description: time_series.description,
+          asset: asset_key(time_series)
+        }
+      end,
+      timestamps: periods,
+      values: values,
+      divergences: divergences(periods, values)
+    }
+  end
+
+  # [periods, { ticker => values }] for the periods every series has a value in
+  def aligned
+    @aligned ||= begin
+      by_ticker = series.to_h { |time_series| [time_series.ticker, period_values(time_series)] }
+      periods = by_ticker.values.map(&:keys).reduce(:&).sort.last(MAX_POINTS)
+
+      [periods, by_ticker.transform_values { |values| values.values_at(*periods) }]
+    end
+  end
+
+  # Pairs of same-asset series whose values drifted apart by more than the
+  # threshold, with the stretches of consecutive periods where they did
+  def divergences(periods = aligned.first, values = aligned.last)
+    same_asset_pairs.filter_map do |first, second|
+      spreads = values[first.ticker].zip(values[second.ticker]).map do |a, b|
+        mean = (a + b) / 2.0
+        mean.zero? ? 0.0 : ((a - b) / mean).abs
+      end
+
+      stretches = []
+      spreads.each_with_index do |spread, index|
+        next if spread <= threshold
+
+        if stretches.last && stretches.last[:last_index] == index - 1
+          stretches.last[:last_index] = index
+          stretches.last[:max_spread] = [stretches.last[:max_spread], spread].max
+        else
+          stretches << { first_index: index, last_index: index, max_spread: spread }
+        end
+      end
+
+      next if spreads.empty?
+
+      {
+        tickers: [first.ticker, second.ticker],
+        latest_spread: spreads.last.round(6),
+        max_spread: spreads.max.round(6),
+        diverging: spreads.last > threshold,
+        periods: stretches.map do |stretch|
+          {
+            from: periods[stretch[:first_index]],
+            to: periods[stretch[:last_index]],
+            max_spread: stretch[:max_spread].round(6)
+          }
+        end
+      }
+    end
+  end
+
+  private
+
+  def coarsest_timeframe
+    series.map(&:timeframe).max_by { |frame| timeframe_index(frame) } || 'D1'
+  end
+
+  def timeframe_index(frame)
+    TimeSeries::TIMEFRAMES.index(frame) || 0
+  end
+
+  # Without `from` the window covers MAX_POINTS periods back from `to`
+  def window_start
+    from || to - (TimeSeriesQuality::STEPS.fetch(timeframe) * MAX_POINTS)
+  end
+
+  def period_values(time_series)
+    period = TimeSeriesQuality::PERIODS.fetch(timeframe)
+    bucket = Arel.sql("date_trunc(#{ApplicationRecord.connection.quote(period)}, ts)")
+    value = time_series.aggregate? ? 'COALESCE(adjusted, close)' : 'main'
+
+    time_series.points.where(ts: window_start..to)
+               .group(bucket)
+               .pluck(bucket, Arel.sql("(ARRAY_AGG(#{value} ORDER BY ts DESC))[1]"))
+               .to_h
+  end
+
+  # Series from different sources are the same asset when their source ids
+  # match once case, separators and a trailing timeframe are ignored (e.g.
+  # "btcusd" and "BTCUSD_H1"); the user can also mark the selection as one asset
+  def asset_key(time_series)
+    (time_series.source_id.presence || time_series.ticker).upcase.gsub(/[^A-Z0-9]/, '').sub(/(#{TimeSeries::TIMEFRAMES.grep(/\d/).join('|')})\z/, '')
+  end
+
+  def same_asset_pairs
+    series.combination(2).select do |first, second|
+      @same_asset || (first.source != second.source && asset_key(first) == asset_key(second))
+    end
+  end
+end
@@ -0,0 +1,191 @@
+# Definition of a derived series: points computed from one or two parent
+# series instead of fetched from a provider. Derived series have the Derived
+# source and are materialized by the DerivedFlat chain, which keeps the
+# definition in its pipeline's options. The parents are bucketed into the
+# periods of the derived timeframe. Resampling rolls each period up like
+# TimeSeriesPoints; every other transform works on the last price of each
+# period (adjusted close for aggregates) and yields a univariate series.
+class TimeSeriesDerivation
+  TRANSFORMS = {
+    'resample' => 'Resample to a coarser timeframe',
+    'returns' => 'Returns',
+    'log_returns' => 'Log returns',
+    'volatility' => 'Realized volatility',
+    'spread' => 'Spread (first minus second)',
+    'ratio' => 'Ratio (first divided by second)'
+  }.freeze
+
+  # Transforms on two series, matched on common periods
+  PAIR_TRANSFORMS = %w[spread ratio].freeze
+
+  DEFAULT_WINDOW = 20
+  MAX_WINDOW = 1000
+
+  attr_reader :transform, :parent, :other, :timeframe, :window
+
+  # The definition stored on a DerivedFlat pipeline
+  def self.from_pipeline(pipeline)
+    new(
+      transform: pipeline.option('transform'),
+      parent: TimeSeries.find_by(ticker: pipeline.option('parent')),
+      other: TimeSeries.find_by(ticker: pipeline.option('other').to_s),
+      timeframe: pipeline.time_series.timeframe,
+      window: pipeline.option('window')
+    )
+  end
+
+  def initialize(transform:, parent:, other: nil, timeframe: nil, window: nil)
+    @transform = transform.to_s
+    raise ArgumentError, "Unknown transform: #{transform}" unless TRANSFORMS.key?(@transform)
+    raise ArgumentError, 'Parent series not found' unless parent
+
+    @parent = parent
+    @other = other if pair?
+    @timeframe = timeframe.presence || parent.timeframe
+    @window = (window.presence || DEFAULT_WINDOW).to_i
+
+    raise ArgumentError, "#{TRANSFORMS[@transform]} needs a second series" if pair? && @other.nil?
+    raise ArgumentError, "Unknown timeframe: #{@timeframe}" unless TimeSeries::TIMEFRAMES.include?(@timeframe)
+
+    parents.each do |series|
+      if TimeSeries::TIMEFRAMES.index(@timeframe) < TimeSeries::TIMEFRAMES.index(series.timeframe)
+        raise ArgumentError, "Cannot derive #{@timeframe} points from the #{series.timeframe} series #{series.ticker}"
+      end
+    end
+
+    if @transform == 'resample' && @timeframe == parent.timeframe
+      raise ArgumentError, "Resampling needs a timeframe coarser than #{parent.timeframe}"
+    end
+    if @transform == 'volatility' && !@window.between?(2, MAX_WINDOW)
+      raise ArgumentError, "The window must be between 2 and #{MAX_WINDOW} periods"
+    end
+  end
+
+  def pair?
+    PAIR_TRANSFORMS.include?(transform)
+  end
+
+  def parents
+    [parent, other].compact
+  end
+
+  def tickers
+    parents.map(&:ticker)
+  end
+
+  # Resampling keeps the parent's kind; every other transform has one value
+  def kind
+    transform == 'resample' ? parent.kind : 'univariate'
+  end
+
+  def columns
+    kind == 'aggregate' ? %w[ts open high low close adjusted volume] : %w[ts value]
+  end
+
+  # Options of the DerivedFlat pipeline that materializes this definition
+  def options
+    { 'transform' => transform, 'parent' => parent.ticker, 'other' => other&.ticker, 'window' => (window if transform == 'volatility') }.compact
+  end
+
+  def description
+    case transform
+    when 'resample' then "#{parent.ticker} resampled to #{timeframe}"
+    when 'volatility' then "Realized volatility of #{parent.ticker} over #{window} #{timeframe} periods"
+    when 'spread' then "#{parent.ticker} minus #{other.ticker}"
+    when 'ratio' then "#{parent.ticker} divided by #{other.ticker}"
+    else "#{TRANSFORMS[transform]} of #{parent.ticker} (#{timeframe})"
+    end
+  end
+
+  # Derived points as [ts, *values] in `columns` order, ascending. Covers the
+  # periods from the one containing `from` up to, not including, the one
+  # containing `before`; both are optional.
+  def rows(from: nil, before: nil)
+    ApplicationRecord.connection.select_all(sql(from: from, before: before)).cast_values
+  end
+
+  def sql(from: nil, before: nil)
+    conditions = []
+    conditions << "ts >= #{truncate(from)}" if from
+    conditions << "ts < #{truncate(before)}" if before
+    conditions << 'value IS NOT NULL' if kind == 'univariate'
+
+    <<~SQL
+      SELECT #{columns.join(', ')} FROM (#{derived_sql(from, before)}) derived
+      #{"WHERE #{conditions.join(' AND ')}" if conditions.any?}
+      ORDER BY ts
+    SQL
+  end
+
+  private
+
+  def derived_sql(from, before)
+    case transform
+    when 'resample'
+      rollups = TimeSeriesPoints::ROLLUPS.fetch(parent.kind).map { |column, sql| "#{sql} AS #{column}" }
+      "SELECT #{bucket} AS ts, #{rollups.join(', ')} FROM (#{input_sql(parent, from, before)}) points GROUP BY 1"
+    when 'returns'
+      "SELECT ts, price / NULLIF(LAG(price) OVER (ORDER BY ts), 0) - 1 AS value FROM (#{prices_sql(parent, from, before)}) prices"
+    when 'log_returns'
+      "SELECT ts, #{log_return_sql} AS value FROM (#{prices_sql(parent, from, before)}) prices"
+    when 'volatility'
+      frame = "OVER (ORDER BY ts ROWS BETWEEN #{window - 1} PRECEDING AND CURRENT ROW)"
+      <<~SQL
+        SELECT ts, CASE WHEN COUNT(r) #{frame} = #{window} THEN SQRT(SUM(r * r) #{frame}) END AS value
+        FROM (SELECT ts, #{log_return_sql} AS r FROM (#{prices_sql(parent, from, before)}) prices) changes
+      SQL
+    when 'spread', 'ratio'
+      value = transform == 'spread' ? 'a.price - b.price' : 'a.price / NULLIF(b.price, 0)'
+      "SELECT ts, #{value} AS value FROM (#{prices_sql(parent, from, before)}) a JOIN (#{prices_sql(other, from, before)}) b USING (ts)"
+    end
+  end
+
+  def log_return_sql
+    'CASE WHEN price > 0 AND LAG(price) OVER (ORDER BY ts) > 0 THEN LN(price / LAG(price) OVER (ORDER BY ts)) END'
+  end
+
+  # Last price per period of a parent series
+  def prices_sql(series, from, before)
+    price = series.aggregate? ? 'adjusted' : 'main'
+
+    "SELECT #{bucket} AS ts, (ARRAY_AGG(#{price} ORDER BY ts DESC))[1] AS price FROM (#{input_sql(series, from, before)}) points GROUP BY 1"
+  end
+
+  # The parent's points for the requested periods plus the periods returns
+  # and rolling windows look back on. The lookback is a span of time
+  # generous enough to cover weekends and holidays.
+  def input_sql(series, from, before)
+    points = series.points
+    if from
+      start = from - (lookback * 3 * TimeSeriesQuality::STEPS.fetch(timeframe)) - (lookback.positive? ? 7.days : 0)
+      points = points.where("ts >= #{truncate(start)}")
+    end
+    points = points.where("ts < #{truncate(before)}") if before
+    points.to_sql
+  end
+
+  # Periods before the first requested one a transform needs
+  def lookback
+    case transform
+    when 'returns', 'log_returns' then 1
+    when 'volatility' then window
+    else 0
+    end
+  end
+
+  def bucket
+    "date_trunc(#{quote(period)}, ts)"
+  end
+
+  def truncate(time)
+    "date_trunc(#{quote(period)}, #{quote(time.utc)}::timestamp)"
+  end
+
+  def period
+    TimeSeriesQuality::PERIODS.fetch(timeframe)
+  end
+
+  def quote(value)
+    ApplicationRecord.connection.quote(value)
+  end
+end
@@ -0,0 +1,118 @@
+# Streams the points of one or more time series as CSV or NDJSON. Rows are
+# read in keyset batches ordered by ticker and ts so memory stays flat no
+# matter how long the series is; `each` yields one line at a time and can be
+# used directly as a response body.
+class TimeSeriesExport
+  include Enumerable
+
+  FORMATS = %w[csv ndjson].freeze
+  BATCH_SIZE = 5_000
+
+  COLUMNS = {
+    'univariate' => %w[main],
+    'aggregate' => %w[open high low close adjusted volume]
+  }.freeze
+
+  CONTENT_TYPES = {
+    'csv' => 'text/csv',
+    'ndjson' => 'application/x-ndjson'
+  }.freeze
+
+  attr_reader :time_series_list, :format, :from, :to, :time_zone
+
+  def initialize(time_series_list, format: 'csv', from: nil, to: nil, columns: nil, time_zone: nil)
+    @time_series_list = Array(time_series_list).sort_by(&:ticker)
+    @format = format.to_s
+    @from = from
+    @to = to
+    @requested_columns = Array(columns).map(&:to_s).compact_blank
+    @time_zone = time_zone || Time.zone
+
+    raise ArgumentError, "Unknown export format: #{@format}" unless FORMATS.include?(@format)
+    raise ArgumentError, 'No time series to export' if @time_series_list.empty?
+  end
+
+  # Every value column the selected series have, in a stable order
+  def available_columns
+    COLUMNS.values_at(*time_series_list.map(&:kind).uniq).flatten.uniq
+  end
+
+  # The ticker column is only added when more than one series is exported
+  def columns
+    value_columns = @requested_columns.any? ? available_columns & @requested_columns : available_columns
+    (multiple? ? %w[ticker ts] : %w[ts]) + value_columns
+  end
+
+  def points_count
+    time_series_list.sum { |time_series| scope_for(time_series).count }
+  end
+
+  def content_type
+    CONTENT_TYPES.fetch(format)
+  end
+
+  def filename
+    name = multiple? ? "time-series-#{time_series_list.size}" : time_series_list.first.ticker
+    range = "_#{from&.strftime('%Y%m%d') || 'start'}-#{to&.strftime('%Y%m%d') || 'latest'}" if from || to
+
+    "#{name}#{range}.#{format}"
+  end
+
+  def each
+    return enum_for(:each) unless block_given?
+
+    yield CSV.generate_line(columns) if format == 'csv'
+
+    time_series_list.each do |time_series|
+      each_batch(time_series) do |rows|
+        rows.each { |row| yield line_for(time_series, row) }
+      end
+    end
+  end
+
+  private
+
+  def multiple?
+    time_series_list.size > 1
+  end
+
+  def scope_for(time_series)
+    scope = time_series.points
+    scope = scope.where(ts: from..) if from
+    scope = scope.where(ts: ..to) if to
+    scope
+  end
+
+  def each_batch(time_series)
+    own_columns = COLUMNS.fetch(time_series.kind) & columns
+    last_ts = nil
+
+    loop do
+      scope = scope_for(time_series).order(:ts).limit(BATCH_SIZE)
+      scope = scope.where('ts > ?', last_ts) if last_ts
+      rows = scope.pluck(:ts, *own_columns).map { |ts, *values| [ts, own_columns.zip(values).to_h] }
+      break if rows.empty?
+
+      yield rows
+      break if rows.size < BATCH_SIZE
+
+      last_ts = rows.last.first
+    end
+  end
+
+  def line_for(time_series, (ts, values))
+    record = columns.map do |column|
+      case column
+      when 'ticker' then time_series.ticker
+      when 'ts' then ts.in_time_zone(time_zone).iso8601
+      else values[column]
+      end
+    end
+
+    if format == 'csv'
+      CSV.generate_line(record)
+    else
+      "#{columns.zip(record).to_h.to_json}\n"
+    end
+  end
+end
@@ -0,0 +1,128 @@
+# Imports hand-curated points into a time series, one chunk of rows at a time
+# (see the upload page). Rows are hashes with `ts` and either open/high/low/
+# close/volume (aggregates) or `value` (univariates), plus the `row` number
+# from the file for error messages. Invalid rows and rows whose timestamp
+# already exists are skipped and reported; with `dry_run` nothing is written,
+# which the upload page uses to preview duplicates before importing.
+class TimeSeriesImport
+  MAX_ROWS = 5000
+  FIELDS = {
+    'aggregate' => %w[ts open high low close volume],
+    'univariate' => %w[ts value]
+  }.freeze
+
+  attr_reader :time_series, :rows
+
+  def initialize(time_series, rows, dry_run: false)
+    @time_series = time_series
+    @rows = Array(rows).first(MAX_ROWS).each_with_index.map do |row, index|
+      row.to_h.stringify_keys.reverse_merge('row' => index + 1)
+    end
+    @dry_run = dry_run
+  end
+
+  def fields
+    FIELDS.fetch(time_series.kind)
+  end
+
+  # { rows:, inserted:, importable:, first_ts:, duplicates: [{ row:, ts: }], errors: [{ row:, message: }] }
+  # where `first_ts` is the earliest importable point
+  def call
+    errors = []
+    records = {}
+
+    rows.each do |row|
+      record, message = build(row)
+      if message
+        errors << { row: row['row'], message: message }
+      elsif records.key?(record[:ts])
+        errors << { row: row['row'], message: "Duplicate of row #{records[record[:ts]][:row]} (#{record[:ts].iso8601})" }
+      else
+        records[record[:ts]] = record.merge(row: row['row'])
+      end
+    end
+
+    existing = time_series.points.where(ts: records.keys).pluck(:ts).to_set
+    duplicates, fresh = records.values.partition { |record| existing.include?(record[:ts]) }
+
+    {
+      rows: rows.size,
+      inserted: @dry_run ? 0 : insert(fresh),
+      importable: fresh.size,
+      first_ts: fresh.map { |record| record[:ts] }.min,
+      duplicates: duplicates.map { |record| { row: record[:row], ts: record[:ts] } },
+      errors: errors
+    }
+  end
+
+  private
+
+  # [attributes, nil] or [nil, error message]
+  def build(row)
+    ts = parse_time(row['ts'])
+    return [nil, "Invalid date: #{row['ts'].inspect}"] if ts.nil?
+
+    values = {}
+    (fields - ['ts']).each do |field|
+      # Volume is optional
+      if field == 'volume' && row[field].blank?
+        values[:volume] = nil
+        next
+      end
+
+      value = parse_number(row[field])
+      return [nil, "#{field} is not a number: #{row[field].inspect}"] if value.nil?
+
+      values[field.to_sym] = value
+    end
+
+    message = time_series.aggregate? ? ohlc_error(values) : nil
+    message ? [nil, message] : [values.merge(ts: ts), nil]
+  end
+
+  def ohlc_error(values)
+    open, high, low, close, volume = values.values_at(:open, :high, :low, :close, :volume)
+
+    if high < [open, low, close].max
+      "high #{high} is below open, low or close"
+    elsif low > [open, close].min
+      "low #{low} is above open or close"
+    elsif volume&.negative?
+      "volume #{volume} is negative"
+    end
+  end
+
+  def insert(records)
+    return 0 if records.empty?
+
+    now = Time.current
+    attributes = records.map do |record|
+      base = { ticker: time_series.ticker, timeframe: time_series.timeframe, ts: record[:ts], created_at: now, updated_at: now }
+
+      if time_series.aggregate?
+        base.merge(record.slice(:open, :high, :low, :close, :volume)).merge(adjusted: record[:close])
+      else
+        base.merge(main: record[:value])
+      end
+    end
+
+    model = time_series.aggregate? ? Aggregate : Univariate
+    # Rows inserted by a pipeline since the duplicate check are skipped
+    attributes.each_slice(1000).sum { |slice| model.insert_all(slice).length }
+  end
+
+  # ISO 8601 strings or epoch seconds
+  def parse_time(value)
+    return nil if value.blank?
+    return Time.zone.at(value) if value.is_a?(Numeric)
+
+    Time.zone.parse(value.to_s)
+  rescue ArgumentError, RangeError
+    nil
+  end
+
+  def parse_number(value)
+    number = value.is_a?(Numeric) ? value.to_f : Float(value.to_s.strip, exception: false)
+    number if number&.finite?
+  end
+end
@@ -0,0 +1,111 @@
+# Cursor-paginated points of a time series for the API, in ascending time
+# order. With a `timeframe` coarser than the series' own the points are
+# rolled up per period: OHLC takes the first open, highest high, lowest low
+# and last close, volumes are summed, univariate values take the last value.
+# The cursor is the timestamp of the last point of the previous page.
+class TimeSeriesPoints
+  DEFAULT_LIMIT = 1000
+  MAX_LIMIT = 5000
+
+  ROLLUPS = {
+    'aggregate' => {
+      open: '(ARRAY_AGG(open ORDER BY ts))[1]',
+      high: 'MAX(high)',
+      low: 'MIN(low)',
+      close: '(ARRAY_AGG(close ORDER BY ts DESC))[1]',
+      adjusted: '(ARRAY_AGG(adjusted ORDER BY ts DESC))[1]',
+      volume: 'SUM(volume)'
+    },
+    'univariate' => {
+      value: '(ARRAY_AGG(main ORDER BY ts DESC))[1]'
+    }
+  }.freeze
+
+  attr_reader :time_series, :from, :to, :limit, :timeframe
+
+  def initialize(time_series, from: nil, to: nil, limit: nil, cursor: nil, timeframe: nil)
+    @time_series = time_series
+    @from = from
+    @to = to
+    @limit = (limit.presence || DEFAULT_LIMIT).to_i.clamp(1, MAX_LIMIT)
+    @after = decode_cursor(cursor) if cursor.present?
+    @timeframe = timeframe.presence || time_series.timeframe
+
+    raise ArgumentError, "Unknown timeframe: #{@timeframe}" unless TimeSeries::TIMEFRAMES.include?(@timeframe)
+    if TimeSeries::TIMEFRAMES.index(@timeframe) < TimeSeries::TIMEFRAMES.index(time_series.timeframe)
+      raise ArgumentError, "Cannot resample #{time_series.timeframe} to the finer #{@timeframe}"
+    end
+  end
+
+  def resampled?
+    timeframe != time_series.timeframe
+  end
+
+  # { timeframe:, points: [...], next_cursor: } where next_cursor is nil on
+  # the last page
+  def page
+    rows = resampled? ? resampled_rows : raw_rows
+    more = rows.size > limit
+    points = rows.first(limit)
+
+    {
+      timeframe: timeframe,
+      resampled: resampled?,
+      points: points,
+      next_cursor: more ? encode_cursor(points.last[:ts]) : nil
+    }
+  end
+
+  # The most recent point within `to`, not resampled, or nil
+  def latest
+    values = scope.order(ts: :desc).limit(1).pluck(*columns).first
+    values && raw_row(values)
+  end
+
+  private
+
+  def scope
+    scope = time_series.points
+    scope = scope.where(ts: from..) if from
+    scope = scope.where(ts: ..to) if to
+    scope
+  end
+
+  def columns
+    time_series.aggregate? ? %i[ts open high low close adjusted volume] : %i[ts main]
+  end
+
+  def raw_rows
+    relation = @after ? scope.where('ts > ?', @after) : scope
+    relation.order(:ts).limit(limit + 1).pluck(*columns).map { |values| raw_row(values) }
+  end
+
+  def raw_row(values)
+    row = columns.zip(values).to_h
+    row[:value] = row.delete(:main) if row.key?(:main)
+    row
+  end
+
+  def resampled_rows
+    period = TimeSeriesQuality::PERIODS.fetch(timeframe)
+    bucket = "date_trunc(#{ApplicationRecord.connection.quote(period)}, ts)"
+    rollup = ROLLUPS.fetch(time_series.kind)
+
+    relation = scope.group(Arel.sql(bucket)).order(Arel.sql(bucket)).limit(limit + 1)
+    relation = relation.having("#{bucket} > ?", @after) if @after
+
+    relation.pluck(Arel.sql(bucket), *rollup.values.map { |sql| Arel.sql(sql) }).map do |ts, *values|
+      { ts: ts }.merge(rollup.keys.zip(values).to_h)
+    end
+  end
+
+  def encode_cursor(ts)
+    Base64.urlsafe_encode64(ts.utc.iso8601(6), padding: false)
+  end
+
+  def decode_cursor(cursor)
+    Time.iso8601(Base64.urlsafe_decode64(cursor.to_s))
+  rescue ArgumentError
+    raise ArgumentError, 'Invalid cursor'
+  end
+end
@@ -0,0 +1,245 @@
+# Data quality checks for a time series: missing bars for its timeframe,
+# several points in one period, OHLC violations, non-positive prices and
+# changes beyond `sigma` standard deviations. Each check keeps at most `limit`
+# findings; the summary has the full count per check.
+class TimeSeriesQuality
+  CHECKS = %w[gap duplicate ohlc nonpositive jump].freeze
+  DEFAULT_SIGMA = 6
+  DEFAULT_LIMIT = 200
+
+  # Expected spacing between consecutive points
+  STEPS = {
+    'M1' => 1.minute,
+    'H1' => 1.hour,
+    'D1' => 1.day,
+    'W1' => 1.week,
+    'MN1' => 1.month,
+    'Q' => 3.months,
+    'Y' => 1.year
+  }.freeze
+
+  # Checks whose points can be selected with #flagged
+  FLAGGABLE = %w[duplicate ohlc nonpositive jump].freeze
+
+  OHLC_CONDITION = 'high < low OR open > high OR open < low OR close > high OR close < low'.freeze
+  PRICE_COLUMNS = %w[open high low close].freeze
+
+  # date_trunc unit that should hold at most one point
+  PERIODS = {
+    'M1' => 'minute',
+    'H1' => 'hour',
+    'D1' => 'day',
+    'W1' => 'week',
+    'MN1' => 'month',
+    'Q' => 'quarter',
+    'Y' => 'year'
+  }.freeze
+
+  attr_reader :time_series, :sigma, :limit
+
+  def initialize(time_series, sigma: DEFAULT_SIGMA, limit: DEFAULT_LIMIT)
+    @time_series = time_series
+    @sigma = sigma.to_f
+    @limit = limit.to_i
+  end
+
+  def report
+    results = CHECKS.index_with { |check| send("#{check}_findings") }
+
+    {
+      ticker: time_series.ticker,
+      timeframe: time_series.timeframe,
+      calendar: time_series.trading_calendar&.name,
+      sigma: sigma,
+      checked_at: Time.current,
+      points_count: points.count,
+      summary: results.transform_values(&:last),
+      findings: results.values.flat_map(&:first).sort_by { |finding| finding[:ts] }
+    }
+  end
+
+  # Consecutive points further apart than the timeframe allows. Series with a
+  # trading calendar only count the bars it expects, so closed sessions,
+  # weekends and holidays are no gaps. Without one, daily series without
+  # weekend data only count weekdays, and a single missing weekday is
+  # reported as info since it is most likely a market holiday.
+  def gap_findings
+    step = STEPS.fetch(time_series.timeframe, 1.day)
+    calendar = time_series.trading_calendar
+    weekdays_only = calendar.nil? && time_series.timeframe == 'D1' && weekdays_only?
+    spaced = points.select(Arel.sql('ts, LAG(ts) OVER (ORDER BY ts) AS previous_ts'))
+
+    rows = select_rows(<<~SQL)
+      SELECT previous_ts, ts FROM (#{spaced.to_sql}) spaced
+      WHERE ts - previous_ts > #{connection.quote("#{(step * 1.5).to_i} seconds")}::interval
+      ORDER BY ts
+    SQL
+
+    gaps = rows.filter_map do |previous_ts, ts|
+      missing = if calendar
+                  calendar.expected_between(time_series.timeframe, previous_ts, ts)
+                else
+                  missing_bars(previous_ts, ts, step, weekdays_only)
+                end
+      next if missing < 1
+
+      {
+        type: 'gap',
+        severity: weekdays_only && missing == 1 ? 'info' : 'warning',
+        ts: previous_ts,
+        to: ts,
+        missing: missing,
+        message: "#{missing} missing #{'bar'.pluralize(missing)} between #{format_ts(previous_ts)} and #{format_ts(ts)}"
+      }
+    end
+
+    [gaps.first(limit), gaps.size]
+  end
+
+  # More than one point inside a single timeframe period
+  def duplicate_findings
+    period = PERIODS.fetch(time_series.timeframe, 'day')
+    bucket = Arel.sql("date_trunc(#{connection.quote(period)}, ts)")
+    scope = points.group(bucket).having('COUNT(*) > 1')
+
+    rows = scope.order(bucket).limit(limit).pluck(Arel.sql('MIN(ts)'), Arel.sql('MAX(ts)'), Arel.sql('COUNT(*)'))
+    findings = rows.map do |first_ts, last_ts, count|
+      {
+        type: 'duplicate',
+        severity: 'warning',
+        ts: first_ts,
+        to: last_ts,
+        message: "#{count} points in the #{period} of #{format_ts(first_ts)}"
+      }
+    end
+
+    [findings, scope.count.size]
+  end
+
+  # Points flagged by one of the FLAGGABLE checks. For duplicates that is
+  # every point but the latest in its period, for jumps the point after the
+  # change.
+  def flagged(check)
+    case check
+    when 'duplicate'
+      period = connection.quote(PERIODS.fetch(time_series.timeframe, 'day'))
+      ranked = points.select(Arel.sql("ts, ROW_NUMBER() OVER (PARTITION BY date_trunc(#{period}, ts) ORDER BY ts DESC) AS position"))
+      points.where("ts IN (SELECT ts FROM (#{ranked.to_sql}) ranked WHERE position > 1)")
+    when 'ohlc'
+      time_series.aggregate? ? points.where(OHLC_CONDITION) : points.none
+    when 'nonpositive'
+      time_series.aggregate? ? points.where(PRICE_COLUMNS.map { |column| "#{column} <= 0" }.join(' OR ')) : points.none
+    when 'jump'
+      points.where("ts IN (#{jumps_sql} SELECT ts FROM jumps)")
+    else
+      raise ArgumentError, "Unknown check: #{check}"
+    end
+  end
+
+  # Bars whose open or close lie outside the high/low range, or with high < low
+  def ohlc_findings
+    return [[], 0] unless time_series.aggregate?
+
+    scope = flagged('ohlc')
+    rows = scope.order(:ts).limit(limit).pluck(:ts, :open, :high, :low, :close)
+
+    findings = rows.map do |ts, open, high, low, close|
+      problems = []
+      problems << "high #{high} is below low #{low}" if high < low
+      problems << "open #{open} is outside #{low}..#{high}" if open > high || open < low
+      problems << "close #{close} is outside #{low}..#{high}" if close > high || close < low
+
+      { type: 'ohlc', severity: 'error', ts: ts, message: problems.join(', ').upcase_first }
+    end
+
+    [findings, scope.count]
+  end
+
+  # Zero or negative prices. Univariate series are skipped since rates and
+  # spreads can legitimately be negative.
+  def nonpositive_findings
+    return [[], 0] unless time_series.aggregate?
+
+    scope = flagged('nonpositive')
+    rows = scope.order(:ts).limit(limit).pluck(:ts, *PRICE_COLUMNS)
+
+    findings = rows.map do |ts, *values|
+      fields = PRICE_COLUMNS.zip(values).select { |_column, value| value <= 0 }.map { |column, value| "#{column} #{value}" }
+
+      { type: 'nonpositive', severity: 'error', ts: ts, message: "Non-positive price: #{fields.join(', ')}" }
+    end
+
+    [findings, scope.count]
+  end
+
+  # Relative changes between consecutive points further than `sigma` standard
+  # deviations from the mean change, largest first
+  def jump_findings
+    jumps = jumps_sql
+    total = connection.select_value("#{jumps} SELECT COUNT(*) FROM jumps").to_i
+    rows = select_rows("#{jumps} SELECT ts, previous, value, change, z FROM jumps ORDER BY ABS(z) DESC LIMIT #{limit}")
+
+    findings = rows.map do |ts, previous, value, change, z|
+      {
+        type: 'jump',
+        severity: 'warning',
+        ts: ts,
+        message: "#{change.positive? ? 'Jump' : 'Drop'} of #{(change * 100).round(2)}% from #{previous} to #{value} (#{z.abs.round(1)} sigma)"
+      }
+    end
+
+    [findings, total]
+  end
+
+  private
+
+  # WITH clause ending in a `jumps` table of ts, previous, value, change, z
+  def jumps_sql
+    column = time_series.aggregate? ? 'close' : 'main'
+    sequenced = points.select(Arel.sql("ts, #{column} AS value, LAG(#{column}) OVER (ORDER BY ts) AS previous"))
+
+    <<~SQL
+      WITH changes AS (
+        SELECT ts, previous, value, (value - previous) / ABS(previous) AS change
+        FROM (#{sequenced.to_sql}) sequenced
+        WHERE previous IS NOT NULL AND previous <> 0
+      ), stats AS (
+        SELECT AVG(change) AS mean, STDDEV_POP(change) AS sd FROM changes
+      ), jumps AS (
+        SELECT changes.*, (change - stats.mean) / stats.sd AS z
+        FROM changes, stats
+        WHERE stats.sd > 0 AND ABS(change - stats.mean) > #{sigma} * stats.sd
+      )
+    SQL
+  end
+
+  def points
+    @points ||= time_series.points
+  end
+
+  def connection
+    ApplicationRecord.connection
+  end
+
+  def select_rows(sql)
+    connection.select_all(sql).cast_values
+  end
+
+  # Daily series with (almost) no weekend points follow a trading calendar
+  def weekdays_only?
+    weekend_count = points.where('EXTRACT(ISODOW FROM ts) IN (6, 7)').count
+    weekend_count * 100 < points.count
+  end
+
+  def missing_bars(previous_ts, ts, step, weekdays_only)
+    if weekdays_only
+      ((previous_ts.to_date + 1)...ts.to_date).count { |date| !date.saturday? && !date.sunday? }
+    else
+      ((ts - previous_ts) / step.to_f).round - 1
+    end
+  end
+
+  def format_ts(ts)
+    %w[M1 H1].include?(time_series.timeframe) ? ts.strftime('%Y-%m-%d %H:%M') : ts.strftime('%Y-%m-%d')
+  end
+end
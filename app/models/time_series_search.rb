@@ -0,0 +1,122 @@
+# Filters and sorts time series for the index page. Point statistics, the
+# latest value, up-to-date status and whether any pipeline is active are
+# computed in one query, so every filter and sort runs in the database.
+class TimeSeriesSearch
+  SORTS = %w[ticker updated count].freeze
+  DIRECTIONS = %w[asc desc].freeze
+  STATUSES = %w[up_to_date outdated].freeze
+  PIPELINE_FILTERS = %w[active inactive].freeze
+  PARAMS = %i[q source kind timeframe status pipelines sort direction].freeze
+
+  attr_reader :query, :source, :kind, :timeframe, :status, :pipelines, :sort, :direction
+
+  def initialize(params = {})
+    @query = params[:q].to_s.strip
+    @source = params[:source].presence_in(TimeSeries::SOURCES)
+    @kind = params[:kind].presence_in(TimeSeries::KINDS)
+    @timeframe = params[:timeframe].presence_in(TimeSeries::TIMEFRAMES)
+    @status = params[:status].presence_in(STATUSES)
+    @pipelines = params[:pipelines].presence_in(PIPELINE_FILTERS)
+    @sort = params[:sort].presence_in(SORTS) || 'ticker'
+    @direction = params[:direction].presence_in(DIRECTIONS) || default_direction
+  end
+
+  def results
+    @results ||= begin
+      scope = TimeSeries.from(with_stats, :time_series)
+      scope = scope.text_filter(query) if query.present?
+      scope = scope.where(source:) if source
+      scope = scope.where(kind:) if kind
+      scope = scope.where(timeframe:) if timeframe
+      scope = scope.where(up_to_date: status == 'up_to_date') if status
+      scope = scope.where(has_active_pipelines: pipelines == 'active') if pipelines
+      scope.order(order_clause).to_a
+    end
+  end
+
+  # Results grouped by source, for the default ticker sort
+  def grouped?
+    sort == 'ticker'
+  end
+
+  def filtered?
+    [query.presence, source, kind, timeframe, status, pipelines].any?
+  end
+
+  # The non-default parameters, for links and the URL
+  def to_params
+    {
+      q: query.presence,
+      source:,
+      kind:,
+      timeframe:,
+      status:,
+      pipelines:,
+      sort: (sort unless sort == 'ticker'),
+      direction: (direction unless direction == default_direction)
+    }.compact
+  end
+
+  private
+
+  # Tickers A to Z, newest and largest first otherwise
+  def default_direction
+    sort == 'ticker' ? 'asc' : 'desc'
+  end
+
+  def with_stats
+    TimeSeries.select(
+      'time_series.*',
+      'aggregate_stats.points_count + univariate_stats.points_count AS points_count',
+      'COALESCE(aggregate_stats.earliest_ts, univariate_stats.earliest_ts) AS earliest_ts',
+      'COALESCE(aggregate_stats.recent_ts, univariate_stats.recent_ts) AS recent_ts',
+      'COALESCE(latest_aggregate.value, latest_univariate.value) AS last_value',
+      "COALESCE(COALESCE(aggregate_stats.recent_ts, univariate_stats.recent_ts) >= #{cutoff_sql}, false) AS up_to_date",
+      'EXISTS (SELECT 1 FROM pipelines WHERE pipelines.time_series_id = time_series.id AND pipelines.active) AS has_active_pipelines'
+    ).joins(<<~SQL)
+      LEFT JOIN LATERAL (
+        SELECT COUNT(*) AS points_count, MIN(ts) AS earliest_ts, MAX(ts) AS recent_ts
+        FROM aggregates WHERE aggregates.ticker = time_series.ticker AND time_series.kind = 'aggregate'
+      ) aggregate_stats ON true
+      LEFT JOIN LATERAL (
+        SELECT COUNT(*) AS points_count, MIN(ts) AS earliest_ts, MAX(ts) AS recent_ts
+        FROM univariates WHERE univariates.ticker = time_series.ticker AND time_series.kind = 'univariate'
+      ) univariate_stats ON true
+      LEFT JOIN LATERAL (
+        SELECT COALESCE(adjusted, close) AS value
+        FROM aggregates WHERE aggregates.ticker = time_series.ticker AND time_series.kind = 'aggregate'
+        ORDER BY ts DESC LIMIT 1
+      ) latest_aggregate ON true
+      LEFT JOIN LATERAL (
+        SELECT main AS value
+        FROM univariates WHERE univariates.ticker = time_series.ticker AND time_series.kind = 'univariate'
+        ORDER BY ts DESC LIMIT 1
+      ) latest_univariate ON true
+    SQL
+  end
+
+  # CASE over the calendars and timeframes with TimeSeries.up_to_date_cutoff
+  # for each; series without a calendar follow the timeframe rules
+  def cutoff_sql
+    connection = ApplicationRecord.connection
+    current_time = DateTime.current
+
+    branches = [nil, *TradingCalendar.keys].product(TimeSeries::TIMEFRAMES).filter_map do |calendar, timeframe|
+      cutoff = TimeSeries.up_to_date_cutoff(timeframe, current_time, calendar:)
+      next unless cutoff
+
+      calendar_condition = calendar ? "time_series.calendar = #{connection.quote(calendar)}" : 'time_series.calendar IS NULL'
+      "WHEN #{calendar_condition} AND time_series.timeframe = #{connection.quote(timeframe)} THEN #{connection.quote(cutoff.to_time.utc)}::timestamp"
+    end
+
+    "CASE #{branches.join(' ')} END"
+  end
+
+  def order_clause
+    case sort
+    when 'updated' then Arel.sql("recent_ts #{direction} NULLS LAST, ticker")
+    when 'count' then Arel.sql("points_count #{direction}, ticker")
+    else { ticker: direction }
+    end
+  end
+end
@@ -0,0 +1,106 @@
+# Recent values of several series for the watchlist rows: the last `points`
+# prices (adjusted closes for aggregates, like the index's last value) for
+# the sparkline, plus the change against the previous close. Daily and
+# coarser series compare with the point before the latest one, intraday
+# series with the last point of the previous UTC day. The values of all
+# series are read in at most two queries, whatever their number.
+class TimeSeriesSparklines
+  DEFAULT_POINTS = 30
+  MAX_POINTS = 200
+  INTRADAY_TIMEFRAMES = %w[M1 H1].freeze
+
+  attr_reader :time_series_list, :points
+
+  def initialize(time_series_list, points: nil)
+    @time_series_list = time_series_list.to_a
+    @points = (points.presence || DEFAULT_POINTS).to_i.clamp(2, MAX_POINTS)
+  end
+
+  # { ticker => { values:, last:, last_ts:, previous_close:, change:, change_percent: } }
+  # with the values in ascending time order
+  def to_h
+    @to_h ||= begin
+      recent = recent_values
+      previous = previous_closes(recent)
+
+      time_series_list.to_h do |series|
+        [series.ticker, summary(series, recent.fetch(series.id, []), previous[series.id])]
+      end
+    end
+  end
+
+  private
+
+  def summary(series, rows, previous_close)
+    values = rows.map(&:last)
+    last_ts, last = rows.last
+    previous_close = values[-2] unless intraday?(series)
+    change = last - previous_close if last && previous_close
+    change_percent = (change / previous_close * 100).round(2) if change && previous_close.nonzero?
+
+    {
+      values: values,
+      last: last,
+      last_ts: last_ts&.utc&.iso8601,
+      previous_close: previous_close,
+      change: change,
+      change_percent: change_percent
+    }
+  end
+
+  # { time_series_id => [[ts, value], ...] }, oldest first
+  def recent_values
+    return {} if time_series_list.empty?
+
+    rows(<<~SQL).group_by(&:first).transform_values { |series_rows| series_rows.map { |_, ts, value| [ts, value] } }
+      SELECT time_series.id, recent.ts, recent.value
+      FROM time_series
+      CROSS JOIN LATERAL (#{points_sql} ORDER BY ts DESC LIMIT #{points}) recent
+      WHERE time_series.id IN (#{time_series_list.map { |series| Integer(series.id) }.join(', ')})
+      ORDER BY time_series.id, recent.ts
+    SQL
+  end
+
+  # { time_series_id => value } of the last point before the day of the
+  # latest one, for the intraday series that have points
+  def previous_closes(recent)
+    day_starts = time_series_list.filter_map do |series|
+      last_ts = recent[series.id]&.last&.first
+      "(#{Integer(series.id)}, #{quote(last_ts.utc.beginning_of_day)}::timestamp)" if last_ts && intraday?(series)
+    end
+    return {} if day_starts.empty?
+
+    rows(<<~SQL).to_h
+      SELECT time_series.id, previous.value
+      FROM (VALUES #{day_starts.join(', ')}) AS day_starts(time_series_id, starts_at)
+      JOIN time_series ON time_series.id = day_starts.time_series_id
+      CROSS JOIN LATERAL (#{points_sql('ts < day_starts.starts_at')} ORDER BY ts DESC LIMIT 1) previous
+    SQL
+  end
+
+  # The prices of the series of the surrounding query; only the table of the
+  # series' kind yields rows
+  def points_sql(condition = nil)
+    <<~SQL
+      SELECT ts, COALESCE(adjusted, close) AS value FROM aggregates
+      WHERE aggregates.timeframe = time_series.timeframe AND aggregates.ticker = time_series.ticker
+        AND time_series.kind = 'aggregate' #{"AND #{condition}" if condition}
+      UNION ALL
+      SELECT ts, main AS value FROM univariates
+      WHERE univariates.ticker = time_series.ticker
+        AND time_series.kind = 'univariate' #{"AND #{condition}" if condition}
+    SQL
+  end
+
+  def intraday?(series)
+    INTRADAY_TIMEFRAMES.include?(series.timeframe)
+  end
+
+  def rows(sql)
+    ApplicationRecord.connection.select_all(sql).cast_values
+  end
+
+  def quote(value)
+    ApplicationRecord.connection.quote(value)
+  end
+end
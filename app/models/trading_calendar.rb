@@ -0,0 +1,241 @@
+# Trading calendar of a series, defined in config/calendars/<key>.yml: the
+# days data is published on (weekdays minus holidays), session hours in the
+# calendar's time zone with early closes, and when the data of a period is
+# due. Session calendars expect a period once its last session closed plus
+# `publication_delay` minutes; release calendars like FRED's expect it a
+# number of business days after the period, at a local time per timeframe.
+# Daily and coarser periods are UTC days, weeks, months, quarters and years,
+# like the buckets of TimeSeriesQuality; intraday bars are expected during
+# the sessions.
+class TradingCalendar
+  DIRECTORY = Rails.root.join('config', 'calendars')
+  DAYS = %w[sun mon tue wed thu fri sat].freeze
+  INTRADAY_TIMEFRAMES = %w[M1 H1].freeze
+
+  # Periods and days searched before giving up, so a calendar without any
+  # trading day cannot loop forever
+  MAX_PERIODS = 400
+  MAX_DAYS = 30
+
+  attr_reader :key, :name, :description, :time_zone, :sources, :publication_delay
+
+  class << self
+    def all
+      @all ||= Dir[DIRECTORY.join('*.yml')].sort.to_h do |path|
+        key = File.basename(path, '.yml')
+        [key, new(key, YAML.safe_load_file(path, permitted_classes: [Date]))]
+      end
+    end
+
+    def keys
+      all.keys
+    end
+
+    def [](key)
+      all[key.to_s]
+    end
+
+    # Calendar new series of a source start on, or nil for the timeframe rules
+    def default_for(source)
+      all.values.find { |calendar| calendar.sources.include?(source) }&.key
+    end
+  end
+
+  def initialize(key, definition)
+    @key = key
+    @name = definition.fetch('name')
+    @description = definition['description']
+    @time_zone = ActiveSupport::TimeZone[definition.fetch('time_zone')] || raise(ArgumentError, "Unknown time zone in calendar #{key}")
+    @days = definition.fetch('days').map { |day| DAYS.index(day) || raise(ArgumentError, "Unknown day #{day} in calendar #{key}") }
+    @holidays = definition.fetch('holidays', nil).to_h.transform_keys { |date| Date.parse(date.to_s) }
+    @open = definition.fetch('open', '00:00')
+    @close = definition.fetch('close', '24:00')
+    @early_closes = definition.fetch('early_closes', nil).to_h.transform_keys { |date| Date.parse(date.to_s) }
+    @publication_delay = definition.fetch('publication_delay', 0).to_i.minutes
+    @releases = definition.fetch('releases', nil).to_h
+    @sources = Array(definition['sources'])
+  end
+
+  def trading_day?(date)
+    @days.include?(date.wday) && !@holidays.key?(date)
+  end
+
+  # Name of the holiday on `date`, or nil
+  def holiday(date)
+    @holidays[date]
+  end
+
+  # Open and close of the session of a trading day, as UTC times
+  def session(date)
+    [local_time(date, @open), local_time(date, @early_closes.fetch(date, @close))]
+  end
+
+  # Start of the latest period whose data is due at `now`: a series whose
+  # latest point is at or after it is up to date. Nil without trading days.
+  def expected_since(timeframe, now = Time.current)
+    now = now.to_time.utc
+    return intraday_expected_since(timeframe, now) if intraday?(timeframe)
+
+    period = period_start(timeframe, now)
+    MAX_PERIODS.times do
+      due = due_at(timeframe, period)
+      return period if due && due <= now
+
+      period -= step(timeframe)
+    end
+    nil
+  end
+
+  # When data newer than `expected_since` is next due
+  def next_expected_at(timeframe, now = Time.current)
+    now = now.to_time.utc
+    return intraday_next_expected_at(timeframe, now) if intraday?(timeframe)
+
+    expected = expected_since(timeframe, now)
+    period = expected ? expected + step(timeframe) : period_start(timeframe, now)
+    MAX_PERIODS.times do
+      due = due_at(timeframe, period)
+      return due if due && due > now
+
+      period += step(timeframe)
+    end
+    nil
+  end
+
+  # When the data of the period starting at `period` is due, or nil for
+  # periods without a trading day
+  def due_at(timeframe, period)
+    first_day = period.to_date
+    last_day = (period + step(timeframe)).to_date - 1
+    day = last_day.downto(first_day).find { |date| trading_day?(date) }
+    return unless day
+
+    if (release = @releases[timeframe])
+      release.fetch('business_days').to_i.times { day = next_trading_day(day) }
+      local_time(day, release.fetch('at'))
+    else
+      session(day).last + publication_delay
+    end
+  end
+
+  # Number of bars the calendar expects strictly between two points, for
+  # gap counts: trading periods for daily and coarser timeframes, bars within
+  # the sessions for intraday ones
+  def expected_between(timeframe, from, to)
+    from = from.to_time.utc
+    to = to.to_time.utc
+    return intraday_expected_between(timeframe, from, to) if intraday?(timeframe)
+
+    count = 0
+    period = period_start(timeframe, from) + step(timeframe)
+    last = period_start(timeframe, to)
+    while period < last
+      count += 1 if due_at(timeframe, period)
+      period += step(timeframe)
+    end
+    count
+  end
+
+  private
+
+  def intraday?(timeframe)
+    INTRADAY_TIMEFRAMES.include?(timeframe)
+  end
+
+  def step(timeframe)
+    TimeSeriesQuality::STEPS.fetch(timeframe)
+  end
+
+  def period_start(timeframe, time)
+    case timeframe
+    when 'W1' then time.beginning_of_week
+    when 'MN1' then time.beginning_of_month
+    when 'Q' then time.beginning_of_quarter
+    when 'Y' then time.beginning_of_year
+    else time.beginning_of_day
+    end
+  end
+
+  # The bar covering `now` during a session, the last bar of the previous
+  # session otherwise
+  def intraday_expected_since(timeframe, now)
+    _open, close = latest_session(now)
+    return unless close
+
+    floor(now < close ? now : close - 1, step(timeframe))
+  end
+
+  def intraday_next_expected_at(timeframe, now)
+    _open, close = latest_session(now)
+    if close && now < close
+      following = floor(now, step(timeframe)) + step(timeframe)
+      return following if following < close
+    end
+
+    next_session_open(now)
+  end
+
+  def intraday_expected_between(timeframe, from, to)
+    step = step(timeframe)
+    first = floor(from, step) + step
+    last = floor(to, step) - step
+
+    (local_date(from)..local_date(to)).sum do |date|
+      next 0 unless trading_day?(date)
+
+      open, close = session(date)
+      low = [floor(open, step), first].max
+      high = [floor(close - 1, step), last].min
+      high >= low ? ((high - low) / step.to_i).floor + 1 : 0
+    end
+  end
+
+  # Open and close of the session that started last at `now`
+  def latest_session(now)
+    date = local_date(now)
+    MAX_DAYS.times do
+      if trading_day?(date)
+        open, close = session(date)
+        return [open, close] if open <= now
+      end
+      date -= 1
+    end
+    nil
+  end
+
+  def next_session_open(now)
+    date = local_date(now)
+    MAX_DAYS.times do
+      if trading_day?(date)
+        open, _close = session(date)
+        return open if open > now
+      end
+      date += 1
+    end
+    nil
+  end
+
+  def next_trading_day(date)
+    MAX_DAYS.times do
+      date += 1
+      return date if trading_day?(date)
+    end
+    date
+  end
+
+  def local_date(time)
+    time.in_time_zone(time_zone).to_date
+  end
+
+  # `hours` of a local date as a UTC time; 24:00 is the next midnight
+  def local_time(date, hours)
+    hour, minute = hours.to_s.split(':').map(&:to_i)
+    return local_time(date + 1, '00:00') if hour == 24
+
+    time_zone.local(date.year, date.month, date.day, hour, minute).utc
+  end
+
+  def floor(time, step)
+    Time.at((time.to_i / step.to_i) * step.to_i).utc
+  end
+end
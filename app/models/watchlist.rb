@@ -0,0 +1,45 @@
+# Named list of series shown by default on the time series index. There are
+# no user accounts, so watchlists are shared by everyone using the app. The
+# lists and the series on each keep the order they were dragged into; the
+# rows' sparklines and changes come from TimeSeriesSparklines.
+class Watchlist < ApplicationRecord
+  MAX_ITEMS = 100
+
+  has_many :watchlist_items, -> { order(:position, :id) }, dependent: :delete_all
+  alias_method :items, :watchlist_items
+  has_many :time_series, through: :watchlist_items
+
+  validates :name, presence: true, uniqueness: true, length: { maximum: 60 }
+
+  normalizes :name, with: ->(name) { name.squish }
+
+  before_create :append_position
+
+  scope :ordered, -> { order(:position, :id) }
+
+  # Stores the order of the watchlists
+  def self.reorder!(ids)
+    assign_positions(all, ids)
+  end
+
+  # Stores `ids` in order as the positions of the records in `scope`; records
+  # that are not listed keep their position, unknown ids are ignored
+  def self.assign_positions(scope, ids)
+    transaction do
+      Array(ids).map(&:to_i).uniq.each_with_index do |id, position|
+        scope.where(id: id).update_all(position: position, updated_at: Time.current)
+      end
+    end
+  end
+
+  # Stores the order of the series on this watchlist, by WatchlistItem id
+  def reorder_items!(ids)
+    self.class.assign_positions(watchlist_items.unscope(:order), ids)
+  end
+
+  private
+
+  def append_position
+    self.position = (self.class.maximum(:position) || -1) + 1
+  end
+end
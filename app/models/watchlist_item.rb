@@ -0,0 +1,22 @@
+# A series on a Watchlist, at `position` in the list
+class WatchlistItem < ApplicationRecord
+  belongs_to :watchlist
+  belongs_to :time_series
+
+  validates :time_series_id, uniqueness: { scope: :watchlist_id, message: 'is already on this watchlist' }
+  validate :watchlist_not_full, on: :create
+
+  before_create :append_position
+
+  private
+
+  def watchlist_not_full
+    return unless watchlist && watchlist.watchlist_items.count >= Watchlist::MAX_ITEMS
+
+    errors.add(:base, "A watchlist holds at most #{Watchlist::MAX_ITEMS} series")
+  end
+
+  def append_position
+    self.position = (watchlist.watchlist_items.unscope(:order).maximum(:position) || -1) + 1
+  end
+end
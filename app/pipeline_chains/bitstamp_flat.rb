@@ -8,6 +8,8 @@ require 'fileutils'
 require 'date'
 
 class BitstampFlat < PipelineChainBase
+  SOURCE = 'Bitstamp'
+  KINDS = %w[aggregate].freeze
   BASE_URL = 'https://www.bitstamp.net/api/v2'
   TRIES = 3
   MAX_RECORDS_PER_REQUEST = 1000
@@ -46,7 +48,7 @@ class BitstampFlat < PipelineChainBase
     pair = get_bitstamp_pair
     raise ArgumentError, "Unsupported ticker: #{ticker}. Supported: #{PAIR_MAPPINGS.keys.join(', ')}" unless pair
     
-    file_path = @download_dir.join("#{source_id}_#{Date.current.strftime('%Y%m%d')}.csv")
+    file_path = @download_dir.join("#{source_id}_#{download_stamp}.csv")
     
     if file_path.exist?
       log_info "File already exists: #{file_path}"
@@ -123,6 +125,11 @@ class BitstampFlat < PipelineChainBase
   end
   
   def determine_date_range_for_gap_filling
+    if backfill?
+      log_info "Using backfill range from #{@run.range_start.to_date} to #{fetch_end_date}"
+      return [@run.range_start.to_date, fetch_end_date]
+    end
+
     # For gap filling, we need to fetch from the earliest possible date
     # Bitstamp has data from around 2011, but let's start from 2015 to be safe
     start_date = Date.new(2015, 1, 1)
@@ -288,7 +295,7 @@ class BitstampFlat < PipelineChainBase
   
   def import_aggregate_data(result)
     records_to_insert = []
-    batch_size = 1000
+    batch_size = import_batch_size
     
     CSV.foreach(@downloaded_file_path, headers: true).with_index do |row, index|
       result[:total_rows] += 1
@@ -306,10 +313,12 @@ class BitstampFlat < PipelineChainBase
         if existing_record
           if aggregate_changed?(existing_record, record_attributes)
             existing_record.update!(record_attributes)
+            record_point_change(:updated, record_attributes, previous: existing_record.saved_changes)
             result[:updated] += 1
             increment_counter(:successful)
           else
             result[:skipped] += 1
+            record_point_change(:skipped, record_attributes)
             increment_counter(:skipped)
           end
         else
@@ -425,6 +434,7 @@ class BitstampFlat < PipelineChainBase
 
     begin
       Aggregate.insert_all(records)
+      record_point_changes(:inserted, records)
       records.count
     rescue ActiveRecord::RecordNotUnique
       # Handle duplicates by inserting one by one
@@ -434,6 +444,7 @@ class BitstampFlat < PipelineChainBase
       records.each do |record_attributes|
         begin
           Aggregate.create!(record_attributes)
+          record_point_change(:inserted, record_attributes)
           inserted += 1
         rescue ActiveRecord::RecordInvalid, ActiveRecord::RecordNotUnique
           # Skip duplicates or invalid records
@@ -7,6 +7,8 @@ require 'csv'
 require 'date'
 
 class CboeFlat < PipelineChainBase
+  SOURCE = 'CBOE'
+  KINDS = %w[aggregate].freeze
   BASE_URL = 'https://cdn.cboe.com/api/global/us_indices/daily_prices'
   TRIES = 3
   
@@ -35,7 +37,7 @@ class CboeFlat < PipelineChainBase
   def execute_fetch_stage
     return if @downloaded_file_path && File.exist?(@downloaded_file_path)
     
-    file_path = @download_dir.join("#{ticker}_#{Date.current.strftime('%Y%m%d')}.csv")
+    file_path = @download_dir.join("#{ticker}_#{download_stamp}.csv")
     
     if file_path.exist?
       log_info "File already exists: #{file_path}"
@@ -48,7 +50,9 @@ class CboeFlat < PipelineChainBase
     
     # Note: CBOE typically provides full historical datasets, not incremental
     # But we can still log our incremental fetch intention for consistency
-    if should_use_incremental_fetch?
+    if backfill?
+      log_info "CBOE provides full historical data, importing only #{@run.range_start.to_date} to #{fetch_end_date}"
+    elsif should_use_incremental_fetch?
       latest_date = get_start_date_from_latest_data.to_date
       log_info "Would prefer incremental fetch from #{latest_date}, but CBOE provides full historical data"
     else
@@ -84,14 +88,14 @@ class CboeFlat < PipelineChainBase
     }
 
     records_to_insert = []
-    batch_size = 1000
+    batch_size = import_batch_size
     
     CSV.foreach(@downloaded_file_path, headers: true).with_index do |row, index|
       result[:total_rows] += 1
       
       begin
         record_attributes = parse_csv_row(row)
-        next unless record_attributes
+        next unless record_attributes && within_backfill_range?(record_attributes[:ts])
         
         existing_record = Aggregate.find_by(
           ticker: record_attributes[:ticker],
@@ -102,10 +106,12 @@ class CboeFlat < PipelineChainBase
         if existing_record
           if aggregate_changed?(existing_record, record_attributes)
             existing_record.update!(record_attributes)
+            record_point_change(:updated, record_attributes, previous: existing_record.saved_changes)
             result[:updated] += 1
             increment_counter(:successful)
           else
             result[:skipped] += 1
+            record_point_change(:skipped, record_attributes)
             increment_counter(:skipped)
           end
         else
@@ -158,6 +164,10 @@ class CboeFlat < PipelineChainBase
     FileUtils.mkdir_p(@download_dir) unless @download_dir.exist?
   end
   
+  def parse_import_row(row)
+    parse_csv_row(row)
+  end
+
   def parse_csv_row(row)
     # Parse date - CBOE uses MM/DD/YYYY format
     date_str = row['Date'] || row['DATE']
@@ -208,6 +218,7 @@ class CboeFlat < PipelineChainBase
 
     begin
       Aggregate.insert_all(records)
+      record_point_changes(:inserted, records)
       records.count
     rescue ActiveRecord::RecordNotUnique
       # Handle duplicates by inserting one by one
@@ -217,6 +228,7 @@ class CboeFlat < PipelineChainBase
       records.each do |record_attributes|
         begin
           Aggregate.create!(record_attributes)
+          record_point_change(:inserted, record_attributes)
           inserted += 1
         rescue ActiveRecord::RecordInvalid, ActiveRecord::RecordNotUnique
           # Skip duplicates or invalid records
@@ -8,6 +8,8 @@ require 'fileutils'
 require 'date'
 
 class CoingeckoFlat < PipelineChainBase
+  SOURCE = 'CoinGecko'
+  KINDS = %w[univariate aggregate].freeze
   BASE_URL = 'https://www.coingecko.com'
   TRIES = 3
   
@@ -178,7 +180,7 @@ class CoingeckoFlat < PipelineChainBase
     config = get_chart_config
     raise ArgumentError, "Unknown source_id: #{source_id}. Available source_ids: #{CHART_CONFIGS.keys.join(', ')}" unless config
     
-    file_path = @download_dir.join("#{source_id}_#{Date.current.strftime('%Y%m%d')}.csv")
+    file_path = @download_dir.join("#{source_id}_#{download_stamp}.csv")
     
     if file_path.exist?
       log_info "File already exists: #{file_path}"
@@ -192,6 +194,7 @@ class CoingeckoFlat < PipelineChainBase
     
     log_info "Downloading CoinGecko data from: #{uri}"
     log_info "Target series: #{config[:series_name] || 'All series'}"
+    log_info "CoinGecko returns the full chart, importing only #{@run.range_start.to_date} to #{fetch_end_date}" if backfill?
     
     response = fetch_with_retry(uri)
     
@@ -314,14 +317,14 @@ class CoingeckoFlat < PipelineChainBase
   
   def import_univariate_data(result)
     records_to_insert = []
-    batch_size = 1000
+    batch_size = import_batch_size
     
     CSV.foreach(@downloaded_file_path, headers: true).with_index do |row, index|
       result[:total_rows] += 1
       
       begin
         record_attributes = parse_univariate_row(row)
-        next unless record_attributes
+        next unless record_attributes && within_backfill_range?(record_attributes[:ts])
         
         existing_record = Univariate.find_by(
           ticker: record_attributes[:ticker],
@@ -331,10 +334,12 @@ class CoingeckoFlat < PipelineChainBase
         if existing_record
           if existing_record.main != record_attributes[:main]
             existing_record.update!(record_attributes)
+            record_point_change(:updated, record_attributes, previous: existing_record.saved_changes)
             result[:updated] += 1
             increment_counter(:successful)
           else
             result[:skipped] += 1
+            record_point_change(:skipped, record_attributes)
             increment_counter(:skipped)
           end
         else
@@ -373,14 +378,14 @@ class CoingeckoFlat < PipelineChainBase
   
   def import_aggregate_data(result)
     records_to_insert = []
-    batch_size = 1000
+    batch_size = import_batch_size
     
     CSV.foreach(@downloaded_file_path, headers: true).with_index do |row, index|
       result[:total_rows] += 1
       
       begin
         record_attributes = parse_aggregate_row(row)
-        next unless record_attributes
+        next unless record_attributes && within_backfill_range?(record_attributes[:ts])
         
         existing_record = Aggregate.find_by(
           ticker: record_attributes[:ticker],
@@ -391,10 +396,12 @@ class CoingeckoFlat < PipelineChainBase
         if existing_record
           if aggregate_changed?(existing_record, record_attributes)
             existing_record.update!(record_attributes)
+            record_point_change(:updated, record_attributes, previous: existing_record.saved_changes)
             result[:updated] += 1
             increment_counter(:successful)
           else
             result[:skipped] += 1
+            record_point_change(:skipped, record_attributes)
             increment_counter(:skipped)
           end
         else
@@ -489,6 +496,7 @@ class CoingeckoFlat < PipelineChainBase
 
     begin
       Univariate.insert_all(records)
+      record_point_changes(:inserted, records)
       records.count
     rescue ActiveRecord::RecordNotUnique
       # Handle duplicates by inserting one by one
@@ -498,6 +506,7 @@ class CoingeckoFlat < PipelineChainBase
       records.each do |record_attributes|
         begin
           Univariate.create!(record_attributes)
+          record_point_change(:inserted, record_attributes)
           inserted += 1
         rescue ActiveRecord::RecordInvalid, ActiveRecord::RecordNotUnique
           # Skip duplicates or invalid records
@@ -516,6 +525,7 @@ class CoingeckoFlat < PipelineChainBase
 
     begin
       Aggregate.insert_all(records)
+      record_point_changes(:inserted, records)
       records.count
     rescue ActiveRecord::RecordNotUnique
       # Handle duplicates by inserting one by one
@@ -525,6 +535,7 @@ class CoingeckoFlat < PipelineChainBase
       records.each do |record_attributes|
         begin
           Aggregate.create!(record_attributes)
+          record_point_change(:inserted, record_attributes)
           inserted += 1
         rescue ActiveRecord::RecordInvalid, ActiveRecord::RecordNotUnique
           # Skip duplicates or invalid records
@@ -0,0 +1,208 @@
+# frozen_string_literal: true
+
+require 'csv'
+require 'fileutils'
+
+# Materializes a derived series (see TimeSeriesDerivation) from the points of
+# its parents already in the database. FETCH computes the derived points into
+# a CSV file, IMPORT writes the new and changed ones. Regular runs start at the
+# latest derived point, which may have covered an unfinished period, so each
+# run recomputes it. Runs are started when a parent gets new points, see
+# DerivedSeriesRefreshJob; parent points changed before the latest derived
+# one start a run limited to a range from the earliest of them.
+class DerivedFlat < PipelineChainBase
+  SOURCE = 'Derived'
+  KINDS = %w[aggregate univariate].freeze
+
+  # Periods computed per query for fine timeframes; coarser ones are computed
+  # in one go
+  CHUNK_SPANS = {
+    'M1' => 1.week,
+    'H1' => 1.year
+  }.freeze
+
+  OPTIONS = (PipelineChainBase::OPTIONS + [
+    {
+      name: 'transform',
+      type: 'select',
+      label: 'Transform',
+      choices: TimeSeriesDerivation::TRANSFORMS.keys,
+      help: 'How the points are computed from the parent series.'
+    },
+    {
+      name: 'parent',
+      type: 'string',
+      label: 'Parent series',
+      placeholder: 'BTCUSD_M1',
+      help: 'Ticker of the series the points are derived from.'
+    },
+    {
+      name: 'other',
+      type: 'string',
+      label: 'Second series',
+      help: 'Ticker subtracted from or dividing the parent, for spreads and ratios.'
+    },
+    {
+      name: 'window',
+      type: 'integer',
+      label: 'Volatility window',
+      default: TimeSeriesDerivation::DEFAULT_WINDOW,
+      min: 2,
+      max: TimeSeriesDerivation::MAX_WINDOW,
+      help: 'Periods of log returns per realized volatility value.'
+    }
+  ]).freeze
+
+  def self.option_errors(pipeline)
+    derivation = TimeSeriesDerivation.from_pipeline(pipeline)
+    return [] if derivation.kind == pipeline.time_series.kind
+
+    ["#{TimeSeriesDerivation::TRANSFORMS[derivation.transform]} yields #{derivation.kind} points, but #{pipeline.time_series.ticker} is #{pipeline.time_series.kind}"]
+  rescue ArgumentError => e
+    [e.message]
+  end
+
+  def initialize(run)
+    super(run)
+    @download_dir = Rails.root.join('tmp', 'flat_files', "derived_#{ticker}")
+    @downloaded_file_path = nil
+    FileUtils.mkdir_p(@download_dir)
+  end
+
+  private
+
+  def derivation
+    @derivation ||= TimeSeriesDerivation.from_pipeline(@run.pipeline)
+  end
+
+  def execute_start_stage
+    super
+    log_info "Deriving #{ticker}: #{derivation.description}"
+
+    error = self.class.option_errors(@run.pipeline).first
+    raise ArgumentError, error if error
+  end
+
+  # Always recomputes, as the parents may have changed since an earlier run
+  def execute_fetch_stage
+    file_path = @download_dir.join("#{ticker}_#{download_stamp}.csv")
+    total = 0
+
+    log_info "Computing #{ticker} from #{derivation.tickers.join(' and ')} #{fetch_start ? "from #{fetch_start}" : 'over their full history'}"
+
+    CSV.open(file_path, 'w') do |csv|
+      csv << derivation.columns
+
+      each_chunk do |from, before|
+        rows = derivation.rows(from: from, before: before)
+        rows.each { |ts, *values| csv << [ts.utc.iso8601, *values] }
+        total += rows.size
+        log_info "Computed #{rows.size} points from #{from || 'the start'} to #{before || 'the end'}" if CHUNK_SPANS.key?(timeframe)
+      end
+    end
+
+    log_info "Computed #{total} points into #{file_path}"
+    @downloaded_file_path = file_path.to_s
+  end
+
+  # New and changed points are upserted per batch; unchanged ones are skipped
+  def execute_import_stage
+    model = time_series.kind == 'univariate' ? Univariate : Aggregate
+    compared = model == Univariate ? %i[main] : %i[open high low close adjusted volume]
+    unique_by = model == Univariate ? %i[ticker ts] : %i[timeframe ticker ts]
+    counts = { written: 0, skipped: 0 }
+
+    each_import_row.each_slice(import_batch_size) do |batch|
+      records = batch.map { |row| parse_import_row(row) }
+      existing = model.where(ticker: ticker, ts: records.map { |record| record[:ts] }).index_by { |point| point.ts.to_i }
+
+      changes = records.map do |record|
+        point = existing[record[:ts].to_i]
+        if point.nil?
+          [:inserted, record]
+        elsif compared.any? { |column| point.send(column)&.to_f != record[column]&.to_f }
+          [:updated, record, compared.to_h { |column| [column.to_s, [point.send(column), record[column]]] }]
+        else
+          [:skipped, record]
+        end
+      end
+      changed = changes.filter_map { |action, record| record unless action == :skipped }
+
+      model.upsert_all(changed, unique_by: unique_by) if changed.any?
+      changes.each { |action, record, previous| record_point_change(action, record, previous: previous) }
+      counts[:written] += changed.size
+      counts[:skipped] += records.size - changed.size
+      increment_counter(:successful, changed.size) if changed.any?
+      increment_counter(:skipped, records.size - changed.size) if changed.size < records.size
+    end
+
+    log_info "Import completed for #{ticker}: #{counts[:written]} points written, #{counts[:skipped]} unchanged"
+  end
+
+  def execute_post_processing_stage
+    return unless @downloaded_file_path && File.exist?(@downloaded_file_path)
+
+    File.delete(@downloaded_file_path)
+    log_info "Cleaned up computed file: #{@downloaded_file_path}"
+  end
+
+  # Backfills recompute their range; regular runs continue at the latest
+  # derived point, or the start_date option while there is none
+  def fetch_start
+    return @run.range_start if backfill?
+
+    time_series.points.maximum(:ts) || configured_start_date
+  end
+
+  def fetch_before
+    (@run.range_end.to_date + 1).beginning_of_day if backfill? && @run.range_end
+  end
+
+  # Splits the range into spans of CHUNK_SPANS for fine timeframes, so no
+  # single query computes years of minute points
+  def each_chunk
+    from = fetch_start
+    before = fetch_before
+    span = CHUNK_SPANS[timeframe]
+    return yield(from, before) unless span
+
+    parent_points = derivation.parents.map(&:points)
+    from ||= parent_points.filter_map { |points| points.minimum(:ts) }.min
+    last = parent_points.filter_map { |points| points.maximum(:ts) }.max
+    return if from.nil? || last.nil?
+
+    loop do
+      chunk_end = from + span
+      if chunk_end > last || (before && chunk_end >= before)
+        yield from, before
+        break
+      end
+
+      yield from, chunk_end
+      from = chunk_end
+    end
+  end
+
+  def parse_aggregate_row(row)
+    {
+      ticker: ticker,
+      timeframe: timeframe,
+      ts: Time.iso8601(row['ts']),
+      open: Float(row['open']),
+      high: Float(row['high']),
+      low: Float(row['low']),
+      close: Float(row['close']),
+      adjusted: Float(row['adjusted']),
+      volume: row['volume'].presence && Float(row['volume'])
+    }
+  end
+
+  def parse_univariate_row(row)
+    {
+      ticker: ticker,
+      timeframe: timeframe,
+      ts: Time.iso8601(row['ts']),
+      main: Float(row['value'])
+    }
+  end
+end
@@ -8,6 +8,8 @@ require 'fileutils'
 require 'date'
 
 class FredFlat < PipelineChainBase
+  SOURCE = 'FRED'
+  KINDS = %w[univariate].freeze
   BASE_URL = 'https://api.stlouisfed.org/fred'
   TRIES = 3
   
@@ -26,7 +28,7 @@ class FredFlat < PipelineChainBase
   def execute_fetch_stage
     return if @downloaded_file_path && File.exist?(@downloaded_file_path)
     
-    file_path = @download_dir.join("#{ticker}_#{Date.current.strftime('%Y%m%d')}.csv")
+    file_path = @download_dir.join("#{ticker}_#{download_stamp}.csv")
     
     if file_path.exist?
       log_info "File already exists: #{file_path}"
@@ -35,7 +37,7 @@ class FredFlat < PipelineChainBase
     end
 
     # Build API URL - use incremental fetch if existing data is available
-    end_date = Date.current
+    end_date = fetch_end_date
     
     params = {
       series_id: source_id,
@@ -142,7 +144,7 @@ class FredFlat < PipelineChainBase
   
   def import_univariate_data(result)
     records_to_insert = []
-    batch_size = 1000
+    batch_size = import_batch_size
     
     CSV.foreach(@downloaded_file_path, headers: true).with_index do |row, index|
       result[:total_rows] += 1
@@ -159,10 +161,12 @@ class FredFlat < PipelineChainBase
         if existing_record
           if existing_record.main != record_attributes[:main]
             existing_record.update!(record_attributes)
+            record_point_change(:updated, record_attributes, previous: existing_record.saved_changes)
             result[:updated] += 1
             increment_counter(:successful)
           else
             result[:skipped] += 1
+            record_point_change(:skipped, record_attributes)
             increment_counter(:skipped)
           end
         else
@@ -201,7 +205,7 @@ class FredFlat < PipelineChainBase
   
   def import_aggregate_data(result)
     records_to_insert = []
-    batch_size = 1000
+    batch_size = import_batch_size
     
     CSV.foreach(@downloaded_file_path, headers: true).with_index do |row, index|
       result[:total_rows] += 1
@@ -219,10 +223,12 @@ class FredFlat < PipelineChainBase
         if existing_record
           if aggregate_changed?(existing_record, record_attributes)
             existing_record.update!(record_attributes)
+            record_point_change(:updated, record_attributes, previous: existing_record.saved_changes)
             result[:updated] += 1
             increment_counter(:successful)
           else
             result[:skipped] += 1
+            record_point_change(:skipped, record_attributes)
             increment_counter(:skipped)
           end
         else
@@ -317,6 +323,7 @@ class FredFlat < PipelineChainBase
 
     begin
       Univariate.insert_all(records)
+      record_point_changes(:inserted, records)
       records.count
     rescue ActiveRecord::RecordNotUnique
       # Handle duplicates by inserting one by one
@@ -326,6 +333,7 @@ class FredFlat < PipelineChainBase
       records.each do |record_attributes|
         begin
           Univariate.create!(record_attributes)
+          record_point_change(:inserted, record_attributes)
           inserted += 1
         rescue ActiveRecord::RecordInvalid, ActiveRecord::RecordNotUnique
           # Skip duplicates or invalid records
@@ -344,6 +352,7 @@ class FredFlat < PipelineChainBase
 
     begin
       Aggregate.insert_all(records)
+      record_point_changes(:inserted, records)
       records.count
     rescue ActiveRecord::RecordNotUnique
       # Handle duplicates by inserting one by one
@@ -353,6 +362,7 @@ class FredFlat < PipelineChainBase
       records.each do |record_attributes|
         begin
           Aggregate.create!(record_attributes)
+          record_point_change(:inserted, record_attributes)
           inserted += 1
         rescue ActiveRecord::RecordInvalid, ActiveRecord::RecordNotUnique
           # Skip duplicates or invalid records
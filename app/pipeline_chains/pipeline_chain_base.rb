@@ -5,9 +5,116 @@ class PipelineChainBase
   STAGES = %w[START FETCH TRANSFORM IMPORT POST_PROCESSING FINISH].freeze
   
   # Pipeline statuses
-  STATUSES = %w[PENDING WORKING SCHEDULED_STOP COMPLETED FAILED].freeze
-  
+  STATUSES = %w[PENDING WORKING SCHEDULED_STOP COMPLETED FAILED CANCELLED].freeze
+
+  # Stages that read the file FETCH downloaded, which only lives in the job
+  # that fetched it
+  DOWNLOAD_STAGES = %w[TRANSFORM IMPORT].freeze
+
+  # Stages after which the series' alert rules are evaluated, see AlertRule
+  ALERT_STAGES = %w[IMPORT POST_PROCESSING].freeze
+
+  # Raised at the next checkpoint after the run was cancelled from the UI. Not
+  # a StandardError so the per-row rescues in the chains cannot swallow it.
+  class Cancelled < Exception; end
+
+  # Every chain that can be picked for a pipeline
+  CHAINS = %w[BitstampFlat CboeFlat CoingeckoFlat DerivedFlat FredFlat PolygonFlat TwelveDataFlat YahooFlat].freeze
+
+  # Time series source and kinds a chain can fetch; set by each chain
+  SOURCE = nil
+  KINDS = %w[aggregate].freeze
+
+  # Options stored on Pipeline#options. Chains append their own.
+  OPTIONS = [
+    {
+      name: 'start_date',
+      type: 'date',
+      label: 'Start date',
+      help: 'First date to fetch while the series has no data yet. Leave empty for the chain default.'
+    },
+    {
+      name: 'batch_size',
+      type: 'integer',
+      label: 'Import batch size',
+      default: 1000,
+      min: 1,
+      max: 50_000,
+      help: 'Rows inserted per database batch during IMPORT.'
+    }
+  ].freeze
+
+  # Rows checked against existing data at a time during a dry run
+  PREVIEW_BATCH_SIZE = 1000
+
   attr_accessor :run
+
+  def self.chains
+    CHAINS.map(&:constantize)
+  end
+
+  def self.label
+    name.titleize
+  end
+
+  def self.compatible_with?(time_series)
+    time_series.present? && self::SOURCE == time_series.source && self::KINDS.include?(time_series.kind)
+  end
+
+  # Casts submitted option values to their types, dropping blanks and
+  # unknown names. Returns the options and a list of error messages.
+  def self.cast_options(values)
+    values = values.to_h.stringify_keys
+    errors = []
+
+    options = self::OPTIONS.each_with_object({}) do |option, cast|
+      value = values[option[:name]].to_s.strip
+      next if value.empty?
+
+      case option[:type]
+      when 'date'
+        date = begin
+          Date.iso8601(value)
+        rescue Date::Error
+          nil
+        end
+
+        if date
+          cast[option[:name]] = date.iso8601
+        else
+          errors << "#{option[:label]} must be a date"
+        end
+      when 'select'
+        if option[:choices].include?(value)
+          cast[option[:name]] = value
+        else
+          errors << "#{option[:label]} must be one of #{option[:choices].join(', ')}"
+        end
+      when 'integer'
+        number = Integer(value, exception: false)
+        if number.nil? || (option[:min] && number < option[:min]) || (option[:max] && number > option[:max])
+          errors << "#{option[:label]} must be a whole number between #{option[:min]} and #{option[:max]}"
+        else
+          cast[option[:name]] = number
+        end
+      else
+        cast[option[:name]] = value
+      end
+    end
+
+    [options, errors]
+  end
+
+  # Problems with a pipeline's options beyond their types, e.g. options that
+  # only make sense together. Checked when a pipeline is created in the UI.
+  def self.option_errors(_pipeline)
+    []
+  end
+
+  # What the pipeline wizard needs to know about a chain
+  def self.catalog_entry
+    { name: name, label: label, source: self::SOURCE, kinds: self::KINDS, options: self::OPTIONS }
+  end
   
   def initialize(run)
     @run = run
@@ -17,23 +124,26 @@ class PipelineChainBase
   # PipelineRun logger methods - log to both Rails logger and PipelineRunLog
   # These methods should be used instead of direct Rails.logger calls
   def log_info(message)
+    check_cancelled!
     @logger.info message
-    create_log_entry(message, 'info') if @run.persisted?
+    create_log_entry(message, 'info')
   end
 
   def log_warn(message)
+    check_cancelled!
     @logger.warn message
-    create_log_entry(message, 'warn') if @run.persisted?
+    create_log_entry(message, 'warn')
   end
 
   def log_error(message)
     @logger.error message
-    create_log_entry(message, 'error') if @run.persisted?
+    create_log_entry(message, 'error')
   end
 
   # Main execution method - runs the pipeline from current stage to completion
   def execute
     log_info "Starting pipeline execution for #{self.class.name} (run_id: #{@run.id})"
+    log_info "Backfilling #{@run.range_start.to_date} to #{fetch_end_date}" if backfill?
     
     loop do
       current_stage = @run.stage
@@ -43,15 +153,20 @@ class PipelineChainBase
       
       # Check if we should stop execution
       break if should_stop_execution?(current_stage, current_status)
+      check_cancelled!(force: true)
       
       # Only proceed if status is PENDING
       if current_status == 'PENDING'
-        # Update status to WORKING
-        update_run_status('WORKING')
+        # Update status to WORKING and record when the stage started
+        @run.start_stage!(current_stage)
         
         begin
+          restore_download if DOWNLOAD_STAGES.include?(current_stage) && @downloaded_file_path.nil?
+
           # Execute the current stage
           execute_stage(current_stage)
+          @run.finish_stage!(current_stage)
+          evaluate_alert_rules if ALERT_STAGES.include?(current_stage)
           
           # Move to next stage if not at the end
           next_stage = get_next_stage(current_stage)
@@ -66,6 +181,7 @@ class PipelineChainBase
         rescue StandardError => e
           log_error "Pipeline failed at stage #{current_stage}: #{e.message}"
           log_error e.backtrace.join("\n")
+          @run.finish_stage!(current_stage, outcome: 'failed')
           update_run_status('FAILED')
           break
         end
@@ -76,19 +192,148 @@ class PipelineChainBase
     end
     
     @run.reload
+  rescue Cancelled
+    @run.reload.mark_cancelled!
+    log_warn "Pipeline run cancelled during stage #{@run.stage}"
+    @run
   end
-  
+
+  # Runs FETCH and TRANSFORM but not IMPORT, so nothing is written. Returns
+  # how many parsed rows would be inserted, updated or left unchanged, the
+  # first `limit` of them and the log of the dry run.
+  def dry_run(limit: 20)
+    @dry_run_log = []
+    log_info "Dry run of #{self.class.name} for #{ticker}"
+
+    execute_stage('FETCH')
+    execute_stage('TRANSFORM')
+
+    preview_import(limit).merge(success: true, log: @dry_run_log)
+  rescue StandardError => e
+    log_error "Dry run failed: #{e.message}"
+    { success: false, error: e.message, log: @dry_run_log }
+  ensure
+    remove_dry_run_download
+  end
+
   private
 
   def create_log_entry(message, level = 'info')
+    @dry_run_log << { level: level, message: message } if dry_run?
+    return unless @run.persisted?
+
     @run.pipeline_run_logs.create!(message: message, level: level)
+    @run.record_progress!
   rescue StandardError => e
     @logger.error "Failed to create log entry: #{e.message}"
   end
+
+  def dry_run?
+    !@dry_run_log.nil?
+  end
+
+  # Alerts never fail the run that triggered them
+  def evaluate_alert_rules
+    return unless time_series
+
+    AlertRule.evaluate_for(time_series)
+  rescue StandardError => e
+    log_warn "Failed to evaluate alert rules: #{e.message}"
+  end
+
+  def preview_import(limit)
+    model = time_series&.kind == 'univariate' ? Univariate : Aggregate
+    compared = model == Univariate ? %i[main] : %i[open high low close adjusted]
+    counts = { insert: 0, update: 0, unchanged: 0, invalid: 0 }
+    rows = []
+    first_ts = last_ts = nil
+
+    parsed = enum_for(:each_import_row).lazy.filter_map do |row|
+      attributes = parse_import_row(row)
+      attributes if attributes && within_backfill_range?(attributes[:ts])
+    rescue StandardError
+      counts[:invalid] += 1
+      nil
+    end
+
+    parsed.each_slice(PREVIEW_BATCH_SIZE) do |batch|
+      existing = model.where(ticker: batch.map { |attributes| attributes[:ticker] }.uniq, ts: batch.map { |attributes| attributes[:ts] })
+                      .index_by { |point| [point.ticker, point.ts.to_i] }
+
+      batch.each do |attributes|
+        point = existing[[attributes[:ticker], attributes[:ts].to_time.to_i]]
+        action = if point.nil?
+                   :insert
+                 elsif compared.any? { |column| point.send(column).to_f != attributes[column].to_f }
+                   :update
+                 else
+                   :unchanged
+                 end
+
+        counts[action] += 1
+        rows << attributes.merge(action: action) if rows.size < limit
+        first_ts = attributes[:ts] if first_ts.nil? || attributes[:ts] < first_ts
+        last_ts = attributes[:ts] if last_ts.nil? || attributes[:ts] > last_ts
+      end
+    end
+
+    {
+      model: model.name,
+      columns: [:ts, *compared, *(model == Aggregate ? [:volume] : [])],
+      counts: counts,
+      total_rows: counts.values_at(:insert, :update, :unchanged).sum,
+      first_ts: first_ts,
+      last_ts: last_ts,
+      rows: rows
+    }
+  end
+
+  # Rows of the downloaded file as the IMPORT stage reads them
+  def each_import_row(&block)
+    raise "No file to import" unless @downloaded_file_path && File.exist?(@downloaded_file_path)
+
+    CSV.foreach(@downloaded_file_path, headers: true, &block)
+  end
+
+  # Attributes IMPORT would write for a row, or nil to skip it
+  def parse_import_row(row)
+    time_series&.kind == 'univariate' ? parse_univariate_row(row) : parse_aggregate_row(row)
+  end
+
+  # Raises Cancelled once the run was cancelled, see PipelineRun#cancel!. Runs
+  # on every log line and counter, so the flag is read at most once a second.
+  def check_cancelled!(force: false)
+    return if @cancelled || dry_run? || !@run.persisted?
+    return if !force && @cancel_checked_at && @cancel_checked_at > 1.second.ago
+
+    @cancel_checked_at = Time.current
+    return unless PipelineRun.where(id: @run.id).where.not(cancel_requested_at: nil).exists?
+
+    @cancelled = true
+    raise Cancelled
+  end
+
+  # Runs resumed at TRANSFORM or IMPORT fetch again to find their file; FETCH
+  # reuses the day's download when it is still on disk. A skipped FETCH is not
+  # repeated.
+  def restore_download
+    return unless @run.stage_timings.dig('FETCH', 'outcome') == 'completed'
+
+    log_info "Resuming at #{@run.stage}, restoring the download of the earlier FETCH stage"
+    execute_fetch_stage
+  end
+
+  # Dry runs download to their own files, see download_stamp
+  def remove_dry_run_download
+    return unless dry_run? && @downloaded_file_path&.include?('dry_run_') && File.exist?(@downloaded_file_path)
+
+    File.delete(@downloaded_file_path)
+  end
   
   def should_stop_execution?(stage, status)
     return true if status == 'COMPLETED'
     return true if status == 'FAILED'
+    return true if status == 'CANCELLED'
     return true if status == 'SCHEDULED_STOP'
     return true if stage == 'FINISH' && status != 'PENDING'
     
@@ -106,7 +351,7 @@ class PipelineChainBase
     when 'TRANSFORM'
       execute_transform_stage
     when 'IMPORT'
-      execute_import_stage
+      recording_point_changes { execute_import_stage }
     when 'POST_PROCESSING'
       execute_post_processing_stage
     when 'FINISH'
@@ -135,15 +380,79 @@ class PipelineChainBase
     @logger.debug "Updated run to stage: #{stage}, status: #{status}"
   end
   
-  def increment_counter(counter_type)
+  def increment_counter(counter_type, by = 1)
+    check_cancelled!
+
     case counter_type
     when :successful
-      @run.increment!(:n_successful)
+      @run.increment!(:n_successful, by)
     when :failed
-      @run.increment!(:n_failed)
+      @run.increment!(:n_failed, by)
     when :skipped
-      @run.increment!(:n_skipped)
+      @run.increment!(:n_skipped, by)
+    end
+
+    @run.record_progress! if @run.persisted?
+    broadcast_counters
+  end
+
+  # Keeps what IMPORT does to each point for comparing runs, see
+  # PipelineRunChange. An IMPORT that runs again, e.g. after a rerun, replaces
+  # the changes recorded before. Recording never fails the import.
+  def recording_point_changes
+    if @run.persisted?
+      @run.point_changes.delete_all
+      @run.update_column(:changes_truncated, false) if @run.changes_truncated?
+      PipelineRunChange.prune(@run.pipeline)
+      @point_changes = []
+      @point_changes_count = 0
+    end
+
+    yield
+  ensure
+    flush_point_changes
+    @point_changes = nil
+  end
+
+  # Chains call this for every point they insert, update or skip as unchanged;
+  # `previous` are the saved_changes of an updated record
+  def record_point_change(action, attributes, previous: nil)
+    return if @point_changes.nil?
+
+    if @point_changes_count >= PipelineRunChange::MAX_PER_RUN
+      unless @run.changes_truncated?
+        @run.update_column(:changes_truncated, true)
+        log_warn "Recorded the first #{PipelineRunChange::MAX_PER_RUN} point changes; later ones are not kept for run comparisons"
+      end
+      return
     end
+
+    @point_changes << PipelineRunChange.row_for(@run, action, attributes, previous: previous)
+    @point_changes_count += 1
+    flush_point_changes if @point_changes.size >= import_batch_size
+  end
+
+  def record_point_changes(action, records)
+    records.each { |attributes| record_point_change(action, attributes) }
+  end
+
+  def flush_point_changes
+    return if @point_changes.blank?
+
+    PipelineRunChange.insert_all(@point_changes)
+    @point_changes.clear
+  rescue StandardError => e
+    @point_changes.clear
+    @logger.error "Failed to record point changes for run #{@run.id}: #{e.message}"
+  end
+
+  # increment! skips callbacks, so counters are pushed to live subscribers
+  # explicitly, at most once per second to avoid flooding the cable
+  def broadcast_counters
+    return if @counters_broadcast_at && @counters_broadcast_at > 1.second.ago
+
+    @counters_broadcast_at = Time.current
+    @run.broadcast_update(include_summary: false)
   end
   
   # Stage methods to be implemented by subclasses
@@ -204,6 +513,7 @@ class PipelineChainBase
   # Helper method to get the latest timestamp from existing data
   # Returns the latest timestamp + 1 day (or appropriate interval) to avoid duplicates
   def get_start_date_from_latest_data
+    return @run.range_start if backfill?
     return nil unless time_series
     
     latest_ts = case time_series.kind
@@ -213,7 +523,7 @@ class PipelineChainBase
                   time_series.aggregates.maximum(:ts)
                 end
     
-    return nil unless latest_ts
+    return configured_start_date unless latest_ts
     
     # Add appropriate interval based on timeframe to get next expected data point
     case timeframe
@@ -236,6 +546,48 @@ class PipelineChainBase
     end
   end
   
+  # Value of one of the pipeline's options, see OPTIONS
+  def option(name)
+    @run.pipeline&.option(name)
+  end
+
+  # The start_date option, used while the series has no data yet
+  def configured_start_date
+    option('start_date')&.then { |value| Date.iso8601(value).beginning_of_day }
+  end
+
+  def import_batch_size
+    option('batch_size') || 1000
+  end
+
+  # Backfill runs carry their own range, see PipelineRun#backfill?
+  def backfill?
+    @run.backfill?
+  end
+
+  # Whether IMPORT writes a point. Backfills keep the points of their range
+  # only, as some sources (CBOE, CoinGecko) always return the full history.
+  def within_backfill_range?(ts)
+    return true unless backfill?
+
+    ts = ts.to_time
+    ts >= @run.range_start.to_date.beginning_of_day && ts < (fetch_end_date + 1).beginning_of_day
+  end
+
+  # Last date to fetch: the end of a backfill range, otherwise today
+  def fetch_end_date
+    (@run.range_end || Time.current).to_date
+  end
+
+  # Date part of download file names; backfills get their own files so they
+  # never reuse a download made for the regular run of the day
+  def download_stamp
+    return "dry_run_#{Time.current.strftime('%Y%m%d%H%M%S')}" if dry_run?
+    return "backfill_#{@run.range_start.strftime('%Y%m%d')}_#{fetch_end_date.strftime('%Y%m%d')}" if backfill?
+
+    Date.current.strftime('%Y%m%d')
+  end
+
   # Helper method to determine if we should use incremental fetch
   # Returns true if there's existing data and we should fetch incrementally
   def should_use_incremental_fetch?
@@ -7,6 +7,8 @@ require 'csv'
 require 'zlib'
 
 class PolygonFlat < PipelineChainBase
+  SOURCE = 'Polygon'
+  KINDS = %w[aggregate].freeze
   ENDPOINT_URL = 'https://files.polygon.io'
   BUCKET_NAME = 'flatfiles'
   TRIES = 3
@@ -26,6 +28,16 @@ class PolygonFlat < PipelineChainBase
     day_aggs: 'day_aggs_v1',
     second_aggs: 'second_aggs_v1'
   }.freeze
+
+  OPTIONS = (PipelineChainBase::OPTIONS + [
+    {
+      name: 's3_path',
+      type: 'string',
+      label: 'S3 path',
+      placeholder: 'us_stocks_sip/day_aggs_v1',
+      help: "Folder inside the #{BUCKET_NAME} bucket, replacing the asset class and data type picked from the ticker and timeframe."
+    }
+  ]).freeze
   
   def initialize(run)
     super(run)
@@ -33,6 +45,7 @@ class PolygonFlat < PipelineChainBase
     @secret_key = ENV.fetch('POLYGON_S3_SECRET_ACCESS_KEY')
     @download_dir = Rails.root.join('tmp', 'flat_files', "polygon_#{ticker}")
     @downloaded_file_path = nil
+    @downloaded_file_paths = []
     
     ensure_download_directory
     configure_aws_cli
@@ -40,46 +53,30 @@ class PolygonFlat < PipelineChainBase
   
   private
   
+  # Flat files hold one day each: backfills download every weekday of their
+  # range, regular runs the day after the latest point
   def execute_fetch_stage
-    return if @downloaded_file_path && File.exist?(@downloaded_file_path)
-    
-    # Determine the date to fetch - use incremental approach if existing data is available
-    date = if should_use_incremental_fetch?
-             start_date = get_start_date_from_latest_data.to_date
-             log_info "Using incremental fetch starting from #{start_date} (latest existing data + 1 day)"
-             start_date
-           else
-             log_info "No existing data found, fetching current date: #{Date.current}"
-             Date.current
-           end
+    return if downloaded_files.any?
     
     asset_class = determine_asset_class
     data_type = determine_data_type
     
-    s3_path = build_s3_path(date, asset_class, data_type)
-    local_path = build_local_path(date, asset_class, data_type)
-    
-    if local_path.exist?
-      log_info "File already exists: #{local_path}"
-      @downloaded_file_path = local_path.to_s
-      return
+    @downloaded_file_paths = fetch_dates.filter_map do |date|
+      download_day(date, asset_class, data_type)
     end
+    raise "No Polygon day files found from #{@run.range_start.to_date} to #{fetch_end_date}" if @downloaded_file_paths.empty?
     
-    log_info "Downloading #{s3_path} to #{local_path}"
-    
-    download_with_retry(s3_path, local_path)
-    
-    @downloaded_file_path = local_path.to_s
+    @downloaded_file_path = @downloaded_file_paths.last
   end
   
   def execute_import_stage
-    raise "No file to import" unless @downloaded_file_path && File.exist?(@downloaded_file_path)
+    raise "No file to import" if downloaded_files.empty?
     
-    log_info "Importing Polygon data from: #{@downloaded_file_path}"
+    log_info "Importing Polygon data from #{downloaded_files.size} #{'file'.pluralize(downloaded_files.size)}"
     log_info "Ticker: #{ticker}, Timeframe: #{timeframe}"
 
     result = {
-      file: @downloaded_file_path,
+      file: downloaded_files.join(', '),
       ticker: ticker,
       total_rows: 0,
       imported: 0,
@@ -90,13 +87,17 @@ class PolygonFlat < PipelineChainBase
     }
 
     records_to_insert = []
-    batch_size = 1000
+    batch_size = import_batch_size
     
-    # Handle both .csv and .csv.gz files
-    if @downloaded_file_path.end_with?('.gz')
-      process_gzipped_file(records_to_insert, result, batch_size)
-    else
-      process_regular_file(records_to_insert, result, batch_size)
+    downloaded_files.each do |path|
+      log_info "Importing Polygon data from: #{path}"
+
+      # Handle both .csv and .csv.gz files
+      if path.end_with?('.gz')
+        process_gzipped_file(path, records_to_insert, result, batch_size)
+      else
+        process_regular_file(path, records_to_insert, result, batch_size)
+      end
     end
 
     # Insert remaining records
@@ -115,8 +116,49 @@ class PolygonFlat < PipelineChainBase
   end
   
   def execute_post_processing_stage
-    # Clean up downloaded file after successful import
-    cleanup_downloaded_file
+    # Clean up downloaded files after successful import
+    downloaded_files.each { |path| cleanup_downloaded_file(path) }
+  end
+
+  def downloaded_files
+    @downloaded_file_paths.select { |path| File.exist?(path) }
+  end
+
+  def fetch_dates
+    if backfill?
+      dates = (@run.range_start.to_date..fetch_end_date).reject { |date| date.saturday? || date.sunday? }
+      log_info "Backfill fetch of #{dates.size} day #{'file'.pluralize(dates.size)} from #{@run.range_start.to_date} to #{fetch_end_date}"
+      dates
+    elsif should_use_incremental_fetch?
+      start_date = get_start_date_from_latest_data.to_date
+      log_info "Using incremental fetch starting from #{start_date} (latest existing data + 1 day)"
+      [start_date]
+    else
+      log_info "No existing data found, fetching current date: #{Date.current}"
+      [Date.current]
+    end
+  end
+
+  # Local path of the day's file, or nil when a backfill day has none
+  # (exchange holidays)
+  def download_day(date, asset_class, data_type)
+    s3_path = build_s3_path(date, asset_class, data_type)
+    local_path = build_local_path(date, asset_class, data_type)
+    
+    if local_path.exist?
+      log_info "File already exists: #{local_path}"
+      return local_path.to_s
+    end
+    
+    log_info "Downloading #{s3_path} to #{local_path}"
+    
+    download_with_retry(s3_path, local_path)
+    local_path.to_s
+  rescue StandardError => e
+    raise unless backfill?
+
+    log_warn "Skipping #{date}: #{e.message}"
+    nil
   end
   
   def ensure_download_directory
@@ -157,13 +199,13 @@ class PolygonFlat < PipelineChainBase
   end
   
   def build_s3_path(date, asset_class, data_type)
-    prefix = ASSET_CLASSES[asset_class]
-    type_folder = DATA_TYPES[data_type]
+    folder = option('s3_path')&.delete_prefix('/')&.delete_suffix('/').presence ||
+             "#{ASSET_CLASSES[asset_class]}/#{DATA_TYPES[data_type]}"
     year = date.year
     month = date.month.to_s.rjust(2, '0')
     filename = "#{date.strftime('%Y-%m-%d')}.csv.gz"
     
-    "s3://#{BUCKET_NAME}/#{prefix}/#{type_folder}/#{year}/#{month}/#{filename}"
+    "s3://#{BUCKET_NAME}/#{folder}/#{year}/#{month}/#{filename}"
   end
   
   def build_local_path(date, asset_class, data_type)
@@ -206,15 +248,36 @@ class PolygonFlat < PipelineChainBase
       '--endpoint-url', ENDPOINT_URL
     ]
     
-    stdout, stderr, status = Open3.capture3(*cmd)
+    _stdout, stderr, status = Open3.capture3(*cmd)
     
     unless status.success?
       raise "Failed to download file: #{stderr}"
     end
   end
   
-  def process_gzipped_file(records_to_insert, result, batch_size)
-    Zlib::GzipReader.open(@downloaded_file_path) do |gz|
+  # Flat files hold every ticker of the day, so the preview only keeps ours
+  def each_import_row
+    raise "No file to import" if downloaded_files.empty?
+
+    matching = ->(row) { row['ticker'].nil? || row['ticker'].upcase == ticker }
+
+    downloaded_files.each do |path|
+      if path.end_with?('.gz')
+        Zlib::GzipReader.open(path) do |gz|
+          CSV.new(gz, headers: true).each { |row| yield row if matching.call(row) }
+        end
+      else
+        CSV.foreach(path, headers: true) { |row| yield row if matching.call(row) }
+      end
+    end
+  end
+
+  def parse_import_row(row)
+    parse_csv_row(row)
+  end
+
+  def process_gzipped_file(path, records_to_insert, result, batch_size)
+    Zlib::GzipReader.open(path) do |gz|
       csv = CSV.new(gz, headers: true)
       
       csv.each_with_index do |row, index|
@@ -223,8 +286,8 @@ class PolygonFlat < PipelineChainBase
     end
   end
   
-  def process_regular_file(records_to_insert, result, batch_size)
-    CSV.foreach(@downloaded_file_path, headers: true).with_index do |row, index|
+  def process_regular_file(path, records_to_insert, result, batch_size)
+    CSV.foreach(path, headers: true).with_index do |row, index|
       process_csv_row(row, index, records_to_insert, result, batch_size)
     end
   end
@@ -252,10 +315,12 @@ class PolygonFlat < PipelineChainBase
       if existing_record
         if aggregate_changed?(existing_record, record_attributes)
           existing_record.update!(record_attributes)
+          record_point_change(:updated, record_attributes, previous: existing_record.saved_changes)
           result[:updated] += 1
           increment_counter(:successful)
         else
           result[:skipped] += 1
+          record_point_change(:skipped, record_attributes)
           increment_counter(:skipped)
         end
       else
@@ -361,6 +426,7 @@ class PolygonFlat < PipelineChainBase
 
     begin
       Aggregate.insert_all(records)
+      record_point_changes(:inserted, records)
       records.count
     rescue ActiveRecord::RecordNotUnique
       # Handle duplicates by inserting one by one
@@ -370,6 +436,7 @@ class PolygonFlat < PipelineChainBase
       records.each do |record_attributes|
         begin
           Aggregate.create!(record_attributes)
+          record_point_change(:inserted, record_attributes)
           inserted += 1
         rescue ActiveRecord::RecordInvalid, ActiveRecord::RecordNotUnique
           # Skip duplicates or invalid records
@@ -429,7 +496,7 @@ class PolygonFlat < PipelineChainBase
       
       begin
         Dir.rmdir(dir_path) if Dir.empty?(dir_path)
-      rescue StandardError => e
+      rescue StandardError
         # Ignore errors when removing directories (they might not be empty)
       end
     end
@@ -437,15 +504,15 @@ class PolygonFlat < PipelineChainBase
     log_info "Cleanup completed: #{files_removed} files removed"
   end
   
-  def cleanup_downloaded_file
-    return unless @downloaded_file_path && File.exist?(@downloaded_file_path)
+  def cleanup_downloaded_file(path)
+    return unless File.exist?(path)
     
     begin
-      File.delete(@downloaded_file_path)
-      log_info "Cleaned up downloaded file: #{@downloaded_file_path}"
+      File.delete(path)
+      log_info "Cleaned up downloaded file: #{path}"
       
       # Try to remove empty parent directories
-      parent_dir = File.dirname(@downloaded_file_path)
+      parent_dir = File.dirname(path)
       while parent_dir != @download_dir.to_s && Dir.exist?(parent_dir)
         begin
           Dir.rmdir(parent_dir) if Dir.empty?(parent_dir)
@@ -455,7 +522,7 @@ class PolygonFlat < PipelineChainBase
         end
       end
     rescue StandardError => e
-      log_error "Failed to cleanup downloaded file #{@downloaded_file_path}: #{e.message}"
+      log_error "Failed to cleanup downloaded file #{path}: #{e.message}"
     end
   end
 end
@@ -8,8 +8,10 @@ require 'fileutils'
 require 'date'
 
 class TwelveDataFlat < PipelineChainBase
+  SOURCE = 'TwelveData'
+  KINDS = %w[aggregate].freeze
   BASE_URL = ENV.fetch('TWELVE_DATA_API_URL', 'https://api.twelvedata.com')
-  API_KEY = ENV.fetch('TWELVE_DATA_API_KEY')
+  API_KEY = ENV['TWELVE_DATA_API_KEY']
   TIMEOUT = ENV.fetch('TWELVE_DATA_API_TIMEOUT', '10').to_i
   TRIES = 3
   
@@ -35,6 +37,7 @@ class TwelveDataFlat < PipelineChainBase
   
   def initialize(run)
     super(run)
+    raise ArgumentError, "TwelveData API key is required" unless API_KEY
     @user_agent = 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36'
     
     @download_dir = Rails.root.join('tmp', 'flat_files', "twelve_data_#{source_id}")
@@ -56,7 +59,7 @@ class TwelveDataFlat < PipelineChainBase
     exchanges = get_exchanges_from_ticker
     raise ArgumentError, "No exchanges found for ticker: #{ticker}" if exchanges.empty?
     
-    file_path = @download_dir.join("#{source_id}_#{Date.current.strftime('%Y%m%d')}.csv")
+    file_path = @download_dir.join("#{source_id}_#{download_stamp}.csv")
     
     if file_path.exist?
       log_info "File already exists: #{file_path}"
@@ -237,7 +240,7 @@ class TwelveDataFlat < PipelineChainBase
       log_info "No existing data found, fetching from #{start_date}"
     end
     
-    end_date = Date.current
+    end_date = fetch_end_date
     [start_date, end_date]
   end
   
@@ -262,7 +265,7 @@ class TwelveDataFlat < PipelineChainBase
   
   def import_aggregate_data(result)
     records_to_insert = []
-    batch_size = 1000
+    batch_size = import_batch_size
     
     CSV.foreach(@downloaded_file_path, headers: true).with_index do |row, index|
       result[:total_rows] += 1
@@ -280,10 +283,12 @@ class TwelveDataFlat < PipelineChainBase
         if existing_record
           if aggregate_changed?(existing_record, record_attributes)
             existing_record.update!(record_attributes)
+            record_point_change(:updated, record_attributes, previous: existing_record.saved_changes)
             result[:updated] += 1
             increment_counter(:successful)
           else
             result[:skipped] += 1
+            record_point_change(:skipped, record_attributes)
             increment_counter(:skipped)
           end
         else
@@ -392,6 +397,7 @@ class TwelveDataFlat < PipelineChainBase
 
     begin
       Aggregate.insert_all(records)
+      record_point_changes(:inserted, records)
       records.count
     rescue ActiveRecord::RecordNotUnique
       # Handle duplicates by inserting one by one
@@ -401,6 +407,7 @@ class TwelveDataFlat < PipelineChainBase
       records.each do |record_attributes|
         begin
           Aggregate.create!(record_attributes)
+          record_point_change(:inserted, record_attributes)
           inserted += 1
         rescue ActiveRecord::RecordInvalid, ActiveRecord::RecordNotUnique
           # Skip duplicates or invalid records
@@ -7,6 +7,8 @@ require 'fileutils'
 require 'date'
 
 class YahooFlat < PipelineChainBase
+  SOURCE = 'Yahoo'
+  KINDS = %w[aggregate].freeze
   BASE_URL = 'https://query1.finance.yahoo.com/v8/finance/chart'
   TRIES = 3
   
@@ -35,7 +37,7 @@ class YahooFlat < PipelineChainBase
   def execute_fetch_stage
     return if @downloaded_file_path && File.exist?(@downloaded_file_path)
     
-    file_path = @download_dir.join("#{ticker}_#{Date.current.strftime('%Y%m%d')}.csv")
+    file_path = @download_dir.join("#{ticker}_#{download_stamp}.csv")
     
     if file_path.exist?
       log_info "File already exists: #{file_path}"
@@ -44,7 +46,7 @@ class YahooFlat < PipelineChainBase
     end
 
     # Determine date range for fetching
-    end_date = Date.current
+    end_date = fetch_end_date
     
     # Use incremental fetch if we have existing data
     if should_use_incremental_fetch?
@@ -154,7 +156,7 @@ class YahooFlat < PipelineChainBase
   
   def import_aggregate_data(result)
     records_to_insert = []
-    batch_size = 1000
+    batch_size = import_batch_size
     
     CSV.foreach(@downloaded_file_path, headers: true).with_index do |row, index|
       result[:total_rows] += 1
@@ -172,10 +174,12 @@ class YahooFlat < PipelineChainBase
         if existing_record
           if aggregate_changed?(existing_record, record_attributes)
             existing_record.update!(record_attributes)
+            record_point_change(:updated, record_attributes, previous: existing_record.saved_changes)
             result[:updated] += 1
             increment_counter(:successful)
           else
             result[:skipped] += 1
+            record_point_change(:skipped, record_attributes)
             increment_counter(:skipped)
           end
         else
@@ -267,6 +271,7 @@ class YahooFlat < PipelineChainBase
 
     begin
       Aggregate.insert_all(records)
+      record_point_changes(:inserted, records)
       records.count
     rescue ActiveRecord::RecordNotUnique
       # Handle duplicates by inserting one by one
@@ -276,6 +281,7 @@ class YahooFlat < PipelineChainBase
       records.each do |record_attributes|
         begin
           Aggregate.create!(record_attributes)
+          record_point_change(:inserted, record_attributes)
           inserted += 1
         rescue ActiveRecord::RecordInvalid, ActiveRecord::RecordNotUnique
           # Skip duplicates or invalid records
@@ -0,0 +1,4 @@
+# Be sure to restart your server when you modify this file.
+
+# Newline-delimited JSON, used by the time series export
+Mime::Type.register "application/x-ndjson", :ndjson
@@ -1,5 +1,8 @@
 Sidekiq.configure_server do |config|
   config.redis = { url: ENV.fetch("REDIS_URL", "redis://localhost:6379/0") }
+
+  # Pipeline schedules live in the database, see Pipeline.sync_cron_jobs!
+  config.on(:startup) { Pipeline.sync_cron_jobs! }
 end
 
 Sidekiq.configure_client do |config|
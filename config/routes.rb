@@ -9,31 +9,103 @@ Rails.application.routes.draw do
   mount Sidekiq::Web => '/sk'
 
   get 'pages', to: 'pages#home'
+  get 'dashboard', to: 'pages#home', as: :dashboard
+  get 'command_palette', to: 'command_palette#index', as: :command_palette
+  get 'activity', to: 'audit_events#index', as: :activity
 
-  resources :time_series, only: [:index, :show], param: :ticker do
+  resources :time_series, only: [:index, :show, :create], param: :ticker do
     collection do
       post :sync
       patch :toggle_source_pipelines
+      get :export
+      get :compare
+      get :upload
+      get :derive
+      get :derive_preview
+      post :derive, action: :create_derived
     end
     member do
+      get :export
+      get :quality
+      post :backfill
+      post :import
+      get :cleanup_preview
       delete :cleanup
+      patch :calendar
     end
+    resources :alert_rules, only: [:create, :update, :destroy]
   end
 
-  resources :pipeline_runs, only: [:index]
+  resources :watchlists, only: [:create, :update, :destroy] do
+    collection do
+      patch :reorder
+    end
+    member do
+      get :sparklines
+      patch :reorder_items
+    end
+    resources :watchlist_items, only: [:create, :destroy], path: 'items'
+  end
+
+  resources :cleanup_snapshots, only: [] do
+    member do
+      patch :restore
+    end
+  end
+
+  resources :pipeline_runs, only: [:index] do
+    collection do
+      get :compare
+    end
+  end
 
   resources :pipelines, only: [:index, :show, :new, :create, :destroy] do
+    collection do
+      post :bulk
+      post :dry_run
+    end
     member do
       patch :run
       patch :toggle_active
+      patch :schedule
     end
     resources :pipeline_runs, only: [:index, :show, :create] do
       member do
+        get :logs
         patch :rerun
         patch :schedule_stop
+        patch :retry_stage
+        patch :skip_stage
+        patch :cancel
       end
     end
   end
 
+  scope :settings do
+    resources :api_tokens, only: [:index, :create, :destroy]
+  end
+
+  namespace :api do
+    namespace :v1 do
+      resources :time_series, only: [:index, :show], param: :ticker do
+        member do
+          get :points
+          get :latest
+        end
+      end
+    end
+  end
+
+  resource :push_subscription, only: [:create, :destroy] do
+    post :test
+  end
+
+  if Rails.env.local?
+    post 'push_sink/:token', to: 'push_sink#create', as: :push_sink
+  end
+
+  get 'service-worker' => 'rails/pwa#service_worker', as: :pwa_service_worker
+  get 'manifest' => 'rails/pwa#manifest', as: :pwa_manifest
+
   root 'time_series#index'
 end
@@ -0,0 +1,15 @@
+class CreatePushSubscriptions < ActiveRecord::Migration[8.0]
+  def change
+    create_table :push_subscriptions do |t|
+      t.timestamps
+
+      t.text :endpoint, null: false
+      t.string :p256dh_key, null: false
+      t.string :auth_key, null: false
+      t.string :user_agent
+      t.datetime :last_delivered_at
+
+      t.index :endpoint, unique: true
+    end
+  end
+end
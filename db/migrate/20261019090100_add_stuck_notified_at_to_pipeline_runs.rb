@@ -0,0 +1,5 @@
+class AddStuckNotifiedAtToPipelineRuns < ActiveRecord::Migration[8.0]
+  def change
+    add_column :pipeline_runs, :stuck_notified_at, :datetime
+  end
+end
@@ -0,0 +1,6 @@
+class AddRangeToPipelineRuns < ActiveRecord::Migration[8.0]
+  def change
+    add_column :pipeline_runs, :range_start, :datetime
+    add_column :pipeline_runs, :range_end, :datetime
+  end
+end
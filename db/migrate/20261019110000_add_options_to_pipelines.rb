@@ -0,0 +1,5 @@
+class AddOptionsToPipelines < ActiveRecord::Migration[8.0]
+  def change
+    add_column :pipelines, :options, :jsonb, default: {}, null: false
+  end
+end
@@ -0,0 +1,5 @@
+class AddScheduleToPipelines < ActiveRecord::Migration[8.0]
+  def change
+    add_column :pipelines, :schedule, :string
+  end
+end
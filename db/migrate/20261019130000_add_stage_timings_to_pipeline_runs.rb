@@ -0,0 +1,5 @@
+class AddStageTimingsToPipelineRuns < ActiveRecord::Migration[8.0]
+  def change
+    add_column :pipeline_runs, :stage_timings, :jsonb, default: {}, null: false
+  end
+end
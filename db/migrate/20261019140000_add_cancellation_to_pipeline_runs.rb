@@ -0,0 +1,6 @@
+class AddCancellationToPipelineRuns < ActiveRecord::Migration[8.0]
+  def change
+    add_column :pipeline_runs, :job_id, :string
+    add_column :pipeline_runs, :cancel_requested_at, :datetime
+  end
+end
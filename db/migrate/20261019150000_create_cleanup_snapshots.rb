@@ -0,0 +1,32 @@
+class CreateCleanupSnapshots < ActiveRecord::Migration[8.0]
+  def change
+    create_table :cleanup_snapshots do |t|
+      t.timestamps
+
+      t.string :ticker, null: false
+      t.string :kind, null: false
+      t.string :filter, null: false
+      t.datetime :from
+      t.datetime :to
+      t.integer :points_count, null: false, default: 0
+      t.datetime :expires_at, null: false
+      t.datetime :restored_at
+
+      t.index :ticker
+      t.index :expires_at
+    end
+
+    create_table :cleanup_snapshot_points do |t|
+      t.references :cleanup_snapshot, null: false, foreign_key: { on_delete: :cascade }
+      t.string :timeframe, null: false
+      t.datetime :ts, null: false
+      t.float :open
+      t.float :high
+      t.float :low
+      t.float :close
+      t.float :adjusted
+      t.float :volume
+      t.float :main
+    end
+  end
+end
@@ -0,0 +1,16 @@
+class CreateApiTokens < ActiveRecord::Migration[8.0]
+  def change
+    create_table :api_tokens do |t|
+      t.timestamps
+
+      t.string :owner, null: false
+      t.string :name, null: false
+      t.string :token_digest, null: false
+      t.string :token_prefix, null: false
+      t.datetime :last_used_at
+      t.datetime :revoked_at
+
+      t.index :token_digest, unique: true
+    end
+  end
+end
@@ -0,0 +1,26 @@
+class CreateAlertRules < ActiveRecord::Migration[8.0]
+  def change
+    create_table :alert_rules do |t|
+      t.timestamps
+
+      t.references :time_series, null: false, foreign_key: true
+      t.string :condition, null: false
+      t.float :threshold, null: false
+      t.integer :bars
+      t.string :webhook_url
+      t.boolean :active, null: false, default: true
+      t.boolean :firing, null: false, default: false
+      t.datetime :last_evaluated_at
+      t.datetime :last_triggered_at
+    end
+
+    create_table :alert_events do |t|
+      t.timestamps
+
+      t.references :alert_rule, null: false, foreign_key: { on_delete: :cascade }
+      t.string :message, null: false
+      t.float :value
+      t.string :webhook_status
+    end
+  end
+end
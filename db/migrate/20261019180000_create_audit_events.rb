@@ -0,0 +1,21 @@
+class CreateAuditEvents < ActiveRecord::Migration[8.0]
+  def change
+    create_table :audit_events do |t|
+      t.datetime :created_at, null: false
+
+      t.string :actor, null: false
+      t.string :ip_address
+      t.string :action, null: false
+      t.string :summary, null: false
+      t.string :ticker
+      t.string :subject_type
+      t.bigint :subject_id
+      t.jsonb :details, null: false, default: {}
+
+      t.index :created_at
+      t.index :actor
+      t.index :action
+      t.index :ticker
+    end
+  end
+end
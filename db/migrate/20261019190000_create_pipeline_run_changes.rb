@@ -0,0 +1,15 @@
+class CreatePipelineRunChanges < ActiveRecord::Migration[8.0]
+  def change
+    create_table :pipeline_run_changes do |t|
+      t.references :pipeline_run, null: false, index: false, foreign_key: { on_delete: :cascade }
+      t.datetime :ts, null: false
+      t.string :action, null: false
+      t.jsonb :new_values, null: false, default: {}
+      t.jsonb :old_values
+
+      t.index [:pipeline_run_id, :ts]
+    end
+
+    add_column :pipeline_runs, :changes_truncated, :boolean, null: false, default: false
+  end
+end
@@ -0,0 +1,20 @@
+class CreateWatchlists < ActiveRecord::Migration[8.0]
+  def change
+    create_table :watchlists do |t|
+      t.timestamps
+
+      t.string :name, null: false
+      t.integer :position, null: false, default: 0
+      t.index :name, unique: true
+    end
+
+    create_table :watchlist_items do |t|
+      t.timestamps
+
+      t.references :watchlist, null: false, foreign_key: { on_delete: :cascade }
+      t.references :time_series, null: false, foreign_key: { on_delete: :cascade }
+      t.integer :position, null: false, default: 0
+      t.index [:watchlist_id, :time_series_id], unique: true
+    end
+  end
+end
@@ -0,0 +1,31 @@
+class AddCalendarToTimeSeries < ActiveRecord::Migration[8.0]
+  # Calendars of the existing series by source, matching the `sources` in
+  # config/calendars that TimeSeries assigns to new ones
+  CALENDARS = {
+    'nyse' => %w[Polygon Yahoo],
+    'cboe' => %w[CBOE],
+    'crypto' => %w[Bitstamp CoinGecko],
+    'fred' => %w[FRED]
+  }.freeze
+
+  def up
+    add_column :time_series, :calendar, :string
+
+    CALENDARS.each do |calendar, sources|
+      execute <<~SQL
+        UPDATE time_series SET calendar = #{quote(calendar)}
+        WHERE source IN (#{sources.map { |source| quote(source) }.join(', ')})
+      SQL
+    end
+  end
+
+  def down
+    remove_column :time_series, :calendar
+  end
+
+  private
+
+  def quote(value)
+    connection.quote(value)
+  end
+end
@@ -10,7 +10,7 @@
 #
 # It's strongly recommended that you check this file into your version control system.
 
-ActiveRecord::Schema[8.0].define(version: 2025_09_14_011552) do
+ActiveRecord::Schema[8.0].define(version: 2026_10_19_210000) do
   # These are extensions that must be enabled in order to support this database
   enable_extension "pg_catalog.plpgsql"
 
@@ -29,6 +29,97 @@ ActiveRecord::Schema[8.0].define(version: 2025_09_14_011552) do
     t.index ["timeframe", "ticker", "ts"], name: "index_aggregates_on_timeframe_and_ticker_and_ts", unique: true
   end
 
+  create_table "alert_events", force: :cascade do |t|
+    t.datetime "created_at", null: false
+    t.datetime "updated_at", null: false
+    t.bigint "alert_rule_id", null: false
+    t.string "message", null: false
+    t.float "value"
+    t.string "webhook_status"
+    t.index ["alert_rule_id"], name: "index_alert_events_on_alert_rule_id"
+  end
+
+  create_table "alert_rules", force: :cascade do |t|
+    t.datetime "created_at", null: false
+    t.datetime "updated_at", null: false
+    t.bigint "time_series_id", null: false
+    t.string "condition", null: false
+    t.float "threshold", null: false
+    t.integer "bars"
+    t.string "webhook_url"
+    t.boolean "active", default: true, null: false
+    t.boolean "firing", default: false, null: false
+    t.datetime "last_evaluated_at"
+    t.datetime "last_triggered_at"
+    t.index ["time_series_id"], name: "index_alert_rules_on_time_series_id"
+  end
+
+  create_table "api_tokens", force: :cascade do |t|
+    t.datetime "created_at", null: false
+    t.datetime "updated_at", null: false
+    t.string "owner", null: false
+    t.string "name", null: false
+    t.string "token_digest", null: false
+    t.string "token_prefix", null: false
+    t.datetime "last_used_at"
+    t.datetime "revoked_at"
+    t.index ["token_digest"], name: "index_api_tokens_on_token_digest", unique: true
+  end
+
+  create_table "audit_events", force: :cascade do |t|
+    t.datetime "created_at", null: false
+    t.string "actor", null: false
+    t.string "ip_address"
+    t.string "action", null: false
+    t.string "summary", null: false
+    t.string "ticker"
+    t.string "subject_type"
+    t.bigint "subject_id"
+    t.jsonb "details", default: {}, null: false
+    t.index ["action"], name: "index_audit_events_on_action"
+    t.index ["actor"], name: "index_audit_events_on_actor"
+    t.index ["created_at"], name: "index_audit_events_on_created_at"
+    t.index ["ticker"], name: "index_audit_events_on_ticker"
+  end
+
+  create_table "cleanup_snapshot_points", force: :cascade do |t|
+    t.bigint "cleanup_snapshot_id", null: false
+    t.string "timeframe", null: false
+    t.datetime "ts", null: false
+    t.float "open"
+    t.float "high"
+    t.float "low"
+    t.float "close"
+    t.float "adjusted"
+    t.float "volume"
+    t.float "main"
+    t.index ["cleanup_snapshot_id"], name: "index_cleanup_snapshot_points_on_cleanup_snapshot_id"
+  end
+
+  create_table "cleanup_snapshots", force: :cascade do |t|
+    t.datetime "created_at", null: false
+    t.datetime "updated_at", null: false
+    t.string "ticker", null: false
+    t.string "kind", null: false
+    t.string "filter", null: false
+    t.datetime "from"
+    t.datetime "to"
+    t.integer "points_count", default: 0, null: false
+    t.datetime "expires_at", null: false
+    t.datetime "restored_at"
+    t.index ["expires_at"], name: "index_cleanup_snapshots_on_expires_at"
+    t.index ["ticker"], name: "index_cleanup_snapshots_on_ticker"
+  end
+
+  create_table "pipeline_run_changes", force: :cascade do |t|
+    t.bigint "pipeline_run_id", null: false
+    t.datetime "ts", null: false
+    t.string "action", null: false
+    t.jsonb "new_values", default: {}, null: false
+    t.jsonb "old_values"
+    t.index ["pipeline_run_id", "ts"], name: "index_pipeline_run_changes_on_pipeline_run_id_and_ts"
+  end
+
   create_table "pipeline_run_logs", force: :cascade do |t|
     t.datetime "created_at", null: false
     t.datetime "updated_at", null: false
@@ -47,6 +138,13 @@ ActiveRecord::Schema[8.0].define(version: 2025_09_14_011552) do
     t.integer "n_successful", default: 0, null: false
     t.integer "n_failed", default: 0, null: false
     t.integer "n_skipped", default: 0, null: false
+    t.datetime "stuck_notified_at"
+    t.datetime "range_start"
+    t.datetime "range_end"
+    t.jsonb "stage_timings", default: {}, null: false
+    t.string "job_id"
+    t.datetime "cancel_requested_at"
+    t.boolean "changes_truncated", default: false, null: false
     t.index ["pipeline_id"], name: "index_pipeline_runs_on_pipeline_id"
   end
 
@@ -56,9 +154,22 @@ ActiveRecord::Schema[8.0].define(version: 2025_09_14_011552) do
     t.bigint "time_series_id", null: false
     t.string "chain", null: false
     t.boolean "active", default: true, null: false
+    t.jsonb "options", default: {}, null: false
+    t.string "schedule"
     t.index ["time_series_id"], name: "index_pipelines_on_time_series_id"
   end
 
+  create_table "push_subscriptions", force: :cascade do |t|
+    t.datetime "created_at", null: false
+    t.datetime "updated_at", null: false
+    t.text "endpoint", null: false
+    t.string "p256dh_key", null: false
+    t.string "auth_key", null: false
+    t.string "user_agent"
+    t.datetime "last_delivered_at"
+    t.index ["endpoint"], name: "index_push_subscriptions_on_endpoint", unique: true
+  end
+
   create_table "time_series", force: :cascade do |t|
     t.datetime "created_at", null: false
     t.datetime "updated_at", null: false
@@ -69,6 +180,7 @@ ActiveRecord::Schema[8.0].define(version: 2025_09_14_011552) do
     t.string "kind", null: false
     t.string "description"
     t.date "since"
+    t.string "calendar"
     t.index ["ticker"], name: "index_time_series_on_ticker"
   end
 
@@ -82,7 +194,32 @@ ActiveRecord::Schema[8.0].define(version: 2025_09_14_011552) do
     t.index ["ticker", "ts"], name: "index_univariates_on_ticker_and_ts", unique: true
   end
 
+  create_table "watchlist_items", force: :cascade do |t|
+    t.datetime "created_at", null: false
+    t.datetime "updated_at", null: false
+    t.bigint "watchlist_id", null: false
+    t.bigint "time_series_id", null: false
+    t.integer "position", default: 0, null: false
+    t.index ["time_series_id"], name: "index_watchlist_items_on_time_series_id"
+    t.index ["watchlist_id", "time_series_id"], name: "index_watchlist_items_on_watchlist_id_and_time_series_id", unique: true
+    t.index ["watchlist_id"], name: "index_watchlist_items_on_watchlist_id"
+  end
+
+  create_table "watchlists", force: :cascade do |t|
+    t.datetime "created_at", null: false
+    t.datetime "updated_at", null: false
+    t.string "name", null: false
+    t.integer "position", default: 0, null: false
+    t.index ["name"], name: "index_watchlists_on_name", unique: true
+  end
+
+  add_foreign_key "alert_events", "alert_rules", on_delete: :cascade
+  add_foreign_key "alert_rules", "time_series"
+  add_foreign_key "cleanup_snapshot_points", "cleanup_snapshots", on_delete: :cascade
+  add_foreign_key "pipeline_run_changes", "pipeline_runs", on_delete: :cascade
   add_foreign_key "pipeline_run_logs", "pipeline_runs"
   add_foreign_key "pipeline_runs", "pipelines"
   add_foreign_key "pipelines", "time_series"
+  add_foreign_key "watchlist_items", "time_series", on_delete: :cascade
+  add_foreign_key "watchlist_items", "watchlists", on_delete: :cascade
 end
@@ -0,0 +1,145 @@
+# Minimal Web Push sender: encrypts payloads with aes128gcm (RFC 8291) and
+# authenticates with VAPID (RFC 8292) using only OpenSSL and Faraday.
+#
+# Keys are read from VAPID_PUBLIC_KEY / VAPID_PRIVATE_KEY (base64url, raw P-256
+# point and scalar) and VAPID_SUBJECT; `rake web_push:generate_vapid_keys`
+# prints a fresh pair.
+module WebPush
+  class Error < StandardError; end
+
+  # The push service no longer accepts messages for this subscription
+  class ExpiredSubscription < Error; end
+
+  class DeliveryError < Error; end
+
+  CURVE = 'prime256v1'.freeze
+  RECORD_SIZE = 4096
+  DEFAULT_TTL = 24.hours.to_i
+
+  module_function
+
+  def configured?
+    ENV['VAPID_PUBLIC_KEY'].present? && ENV['VAPID_PRIVATE_KEY'].present?
+  end
+
+  def public_key
+    ENV['VAPID_PUBLIC_KEY']
+  end
+
+  def subject
+    ENV.fetch('VAPID_SUBJECT', 'mailto:admin@example.com')
+  end
+
+  def generate_vapid_keys
+    key = OpenSSL::PKey::EC.generate(CURVE)
+
+    {
+      public_key: encode64(key.public_key.to_octet_string(:uncompressed)),
+      private_key: encode64(key.private_key.to_s(2).rjust(32, "\0"))
+    }
+  end
+
+  # Sends `payload` (a String) to a subscription's endpoint. Raises
+  # ExpiredSubscription on 404/410 and DeliveryError on any other failure.
+  def deliver(endpoint:, p256dh:, auth:, payload:, ttl: DEFAULT_TTL, urgency: 'normal')
+    raise Error, 'VAPID keys are not configured' unless configured?
+
+    body = encrypt(payload, decode64(p256dh), decode64(auth))
+
+    response = connection.post(endpoint) do |request|
+      request.headers['Content-Type'] = 'application/octet-stream'
+      request.headers['Content-Encoding'] = 'aes128gcm'
+      request.headers['TTL'] = ttl.to_s
+      request.headers['Urgency'] = urgency
+      request.headers['Authorization'] = vapid_authorization(endpoint)
+      request.body = body
+    end
+
+    case response.status
+    when 200..299 then response
+    when 404, 410 then raise ExpiredSubscription, "Subscription expired (HTTP #{response.status})"
+    else raise DeliveryError, "Push service responded with HTTP #{response.status}: #{response.body.to_s.truncate(200)}"
+    end
+  rescue Faraday::Error => e
+    raise DeliveryError, e.message
+  end
+
+  def encrypt(payload, user_agent_public, auth_secret)
+    local_key = OpenSSL::PKey::EC.generate(CURVE)
+    local_public = local_key.public_key.to_octet_string(:uncompressed)
+    shared_secret = local_key.derive(public_key_from_point(user_agent_public))
+
+    input_key = hkdf(shared_secret, salt: auth_secret, info: "WebPush: info\0#{user_agent_public}#{local_public}", length: 32)
+
+    salt = SecureRandom.random_bytes(16)
+    content_key = hkdf(input_key, salt: salt, info: "Content-Encoding: aes128gcm\0", length: 16)
+    nonce = hkdf(input_key, salt: salt, info: "Content-Encoding: nonce\0", length: 12)
+
+    cipher = OpenSSL::Cipher.new('aes-128-gcm').encrypt
+    cipher.key = content_key
+    cipher.iv = nonce
+    # A single record, terminated by the 0x02 padding delimiter
+    ciphertext = cipher.update("#{payload}\x02".b) + cipher.final + cipher.auth_tag
+
+    salt + [RECORD_SIZE].pack('N') + [local_public.bytesize].pack('C') + local_public + ciphertext
+  end
+
+  def vapid_authorization(endpoint)
+    uri = URI.parse(endpoint)
+    header = { typ: 'JWT', alg: 'ES256' }
+    claims = { aud: "#{uri.scheme}://#{uri.host}#{":#{uri.port}" unless uri.port == uri.default_port}", exp: 12.hours.from_now.to_i, sub: subject }
+
+    signing_input = "#{encode64(header.to_json)}.#{encode64(claims.to_json)}"
+    signature = vapid_key.sign(OpenSSL::Digest.new('SHA256'), signing_input)
+
+    "vapid t=#{signing_input}.#{encode64(raw_signature(signature))}, k=#{public_key}"
+  end
+
+  def vapid_key
+    private_key = decode64(ENV['VAPID_PRIVATE_KEY'])
+    point = decode64(public_key)
+
+    der = OpenSSL::ASN1::Sequence([
+      OpenSSL::ASN1::Integer(1),
+      OpenSSL::ASN1::OctetString(private_key),
+      OpenSSL::ASN1::ObjectId(CURVE, 0, :EXPLICIT),
+      OpenSSL::ASN1::BitString(point, 1, :EXPLICIT)
+    ]).to_der
+
+    OpenSSL::PKey::EC.new(der)
+  end
+
+  def public_key_from_point(point)
+    der = OpenSSL::ASN1::Sequence([
+      OpenSSL::ASN1::Sequence([OpenSSL::ASN1::ObjectId('id-ecPublicKey'), OpenSSL::ASN1::ObjectId(CURVE)]),
+      OpenSSL::ASN1::BitString(point)
+    ]).to_der
+
+    OpenSSL::PKey::EC.new(der)
+  end
+
+  # JWS wants the raw r || s pair rather than OpenSSL's DER encoding
+  def raw_signature(der_signature)
+    OpenSSL::ASN1.decode(der_signature).value.map { |int| int.value.to_s(2).rjust(32, "\0") }.join
+  end
+
+  def hkdf(key, salt:, info:, length:)
+    OpenSSL::KDF.hkdf(key, salt: salt, info: info, length: length, hash: 'SHA256')
+  end
+
+  def connection
+    Faraday.new do |faraday|
+      faraday.options.timeout = 10
+      faraday.options.open_timeout = 5
+      faraday.adapter Faraday.default_adapter
+    end
+  end
+
+  def encode64(bytes)
+    Base64.urlsafe_encode64(bytes, padding: false)
+  end
+
+  def decode64(string)
+    Base64.urlsafe_decode64(string.to_s)
+  end
+end
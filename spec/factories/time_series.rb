@@ -5,6 +5,8 @@ FactoryBot.define do
     source_id { 'TEST_ID' }
     timeframe { 'D1' }
     kind { 'univariate' }
+    # Specs use the timeframe rules unless they pick a calendar
+    calendar { nil }
 
     trait :aggregate do
       ticker { 'AAPL_POLYGON' }
@@ -0,0 +1,110 @@
+require 'rails_helper'
+
+RSpec.describe AlertRule, type: :model do
+  let(:start) { Time.utc(2025, 6, 2) }
+  let(:time_series) { create(:time_series, :fred, ticker: 'ALERT_UNI') }
+
+  def add_point(ts, value)
+    create(:univariate, ticker: time_series.ticker, ts: ts, main: value)
+  end
+
+  before do
+    allow(AlertsChannel).to receive(:broadcast_event)
+    allow(AlertWebhookJob).to receive(:perform_async)
+  end
+
+  describe 'crossing a threshold' do
+    let!(:rule) do
+      add_point(start, 25.0)
+      time_series.alert_rules.create!(condition: 'crosses_above', threshold: 30)
+    end
+
+    it 'triggers once when the value crosses, and again after it fell back' do
+      add_point(start + 1.day, 31.0)
+      event = rule.evaluate!
+
+      expect(event).to have_attributes(value: 31.0, message: 'ALERT_UNI value is 31, above 30')
+      expect(rule.reload).to be_firing
+      expect(AlertsChannel).to have_received(:broadcast_event).with(event)
+
+      add_point(start + 2.days, 32.0)
+      expect(rule.evaluate!).to be_nil
+
+      add_point(start + 3.days, 29.0)
+      rule.evaluate!
+      expect(rule.reload).not_to be_firing
+
+      add_point(start + 4.days, 33.0)
+      rule.evaluate!
+      expect(rule.events.count).to eq(2)
+    end
+
+    it 'does not alert for a condition that already held when the rule was created' do
+      add_point(start + 1.day, 35.0)
+      rule = time_series.alert_rules.create!(condition: 'crosses_above', threshold: 30)
+
+      expect(rule).to be_firing
+      expect(rule.evaluate!).to be_nil
+      expect(AlertEvent.count).to eq(0)
+    end
+
+    it 'enqueues the webhook only for rules that have one' do
+      allow(PublicHost).to receive(:public?).with('example.com').and_return(true)
+      rule.update!(webhook_url: ' https://example.com/hook ')
+      expect(rule.webhook_url).to eq('https://example.com/hook')
+
+      add_point(start + 1.day, 31.0)
+      event = rule.evaluate!
+
+      expect(AlertWebhookJob).to have_received(:perform_async).with(event.id)
+    end
+
+    it 'skips paused rules' do
+      rule.update!(active: false)
+      add_point(start + 1.day, 31.0)
+
+      described_class.evaluate_for(time_series)
+
+      expect(AlertEvent.count).to eq(0)
+    end
+  end
+
+  it 'triggers on a percent change over the last bars' do
+    [100.0, 102.0, 104.0].each_with_index { |value, i| add_point(start + i.days, value) }
+    rule = time_series.alert_rules.create!(condition: 'change', threshold: 5, bars: 2)
+    expect(rule).not_to be_firing
+
+    add_point(start + 3.days, 95.0)
+    event = rule.evaluate!
+
+    expect(event.value).to be_within(0.0001).of(-6.8627)
+    expect(event.message).to eq('ALERT_UNI value changed -6.86% over 2 bars')
+  end
+
+  it 'triggers when the series falls behind its cadence by more than the threshold' do
+    now = Time.utc(2025, 6, 10, 12)
+    add_point(Time.utc(2025, 6, 8), 1.0)
+    rule = time_series.alert_rules.create!(condition: 'stale', threshold: 12)
+
+    expect(rule.observe(Time.utc(2025, 6, 9, 10))[:met]).to be(false)
+    expect(rule.evaluate!(now: now)).to be_present
+    expect(rule.evaluate!(now: now + 1.hour)).to be_nil
+  end
+
+  it 'validates conditions, bars and webhook URLs' do
+    expect(time_series.alert_rules.new(condition: 'sideways', threshold: 1)).not_to be_valid
+    expect(time_series.alert_rules.new(condition: 'change', threshold: 5)).not_to be_valid
+    expect(time_series.alert_rules.new(condition: 'change', threshold: 0, bars: 1)).not_to be_valid
+    expect(time_series.alert_rules.new(condition: 'crosses_below', threshold: -1, webhook_url: 'ftp://x')).not_to be_valid
+    expect(time_series.alert_rules.new(condition: 'crosses_below', threshold: -1)).to be_valid
+  end
+
+  it 'only accepts webhooks on public https hosts' do
+    %w[http://example.com/hook https://127.0.0.1/hook https://169.254.169.254/latest https://192.168.1.10/hook https://[::1]/hook].each do |url|
+      rule = time_series.alert_rules.new(condition: 'crosses_below', threshold: -1, webhook_url: url)
+
+      expect(rule).not_to be_valid, url
+      expect(rule.errors[:webhook_url]).to be_present
+    end
+  end
+end
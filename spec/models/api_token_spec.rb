@@ -0,0 +1,39 @@
+require 'rails_helper'
+
+RSpec.describe ApiToken, type: :model do
+  let(:api_token) { described_class.generate(owner: 'analyst@example.com', name: 'Notebook').tap(&:save!) }
+
+  it 'stores only a digest and a prefix of the generated token' do
+    expect(api_token.token).to start_with(ApiToken::PREFIX)
+    expect(api_token.token_digest).to eq(described_class.digest(api_token.token))
+    expect(api_token.token_prefix).to eq(api_token.token.first(ApiToken::PREFIX.length + 6))
+    expect(described_class.find(api_token.id).token).to be_nil
+  end
+
+  it 'authenticates active tokens only' do
+    expect(described_class.authenticate(api_token.token)).to eq(api_token)
+    expect(described_class.authenticate('qetl_unknown')).to be_nil
+    expect(described_class.authenticate(nil)).to be_nil
+
+    api_token.revoke!
+
+    expect(api_token).to be_revoked
+    expect(described_class.authenticate(api_token.token)).to be_nil
+  end
+
+  it 'records usage at most once a minute' do
+    api_token.touch_last_used
+    first_use = api_token.reload.last_used_at
+
+    api_token.touch_last_used
+    expect(api_token.reload.last_used_at).to eq(first_use)
+
+    api_token.update_column(:last_used_at, 2.minutes.ago)
+    api_token.touch_last_used
+    expect(api_token.reload.last_used_at).to be_within(5.seconds).of(Time.current)
+  end
+
+  it 'requires an owner and a name' do
+    expect(described_class.generate).not_to be_valid
+  end
+end
@@ -0,0 +1,54 @@
+require 'rails_helper'
+
+RSpec.describe AuditEvent, type: :model do
+  let(:time_series) { create(:time_series, :polygon, ticker: 'AUDIT_AGG') }
+  let(:pipeline) { create(:pipeline, time_series: time_series) }
+
+  before do
+    allow(ActivityChannel).to receive(:broadcast_event)
+  end
+
+  def record(**attributes)
+    described_class.record(action: 'pipeline.toggle', actor: 'alice', summary: 'Deactivated pipeline', **attributes)
+  end
+
+  it 'records the subject by type and id and takes the ticker from it' do
+    event = record(subject: time_series, details: { active: false }, ip_address: '10.0.0.1')
+
+    expect(event).to have_attributes(subject_type: 'TimeSeries', subject_id: time_series.id, ticker: 'AUDIT_AGG', ip_address: '10.0.0.1')
+    expect(event.details).to eq('active' => false)
+    expect(event.subject).to eq(time_series)
+    expect(ActivityChannel).to have_received(:broadcast_event).with(event)
+  end
+
+  it 'keeps events of deleted subjects' do
+    event = record(subject: pipeline, ticker: 'AUDIT_AGG')
+    pipeline.delete
+
+    expect(event.reload.subject).to be_nil
+    expect(event.ticker).to eq('AUDIT_AGG')
+  end
+
+  it 'cannot be changed once recorded' do
+    event = record
+
+    expect { event.update!(actor: 'mallory') }.to raise_error(ActiveRecord::ReadOnlyRecord)
+  end
+
+  it 'logs and returns nil instead of failing the change' do
+    expect(Rails.logger).to receive(:error).with(/Failed to record audit event everything/)
+
+    expect(described_class.record(action: 'everything', actor: 'alice', summary: 'x')).to be_nil
+  end
+
+  it 'filters by actor, action and ticker, newest first' do
+    first = record(ticker: 'AUDIT_AGG')
+    second = record(actor: 'bob', ticker: 'AUDIT_AGG')
+    third = record(action: 'time_series.cleanup', ticker: 'OTHER')
+
+    expect(described_class.search.to_a).to eq([third, second, first])
+    expect(described_class.search(actor: 'alice').to_a).to eq([third, first])
+    expect(described_class.search(action: 'pipeline.toggle', ticker: 'AUDIT_AGG').to_a).to eq([second, first])
+    expect(described_class.search(before: second.id).to_a).to eq([first])
+  end
+end
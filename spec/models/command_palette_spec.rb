@@ -0,0 +1,57 @@
+require 'rails_helper'
+
+RSpec.describe CommandPalette, type: :model do
+  let!(:spx) { create(:time_series, ticker: 'SPX_INDEX', source: 'CBOE', source_id: 'SPX', description: 'S&P 500 index') }
+  let!(:gdp) { create(:time_series, :fred, description: 'Gross domestic product') }
+  let!(:pipeline) { create(:pipeline, :fred_flat, time_series: gdp, active: true) }
+  let!(:run) { create(:pipeline_run, pipeline: pipeline, status: 'FAILED', stage: 'IMPORT') }
+
+  def titles(query, type)
+    described_class.new(query).results.select { |result| result[:type] == type }.map { |result| result[:title] }
+  end
+
+  it 'matches tickers and descriptions with the characters in order' do
+    expect(titles('spx', 'time_series')).to eq(%w[SPX_INDEX])
+    expect(titles('gdp', 'time_series')).to eq(%w[GDP])
+    expect(titles('domestic', 'time_series')).to eq(%w[GDP])
+    expect(titles('sndx', 'time_series')).to eq(%w[SPX_INDEX])
+  end
+
+  it 'ranks exact and prefix matches first' do
+    create(:time_series, ticker: 'GDPC1', source_id: 'GDPC1')
+
+    expect(titles('gdp', 'time_series')).to eq(%w[GDP GDPC1])
+  end
+
+  it 'treats LIKE wildcards literally' do
+    expect(titles('%', 'time_series')).to be_empty
+  end
+
+  it 'offers run, toggle and latest run actions for pipelines' do
+    result = described_class.new('gdp').pipelines.first
+
+    expect(result[:title]).to eq('GDP pipeline')
+    expect(result[:actions].map { |action| action[:label] }).to eq(['Open pipeline', 'Run pipeline', 'Deactivate', 'Open latest run'])
+    expect(result[:actions].last[:url]).to eq("/pipelines/#{pipeline.id}/pipeline_runs/#{run.id}")
+  end
+
+  it 'does not offer to run inactive pipelines' do
+    pipeline.update!(active: false)
+
+    labels = described_class.new('gdp').pipelines.first[:actions].map { |action| action[:label] }
+    expect(labels).to eq(['Open pipeline', 'Activate', 'Open latest run'])
+  end
+
+  it 'finds runs by id and by ticker' do
+    expect(titles("##{run.id}", 'run')).to eq(["Run ##{run.id} · GDP"])
+    expect(titles('gdp', 'run')).to eq(["Run ##{run.id} · GDP"])
+    expect(titles('spx', 'run')).to be_empty
+  end
+
+  it 'lists commands and recent runs without a query' do
+    results = described_class.new('').results
+
+    expect(results.map { |result| result[:type] }.uniq).to eq(%w[command run])
+    expect(titles('sync', 'command')).to eq(['Sync outdated series'])
+  end
+end
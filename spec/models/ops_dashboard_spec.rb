@@ -0,0 +1,81 @@
+require 'rails_helper'
+
+RSpec.describe OpsDashboard, type: :model do
+  let(:current_time) { Time.utc(2025, 8, 15, 14, 30) }
+  let(:fred) { create(:pipeline, :fred_flat, time_series: create(:time_series, :fred, ticker: 'GDP')) }
+  let(:cboe) { create(:pipeline, time_series: create(:time_series, ticker: 'VIX', source: 'CBOE', timeframe: 'D1')) }
+
+  def run(pipeline, status, created_at, rows: 0, seconds: nil)
+    timings = {}
+    if seconds
+      timings['FETCH'] = {
+        'started_at' => created_at.iso8601(3),
+        'finished_at' => (created_at + seconds).iso8601(3),
+        'outcome' => 'completed'
+      }
+    end
+
+    create(:pipeline_run, pipeline: pipeline, status: status, stage: 'FINISH', created_at: created_at,
+                          n_successful: rows, stage_timings: timings)
+  end
+
+  before do
+    run(fred, 'COMPLETED', current_time - 2.hours, rows: 10, seconds: 4)
+    run(fred, 'FAILED', current_time - 2.hours)
+    run(cboe, 'COMPLETED', current_time - 25.hours, rows: 5, seconds: 8)
+    run(cboe, 'CANCELLED', current_time - 30.minutes)
+    run(cboe, 'COMPLETED', current_time - 10.days, rows: 100, seconds: 60)
+  end
+
+  subject(:dashboard) { described_class.new(window: '7d', current_time: current_time) }
+
+  it 'falls back to the default window' do
+    expect(described_class.new(window: '1y').window).to eq(OpsDashboard::DEFAULT_WINDOW)
+  end
+
+  it 'summarises the runs in the window' do
+    expect(dashboard.summary).to include(
+      runs: 4,
+      failed: 1,
+      cancelled: 1,
+      failure_rate: 0.3333,
+      mean_duration: 6.0,
+      rows_imported: 15
+    )
+  end
+
+  it 'counts runs per hour by outcome' do
+    hours = dashboard.runs_per_hour
+
+    expect(hours.size).to eq(7 * 24 + 1)
+    expect(hours.find { |hour| hour[:hour] == Time.utc(2025, 8, 15, 12) }).to include(completed: 1, failed: 1)
+    expect(hours.last).to include(hour: Time.utc(2025, 8, 15, 14), cancelled: 1)
+  end
+
+  it 'breaks down failure rates by source and chain, worst first' do
+    expect(dashboard.failure_rates).to eq([
+      { source: 'FRED', chain: 'FredFlat', runs: 2, failed: 1, failure_rate: 0.5, mean_duration: 4.0 },
+      { source: 'CBOE', chain: 'CboeFlat', runs: 2, failed: 0, failure_rate: 0.0, mean_duration: 8.0 }
+    ])
+  end
+
+  it 'sums imported rows per day' do
+    days = dashboard.rows_per_day
+
+    expect(days.first[:day]).to eq(Date.new(2025, 8, 8))
+    expect(days.last).to eq(day: Date.new(2025, 8, 15), rows: 10)
+    expect(days.find { |day| day[:day] == Date.new(2025, 8, 14) }[:rows]).to eq(5)
+  end
+
+  it 'narrows the metrics to the window' do
+    expect(described_class.new(window: '24h', current_time: current_time).summary).to include(runs: 3, rows_imported: 10)
+  end
+
+  it 'lists outdated series with active pipelines' do
+    allow(DateTime).to receive(:current).and_return(current_time.to_datetime)
+    create(:univariate, ticker: 'GDP', ts: current_time.beginning_of_day)
+    fred.time_series.update!(timeframe: 'D1')
+
+    expect(dashboard.outdated_series.map { |series| series[:ticker] }).to eq(%w[VIX])
+  end
+end
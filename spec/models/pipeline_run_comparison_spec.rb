@@ -0,0 +1,86 @@
+require 'rails_helper'
+
+RSpec.describe PipelineRunComparison, type: :model do
+  let(:time_series) { create(:time_series, :polygon, ticker: 'RUNDIFF_AGG') }
+  let(:pipeline) { create(:pipeline, time_series: time_series) }
+  let(:base) { create(:pipeline_run, pipeline: pipeline, status: 'COMPLETED', stage: 'FINISH', n_successful: 2, n_skipped: 1) }
+  let(:other) { create(:pipeline_run, pipeline: pipeline, status: 'COMPLETED', stage: 'FINISH', n_successful: 1, n_skipped: 3) }
+  let(:day) { Time.utc(2025, 6, 2) }
+
+  def bar(ts, close)
+    { ticker: 'RUNDIFF_AGG', timeframe: 'D1', ts: ts, open: 100.0, high: 110.0, low: 90.0, close: close, adjusted: close, volume: 1000.0 }
+  end
+
+  def record(run, action, attributes, previous: nil)
+    PipelineRunChange.insert_all([PipelineRunChange.row_for(run, action, attributes, previous: previous)])
+  end
+
+  before do
+    record(base, :inserted, bar(day, 101.0))
+    record(base, :inserted, bar(day + 1.day, 102.0))
+    record(base, :skipped, bar(day + 2.days, 103.0))
+
+    record(other, :skipped, bar(day, 101.0))
+    record(other, :updated, bar(day + 1.day, 104.0), previous: { 'close' => [102.0, 104.0], 'adjusted' => [102.0, 104.0] })
+    record(other, :skipped, bar(day + 2.days, 103.0))
+    record(other, :skipped, bar(day + 3.days, 105.0))
+  end
+
+  it 'orders the runs and reports counter deltas' do
+    comparison = described_class.new(other, base)
+
+    expect(comparison.base).to eq(base)
+    expect(comparison.error).to be_nil
+    expect(comparison.counters).to include(
+      { label: 'Successful', base: 2, other: 1, delta: -1 },
+      { label: 'Skipped', base: 1, other: 3, delta: 2 },
+      { label: 'Points inserted', base: 2, other: 0, delta: -2 },
+      { label: 'Points updated', base: 0, other: 1, delta: 1 }
+    )
+  end
+
+  it 'lists the points the runs treated differently with old and new values' do
+    comparison = described_class.new(base, other)
+    differences = comparison.point_differences
+
+    expect(differences.map { |difference| difference[:ts] }).to eq([day + 3.days, day + 1.day, day])
+    expect(comparison.point_differences_count).to eq(3)
+
+    only_other, updated, _skipped_again = differences
+    expect(only_other[:base]).to be_nil
+    expect(updated[:base]).to include(action: 'inserted', old_values: nil)
+    expect(updated[:other][:action]).to eq('updated')
+    expect(updated[:other][:old_values]).to include('close' => 102.0, 'open' => 100.0)
+    expect(updated[:other][:new_values]).to include('close' => 104.0)
+  end
+
+  it 'pairs log lines that only differ in numbers' do
+    base.logs.create!(message: 'Starting pipeline execution')
+    base.logs.create!(message: 'Imported 12 rows')
+    base.logs.create!(message: 'Cleaned up file', level: 'info')
+    other.logs.create!(message: 'Starting pipeline execution')
+    other.logs.create!(message: 'Imported 15 rows')
+    other.logs.create!(message: 'Rate limited, retrying', level: 'warn')
+
+    diff = described_class.new(base, other).log_diff
+
+    expect(diff.map { |line| line[:status] }).to eq(%w[same changed removed added])
+    expect(diff[1]).to eq(status: 'changed', base: '[info] Imported 12 rows', other: '[info] Imported 15 rows')
+  end
+
+  it 'refuses runs of different series' do
+    unrelated = create(:pipeline_run, pipeline: create(:pipeline, time_series: create(:time_series, ticker: 'RUNDIFF_UNI')), status: 'COMPLETED', stage: 'FINISH')
+
+    expect(described_class.new(base, unrelated).error).to eq("Run ##{base.id} and run ##{unrelated.id} belong to different series")
+    expect(described_class.new(base, base).error).to eq('Pick two different runs')
+  end
+
+  it 'keeps point changes for the latest runs of a pipeline only' do
+    stub_const('PipelineRunChange::KEPT_RUNS', 1)
+
+    PipelineRunChange.prune(pipeline)
+
+    expect(base.point_changes).to be_empty
+    expect(other.point_changes.count).to eq(4)
+  end
+end
@@ -0,0 +1,93 @@
+require 'rails_helper'
+
+RSpec.describe PipelineRunLog, type: :model do
+  let(:time_series) { create(:time_series, :polygon) }
+  let(:pipeline) { create(:pipeline, time_series: time_series) }
+  let(:pipeline_run) { create(:pipeline_run, pipeline: pipeline, status: 'PENDING', stage: 'START') }
+
+  describe 'validations' do
+    subject { described_class.new(pipeline_run: pipeline_run, level: 'info', message: 'Started') }
+
+    it { is_expected.to validate_presence_of(:message) }
+  end
+
+  describe 'associations' do
+    it { is_expected.to belong_to(:pipeline_run) }
+  end
+
+  describe 'cursor pages' do
+    let!(:logs) do
+      (1..5).map { |index| pipeline_run.logs.create!(level: 'info', message: "Line #{index}") }
+    end
+
+    describe '.older_page' do
+      it 'returns the newest logs in chronological order' do
+        page, has_more = pipeline_run.logs.older_page(limit: 3)
+
+        expect(page.map(&:message)).to eq(['Line 3', 'Line 4', 'Line 5'])
+        expect(has_more).to be true
+      end
+
+      it 'returns logs before the cursor' do
+        page, has_more = pipeline_run.logs.older_page(before: logs[2].id, limit: 3)
+
+        expect(page.map(&:message)).to eq(['Line 1', 'Line 2'])
+        expect(has_more).to be false
+      end
+    end
+
+    describe '.newer_page' do
+      it 'returns logs after the cursor in chronological order' do
+        page, has_more = pipeline_run.logs.newer_page(after: logs[1].id, limit: 2)
+
+        expect(page.map(&:message)).to eq(['Line 3', 'Line 4'])
+        expect(has_more).to be true
+      end
+
+      it 'returns nothing when the cursor is the latest log' do
+        page, has_more = pipeline_run.logs.newer_page(after: logs.last.id)
+
+        expect(page).to be_empty
+        expect(has_more).to be false
+      end
+    end
+  end
+
+  describe '.filtered' do
+    before do
+      pipeline_run.logs.create!(level: 'info', message: 'Fetched 120 rows')
+      pipeline_run.logs.create!(level: 'warn', message: 'Retrying request 2')
+      pipeline_run.logs.create!(level: 'error', message: 'Request failed: 100% timeout')
+    end
+
+    it 'returns every log without filters' do
+      expect(pipeline_run.logs.filtered.count).to eq(3)
+    end
+
+    it 'narrows to the given levels' do
+      expect(pipeline_run.logs.filtered(levels: %w[warn error]).map(&:level)).to contain_exactly('warn', 'error')
+    end
+
+    it 'returns nothing when no levels are selected' do
+      expect(pipeline_run.logs.filtered(levels: [])).to be_empty
+    end
+
+    it 'matches text case-insensitively and literally' do
+      expect(pipeline_run.logs.filtered(query: 'REQUEST').count).to eq(2)
+      expect(pipeline_run.logs.filtered(query: '100%').map(&:level)).to eq(['error'])
+    end
+
+    it 'matches regular expressions when requested' do
+      expect(pipeline_run.logs.filtered(query: 'request \\d+$', regex: true).map(&:level)).to eq(['warn'])
+    end
+  end
+
+  describe '#to_text' do
+    it 'formats the log as a plain text line' do
+      log = pipeline_run.logs.create!(level: 'warn', message: 'Slow response',
+                                      created_at: Time.zone.parse('2025-01-02 03:04:05.678'))
+
+      expect(log.to_text).to eq('2025-01-02 03:04:05.678 WARN  Slow response')
+    end
+  end
+end
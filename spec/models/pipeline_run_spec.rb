@@ -19,6 +19,26 @@ RSpec.describe PipelineRun, type: :model do
     it { is_expected.to validate_numericality_of(:n_skipped).is_greater_than_or_equal_to(0) }
   end
 
+  describe 'backfill range' do
+    it 'is not a backfill without a range' do
+      expect(described_class.new(valid_attributes)).not_to be_backfill
+    end
+
+    it 'accepts a range' do
+      pipeline_run = described_class.new(valid_attributes.merge(range_start: Date.new(2025, 1, 1), range_end: Date.new(2025, 1, 31)))
+
+      expect(pipeline_run).to be_valid
+      expect(pipeline_run).to be_backfill
+    end
+
+    it 'rejects a range that ends before it starts' do
+      pipeline_run = described_class.new(valid_attributes.merge(range_start: Date.new(2025, 1, 31), range_end: Date.new(2025, 1, 1)))
+
+      expect(pipeline_run).not_to be_valid
+      expect(pipeline_run.errors[:range_end]).to be_present
+    end
+  end
+
   describe 'associations' do
     it { is_expected.to belong_to(:pipeline) }
   end
@@ -141,6 +161,196 @@ RSpec.describe PipelineRun, type: :model do
     end
   end
 
+  describe 'stage timings' do
+    let(:pipeline_run) { create(:pipeline_run, pipeline: pipeline, status: 'PENDING', stage: 'START') }
+    let(:start) { Time.utc(2025, 8, 15, 22) }
+
+    def at(time)
+      allow(Time).to receive(:current).and_return(time)
+      yield
+    end
+
+    it 'records when each stage starts and finishes' do
+      at(start) { pipeline_run.start_stage!('FETCH') }
+      expect(pipeline_run.status).to eq('WORKING')
+      expect(pipeline_run.duration).to be_nil
+
+      at(start + 2.5.seconds) { pipeline_run.finish_stage!('FETCH') }
+      at(start + 3.seconds) { pipeline_run.start_stage!('IMPORT') }
+      at(start + 10.seconds) { pipeline_run.finish_stage!('IMPORT', outcome: 'failed') }
+
+      expect(pipeline_run.reload.timeline).to eq([
+        { stage: 'FETCH', started_at: '2025-08-15T22:00:00.000Z', finished_at: '2025-08-15T22:00:02.500Z', outcome: 'completed' },
+        { stage: 'IMPORT', started_at: '2025-08-15T22:00:03.000Z', finished_at: '2025-08-15T22:00:10.000Z', outcome: 'failed' }
+      ])
+      expect(pipeline_run.duration).to eq(10.0)
+    end
+
+    it 'clears the timings on reset' do
+      pipeline_run.start_stage!('FETCH')
+      pipeline_run.reset!
+
+      expect(pipeline_run.timeline).to be_empty
+    end
+
+    it 'includes the timeline in live updates' do
+      pipeline_run.start_stage!('FETCH')
+
+      expect(pipeline_run.live_update_payload(include_summary: false)[:timeline]).to include(
+        id: pipeline_run.id, status: 'WORKING', duration: nil, stages: [a_hash_including(stage: 'FETCH', finished_at: nil)]
+      )
+    end
+  end
+
+  describe 'run controls' do
+    let(:pipeline_run) { create(:pipeline_run, pipeline: pipeline, status: 'WORKING', stage: 'TRANSFORM', job_id: 'abc123') }
+
+    before do
+      allow(PipelineJob).to receive(:perform_async).and_return('def456')
+      allow(Sidekiq::Queue).to receive(:all).and_return([])
+      allow(Sidekiq::ScheduledSet).to receive(:new).and_return(double(find_job: nil))
+      allow(Sidekiq::RetrySet).to receive(:new).and_return(double(find_job: nil))
+    end
+
+    it 'cancels a run whose job is gone right away' do
+      allow(Sidekiq::Status).to receive(:status).with('abc123').and_return(nil)
+      pipeline_run.start_stage!('TRANSFORM')
+
+      expect(pipeline_run.cancel!).to eq(:cancelled)
+      expect(pipeline_run.reload.status).to eq('CANCELLED')
+      expect(pipeline_run.timeline.last[:outcome]).to eq('cancelled')
+    end
+
+    it 'asks a running job to stop' do
+      allow(Sidekiq::Status).to receive(:status).with('abc123').and_return(:working)
+
+      expect(pipeline_run.cancel!).to eq(:requested)
+      expect(pipeline_run.reload.status).to eq('WORKING')
+      expect(pipeline_run).to be_cancel_requested
+      expect(pipeline_run).not_to be_cancellable
+    end
+
+    it 'retries from an earlier stage keeping the timings before it' do
+      pipeline_run.start_stage!('FETCH')
+      pipeline_run.finish_stage!('FETCH')
+      pipeline_run.start_stage!('TRANSFORM')
+      pipeline_run.finish_stage!('TRANSFORM', outcome: 'failed')
+      pipeline_run.update!(status: 'FAILED')
+
+      pipeline_run.retry_from_stage!('TRANSFORM')
+
+      expect(pipeline_run.reload).to have_attributes(status: 'PENDING', stage: 'TRANSFORM', job_id: 'def456')
+      expect(pipeline_run.stage_timings.keys).to eq(%w[FETCH])
+    end
+
+    it 'does not retry from a later stage or while running' do
+      expect { pipeline_run.retry_from_stage! }.to raise_error(PipelineRun::ActionNotAllowed)
+
+      pipeline_run.update!(status: 'FAILED')
+      expect { pipeline_run.retry_from_stage!('IMPORT') }.to raise_error(PipelineRun::ActionNotAllowed)
+    end
+
+    it 'skips the stage the run stopped at' do
+      pipeline_run.update!(status: 'CANCELLED')
+
+      expect(pipeline_run.skip_stage!).to eq('TRANSFORM')
+      expect(pipeline_run.reload).to have_attributes(status: 'PENDING', stage: 'IMPORT')
+      expect(pipeline_run.timeline.last).to include(stage: 'TRANSFORM', outcome: 'skipped')
+      expect(PipelineJob).to have_received(:perform_async).with(pipeline_run.id)
+    end
+
+    it 'completes the run when skipping the last stage' do
+      pipeline_run.update!(status: 'FAILED', stage: 'FINISH')
+
+      pipeline_run.skip_stage!
+
+      expect(pipeline_run.reload.status).to eq('COMPLETED')
+      expect(PipelineJob).not_to have_received(:perform_async)
+    end
+  end
+
+  describe 'live updates' do
+    let(:pipeline_run) { create(:pipeline_run, pipeline: pipeline, status: 'PENDING', stage: 'START') }
+
+    it 'broadcasts status changes with the pipeline summary' do
+      expect {
+        pipeline_run.update!(status: 'WORKING')
+      }.to have_broadcasted_to(pipeline_run).from_channel(PipelineUpdatesChannel).with(
+        a_hash_including('type' => 'run', 'id' => pipeline_run.id, 'status' => 'WORKING', 'runs_count' => anything)
+      )
+    end
+
+    it 'broadcasts to the pipeline and index streams' do
+      expect {
+        pipeline_run.update!(stage: 'FETCH')
+      }.to have_broadcasted_to(pipeline).from_channel(PipelineUpdatesChannel)
+        .and have_broadcasted_to(PipelineUpdatesChannel::INDEX_STREAM)
+    end
+
+    it 'does not broadcast unrelated changes' do
+      expect {
+        pipeline_run.touch
+      }.not_to have_broadcasted_to(pipeline_run).from_channel(PipelineUpdatesChannel)
+    end
+
+    it 'broadcasts new logs to the run stream' do
+      expect {
+        pipeline_run.logs.create!(level: 'info', message: 'Fetching data')
+      }.to have_broadcasted_to(pipeline_run).from_channel(PipelineUpdatesChannel).with(
+        a_hash_including('type' => 'log', 'log' => a_hash_including('message' => 'Fetching data'))
+      )
+    end
+  end
+
+  describe 'push notifications' do
+    let(:pipeline_run) { create(:pipeline_run, pipeline: pipeline, status: 'WORKING', stage: 'FETCH') }
+
+    before { allow(PushSubscription).to receive(:notify_all) }
+
+    it 'notifies when a run fails' do
+      pipeline_run.update!(status: 'FAILED')
+
+      expect(PushSubscription).to have_received(:notify_all).with(
+        a_hash_including(options: a_hash_including(data: { path: "/pipelines/#{pipeline.id}/pipeline_runs/#{pipeline_run.id}" }))
+      )
+    end
+
+    it 'notifies when a run completes with failed operations' do
+      pipeline_run.update!(status: 'COMPLETED', stage: 'FINISH', n_failed: 2)
+
+      expect(PushSubscription).to have_received(:notify_all).with(
+        a_hash_including(options: a_hash_including(body: "Run ##{pipeline_run.id} completed with 2 failed operations."))
+      )
+    end
+
+    it 'does not notify for clean completions' do
+      pipeline_run.update!(status: 'COMPLETED', stage: 'FINISH')
+
+      expect(PushSubscription).not_to have_received(:notify_all)
+    end
+
+    describe '.stuck' do
+      it 'returns working runs without recent updates that were not notified yet' do
+        stuck_run = create(:pipeline_run, pipeline: pipeline, status: 'WORKING', stage: 'FETCH', updated_at: 2.hours.ago)
+        create(:pipeline_run, pipeline: pipeline, status: 'WORKING', stage: 'FETCH', updated_at: 2.hours.ago, stuck_notified_at: 1.hour.ago)
+        create(:pipeline_run, pipeline: pipeline, status: 'WORKING', stage: 'FETCH')
+        create(:pipeline_run, pipeline: pipeline, status: 'FAILED', stage: 'FETCH', updated_at: 2.hours.ago)
+
+        expect(described_class.stuck).to contain_exactly(stuck_run)
+      end
+
+      it 'leaves out working runs whose counters keep advancing' do
+        run = create(:pipeline_run, pipeline: pipeline, status: 'WORKING', stage: 'IMPORT', updated_at: 2.hours.ago)
+        expect(described_class.stuck).to contain_exactly(run)
+
+        PipelineChainBase.new(run).send(:increment_counter, :successful)
+
+        expect(run.reload.n_successful).to eq(1)
+        expect(described_class.stuck).to be_empty
+      end
+    end
+  end
+
   describe 'default values' do
     it 'sets default status to pending' do
       pipeline_run = described_class.new(pipeline: pipeline)
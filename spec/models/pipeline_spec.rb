@@ -63,6 +63,245 @@ RSpec.describe Pipeline, type: :model do
     end
   end
 
+  describe '#runs_count' do
+    let(:pipeline) { create(:pipeline, time_series: time_series) }
+
+    it 'returns zero counts without runs' do
+      expect(pipeline.runs_count).to eq(total: 0, completed: 0, failed: 0)
+    end
+
+    it 'counts runs by outcome' do
+      create(:pipeline_run, pipeline: pipeline, status: 'COMPLETED', stage: 'FINISH')
+      create(:pipeline_run, pipeline: pipeline, status: 'COMPLETED', stage: 'FINISH')
+      create(:pipeline_run, pipeline: pipeline, status: 'FAILED', stage: 'FETCH')
+      create(:pipeline_run, pipeline: pipeline, status: 'PENDING', stage: 'START')
+
+      expect(pipeline.runs_count).to eq(total: 4, completed: 2, failed: 1)
+    end
+  end
+
+  describe '#backfill_async!' do
+    before { allow(PipelineJob).to receive(:perform_async) }
+
+    it 'starts a run limited to the range' do
+      pipeline = create(:pipeline, time_series: time_series, active: true)
+
+      run = pipeline.backfill_async!(from: Date.new(2025, 3, 1), to: Date.new(2025, 3, 10))
+
+      expect(run).to be_backfill
+      expect(run.range_start.to_date).to eq(Date.new(2025, 3, 1))
+      expect(PipelineJob).to have_received(:perform_async).with(run.id)
+    end
+
+    it 'refuses inactive pipelines' do
+      pipeline = create(:pipeline, time_series: time_series, active: false)
+
+      expect { pipeline.backfill_async!(from: Date.new(2025, 3, 1), to: Date.new(2025, 3, 10)) }.to raise_error(/not active/)
+    end
+  end
+
+  describe '.bulk_apply' do
+    let(:active_pipeline) { create(:pipeline, time_series: time_series, active: true) }
+    let(:inactive_pipeline) { create(:pipeline, time_series: create(:time_series, :fred, ticker: 'GDP_FRED'), active: false) }
+
+    it 'rejects unknown actions' do
+      expect { described_class.bulk_apply('explode', [active_pipeline.id]) }.to raise_error(ArgumentError)
+    end
+
+    it 'updates every pipeline and reports a result per id' do
+      results = described_class.bulk_apply('deactivate', [active_pipeline.id, inactive_pipeline.id])
+
+      expect(results.map { |result| result[:success] }).to eq([true, true])
+      expect(active_pipeline.reload.active).to be false
+    end
+
+    it 'reports missing pipelines without affecting the others' do
+      results = described_class.bulk_apply('activate', [inactive_pipeline.id, 0])
+
+      expect(results.first).to include(id: inactive_pipeline.id, success: true)
+      expect(results.last).to include(id: 0, success: false, message: 'Pipeline not found')
+      expect(inactive_pipeline.reload.active).to be true
+    end
+
+    it 'only runs active pipelines' do
+      allow(PipelineJob).to receive(:perform_async)
+
+      results = described_class.bulk_apply('run', [active_pipeline.id, inactive_pipeline.id])
+
+      expect(results.first).to include(success: true, message: 'Run started')
+      expect(results.last).to include(success: false, message: 'Pipeline must be active to run')
+      expect(PipelineJob).to have_received(:perform_async).once
+    end
+
+    it 'schedules working runs to stop' do
+      run = create(:pipeline_run, pipeline: active_pipeline, status: 'WORKING', stage: 'FETCH')
+
+      results = described_class.bulk_apply('stop', [active_pipeline.id, inactive_pipeline.id])
+
+      expect(run.reload.status).to eq('SCHEDULED_STOP')
+      expect(results.last).to include(success: false, message: 'No running runs to stop')
+    end
+
+    it 'deletes pipelines' do
+      results = described_class.bulk_apply('delete', [active_pipeline.id])
+
+      expect(results.first).to include(success: true)
+      expect(described_class.exists?(active_pipeline.id)).to be false
+    end
+  end
+
+  describe 'options' do
+    it 'casts known options and drops unknown and blank ones' do
+      pipeline = build(:pipeline, :polygon_flat, time_series: time_series,
+                                                 options: { 'batch_size' => '500', 'start_date' => '', 's3_path' => ' us_stocks_sip/day_aggs_v1 ', 'bogus' => '1' })
+
+      expect(pipeline).to be_valid
+      expect(pipeline.options).to eq('batch_size' => 500, 's3_path' => 'us_stocks_sip/day_aggs_v1')
+      expect(pipeline.option(:batch_size)).to eq(500)
+    end
+
+    it 'rejects values of the wrong type or out of range' do
+      pipeline = build(:pipeline, time_series: time_series, options: { 'batch_size' => '0', 'start_date' => 'yesterday' })
+
+      expect(pipeline).not_to be_valid
+      expect(pipeline.errors[:options]).to contain_exactly(
+        'Import batch size must be a whole number between 1 and 50000',
+        'Start date must be a date'
+      )
+    end
+  end
+
+  describe 'wizard validation' do
+    it 'requires a chain that can fetch the time series' do
+      pipeline = build(:pipeline, :fred_flat, time_series: time_series)
+
+      expect(pipeline).to be_valid
+      expect(pipeline).not_to be_valid(:wizard)
+      expect(pipeline.errors[:chain]).to include('Fred Flat cannot fetch Polygon aggregate series')
+      expect(build(:pipeline, :polygon_flat, time_series: time_series)).to be_valid(:wizard)
+    end
+  end
+
+  describe '#dry_run' do
+    let(:fred_series) { create(:time_series, :fred) }
+    let(:observations) do
+      { 'observations' => [{ 'date' => '2025-01-06', 'value' => '1.5' }, { 'date' => '2025-01-07', 'value' => '2.5' }, { 'date' => '2025-01-08', 'value' => '3.5' }] }
+    end
+
+    before do
+      allow(ENV).to receive(:[]).and_call_original
+      allow(ENV).to receive(:[]).with('FRED_API_KEY').and_return('test-key')
+      allow_any_instance_of(FredFlat).to receive(:fetch_with_retry).and_return(double(body: observations.to_json))
+      create(:univariate, ticker: fred_series.ticker, ts: Time.utc(2025, 1, 6), main: 1.5)
+      create(:univariate, ticker: fred_series.ticker, ts: Time.utc(2025, 1, 7), main: 2.0)
+    end
+
+    it 'previews the import without writing anything' do
+      pipeline = build(:pipeline, :fred_flat, time_series: fred_series)
+
+      result = nil
+      expect { result = pipeline.dry_run(limit: 2) }.not_to change { [Univariate.count, PipelineRun.count, Pipeline.count] }
+
+      expect(result[:success]).to be true
+      expect(result[:counts]).to eq(insert: 1, update: 1, unchanged: 1, invalid: 0)
+      expect(result[:total_rows]).to eq(3)
+      expect(result[:rows].map { |row| row[:action] }).to eq(%i[unchanged update])
+      expect(result[:log]).not_to be_empty
+      expect(Dir.glob(Rails.root.join('tmp', 'flat_files', "fred_#{fred_series.ticker}", '*dry_run_*'))).to be_empty
+    end
+
+    it 'limits the preview of an empty series to recent data' do
+      empty = create(:time_series, :fred, ticker: 'EMPTY_FRED', source_id: 'EMPTY')
+      requested = nil
+      allow_any_instance_of(FredFlat).to receive(:fetch_with_retry) do |_chain, uri|
+        requested = URI.decode_www_form(uri.query).to_h
+        double(body: observations.to_json)
+      end
+
+      result = build(:pipeline, :fred_flat, time_series: empty).dry_run
+
+      expect(requested['observation_start']).to eq(Pipeline::DRY_RUN_SPANS['D1'].ago.to_date.iso8601)
+      expect(result[:success]).to be true
+      expect(result[:total_rows]).to eq(0)
+    end
+
+    it 'reports fetch errors' do
+      allow_any_instance_of(FredFlat).to receive(:fetch_with_retry).and_raise('FRED is down')
+
+      result = build(:pipeline, :fred_flat, time_series: fred_series).dry_run
+
+      expect(result).to include(success: false, error: 'FRED is down')
+    end
+  end
+
+  describe 'schedule' do
+    before do
+      allow(Sidekiq::Cron::Job).to receive(:create)
+      allow(Sidekiq::Cron::Job).to receive(:destroy)
+    end
+
+    it 'accepts five-field cron expressions and normalizes whitespace' do
+      pipeline = build(:pipeline, time_series: time_series, schedule: '  0  22 * * 1-5 ')
+
+      expect(pipeline).to be_valid
+      expect(pipeline.schedule).to eq('0 22 * * 1-5')
+      expect(build(:pipeline, time_series: time_series, schedule: '')).to be_valid
+    end
+
+    it 'rejects invalid expressions' do
+      expect(build(:pipeline, time_series: time_series, schedule: 'every day')).not_to be_valid
+      expect(build(:pipeline, time_series: time_series, schedule: '0 0 22 * * 1-5')).not_to be_valid
+      expect(build(:pipeline, time_series: time_series, schedule: '0 0 30 2 *').tap(&:validate).errors[:schedule]).to include('never fires')
+    end
+
+    it 'lists the next fire times in UTC' do
+      pipeline = build(:pipeline, time_series: time_series, schedule: '0 22 * * 1-5')
+      friday = Time.utc(2025, 8, 15, 23)
+
+      expect(pipeline.next_scheduled_runs(3, from: friday)).to eq([
+        Time.utc(2025, 8, 18, 22), Time.utc(2025, 8, 19, 22), Time.utc(2025, 8, 20, 22)
+      ])
+    end
+
+    it 'registers the cron job when scheduled and removes it when deactivated' do
+      pipeline = create(:pipeline, time_series: time_series, schedule: '0 22 * * 1-5')
+
+      expect(Sidekiq::Cron::Job).to have_received(:create).with(
+        hash_including(name: "pipeline_#{pipeline.id}", cron: '0 22 * * 1-5 UTC', class: 'ScheduledPipelineJob', args: [pipeline.id])
+      )
+
+      pipeline.update!(active: false)
+      expect(Sidekiq::Cron::Job).to have_received(:destroy).with("pipeline_#{pipeline.id}")
+    end
+
+    it 'leaves sidekiq-cron alone for unscheduled pipelines' do
+      pipeline = create(:pipeline, time_series: time_series)
+      pipeline.update!(active: false)
+      pipeline.destroy!
+
+      expect(Sidekiq::Cron::Job).not_to have_received(:create)
+      expect(Sidekiq::Cron::Job).not_to have_received(:destroy)
+    end
+  end
+
+  describe '#run_history' do
+    it 'lists runs with stage timings, oldest first' do
+      pipeline = create(:pipeline, time_series: time_series)
+      first = create(:pipeline_run, pipeline: pipeline, status: 'COMPLETED', stage: 'FINISH')
+      create(:pipeline_run, pipeline: pipeline, status: 'PENDING', stage: 'START')
+      second = create(:pipeline_run, pipeline: pipeline, status: 'WORKING', stage: 'FETCH')
+      [first, second].each { |run| run.start_stage!('FETCH') }
+      first.finish_stage!('FETCH')
+
+      history = pipeline.run_history
+
+      expect(history.map { |entry| entry[:id] }).to eq([first.id, second.id])
+      expect(history.first[:duration]).to be >= 0
+      expect(history.last[:duration]).to be_nil
+      expect(pipeline.run_history(1).map { |entry| entry[:id] }).to eq([second.id])
+    end
+  end
+
   describe 'time series relationship' do
     it 'can access the associated time series' do
       pipeline = create(:pipeline, time_series: time_series)
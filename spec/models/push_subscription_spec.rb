@@ -0,0 +1,70 @@
+require 'rails_helper'
+
+RSpec.describe PushSubscription, type: :model do
+  let(:subscription) do
+    described_class.create!(endpoint: 'http://localhost:3000/push_sink/spec', p256dh_key: 'p256dh', auth_key: 'auth')
+  end
+
+  describe 'validations' do
+    subject { described_class.new(endpoint: 'https://fcm.googleapis.com/fcm/send/abc', p256dh_key: 'p256dh', auth_key: 'auth') }
+
+    it { is_expected.to validate_presence_of(:endpoint) }
+    it { is_expected.to validate_uniqueness_of(:endpoint) }
+    it { is_expected.to validate_presence_of(:p256dh_key) }
+    it { is_expected.to validate_presence_of(:auth_key) }
+
+    it 'accepts the local push sink outside production' do
+      expect(described_class.new(endpoint: 'http://localhost:3000/push_sink/spec', p256dh_key: 'p256dh', auth_key: 'auth')).to be_valid
+    end
+
+    it 'rejects endpoints that are not https push services or public hosts' do
+      ['http://push.example.com/abc', 'https://127.0.0.1/abc', 'https://10.0.0.5/abc', 'https://[::1]/abc', 'not a url'].each do |endpoint|
+        subscription = described_class.new(endpoint: endpoint, p256dh_key: 'p256dh', auth_key: 'auth')
+
+        expect(subscription).not_to be_valid, endpoint
+        expect(subscription.errors[:endpoint]).to be_present
+      end
+    end
+  end
+
+  describe '.notify_all' do
+    before { allow(PushNotificationJob).to receive(:perform_async) }
+
+    it 'queues the payload when push is configured' do
+      subscription
+      allow(WebPush).to receive(:configured?).and_return(true)
+
+      described_class.notify_all(title: 'Failed', options: { body: 'Run #1 failed' })
+
+      expect(PushNotificationJob).to have_received(:perform_async).with('title' => 'Failed', 'options' => { 'body' => 'Run #1 failed' })
+    end
+
+    it 'does nothing without VAPID keys' do
+      subscription
+      allow(WebPush).to receive(:configured?).and_return(false)
+
+      described_class.notify_all(title: 'Failed')
+
+      expect(PushNotificationJob).not_to have_received(:perform_async)
+    end
+  end
+
+  describe '#deliver' do
+    it 'sends the payload as JSON and records the delivery' do
+      allow(WebPush).to receive(:deliver)
+
+      expect(subscription.deliver(title: 'Failed')).to be true
+      expect(WebPush).to have_received(:deliver).with(
+        endpoint: subscription.endpoint, p256dh: 'p256dh', auth: 'auth', payload: '{"title":"Failed"}'
+      )
+      expect(subscription.reload.last_delivered_at).to be_present
+    end
+
+    it 'removes subscriptions the push service reports as expired' do
+      allow(WebPush).to receive(:deliver).and_raise(WebPush::ExpiredSubscription)
+
+      expect(subscription.deliver(title: 'Failed')).to be false
+      expect(described_class.exists?(subscription.id)).to be false
+    end
+  end
+end
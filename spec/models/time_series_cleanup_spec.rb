@@ -0,0 +1,82 @@
+require 'rails_helper'
+
+RSpec.describe TimeSeriesCleanup, type: :model do
+  let(:start) { Time.utc(2025, 6, 2) } # Monday
+  let(:time_series) { create(:time_series, :polygon, ticker: 'CLEANUP_AGG') }
+
+  def add_bar(ts, open: 100.0, high: 105.0, low: 95.0, close: 102.0)
+    create(:aggregate, ticker: time_series.ticker, ts: ts, open: open, high: high, low: low, close: close, adjusted: close)
+  end
+
+  before do
+    7.times { |i| add_bar(start + i.days) }
+  end
+
+  it 'deletes the points in a date range into a snapshot' do
+    cleanup = described_class.new(time_series, from: start + 1.day, to: start + 3.days)
+    expect(cleanup.count).to eq(3)
+
+    snapshot = cleanup.perform!
+
+    expect(snapshot).to have_attributes(ticker: 'CLEANUP_AGG', kind: 'aggregate', filter: 'all', points_count: 3)
+    expect(snapshot.expires_at).to be_within(1.minute).of(Time.current + CleanupSnapshot::RETENTION)
+    expect(snapshot.points.pluck(:ts)).to match_array([start + 1.day, start + 2.days, start + 3.days])
+    expect(time_series.aggregates.count).to eq(4)
+  end
+
+  it 'deletes only points flagged by a filter' do
+    add_bar(start + 7.days, open: 110.0, high: 105.0)
+
+    expect(described_class.new(time_series, filter: 'ohlc').count).to eq(1)
+    expect(described_class.new(time_series, filter: 'weekend').count).to eq(2)
+    expect(described_class.new(time_series, filter: 'weekend', from: start + 6.days).count).to eq(1)
+
+    described_class.new(time_series, filter: 'ohlc').perform!
+    expect(time_series.aggregates.where(ts: start + 7.days)).to be_empty
+  end
+
+  it 'keeps the latest point of a period when removing duplicates' do
+    add_bar(start + 2.hours)
+
+    described_class.new(time_series, filter: 'duplicate').perform!
+
+    expect(time_series.aggregates.where(ts: start.all_day).pluck(:ts)).to eq([start + 2.hours])
+  end
+
+  it 'returns nil and keeps no snapshot when nothing matches' do
+    expect(described_class.new(time_series, filter: 'nonpositive').perform!).to be_nil
+    expect(CleanupSnapshot.count).to eq(0)
+  end
+
+  it 'rejects unknown filters and inverted ranges' do
+    expect { described_class.new(time_series, filter: 'everything') }.to raise_error(ArgumentError, 'Unknown filter: everything')
+    expect { described_class.new(time_series, from: start + 1.day, to: start) }.to raise_error(ArgumentError)
+  end
+
+  describe 'restoring' do
+    let!(:snapshot) { described_class.new(time_series, from: start, to: start + 1.day).perform! }
+
+    it 'puts the points back once' do
+      expect(snapshot.restore!).to eq(2)
+      expect(time_series.aggregates.count).to eq(7)
+      expect(snapshot.reload.restored_at).to be_present
+      expect(snapshot.points).to be_empty
+
+      expect { snapshot.restore! }.to raise_error(CleanupSnapshot::NotRestorable, 'This cleanup has already been undone')
+    end
+
+    it 'keeps points that were filled again since' do
+      add_bar(start, close: 104.0)
+
+      expect(snapshot.restore!).to eq(1)
+      expect(time_series.aggregates.find_by(ts: start).close).to eq(104.0)
+    end
+
+    it 'is not possible after the retention window' do
+      snapshot.update!(expires_at: 1.minute.ago)
+
+      expect(CleanupSnapshot.restorable).to be_empty
+      expect { snapshot.restore! }.to raise_error(CleanupSnapshot::NotRestorable)
+    end
+  end
+end
@@ -0,0 +1,76 @@
+require 'rails_helper'
+
+RSpec.describe TimeSeriesComparison, type: :model do
+  let(:start) { Time.utc(2025, 6, 2) } # Monday
+  let(:to) { start + 30.days }
+
+  let!(:polygon) { create(:time_series, :polygon, ticker: 'BTC_POLYGON', source_id: 'btcusd') }
+  let!(:bitstamp) { create(:time_series, ticker: 'BTC_BITSTAMP', source: 'Bitstamp', source_id: 'btcusd', timeframe: 'H1', kind: 'aggregate') }
+  let!(:gdp) { create(:time_series, :fred) }
+
+  def comparison(tickers, **options)
+    described_class.new(tickers: tickers, from: start, to: to, **options)
+  end
+
+  it 'aligns on the coarsest timeframe using the last value of each period' do
+    create(:aggregate, ticker: 'BTC_POLYGON', ts: start, close: 100.0, adjusted: 100.0)
+    create(:aggregate, ticker: 'BTC_POLYGON', ts: start + 1.day, close: 110.0, adjusted: 110.0)
+    create(:aggregate, ticker: 'BTC_BITSTAMP', timeframe: 'H1', ts: start + 1.hour, close: 99.0, adjusted: 99.0)
+    create(:aggregate, ticker: 'BTC_BITSTAMP', timeframe: 'H1', ts: start + 23.hours, close: 101.0, adjusted: 101.0)
+    create(:aggregate, ticker: 'BTC_BITSTAMP', timeframe: 'H1', ts: start + 2.days, close: 120.0, adjusted: 120.0)
+
+    report = comparison(%w[BTC_POLYGON BTC_BITSTAMP]).report
+
+    expect(report[:timeframe]).to eq('D1')
+    expect(report[:timestamps]).to eq([start])
+    expect(report[:values]).to eq('BTC_POLYGON' => [100.0], 'BTC_BITSTAMP' => [101.0])
+  end
+
+  it 'uses adjusted closes for aggregates and main values for univariates' do
+    create(:aggregate, ticker: 'BTC_POLYGON', ts: start, close: 100.0, adjusted: 98.0)
+    create(:univariate, ticker: 'GDP', ts: start + 12.hours, main: 25000.0)
+
+    expect(comparison(%w[BTC_POLYGON GDP]).report[:values]).to eq('BTC_POLYGON' => [98.0], 'GDP' => [25000.0])
+  end
+
+  it 'explains why series cannot be compared' do
+    expect(comparison(%w[BTC_POLYGON NOPE]).error).to eq('Unknown ticker: NOPE')
+    expect(comparison(%w[BTC_POLYGON]).error).to eq('Pick at least two series to compare')
+    expect(comparison(%w[BTC_POLYGON BTC_BITSTAMP], timeframe: 'H1').error).to eq('H1 is finer than D1, the coarsest timeframe of the selected series')
+    expect(comparison(%w[BTC_POLYGON BTC_BITSTAMP], timeframe: 'W1').error).to be_nil
+  end
+
+  describe 'divergences' do
+    before do
+      [100.0, 101.0, 110.0, 112.0, 103.0].each_with_index do |close, i|
+        create(:aggregate, ticker: 'BTC_POLYGON', ts: start + i.days, close: close, adjusted: close)
+        create(:aggregate, ticker: 'BTC_BITSTAMP', timeframe: 'H1', ts: start + i.days, close: 100.0 + i, adjusted: 100.0 + i)
+        create(:univariate, ticker: 'GDP', ts: start + i.days, main: 25000.0)
+      end
+    end
+
+    it 'reports stretches where the same asset from two sources drifts apart' do
+      divergences = comparison(%w[BTC_POLYGON BTC_BITSTAMP GDP]).divergences
+
+      expect(divergences.size).to eq(1)
+      expect(divergences.first).to include(tickers: %w[BTC_POLYGON BTC_BITSTAMP], diverging: false)
+      expect(divergences.first[:periods]).to match([
+        a_hash_including(from: start + 2.days, to: start + 3.days)
+      ])
+      expect(divergences.first[:max_spread]).to be_within(0.0001).of(9.0 / 107.5)
+    end
+
+    it 'flags a divergence that is still open' do
+      divergence = comparison(%w[BTC_POLYGON BTC_BITSTAMP], threshold: 0.005).divergences.first
+
+      expect(divergence[:diverging]).to be(true)
+      expect(divergence[:periods].size).to eq(1)
+      expect(divergence[:periods].first[:from]).to eq(start + 2.days)
+    end
+
+    it 'compares any selected pair when the user marks them as one asset' do
+      expect(comparison(%w[BTC_POLYGON GDP]).divergences).to be_empty
+      expect(comparison(%w[BTC_POLYGON GDP], same_asset: true).divergences.first[:diverging]).to be(true)
+    end
+  end
+end
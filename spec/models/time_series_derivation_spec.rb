@@ -0,0 +1,132 @@
+require 'rails_helper'
+
+RSpec.describe TimeSeriesDerivation, type: :model do
+  let(:start) { Time.utc(2025, 6, 2) } # Monday
+  let(:prices) { create(:time_series, ticker: 'PRICE', source_id: 'PRICE') }
+  let(:other) { create(:time_series, ticker: 'OTHER', source_id: 'OTHER') }
+
+  def add_values(ticker, values)
+    values.each_with_index do |value, i|
+      create(:univariate, ticker: ticker, ts: start + i.days, main: value) if value
+    end
+  end
+
+  def values(rows)
+    rows.map { |ts, value| [ts, value.round(10)] }
+  end
+
+  it 'resamples hourly bars into daily ones' do
+    hourly = create(:time_series, :polygon, ticker: 'BTC_H1', timeframe: 'H1')
+    48.times do |i|
+      close = 100.0 + i
+      create(:aggregate, ticker: 'BTC_H1', timeframe: 'H1', ts: start + i.hours,
+                         open: close - 0.5, high: close + 1, low: close - 1, close: close, adjusted: close, volume: 1)
+    end
+
+    derivation = described_class.new(transform: 'resample', parent: hourly, timeframe: 'D1')
+
+    expect(derivation.kind).to eq('aggregate')
+    expect(derivation.rows).to eq([
+      [start, 99.5, 124.0, 99.0, 123.0, 123.0, 24.0],
+      [start + 1.day, 123.5, 148.0, 123.0, 147.0, 147.0, 24.0]
+    ])
+  end
+
+  it 'computes returns and log returns of the last price per period' do
+    add_values('PRICE', [100.0, 110.0, 99.0])
+
+    returns = described_class.new(transform: 'returns', parent: prices)
+    log_returns = described_class.new(transform: 'log_returns', parent: prices)
+
+    expect(returns.kind).to eq('univariate')
+    expect(values(returns.rows)).to eq([[start + 1.day, 0.1], [start + 2.days, -0.1]])
+    expect(values(log_returns.rows)).to eq([[start + 1.day, Math.log(1.1).round(10)], [start + 2.days, Math.log(0.9).round(10)]])
+  end
+
+  it 'looks back before the requested periods' do
+    add_values('PRICE', [100.0, 110.0, 99.0])
+
+    rows = described_class.new(transform: 'returns', parent: prices).rows(from: start + 2.days)
+
+    expect(values(rows)).to eq([[start + 2.days, -0.1]])
+  end
+
+  it 'computes realized volatility once the window is full' do
+    add_values('PRICE', [100.0, 110.0, 99.0])
+
+    rows = described_class.new(transform: 'volatility', parent: prices, window: 2).rows
+
+    expect(values(rows)).to eq([[start + 2.days, Math.sqrt(Math.log(1.1)**2 + Math.log(0.9)**2).round(10)]])
+  end
+
+  it 'computes spreads and ratios on common periods' do
+    add_values('PRICE', [100.0, 110.0, 99.0])
+    add_values('OTHER', [nil, 100.0, 90.0, 80.0])
+
+    spread = described_class.new(transform: 'spread', parent: prices, other: other)
+    ratio = described_class.new(transform: 'ratio', parent: prices, other: other)
+
+    expect(values(spread.rows)).to eq([[start + 1.day, 10.0], [start + 2.days, 9.0]])
+    expect(values(ratio.rows)).to eq([[start + 1.day, 1.1], [start + 2.days, 1.1]])
+    expect(ratio.options).to eq('transform' => 'ratio', 'parent' => 'PRICE', 'other' => 'OTHER')
+  end
+
+  it 'rejects incomplete or impossible definitions' do
+    expect { described_class.new(transform: 'sum', parent: prices) }.to raise_error(ArgumentError, 'Unknown transform: sum')
+    expect { described_class.new(transform: 'returns', parent: nil) }.to raise_error(ArgumentError, 'Parent series not found')
+    expect { described_class.new(transform: 'spread', parent: prices) }.to raise_error(ArgumentError, 'Spread (first minus second) needs a second series')
+    expect { described_class.new(transform: 'resample', parent: prices) }.to raise_error(ArgumentError, 'Resampling needs a timeframe coarser than D1')
+    expect { described_class.new(transform: 'returns', parent: prices, timeframe: 'H1') }.to raise_error(ArgumentError, 'Cannot derive H1 points from the D1 series PRICE')
+    expect { described_class.new(transform: 'volatility', parent: prices, window: 1) }.to raise_error(ArgumentError, /window must be between/)
+  end
+
+  it 'is the definition of DerivedFlat pipelines' do
+    add_values('PRICE', [100.0])
+    derived = create(:time_series, ticker: 'PRICE_RET', source: 'Derived', source_id: 'PRICE_RET')
+    pipeline = Pipeline.new(time_series: derived, chain: 'DerivedFlat', options: { 'transform' => 'returns', 'parent' => 'PRICE' })
+
+    expect(pipeline).to be_valid(:wizard)
+    pipeline.save!
+    expect(Pipeline.derived_from('PRICE')).to eq([pipeline])
+
+    pipeline.options = { 'transform' => 'resample', 'parent' => 'PRICE' }
+    expect(pipeline).not_to be_valid(:wizard)
+    expect(pipeline.errors[:options]).to eq(['Resampling needs a timeframe coarser than D1'])
+  end
+
+  describe 'refreshes' do
+    let(:derived) { create(:time_series, ticker: 'PRICE_RET', source: 'Derived', source_id: 'PRICE_RET') }
+    let!(:pipeline) { create(:pipeline, time_series: derived, chain: 'DerivedFlat', options: { 'transform' => 'returns', 'parent' => 'PRICE' }) }
+
+    before do
+      add_values('PRICE', [100.0, 101.0, 102.0, 103.0])
+      create(:univariate, ticker: 'PRICE_RET', ts: start + 3.days, main: 0.01)
+      allow_any_instance_of(PipelineRun).to receive(:run_async!)
+    end
+
+    it 'recomputes from the earliest parent point changed before the latest derived one' do
+      DerivedSeriesRefreshJob.new.perform('PRICE', (start + 1.day).iso8601)
+
+      run = pipeline.pipeline_runs.last
+      expect(run).to be_backfill
+      expect(run.range_start).to eq(start + 1.day)
+      expect(run.range_end).to be_nil
+    end
+
+    it 'continues at the latest derived point for newer parent points' do
+      DerivedSeriesRefreshJob.new.perform('PRICE', (start + 4.days).iso8601)
+
+      expect(pipeline.pipeline_runs.last).not_to be_backfill
+    end
+
+    it 'starts from the earliest point a parent run changed' do
+      allow(DerivedSeriesRefreshJob).to receive(:perform_async)
+      parent_run = create(:pipeline_run, pipeline: create(:pipeline, time_series: prices), status: 'WORKING', stage: 'IMPORT', n_successful: 2)
+      PipelineRunChange.insert_all([start + 2.days, start + 1.day].map { |ts| PipelineRunChange.row_for(parent_run, :updated, { ts: ts, main: 1.0 }) })
+
+      parent_run.update!(status: 'COMPLETED', stage: 'FINISH')
+
+      expect(DerivedSeriesRefreshJob).to have_received(:perform_async).with('PRICE', (start + 1.day).iso8601)
+    end
+  end
+end
@@ -0,0 +1,88 @@
+require 'rails_helper'
+
+RSpec.describe TimeSeriesExport, type: :model do
+  let(:univariate_series) { create(:time_series, :fred, ticker: 'EXPORT_U') }
+  let(:aggregate_series) { create(:time_series, :polygon, ticker: 'EXPORT_A') }
+  let(:start) { Time.utc(2025, 1, 6) }
+
+  before do
+    3.times { |i| create(:univariate, ticker: univariate_series.ticker, ts: start + i.days, main: 10.0 + i) }
+    2.times { |i| create(:aggregate, ticker: aggregate_series.ticker, ts: start + i.days, close: 100.0 + i) }
+  end
+
+  def lines_of(export)
+    export.each.to_a
+  end
+
+  it 'rejects unknown formats' do
+    expect { described_class.new(univariate_series, format: 'xlsx') }.to raise_error(ArgumentError)
+  end
+
+  it 'rejects an empty selection' do
+    expect { described_class.new([]) }.to raise_error(ArgumentError)
+  end
+
+  describe 'CSV' do
+    it 'writes a header and one line per point in order' do
+      lines = lines_of(described_class.new(univariate_series))
+
+      expect(lines).to eq([
+        "ts,main\n",
+        "2025-01-06T00:00:00Z,10.0\n",
+        "2025-01-07T00:00:00Z,11.0\n",
+        "2025-01-08T00:00:00Z,12.0\n"
+      ])
+    end
+
+    it 'limits the rows to the date range' do
+      export = described_class.new(univariate_series, from: start + 1.day, to: start + 1.day)
+
+      expect(export.points_count).to eq(1)
+      expect(lines_of(export).drop(1)).to eq(["2025-01-07T00:00:00Z,11.0\n"])
+    end
+
+    it 'keeps only the requested columns' do
+      lines = lines_of(described_class.new(aggregate_series, columns: %w[close bogus]))
+
+      expect(lines.first).to eq("ts,close\n")
+      expect(lines.second).to eq("2025-01-06T00:00:00Z,100.0\n")
+    end
+
+    it 'formats timestamps in the requested time zone' do
+      export = described_class.new(univariate_series, time_zone: ActiveSupport::TimeZone['America/New_York'])
+
+      expect(lines_of(export).second).to start_with('2025-01-05T19:00:00-05:00')
+    end
+
+    it 'reads in batches' do
+      stub_const("#{described_class}::BATCH_SIZE", 2)
+
+      expect(lines_of(described_class.new(univariate_series)).size).to eq(4)
+    end
+  end
+
+  describe 'NDJSON' do
+    it 'writes one object per point for several tickers' do
+      export = described_class.new([univariate_series, aggregate_series], format: 'ndjson', columns: %w[main close])
+      rows = lines_of(export).map { |line| JSON.parse(line) }
+
+      expect(export.columns).to eq(%w[ticker ts main close])
+      expect(export.points_count).to eq(5)
+      expect(rows.map { |row| row['ticker'] }).to eq(%w[EXPORT_A EXPORT_A EXPORT_U EXPORT_U EXPORT_U])
+      expect(rows.first).to eq('ticker' => 'EXPORT_A', 'ts' => '2025-01-06T00:00:00Z', 'main' => nil, 'close' => 100.0)
+      expect(rows.last).to include('main' => 12.0, 'close' => nil)
+    end
+  end
+
+  describe '#filename' do
+    it 'names single exports after the ticker and range' do
+      export = described_class.new(univariate_series, format: 'ndjson', from: start)
+
+      expect(export.filename).to eq('EXPORT_U_20250106-latest.ndjson')
+    end
+
+    it 'names multi-ticker exports by count' do
+      expect(described_class.new([univariate_series, aggregate_series]).filename).to eq('time-series-2.csv')
+    end
+  end
+end
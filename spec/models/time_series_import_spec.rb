@@ -0,0 +1,68 @@
+require 'rails_helper'
+
+RSpec.describe TimeSeriesImport, type: :model do
+  describe 'aggregate series' do
+    let(:time_series) { create(:time_series, ticker: 'MANUAL_OHLC', source: 'DB', source_id: 'MANUAL_OHLC', kind: 'aggregate') }
+
+    def bar(row, ts, open: 10, high: 12, low: 9, close: 11, volume: 100)
+      { row: row, ts: ts, open: open, high: high, low: low, close: close, volume: volume }
+    end
+
+    it 'inserts valid rows with the close as adjusted close' do
+      result = described_class.new(time_series, [bar(2, '2025-01-02'), bar(3, '2025-01-03T00:00:00Z', volume: '')]).call
+
+      expect(result).to include(rows: 2, inserted: 2, importable: 2, duplicates: [], errors: [])
+      aggregate = time_series.aggregates.order(:ts).first
+      expect(aggregate).to have_attributes(timeframe: 'D1', close: 11.0, adjusted: 11.0, volume: 100.0)
+      expect(time_series.aggregates.order(:ts).last.volume).to be_nil
+    end
+
+    it 'skips rows with bad dates, numbers or OHLC violations' do
+      rows = [
+        bar(2, 'not a date'),
+        bar(3, '2025-01-03', close: 'abc'),
+        bar(4, '2025-01-04', high: 10.5),
+        bar(5, '2025-01-05', low: 11.5),
+        bar(6, '2025-01-06', volume: -1)
+      ]
+
+      result = described_class.new(time_series, rows).call
+
+      expect(result[:inserted]).to eq(0)
+      expect(result[:errors].map { |error| error[:row] }).to eq([2, 3, 4, 5, 6])
+      expect(result[:errors].first[:message]).to eq('Invalid date: "not a date"')
+      expect(result[:errors].second[:message]).to eq('close is not a number: "abc"')
+      expect(result[:errors].third[:message]).to include('high 10.5 is below')
+    end
+
+    it 'skips duplicates within the chunk and against existing points' do
+      create(:aggregate, ticker: 'MANUAL_OHLC', ts: Time.zone.parse('2025-01-02'))
+
+      rows = [bar(2, '2025-01-02'), bar(3, '2025-01-03'), bar(4, '2025-01-03')]
+      result = described_class.new(time_series, rows).call
+
+      expect(result[:inserted]).to eq(1)
+      expect(result[:duplicates]).to eq([{ row: 2, ts: Time.zone.parse('2025-01-02') }])
+      expect(result[:errors]).to eq([{ row: 4, message: 'Duplicate of row 3 (2025-01-03T00:00:00Z)' }])
+    end
+
+    it 'writes nothing on a dry run' do
+      result = described_class.new(time_series, [bar(2, '2025-01-02')], dry_run: true).call
+
+      expect(result).to include(inserted: 0, importable: 1)
+      expect(time_series.aggregates.count).to eq(0)
+    end
+  end
+
+  describe 'univariate series' do
+    let(:time_series) { create(:time_series, ticker: 'MANUAL_VALUE', source: 'DB', source_id: 'MANUAL_VALUE', timeframe: 'MN1') }
+
+    it 'imports values' do
+      result = described_class.new(time_series, [{ 'ts' => '2025-01-01', 'value' => '3.5' }, { 'ts' => '2025-02-01', 'value' => nil }]).call
+
+      expect(result[:inserted]).to eq(1)
+      expect(result[:errors]).to eq([{ row: 2, message: 'value is not a number: nil' }])
+      expect(time_series.univariates.pluck(:main, :timeframe)).to eq([[3.5, 'MN1']])
+    end
+  end
+end
@@ -0,0 +1,66 @@
+require 'rails_helper'
+
+RSpec.describe TimeSeriesPoints, type: :model do
+  let(:start) { Time.utc(2025, 6, 2) } # Monday
+  let(:time_series) { create(:time_series, :polygon, ticker: 'POINTS_AGG') }
+
+  before do
+    10.times do |i|
+      close = 100.0 + i
+      create(:aggregate, ticker: time_series.ticker, ts: start + i.days,
+                         open: close - 0.5, high: close + 2, low: close - 2, close: close, adjusted: close, volume: 10)
+    end
+  end
+
+  it 'pages through the points with a cursor' do
+    first = described_class.new(time_series, limit: 4).page
+
+    expect(first[:points].map { |point| point[:ts] }).to eq((0..3).map { |i| start + i.days })
+    expect(first[:points].first).to include(open: 99.5, high: 102.0, low: 98.0, close: 100.0, volume: 10.0)
+    expect(first[:next_cursor]).to be_present
+
+    second = described_class.new(time_series, limit: 4, cursor: first[:next_cursor]).page
+    third = described_class.new(time_series, limit: 4, cursor: second[:next_cursor]).page
+
+    expect(second[:points].first[:ts]).to eq(start + 4.days)
+    expect(third[:points].size).to eq(2)
+    expect(third[:next_cursor]).to be_nil
+  end
+
+  it 'limits the range with from and to' do
+    page = described_class.new(time_series, from: start + 2.days, to: start + 3.days).page
+
+    expect(page[:points].map { |point| point[:close] }).to eq([102.0, 103.0])
+  end
+
+  it 'rolls daily bars up to weeks' do
+    page = described_class.new(time_series, timeframe: 'W1').page
+
+    expect(page).to include(timeframe: 'W1', resampled: true, next_cursor: nil)
+    expect(page[:points].size).to eq(2)
+    expect(page[:points].first).to include(ts: start, open: 99.5, high: 108.0, low: 98.0, close: 106.0, volume: 70.0)
+    expect(page[:points].last).to include(ts: start + 7.days, open: 106.5, close: 109.0, volume: 30.0)
+
+    first = described_class.new(time_series, timeframe: 'W1', limit: 1).page
+    rest = described_class.new(time_series, timeframe: 'W1', limit: 1, cursor: first[:next_cursor]).page
+    expect(rest[:points].map { |point| point[:ts] }).to eq([start + 7.days])
+  end
+
+  it 'returns the latest point within the range' do
+    expect(described_class.new(time_series).latest).to include(ts: start + 9.days, close: 109.0)
+    expect(described_class.new(time_series, to: start + 1.day).latest).to include(close: 101.0)
+  end
+
+  it 'returns univariate values under value' do
+    series = create(:time_series, ticker: 'POINTS_VALUE')
+    create(:univariate, ticker: 'POINTS_VALUE', ts: start, main: 3.5)
+
+    expect(described_class.new(series).page[:points]).to eq([{ ts: start, value: 3.5 }])
+  end
+
+  it 'rejects finer or unknown timeframes and invalid cursors' do
+    expect { described_class.new(time_series, timeframe: 'H1') }.to raise_error(ArgumentError, 'Cannot resample D1 to the finer H1')
+    expect { described_class.new(time_series, timeframe: 'D2') }.to raise_error(ArgumentError, 'Unknown timeframe: D2')
+    expect { described_class.new(time_series, cursor: 'nope') }.to raise_error(ArgumentError, 'Invalid cursor')
+  end
+end
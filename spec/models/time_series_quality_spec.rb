@@ -0,0 +1,165 @@
+require 'rails_helper'
+
+RSpec.describe TimeSeriesQuality, type: :model do
+  let(:start) { Time.utc(2025, 6, 2) } # Monday
+
+  def findings_of(report, type)
+    report[:findings].select { |finding| finding[:type] == type }
+  end
+
+  describe 'univariate series' do
+    let(:time_series) { create(:time_series, :fred, ticker: 'QUALITY_U') }
+
+    def add_point(ts, main = 100.0)
+      create(:univariate, ticker: time_series.ticker, ts: ts, main: main)
+    end
+
+    context 'with a continuous daily series including weekends' do
+      before { 10.times { |i| add_point(start + i.days, 100.0 + i) } }
+
+      it 'reports no findings' do
+        report = described_class.new(time_series).report
+
+        expect(report[:points_count]).to eq(10)
+        expect(report[:findings]).to be_empty
+        expect(report[:summary].values).to all(eq(0))
+      end
+    end
+
+    context 'with missing days' do
+      before do
+        14.times { |i| add_point(start + i.days) unless [5, 6, 7].include?(i) }
+      end
+
+      it 'reports a single gap with the number of missing bars' do
+        gaps = findings_of(described_class.new(time_series).report, 'gap')
+
+        expect(gaps.size).to eq(1)
+        expect(gaps.first).to include(severity: 'warning', missing: 3, ts: start + 4.days, to: start + 8.days)
+      end
+    end
+
+    context 'with a weekday-only series' do
+      let(:weekdays) { (0...21).map { |i| start + i.days }.reject { |ts| ts.saturday? || ts.sunday? } }
+
+      it 'ignores weekends' do
+        weekdays.each { |ts| add_point(ts) }
+
+        expect(findings_of(described_class.new(time_series).report, 'gap')).to be_empty
+      end
+
+      it 'reports a single missing weekday as info' do
+        weekdays.each { |ts| add_point(ts) unless ts == start + 2.days }
+
+        gaps = findings_of(described_class.new(time_series).report, 'gap')
+        expect(gaps.size).to eq(1)
+        expect(gaps.first).to include(severity: 'info', missing: 1)
+      end
+    end
+
+    context 'with a trading calendar' do
+      let(:time_series) { create(:time_series, :fred, ticker: 'QUALITY_NYSE', calendar: 'nyse') }
+      let(:sessions) { (0...21).map { |i| start + i.days }.select { |ts| TradingCalendar['nyse'].trading_day?(ts.to_date) } }
+
+      it 'ignores the exchange holidays' do
+        sessions.each { |ts| add_point(ts) }
+
+        expect(sessions).not_to include(Time.utc(2025, 6, 19)) # Juneteenth
+        expect(findings_of(described_class.new(time_series).report, 'gap')).to be_empty
+      end
+
+      it 'counts the missing sessions only' do
+        sessions.each { |ts| add_point(ts) unless ts.between?(Time.utc(2025, 6, 18), Time.utc(2025, 6, 23)) }
+
+        gaps = findings_of(described_class.new(time_series).report, 'gap')
+        expect(gaps.size).to eq(1)
+        expect(gaps.first).to include(missing: 3, ts: Time.utc(2025, 6, 17), to: Time.utc(2025, 6, 24))
+      end
+    end
+
+    context 'with several points in one day' do
+      before do
+        add_point(start)
+        add_point(start + 1.day)
+        add_point(start + 1.day + 6.hours)
+        add_point(start + 2.days)
+      end
+
+      it 'reports a duplicate' do
+        duplicates = findings_of(described_class.new(time_series).report, 'duplicate')
+
+        expect(duplicates.size).to eq(1)
+        expect(duplicates.first).to include(ts: start + 1.day, to: start + 1.day + 6.hours)
+        expect(duplicates.first[:message]).to start_with('2 points')
+      end
+    end
+
+    context 'with an outlier' do
+      before do
+        30.times { |i| add_point(start + i.days, i == 20 ? 1000.0 : 100.0 + (i % 2)) }
+      end
+
+      it 'reports the jump' do
+        report = described_class.new(time_series, sigma: 3).report
+        jumps = findings_of(report, 'jump')
+
+        expect(report[:summary]['jump']).to eq(1)
+        expect(jumps.first).to include(ts: start + 20.days, severity: 'warning')
+        expect(jumps.first[:message]).to start_with('Jump')
+      end
+
+      it 'reports nothing with a higher threshold' do
+        report = described_class.new(time_series, sigma: 20).report
+
+        expect(report[:summary]['jump']).to eq(0)
+      end
+    end
+
+    it 'does not flag negative values' do
+      5.times { |i| add_point(start + i.days, -1.0 - i) }
+
+      expect(described_class.new(time_series).report[:summary]['nonpositive']).to eq(0)
+    end
+  end
+
+  describe 'aggregate series' do
+    let(:time_series) { create(:time_series, :polygon, ticker: 'QUALITY_A') }
+
+    def add_bar(ts, **prices)
+      create(:aggregate, ticker: time_series.ticker, ts: ts, **{ open: 100, high: 105, low: 95, close: 102 }.merge(prices))
+    end
+
+    before do
+      add_bar(start)
+      add_bar(start + 1.day, high: 90, low: 95)
+      add_bar(start + 2.days, close: 110)
+      add_bar(start + 3.days, low: 0)
+      add_bar(start + 4.days)
+    end
+
+    it 'reports OHLC violations' do
+      report = described_class.new(time_series).report
+      ohlc = findings_of(report, 'ohlc')
+
+      expect(report[:summary]['ohlc']).to eq(2)
+      expect(ohlc.map { |finding| finding[:ts] }).to eq([start + 1.day, start + 2.days])
+      expect(ohlc.first[:message]).to include('High 90')
+      expect(ohlc.last[:message]).to include('close 110')
+    end
+
+    it 'reports non-positive prices' do
+      nonpositive = findings_of(described_class.new(time_series).report, 'nonpositive')
+
+      expect(nonpositive.size).to eq(1)
+      expect(nonpositive.first).to include(ts: start + 3.days, severity: 'error')
+      expect(nonpositive.first[:message]).to include('low 0')
+    end
+
+    it 'limits the findings per check but counts all of them' do
+      report = described_class.new(time_series, limit: 1).report
+
+      expect(findings_of(report, 'ohlc').size).to eq(1)
+      expect(report[:summary]['ohlc']).to eq(2)
+    end
+  end
+end
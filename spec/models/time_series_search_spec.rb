@@ -0,0 +1,87 @@
+require 'rails_helper'
+
+RSpec.describe TimeSeriesSearch, type: :model do
+  let(:current_time) { DateTime.parse('2025-08-15 14:30:00 UTC') }
+
+  let!(:gdp) do
+    ts = create(:time_series, :fred, ticker: 'GDP', description: 'Gross domestic product')
+    create(:pipeline, time_series: ts, active: true)
+    create(:univariate, ticker: ts.ticker, ts: current_time.beginning_of_day - 5.days, main: 1.0)
+    create(:univariate, ticker: ts.ticker, ts: current_time.beginning_of_day - 4.days, main: 2.0)
+    ts
+  end
+
+  let!(:apple) do
+    ts = create(:time_series, :polygon, ticker: 'AAPL_POLYGON')
+    create(:pipeline, time_series: ts, active: true)
+    create(:aggregate, ticker: ts.ticker, ts: current_time.beginning_of_day, close: 200.0, adjusted: 199.0)
+    ts
+  end
+
+  let!(:empty) { create(:time_series, ticker: 'EMPTY', source: 'Yahoo', timeframe: 'H1') }
+
+  before do
+    allow(DateTime).to receive(:current).and_return(current_time)
+  end
+
+  def tickers(params = {})
+    described_class.new(params).results.map(&:ticker)
+  end
+
+  it 'returns every series sorted by ticker with its statistics' do
+    results = described_class.new.results
+
+    expect(results.map(&:ticker)).to eq(%w[AAPL_POLYGON EMPTY GDP])
+
+    gdp_result = results.last
+    expect(gdp_result.points_count).to eq(2)
+    expect(gdp_result.last_value).to eq(2.0)
+    expect(gdp_result.earliest_ts).to eq(current_time.beginning_of_day - 5.days)
+    expect(gdp_result.up_to_date).to be false
+    expect(gdp_result.has_active_pipelines).to be true
+
+    expect(results.first.last_value).to eq(199.0)
+    expect(results.second.points_count).to eq(0)
+  end
+
+  it 'searches ticker, source and description' do
+    expect(tickers(q: 'domestic')).to eq(%w[GDP])
+    expect(tickers(q: 'polygon')).to eq(%w[AAPL_POLYGON])
+  end
+
+  it 'filters by source, kind and timeframe' do
+    expect(tickers(source: 'Yahoo')).to eq(%w[EMPTY])
+    expect(tickers(kind: 'aggregate')).to eq(%w[AAPL_POLYGON])
+    expect(tickers(timeframe: 'H1')).to eq(%w[EMPTY])
+  end
+
+  it 'filters by up-to-date status' do
+    expect(tickers(status: 'up_to_date')).to eq(%w[AAPL_POLYGON])
+    expect(tickers(status: 'outdated')).to eq(%w[EMPTY GDP])
+  end
+
+  it 'filters by active pipelines' do
+    expect(tickers(pipelines: 'active')).to eq(%w[AAPL_POLYGON GDP])
+    expect(tickers(pipelines: 'inactive')).to eq(%w[EMPTY])
+  end
+
+  it 'sorts by last update, newest first and series without data last' do
+    expect(tickers(sort: 'updated')).to eq(%w[AAPL_POLYGON GDP EMPTY])
+    expect(tickers(sort: 'updated', direction: 'asc')).to eq(%w[GDP AAPL_POLYGON EMPTY])
+  end
+
+  it 'sorts by point count' do
+    expect(tickers(sort: 'count')).to eq(%w[GDP AAPL_POLYGON EMPTY])
+  end
+
+  it 'ignores unknown values' do
+    search = described_class.new(source: 'Nope', sort: 'random', direction: 'sideways')
+
+    expect(search.to_params).to eq({})
+    expect(search.results.size).to eq(3)
+  end
+
+  it 'only keeps non-default params' do
+    expect(described_class.new(q: ' gdp ', sort: 'count', direction: 'desc').to_params).to eq(q: 'gdp', sort: 'count')
+  end
+end
@@ -0,0 +1,46 @@
+require 'rails_helper'
+
+RSpec.describe TimeSeriesSparklines, type: :model do
+  let(:start) { Time.utc(2025, 6, 2) } # Monday
+  let(:daily) { create(:time_series, :polygon, ticker: 'SPARK_AGG') }
+  let(:hourly) { create(:time_series, ticker: 'SPARK_H1', timeframe: 'H1', kind: 'univariate') }
+  let(:empty) { create(:time_series, ticker: 'SPARK_EMPTY') }
+
+  before do
+    5.times do |i|
+      close = 100.0 + i
+      create(:aggregate, ticker: daily.ticker, ts: start + i.days, open: close, high: close, low: close, close: close, adjusted: close)
+    end
+
+    # The last point of Monday is the previous close for Tuesday's points
+    [[start + 20.hours, 50.0], [start + 23.hours, 40.0], [start + 1.day, 42.0], [start + 1.day + 1.hour, 44.0]].each do |ts, main|
+      create(:univariate, ticker: hourly.ticker, timeframe: 'H1', ts: ts, main: main)
+    end
+  end
+
+  it 'returns the last points and the change against the previous point for daily series' do
+    result = described_class.new([daily], points: 3).to_h['SPARK_AGG']
+
+    expect(result).to include(values: [102.0, 103.0, 104.0], last: 104.0, previous_close: 103.0, change: 1.0, change_percent: 0.97)
+    expect(result[:last_ts]).to eq((start + 4.days).iso8601)
+  end
+
+  it 'compares intraday series with the last point of the previous day' do
+    result = described_class.new([hourly], points: 2).to_h['SPARK_H1']
+
+    expect(result).to include(values: [42.0, 44.0], last: 44.0, previous_close: 40.0, change: 4.0, change_percent: 10.0)
+  end
+
+  it 'answers for several series at once and leaves series without points empty' do
+    result = described_class.new([daily, hourly, empty]).to_h
+
+    expect(result.keys).to eq(%w[SPARK_AGG SPARK_H1 SPARK_EMPTY])
+    expect(result['SPARK_AGG'][:values].size).to eq(5)
+    expect(result['SPARK_EMPTY']).to include(values: [], last: nil, change: nil, change_percent: nil)
+  end
+
+  it 'clamps the number of points' do
+    expect(described_class.new([daily], points: 10_000).points).to eq(TimeSeriesSparklines::MAX_POINTS)
+    expect(described_class.new([daily]).points).to eq(TimeSeriesSparklines::DEFAULT_POINTS)
+  end
+end
@@ -184,6 +184,62 @@ RSpec.describe TimeSeries, type: :model do
         end
       end
     end
+
+    describe '#chart_points' do
+      let(:start_time) { Time.zone.parse('2025-01-01 00:00:00') }
+
+      context 'when kind is univariate' do
+        let(:time_series) { create(:time_series, :fred) }
+
+        before do
+          [10.0, 30.0, 20.0, 5.0].each_with_index do |value, index|
+            create(:univariate, ticker: time_series.ticker, ts: start_time + index.days, main: value)
+          end
+        end
+
+        it 'returns raw points when under the limit' do
+          result = time_series.chart_points(max_points: 10)
+
+          expect(result[:resolution]).to be_nil
+          expect(result[:points].map { |point| point[:value] }).to eq([10.0, 30.0, 20.0, 5.0])
+        end
+
+        it 'buckets points keeping the last value and the min/max' do
+          result = time_series.chart_points(max_points: 2)
+
+          expect(result[:resolution]).to be > 0
+          expect(result[:points].size).to eq(2)
+          expect(result[:points].first).to include(value: 30.0, min: 10.0, max: 30.0)
+        end
+
+        it 'restricts points to the requested range' do
+          result = time_series.chart_points(from: start_time + 1.day, to: start_time + 2.days)
+
+          expect(result[:points].map { |point| point[:value] }).to eq([30.0, 20.0])
+        end
+
+        it 'returns no points when the range is empty' do
+          result = time_series.chart_points(from: start_time + 1.year)
+
+          expect(result).to eq(resolution: nil, points: [])
+        end
+      end
+
+      context 'when kind is aggregate' do
+        let(:time_series) { create(:time_series, :polygon) }
+
+        before do
+          create(:aggregate, ticker: time_series.ticker, ts: start_time, open: 10, high: 12, low: 9, close: 11, volume: 100)
+          create(:aggregate, ticker: time_series.ticker, ts: start_time + 1.day, open: 11, high: 15, low: 8, close: 14, volume: 200)
+        end
+
+        it 'rolls buckets up to OHLCV' do
+          result = time_series.chart_points(max_points: 1)
+
+          expect(result[:points].first).to include(open: 10.0, high: 15.0, low: 8.0, close: 14.0, volume: 300.0)
+        end
+      end
+    end
   end
 
   describe 'default values' do
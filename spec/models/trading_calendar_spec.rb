@@ -0,0 +1,103 @@
+require 'rails_helper'
+
+RSpec.describe TradingCalendar, type: :model do
+  let(:nyse) { described_class['nyse'] }
+  let(:fred) { described_class['fred'] }
+  let(:crypto) { described_class['crypto'] }
+  let(:friday) { Time.utc(2025, 8, 15, 14, 30) }
+  let(:saturday) { Time.utc(2025, 8, 16, 12) }
+
+  it 'loads the calendars of config/calendars' do
+    expect(described_class.keys).to include('nyse', 'cboe', 'crypto', 'fred')
+    expect(described_class.default_for('Polygon')).to eq('nyse')
+    expect(described_class.default_for('DB')).to be_nil
+  end
+
+  describe '#trading_day?' do
+    it 'skips weekends and holidays' do
+      expect(nyse.trading_day?(Date.new(2025, 8, 15))).to be true
+      expect(nyse.trading_day?(Date.new(2025, 8, 16))).to be false
+      expect(nyse.trading_day?(Date.new(2025, 9, 1))).to be false
+      expect(nyse.holiday(Date.new(2025, 9, 1))).to eq('Labor Day')
+      expect(crypto.trading_day?(Date.new(2025, 8, 16))).to be true
+    end
+  end
+
+  describe '#session' do
+    it 'returns the session hours in UTC, with early closes' do
+      expect(nyse.session(Date.new(2025, 8, 15))).to eq([Time.utc(2025, 8, 15, 13, 30), Time.utc(2025, 8, 15, 20)])
+      expect(nyse.session(Date.new(2025, 11, 28))).to eq([Time.utc(2025, 11, 28, 14, 30), Time.utc(2025, 11, 28, 18)])
+      expect(nyse.session(Date.new(2026, 12, 24)).last).to eq(Time.utc(2026, 12, 24, 18))
+      expect(described_class['cboe'].session(Date.new(2027, 11, 26)).last).to eq(Time.utc(2027, 11, 26, 18, 15))
+    end
+  end
+
+  describe '#expected_since' do
+    it 'expects the daily bar of a session an hour after the close' do
+      expect(nyse.expected_since('D1', friday)).to eq(Time.utc(2025, 8, 14))
+      expect(nyse.expected_since('D1', Time.utc(2025, 8, 15, 21))).to eq(Time.utc(2025, 8, 15))
+    end
+
+    it 'expects nothing new over weekends and holidays' do
+      expect(nyse.expected_since('D1', saturday)).to eq(Time.utc(2025, 8, 15))
+      expect(nyse.expected_since('D1', Time.utc(2025, 9, 2, 12))).to eq(Time.utc(2025, 8, 29))
+    end
+
+    it 'expects the last bar of the previous session outside of sessions' do
+      expect(nyse.expected_since('H1', saturday)).to eq(Time.utc(2025, 8, 15, 19))
+      expect(nyse.expected_since('H1', friday)).to eq(Time.utc(2025, 8, 15, 14))
+    end
+
+    it 'waits for the release schedule of FRED series' do
+      expect(fred.expected_since('D1', friday)).to eq(Time.utc(2025, 8, 13))
+      expect(fred.expected_since('MN1', friday)).to eq(Time.utc(2025, 6, 1))
+    end
+
+    it 'matches the timeframe rules on a 24/7 calendar' do
+      expect(crypto.expected_since('D1', friday)).to eq(Time.utc(2025, 8, 14))
+    end
+  end
+
+  describe '#next_expected_at' do
+    it 'returns when the next period is due' do
+      expect(nyse.next_expected_at('D1', friday)).to eq(Time.utc(2025, 8, 15, 21))
+      expect(nyse.next_expected_at('D1', saturday)).to eq(Time.utc(2025, 8, 18, 21))
+      expect(nyse.next_expected_at('H1', saturday)).to eq(Time.utc(2025, 8, 18, 13, 30))
+    end
+  end
+
+  describe '#expected_between' do
+    it 'counts the trading days strictly between two points' do
+      expect(nyse.expected_between('D1', Time.utc(2025, 8, 29), Time.utc(2025, 9, 2))).to eq(0)
+      expect(nyse.expected_between('D1', Time.utc(2025, 8, 28), Time.utc(2025, 9, 3))).to eq(2)
+      expect(crypto.expected_between('D1', Time.utc(2025, 8, 28), Time.utc(2025, 9, 3))).to eq(5)
+    end
+
+    it 'counts intraday bars within the sessions only' do
+      expect(nyse.expected_between('H1', Time.utc(2025, 8, 15, 19), Time.utc(2025, 8, 18, 14))).to eq(1)
+    end
+  end
+
+  describe 'TimeSeries freshness' do
+    it 'uses the calendar of the series' do
+      expect(TimeSeries.up_to_date_cutoff('D1', saturday, calendar: 'nyse')).to eq(Time.utc(2025, 8, 15))
+      expect(TimeSeries.next_expected_update('D1', saturday, calendar: 'nyse')).to eq(Time.utc(2025, 8, 18, 21))
+      expect(TimeSeries.up_to_date_cutoff('D1', saturday)).to eq(Time.utc(2025, 8, 15))
+    end
+
+    it 'starts new series on the calendar of their source' do
+      attributes = attributes_for(:time_series, :polygon).except(:calendar)
+
+      expect(TimeSeries.create!(attributes).calendar).to eq('nyse')
+      expect(TimeSeries.create!(attributes.merge(ticker: 'CAL_RULES', calendar: '')).calendar).to be_nil
+      expect(TimeSeries.create!(attributes.merge(ticker: 'CAL_UPLOAD', source: 'DB')).calendar).to be_nil
+    end
+
+    it 'rejects unknown calendars' do
+      time_series = build(:time_series, calendar: 'lse')
+
+      expect(time_series).not_to be_valid
+      expect(time_series.errors[:calendar]).to include('is not included in the list')
+    end
+  end
+end
@@ -0,0 +1,35 @@
+require 'rails_helper'
+
+RSpec.describe Watchlist, type: :model do
+  let(:series) { %w[WL_A WL_B WL_C].map { |ticker| create(:time_series, ticker: ticker) } }
+
+  it 'appends new watchlists and series at the end' do
+    first = described_class.create!(name: '  Rates ')
+    second = described_class.create!(name: 'Crypto')
+    series.each { |time_series| second.watchlist_items.create!(time_series: time_series) }
+
+    expect(first.name).to eq('Rates')
+    expect(described_class.ordered).to eq([first, second])
+    expect(second.items.map { |item| item.time_series.ticker }).to eq(%w[WL_A WL_B WL_C])
+  end
+
+  it 'stores the order it is given' do
+    lists = %w[One Two Three].map { |name| described_class.create!(name: name) }
+    described_class.reorder!([lists[2].id, lists[0].id, lists[1].id])
+    expect(described_class.ordered.map(&:name)).to eq(%w[Three One Two])
+
+    watchlist = lists.first
+    items = series.map { |time_series| watchlist.watchlist_items.create!(time_series: time_series) }
+    watchlist.reorder_items!([items[1].id, items[2].id, items[0].id])
+
+    expect(watchlist.reload.items.map { |item| item.time_series.ticker }).to eq(%w[WL_B WL_C WL_A])
+  end
+
+  it 'rejects duplicate names and series' do
+    watchlist = described_class.create!(name: 'Rates')
+    watchlist.watchlist_items.create!(time_series: series.first)
+
+    expect(described_class.new(name: 'Rates')).not_to be_valid
+    expect(watchlist.watchlist_items.new(time_series: series.first)).not_to be_valid
+  end
+end